@@ -0,0 +1,344 @@
+// argon2.js - pure-JS Argon2id (RFC 9106, version 0x13) with its BLAKE2b, for vault_core.js's key derivation
+// 64-bit words are held as (low, high) pairs of 32-bit halves in Uint32Arrays. argon2idAsync runs the hash on a
+// worker thread started from this file, so a derivation that takes a second does not stall the calling thread.
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const ARGON2_VERSION = 0x13;
+const ARGON2_ID = 2;
+const BLOCK_WORDS = 256; // 1 KiB block as 32-bit words
+const SYNC_POINTS = 4;
+const ADDRESSES_IN_BLOCK = 128;
+
+// ---- BLAKE2b (RFC 7693), unkeyed ----
+
+const BLAKE2B_IV = new Uint32Array([
+    0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+    0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+]);
+const SIGMA = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+    [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+    [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+    [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+    [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+    [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+    [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+    [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+    [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+    [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0]
+];
+
+// v[a] += v[b] + x (64-bit) on word pairs
+function add64(v, a, b, xl, xh) {
+    const lo = v[a] + v[b] + xl;
+    v[a + 1] = v[a + 1] + v[b + 1] + xh + (lo / 0x100000000 | 0);
+    v[a] = lo;
+}
+
+// BLAKE2b mixing step on word pairs a, b, c, d of v with message words x, y
+function blakeG(v, a, b, c, d, m, x, y) {
+    add64(v, a, b, m[x], m[x + 1]);
+    let dl = v[d] ^ v[a];
+    let dh = v[d + 1] ^ v[a + 1];
+    v[d] = dh; // rotr 32
+    v[d + 1] = dl;
+    add64(v, c, d, 0, 0);
+    let bl = v[b] ^ v[c];
+    let bh = v[b + 1] ^ v[c + 1];
+    v[b] = (bl >>> 24) | (bh << 8); // rotr 24
+    v[b + 1] = (bh >>> 24) | (bl << 8);
+    add64(v, a, b, m[y], m[y + 1]);
+    dl = v[d] ^ v[a];
+    dh = v[d + 1] ^ v[a + 1];
+    v[d] = (dl >>> 16) | (dh << 16); // rotr 16
+    v[d + 1] = (dh >>> 16) | (dl << 16);
+    add64(v, c, d, 0, 0);
+    bl = v[b] ^ v[c];
+    bh = v[b + 1] ^ v[c + 1];
+    v[b] = (bh >>> 31) | (bl << 1); // rotr 63
+    v[b + 1] = (bl >>> 31) | (bh << 1);
+}
+
+function blake2bCompress(h, block, t, last) {
+    const v = new Uint32Array(32);
+    const m = new Uint32Array(32);
+    for (let i = 0; i < 16; i++) {
+        v[i] = h[i];
+        v[i + 16] = BLAKE2B_IV[i];
+    }
+    // Byte counter fits in 53 bits here
+    v[24] ^= t >>> 0;
+    v[25] ^= Math.floor(t / 0x100000000);
+    if (last) {
+        v[28] = ~v[28];
+        v[29] = ~v[29];
+    }
+    for (let i = 0; i < 32; i++) m[i] = block.readUInt32LE(i * 4);
+    for (let r = 0; r < 12; r++) {
+        const s = SIGMA[r % 10];
+        blakeG(v, 0, 8, 16, 24, m, s[0] * 2, s[1] * 2);
+        blakeG(v, 2, 10, 18, 26, m, s[2] * 2, s[3] * 2);
+        blakeG(v, 4, 12, 20, 28, m, s[4] * 2, s[5] * 2);
+        blakeG(v, 6, 14, 22, 30, m, s[6] * 2, s[7] * 2);
+        blakeG(v, 0, 10, 20, 30, m, s[8] * 2, s[9] * 2);
+        blakeG(v, 2, 12, 22, 24, m, s[10] * 2, s[11] * 2);
+        blakeG(v, 4, 14, 16, 26, m, s[12] * 2, s[13] * 2);
+        blakeG(v, 6, 8, 18, 28, m, s[14] * 2, s[15] * 2);
+    }
+    for (let i = 0; i < 16; i++) h[i] ^= v[i] ^ v[i + 16];
+}
+
+// BLAKE2b digest of `outLen` (1-64) bytes over the concatenated buffers in `parts`
+function blake2b(parts, outLen) {
+    const data = Buffer.concat(parts);
+    const h = new Uint32Array(BLAKE2B_IV);
+    h[0] ^= 0x01010000 ^ outLen;
+    const block = Buffer.alloc(128);
+    let offset = 0;
+    // Every full block but the last is compressed as it comes; the last one (possibly padded) carries the flag
+    while (data.length - offset > 128) {
+        data.copy(block, 0, offset, offset + 128);
+        offset += 128;
+        blake2bCompress(h, block, offset, false);
+    }
+    block.fill(0);
+    data.copy(block, 0, offset);
+    blake2bCompress(h, block, data.length, true);
+    const out = Buffer.alloc(64);
+    for (let i = 0; i < 16; i++) out.writeUInt32LE(h[i], i * 4);
+    return out.subarray(0, outLen);
+}
+
+function le32(n) {
+    const b = Buffer.alloc(4);
+    b.writeUInt32LE(n >>> 0, 0);
+    return b;
+}
+
+// H' (RFC 9106 section 3.3): BLAKE2b stretched to any output length
+function blake2bLong(parts, outLen) {
+    const input = [le32(outLen), ...parts];
+    if (outLen <= 64) return blake2b(input, outLen);
+    const out = Buffer.alloc(outLen);
+    const r = Math.ceil(outLen / 32) - 2;
+    let v = blake2b(input, 64);
+    v.copy(out, 0, 0, 32);
+    for (let i = 1; i < r; i++) {
+        v = blake2b([v], 64);
+        v.copy(out, i * 32, 0, 32);
+    }
+    blake2b([v], outLen - 32 * r).copy(out, 32 * r);
+    return out;
+}
+
+// ---- Argon2 compression function ----
+
+// High half of the 64-bit product of two 32-bit words. The double product is off by at most 2^11 and `low` is
+// exact, so rounding recovers the high half exactly.
+function mulHigh(x, y, low) {
+    return Math.round((x * y - low) / 0x100000000);
+}
+
+// v[a] = v[a] + v[b] + 2 * lo32(v[a]) * lo32(v[b]) (BlaMka)
+function blamka(v, a, b) {
+    const al = v[a];
+    const bl = v[b];
+    const pl = Math.imul(al, bl) >>> 0;
+    const ph = mulHigh(al, bl, pl);
+    const lo = al + bl + ((pl << 1) >>> 0);
+    v[a + 1] = v[a + 1] + v[b + 1] + ((ph << 1) | (pl >>> 31)) + (lo / 0x100000000 | 0);
+    v[a] = lo;
+}
+
+// Argon2's variant of blakeG on word pairs a, b, c, d of v
+function gb(v, a, b, c, d) {
+    blamka(v, a, b);
+    let dl = v[d] ^ v[a];
+    let dh = v[d + 1] ^ v[a + 1];
+    v[d] = dh;
+    v[d + 1] = dl;
+    blamka(v, c, d);
+    let bl = v[b] ^ v[c];
+    let bh = v[b + 1] ^ v[c + 1];
+    v[b] = (bl >>> 24) | (bh << 8);
+    v[b + 1] = (bh >>> 24) | (bl << 8);
+    blamka(v, a, b);
+    dl = v[d] ^ v[a];
+    dh = v[d + 1] ^ v[a + 1];
+    v[d] = (dl >>> 16) | (dh << 16);
+    v[d + 1] = (dh >>> 16) | (dl << 16);
+    blamka(v, c, d);
+    bl = v[b] ^ v[c];
+    bh = v[b + 1] ^ v[c + 1];
+    v[b] = (bh >>> 31) | (bl << 1);
+    v[b + 1] = (bl >>> 31) | (bh << 1);
+}
+
+// The permutation P on sixteen 64-bit words of v at word-pair offsets i0..i15
+function permute(v, i0, i1, i2, i3, i4, i5, i6, i7, i8, i9, i10, i11, i12, i13, i14, i15) {
+    gb(v, i0, i4, i8, i12);
+    gb(v, i1, i5, i9, i13);
+    gb(v, i2, i6, i10, i14);
+    gb(v, i3, i7, i11, i15);
+    gb(v, i0, i5, i10, i15);
+    gb(v, i1, i6, i11, i12);
+    gb(v, i2, i7, i8, i13);
+    gb(v, i3, i4, i9, i14);
+}
+
+const scratchR = new Uint32Array(BLOCK_WORDS);
+const scratchT = new Uint32Array(BLOCK_WORDS);
+
+// Compression G: out = P(x ^ y) ^ x ^ y, further XORed with the old out when `withXor` (passes after the first)
+function fillBlock(x, xOff, y, yOff, out, outOff, withXor) {
+    const r = scratchR;
+    const t = scratchT;
+    for (let i = 0; i < BLOCK_WORDS; i++) {
+        r[i] = x[xOff + i] ^ y[yOff + i];
+        t[i] = withXor ? r[i] ^ out[outOff + i] : r[i];
+    }
+    // Rows: eight runs of sixteen consecutive 64-bit words
+    for (let i = 0; i < 8; i++) {
+        const o = i * 32;
+        permute(r, o, o + 2, o + 4, o + 6, o + 8, o + 10, o + 12, o + 14, o + 16, o + 18, o + 20, o + 22, o + 24, o + 26, o + 28, o + 30);
+    }
+    // Columns: 64-bit words 2i, 2i+1, 2i+16, 2i+17, ... 2i+113
+    for (let i = 0; i < 8; i++) {
+        const o = i * 4;
+        permute(r, o, o + 2, o + 32, o + 34, o + 64, o + 66, o + 96, o + 98, o + 128, o + 130, o + 160, o + 162, o + 192, o + 194, o + 224, o + 226);
+    }
+    for (let i = 0; i < BLOCK_WORDS; i++) out[outOff + i] = t[i] ^ r[i];
+}
+
+function blockToWords(buf, words, off) {
+    for (let i = 0; i < BLOCK_WORDS; i++) words[off + i] = buf.readUInt32LE(i * 4);
+}
+
+function wordsToBuffer(words, off) {
+    const buf = Buffer.alloc(BLOCK_WORDS * 4);
+    for (let i = 0; i < BLOCK_WORDS; i++) buf.writeUInt32LE(words[off + i], i * 4);
+    return buf;
+}
+
+// ---- Argon2id ----
+
+// Argon2id tag of `tagLength` bytes. params: { m (memory in KiB), t (passes), p (lanes) }; options.secret and
+// options.ad are the optional key and associated data of RFC 9106. Lanes are filled one after another.
+function argon2id(password, salt, params, tagLength = 32, options = {}) {
+    const { m, t, p } = params;
+    const pwd = Buffer.from(password);
+    const secret = options.secret ? Buffer.from(options.secret) : Buffer.alloc(0);
+    const ad = options.ad ? Buffer.from(options.ad) : Buffer.alloc(0);
+    const h0 = blake2b([
+        le32(p), le32(tagLength), le32(m), le32(t), le32(ARGON2_VERSION), le32(ARGON2_ID),
+        le32(pwd.length), pwd, le32(salt.length), salt, le32(secret.length), secret, le32(ad.length), ad
+    ], 64);
+
+    const segmentLength = Math.floor(m / (SYNC_POINTS * p));
+    const laneLength = segmentLength * SYNC_POINTS;
+    const blockCount = laneLength * p;
+    const memory = new Uint32Array(blockCount * BLOCK_WORDS);
+    try {
+        for (let lane = 0; lane < p; lane++) {
+            for (let i = 0; i < 2; i++) {
+                blockToWords(blake2bLong([h0, le32(i), le32(lane)], 1024), memory, (lane * laneLength + i) * BLOCK_WORDS);
+            }
+        }
+
+        const zero = new Uint32Array(BLOCK_WORDS);
+        const input = new Uint32Array(BLOCK_WORDS);
+        const addresses = new Uint32Array(BLOCK_WORDS);
+        for (let pass = 0; pass < t; pass++) {
+            for (let slice = 0; slice < SYNC_POINTS; slice++) {
+                for (let lane = 0; lane < p; lane++) {
+                    // The first half of the first pass picks reference blocks independently of the data
+                    const independent = pass === 0 && slice < SYNC_POINTS / 2;
+                    if (independent) {
+                        input.fill(0);
+                        input[0] = pass;
+                        input[2] = lane;
+                        input[4] = slice;
+                        input[6] = blockCount;
+                        input[8] = t;
+                        input[10] = ARGON2_ID;
+                    }
+                    const nextAddresses = () => {
+                        input[12]++;
+                        fillBlock(zero, 0, input, 0, addresses, 0, false);
+                        fillBlock(zero, 0, addresses, 0, addresses, 0, false);
+                    };
+                    let start = 0;
+                    if (pass === 0 && slice === 0) {
+                        start = 2;
+                        if (independent) nextAddresses();
+                    }
+                    let cur = lane * laneLength + slice * segmentLength + start;
+                    let prev = cur % laneLength === 0 ? cur + laneLength - 1 : cur - 1;
+                    for (let index = start; index < segmentLength; index++, cur++, prev++) {
+                        if (cur % laneLength === 1) prev = cur - 1;
+                        let randLow;
+                        let randHigh;
+                        if (independent) {
+                            if (index % ADDRESSES_IN_BLOCK === 0) nextAddresses();
+                            randLow = addresses[(index % ADDRESSES_IN_BLOCK) * 2];
+                            randHigh = addresses[(index % ADDRESSES_IN_BLOCK) * 2 + 1];
+                        } else {
+                            randLow = memory[prev * BLOCK_WORDS];
+                            randHigh = memory[prev * BLOCK_WORDS + 1];
+                        }
+                        const refLane = pass === 0 && slice === 0 ? lane : randHigh % p;
+                        const sameLane = refLane === lane;
+                        let areaSize;
+                        if (pass === 0) {
+                            areaSize = slice * segmentLength + (sameLane ? index - 1 : (index === 0 ? -1 : 0));
+                        } else {
+                            areaSize = laneLength - segmentLength + (sameLane ? index - 1 : (index === 0 ? -1 : 0));
+                        }
+                        // areaSize - 1 - ((areaSize * ((randLow * randLow) >> 32)) >> 32)
+                        const x = mulHigh(randLow, randLow, Math.imul(randLow, randLow) >>> 0);
+                        const relative = areaSize - 1 - mulHigh(areaSize, x, Math.imul(areaSize, x) >>> 0);
+                        const startPos = pass !== 0 && slice !== SYNC_POINTS - 1 ? (slice + 1) * segmentLength : 0;
+                        const refIndex = (startPos + relative) % laneLength;
+                        fillBlock(memory, prev * BLOCK_WORDS, memory, (refLane * laneLength + refIndex) * BLOCK_WORDS,
+                            memory, cur * BLOCK_WORDS, pass !== 0);
+                    }
+                }
+            }
+        }
+
+        const final = new Uint32Array(BLOCK_WORDS);
+        for (let lane = 0; lane < p; lane++) {
+            const off = (lane * laneLength + laneLength - 1) * BLOCK_WORDS;
+            for (let i = 0; i < BLOCK_WORDS; i++) final[i] ^= memory[off + i];
+        }
+        const tag = blake2bLong([wordsToBuffer(final, 0)], tagLength);
+        final.fill(0);
+        return tag;
+    } finally {
+        memory.fill(0);
+        scratchR.fill(0);
+        scratchT.fill(0);
+    }
+}
+
+// argon2id on a worker thread; resolves to the tag
+function argon2idAsync(password, salt, params, tagLength = 32) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { argon2: { password: Buffer.from(password), salt, params, tagLength } } });
+        worker.once('message', (tag) => resolve(Buffer.from(tag)));
+        worker.once('error', reject);
+        worker.once('exit', (code) => {
+            if (code !== 0) reject(new Error(`Argon2 worker stopped with exit code ${code}`));
+        });
+    });
+}
+
+if (!isMainThread && workerData && workerData.argon2) {
+    const job = workerData.argon2;
+    const tag = argon2id(Buffer.from(job.password), Buffer.from(job.salt), job.params, job.tagLength);
+    Buffer.from(job.password.buffer, job.password.byteOffset, job.password.byteLength).fill(0);
+    parentPort.postMessage(tag);
+}
+
+module.exports = { argon2id, argon2idAsync, blake2b };
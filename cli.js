@@ -0,0 +1,531 @@
+#!/usr/bin/env node
+// cli.js - headless FolderVault command line (encrypt / decrypt / verify / list / rekey / keygen / key slots / identities / calibrate / passphrase)
+// Runs the same vault_core.js code as the desktop app, so the .enc files it writes are byte-compatible.
+
+const path = require('path');
+const fs = require('fs');
+const core = require('./vault_core');
+
+// Exit codes
+const EXIT_OK = 0;
+const EXIT_FAILED = 1; // the operation (or some files) failed
+const EXIT_USAGE = 2; // bad arguments or no password
+const EXIT_AUTH = 3; // wrong password or key file: every failure was an authentication failure
+const EXIT_INTEGRITY = 4; // files are damaged, truncated or tampered with
+const EXIT_CANCELLED = 130; // interrupted (Ctrl+C)
+
+const INTEGRITY_CODES = new Set(['ERR_AUTH_FAILED', 'ERR_CORRUPTED', 'ERR_TRUNCATED', 'ERR_HEADER_TAMPERED']);
+// Failures that mean the password or key file given cannot open the data
+const AUTH_CODES = new Set(['ERR_AUTH_FAILED', 'ERR_WRONG_PASSWORD', 'ERR_KEYFILE_REQUIRED']);
+const PASSWORD_ENV = 'FOLDERVAULT_PASSWORD';
+const PAST_TENSE = { encrypt: 'encrypted', decrypt: 'decrypted', verify: 'verified', resume: 'encrypted', rollback: 'restored', rekey: 're-keyed' };
+const FOLDER_COMMANDS = ['resume', 'rollback', 'rekey'];
+const SLOT_COMMANDS = ['slots', 'add-password', 'passwd', 'add-recovery', 'remove-slot'];
+// --min-strength names, for scores 0 to 4
+const STRENGTH_LEVELS = core.STRENGTH_LABELS.map((label) => label.replace(' ', '-'));
+
+const USAGE = `Usage: foldervault <command> <path> [options]
+
+Commands:
+  encrypt <folder|file>   Encrypt a folder in place (or a single file)
+  decrypt <folder|file>   Decrypt .enc files in a folder (or a single .enc file)
+  verify <folder|file>    Check that .enc files decrypt, without writing any plaintext
+  list <folder|archive>   List a folder's encrypted files or an archive's contents
+  resume <folder>         Finish an interrupted encrypt run with the options it was started with
+  rollback <folder>       Undo an interrupted encrypt run, restoring the original files
+  rekey <folder>          Re-encrypt every .enc file for a new password (--new-password-*) and/or --kdf; no plaintext is written
+  calibrate               Time the key derivation here and print --kdf parameters that take about --target-ms to unlock
+  passphrase              Print a random passphrase of --words words from the bundled diceware wordlist
+  keygen <file>           Write a new random key file (never replaces an existing file)
+  identity <file>         Write a new identity (key pair) and print its public key (never replaces an existing file)
+  pubkey <file>           Print the public key of an identity file, to hand out to people who encrypt for you
+  slots <folder>          List the folder's key slots
+  add-password <folder>   Add a key slot for a new password (and/or --new-key-file)
+  passwd <folder>         Change the password of the key slot the current one opens; no file is re-encrypted
+  add-recovery <folder>   Add a key slot for a new random recovery key and print it (shown once)
+  remove-slot <folder> <id>  Remove a key slot (the last one cannot be removed)
+
+Options:
+  --keep-originals        Do not delete originals after encrypting / .enc files after decrypting
+  --secure-delete         Overwrite originals before deleting them (best-effort)
+  --encrypt-names         Store files under random names with an encrypted manifest (encrypt only)
+  --key-slots             Set up key slots first if the folder has none, so passwords can change later (encrypt only)
+  -r, --recipient <key>   Also encrypt the folder to this public key (repeatable; encrypt only)
+  -R, --recipients-file <file>  Also encrypt the folder to the public keys listed in a file, one per line (repeatable)
+  -z, --compress <method> Compress files before encrypting them: ${core.compressionMethods().join(', ')} (encrypt only; already compressed files are stored as they are)
+  -i, --identity <file>   Open the folder's key slots with this identity instead of a password
+  -j, --jobs <n>          Process up to n files at once in folder runs (default: ${core.DEFAULT_CONCURRENCY} on this machine)
+  --exclude <pattern>     Leave matching paths alone (.gitignore syntax; repeatable; adds to ${core.VAULTIGNORE_NAME})
+  --include <pattern>     Only process matching paths (repeatable)
+  --no-ignore-file        Do not read ${core.VAULTIGNORE_NAME} from the folder root
+  --symlinks <policy>     Symbolic links in folder runs: skip (default), store the link itself, or follow it
+  --key-file <file>       Also require this key file (any file works; with no password option, it is used alone)
+  --password-stdin        Read the password from the first line of standard input
+  --password-file <file>  Read the password from the first line of a file
+  --password-env <name>   Read the password from an environment variable (default: ${PASSWORD_ENV})
+  --new-password-file <file>  New password for add-password / passwd, from the first line of a file
+  --new-password-env <name>   New password for add-password / passwd, from an environment variable
+  --new-key-file <file>   Key file the new password needs along with it (add-password / passwd / rekey)
+  --kdf <spec>            Key derivation for new keys (encrypt, rekey, add-password, passwd), e.g. scrypt:N=65536,r=8,p=1 or
+                          argon2id:m=65536,t=3,p=1 (m in KiB; default: ${kdfSpec(core.DEFAULT_KDF)}; calibrate: the name to calibrate)
+  --target-ms <n>         Unlock time calibrate aims for, in milliseconds (default: 1000)
+  --words <n>             Number of words passphrase prints, 4 to 20 (default: ${core.PASSPHRASE_WORDS})
+  --min-strength <level>  Refuse a new password weaker than this: ${STRENGTH_LEVELS.join(', ')} or 0-4
+                          (encrypt, rekey, add-password, passwd)
+  --label <text>          Label for a new key slot
+  -q, --quiet             Only print errors
+  -v, --verbose           Also print the detailed operation log
+  -h, --help              Show this help
+
+Without a password option, ${PASSWORD_ENV} is used when set, otherwise standard input when it is not a terminal.
+With --key-file or --identity, and when encrypting to recipients, the password may be empty; a folder encrypted
+to recipients without a password opens only with their identities. Without a new password option, add-password and passwd read the
+new password from the next line of standard input (after the current one, if that is read from it too); rekey
+keeps the current password unless --new-password-file or --new-password-env is given.
+
+Exit codes: 0 success, 1 failure, 2 usage error, 3 wrong password or key file, 4 damaged or truncated files, 130 interrupted.`;
+
+function usageError(message) {
+    const err = new Error(message);
+    err.exitCode = EXIT_USAGE;
+    return err;
+}
+
+function parseJobs(text) {
+    const n = Number(text);
+    if (!Number.isInteger(n) || n < 1 || n > core.MAX_CONCURRENCY) {
+        throw usageError(`--jobs must be a whole number from 1 to ${core.MAX_CONCURRENCY}`);
+    }
+    return n;
+}
+
+function parseSymlinks(text) {
+    if (!core.SYMLINK_POLICIES.includes(text)) throw usageError(`--symlinks must be one of: ${core.SYMLINK_POLICIES.join(', ')}`);
+    return text;
+}
+
+function parseCompression(text) {
+    const methods = ['none', ...core.compressionMethods()];
+    if (!methods.includes(text)) throw usageError(`--compress must be one of: ${methods.join(', ')}`);
+    return text;
+}
+
+// Parameters each --kdf name takes, and what the ones left out default to
+const KDF_DEFAULTS = { scrypt: core.DEFAULT_KDF, argon2id: core.ARGON2_KDF };
+
+// --kdf name:param=value,...; parameters left out keep their defaults, and the core checks the values
+function parseKdf(text) {
+    const [name, params = ''] = text.split(':');
+    if (!Object.prototype.hasOwnProperty.call(KDF_DEFAULTS, name)) throw usageError(`--kdf: unknown key derivation ${name}`);
+    const kdf = Object.assign({}, KDF_DEFAULTS[name]);
+    for (const pair of params.split(',').filter(Boolean)) {
+        const [key, value] = pair.split('=');
+        if (key === 'name' || !(key in kdf) || !/^\d+$/.test(value || '')) throw usageError(`--kdf: bad parameter ${pair}`);
+        kdf[key] = Number(value);
+    }
+    return kdf;
+}
+
+// The --kdf spelling of KDF parameters
+function kdfSpec(kdf) {
+    return `${kdf.name}:${Object.keys(kdf).filter((key) => key !== 'name').map((key) => `${key}=${kdf[key]}`).join(',')}`;
+}
+
+function parseTargetMs(text) {
+    const n = Number(text);
+    if (!Number.isInteger(n) || n < 10 || n > 60000) throw usageError('--target-ms must be a whole number from 10 to 60000');
+    return n;
+}
+
+function parseWords(text) {
+    const n = Number(text);
+    if (!Number.isInteger(n) || n < 4 || n > 20) throw usageError('--words must be a whole number from 4 to 20');
+    return n;
+}
+
+function parseMinStrength(text) {
+    const level = /^\d$/.test(text) ? Number(text) : STRENGTH_LEVELS.indexOf(text);
+    if (level < 0 || level >= STRENGTH_LEVELS.length) throw usageError(`--min-strength must be one of: ${STRENGTH_LEVELS.join(', ')} (or 0-4)`);
+    return level;
+}
+
+function parseArgs(argv) {
+    const args = {
+        positional: [], keepOriginals: false, secureDelete: false, encryptNames: false, keySlots: false, recipients: [], recipientsFiles: [],
+        exclude: [], include: [], ignoreFile: true, quiet: false, verbose: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw usageError(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--keep-originals': args.keepOriginals = true; break;
+            case '--secure-delete': args.secureDelete = true; break;
+            case '--encrypt-names': args.encryptNames = true; break;
+            case '--key-slots': args.keySlots = true; break;
+            case '-r': case '--recipient': args.recipients.push(value()); break;
+            case '-R': case '--recipients-file': args.recipientsFiles.push(value()); break;
+            case '-z': case '--compress': args.compression = parseCompression(value()); break;
+            case '-i': case '--identity': args.identity = value(); break;
+            case '-j': case '--jobs': args.jobs = parseJobs(value()); break;
+            case '--exclude': args.exclude.push(value()); break;
+            case '--include': args.include.push(value()); break;
+            case '--no-ignore-file': args.ignoreFile = false; break;
+            case '--symlinks': args.symlinks = parseSymlinks(value()); break;
+            case '--key-file': args.keyFile = value(); break;
+            case '--password-stdin': args.passwordStdin = true; break;
+            case '--password-file': args.passwordFile = value(); break;
+            case '--password-env': args.passwordEnv = value(); break;
+            case '--new-password-file': args.newPasswordFile = value(); break;
+            case '--new-password-env': args.newPasswordEnv = value(); break;
+            case '--new-key-file': args.newKeyFile = value(); break;
+            case '--label': args.label = value(); break;
+            case '--kdf': args.kdf = parseKdf(value()); break;
+            case '--target-ms': args.targetMs = parseTargetMs(value()); break;
+            case '--words': args.words = parseWords(value()); break;
+            case '--min-strength': args.minStrength = parseMinStrength(value()); break;
+            case '-q': case '--quiet': args.quiet = true; break;
+            case '-v': case '--verbose': args.verbose = true; break;
+            case '-h': case '--help': args.help = true; break;
+            default:
+                if (arg.startsWith('-')) throw usageError(`Unknown option: ${arg}`);
+                args.positional.push(arg);
+        }
+    }
+    return args;
+}
+
+function readStdin() {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        process.stdin.on('data', (chunk) => chunks.push(chunk));
+        process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        process.stdin.on('error', reject);
+    });
+}
+
+// Only the first line counts, so a trailing newline from `echo` or an editor is not part of the password
+function firstLine(text) {
+    return text.split(/\r?\n/)[0];
+}
+
+// Standard input is read once; each password taken from it is the next line
+let stdinLines = null;
+async function nextStdinLine() {
+    if (!stdinLines) stdinLines = (await readStdin()).split(/\r?\n/);
+    return stdinLines.length > 0 ? stdinLines.shift() : '';
+}
+
+// An identity opens key slots on its own, and a folder encrypted to recipients needs no password
+function withoutPassword(args) {
+    return !!args.identity || args.recipients.length > 0 || args.recipientsFiles.length > 0;
+}
+
+// Public keys from -r and -R, checked before anything is encrypted
+async function readRecipientArgs(args) {
+    const recipients = [];
+    try {
+        for (const text of args.recipients) recipients.push(core.parseRecipient(text));
+        for (const file of args.recipientsFiles) recipients.push(...await core.readRecipients(file));
+    } catch (err) {
+        throw usageError(err.message);
+    }
+    return recipients;
+}
+
+async function readPassword(args) {
+    let password;
+    if (args.passwordFile) {
+        password = firstLine(await fs.promises.readFile(args.passwordFile, 'utf8'));
+    } else if (args.passwordStdin) {
+        password = await nextStdinLine();
+    } else if (args.passwordEnv) {
+        password = process.env[args.passwordEnv];
+        if (password === undefined) throw usageError(`Environment variable ${args.passwordEnv} is not set`);
+    } else if (process.env[PASSWORD_ENV] !== undefined) {
+        password = process.env[PASSWORD_ENV];
+    } else if (!process.stdin.isTTY) {
+        password = await nextStdinLine();
+    } else if (args.keyFile || withoutPassword(args)) {
+        password = '';
+    } else {
+        throw usageError(`No password given (use --password-stdin, --password-file, --password-env or ${PASSWORD_ENV})`);
+    }
+    // A key file is a secret of its own, so it may be used without a password
+    if (!password && !args.keyFile && !withoutPassword(args)) throw usageError('Password is empty');
+    return password;
+}
+
+// New password for add-password / passwd; like the current one, it may be empty with a (new) key file
+async function readNewPassword(args) {
+    let password;
+    if (args.newPasswordFile) {
+        password = firstLine(await fs.promises.readFile(args.newPasswordFile, 'utf8'));
+    } else if (args.newPasswordEnv) {
+        password = process.env[args.newPasswordEnv];
+        if (password === undefined) throw usageError(`Environment variable ${args.newPasswordEnv} is not set`);
+    } else if (!process.stdin.isTTY) {
+        password = await nextStdinLine();
+    } else if (args.newKeyFile) {
+        password = '';
+    } else {
+        throw usageError('No new password given (use --new-password-file, --new-password-env or standard input)');
+    }
+    if (!password && !args.newKeyFile) throw usageError('New password is empty');
+    return password;
+}
+
+// Map per-file failures to an exit code: all authentication failures most likely mean a wrong password
+function exitCodeFor(errors) {
+    if (errors.length === 0) return EXIT_OK;
+    if (errors.every((e) => AUTH_CODES.has(e.code))) return EXIT_AUTH;
+    if (errors.every((e) => INTEGRITY_CODES.has(e.code))) return EXIT_INTEGRITY;
+    return EXIT_FAILED;
+}
+
+// verifyFolder already classifies each failure, telling a wrong password apart from damage where it can
+function exitCodeForReport(failed) {
+    if (failed.length === 0) return EXIT_OK;
+    if (failed.every((f) => f.status === 'wrong-password')) return EXIT_AUTH;
+    if (failed.every((f) => f.status !== 'error')) return EXIT_INTEGRITY;
+    return EXIT_FAILED;
+}
+
+function exitCodeForError(err) {
+    if (err.exitCode !== undefined) return err.exitCode;
+    if (err.code === 'ERR_CANCELLED' || err.name === 'AbortError') return EXIT_CANCELLED;
+    if (AUTH_CODES.has(err.code)) return EXIT_AUTH;
+    if (INTEGRITY_CODES.has(err.code)) return EXIT_INTEGRITY;
+    return EXIT_FAILED;
+}
+
+async function runFolderOp(command, target, password, args, signal) {
+    const concurrency = args.jobs;
+    const options = {
+        keepOriginals: args.keepOriginals, secureDelete: args.secureDelete, encryptNames: args.encryptNames, keySlots: args.keySlots, concurrency,
+        exclude: args.exclude, include: args.include, ignoreFile: args.ignoreFile, symlinks: args.symlinks, keyFile: args.keyFile,
+        identity: args.identity, compression: args.compression, signal
+    };
+    const keyFile = args.keyFile;
+    const identity = args.identity;
+    let res;
+    if (command === 'encrypt') {
+        res = await core.encryptFolder(target, password, Object.assign(options, { recipients: await readRecipientArgs(args), kdf: args.kdf, minStrength: args.minStrength }));
+    }
+    else if (command === 'resume') res = await core.encryptFolder(target, password, { resume: true, concurrency, keyFile, identity, signal });
+    else if (command === 'rollback') res = await core.rollbackEncryptFolder(target, password, { keyFile, identity, signal });
+    else if (command === 'rekey') {
+        const newPassword = args.newPasswordFile || args.newPasswordEnv ? await readNewPassword(args) : undefined;
+        res = await core.rekeyFolder(target, password, {
+            newPassword, kdf: args.kdf, minStrength: args.minStrength, keyFile, identity, newKeyFile: args.newKeyFile, concurrency, signal
+        });
+    }
+    else if (command === 'decrypt') res = await core.decryptFolder(target, password, options);
+    else res = await core.verifyFolder(target, password, { concurrency, keyFile, identity, signal });
+
+    if (!res.success) {
+        if (res.code === 'ERR_INTERRUPTED') res.error += ` (run "foldervault resume ${target}" or "foldervault rollback ${target}")`;
+        const err = new Error(res.error);
+        err.code = res.code;
+        throw err;
+    }
+    // Files that changed after the folder was scanned are worth a look even when nothing failed
+    for (const c of res.changed || []) console.error(`warning: ${c.file} was ${c.change} during the run`);
+    for (const file of res.hardLinks || []) console.error(`warning: ${file} has hard links outside the folder that keep its contents readable`);
+    for (const file of res.partials || []) console.error(`warning: kept ${file} with partly decrypted data; decrypt again to resume it`);
+    if (command === 'verify') {
+        const s = res.summary;
+        if (!args.quiet) {
+            console.log(`verify: ${s.good} good, ${s.corrupted} corrupted, ${s.truncated} truncated, ` +
+                `${s.wrongPassword} wrong password, ${s.error} unreadable`);
+        }
+        if (signal.aborted) return EXIT_CANCELLED;
+        return exitCodeForReport(res.failed);
+    }
+    if (!args.quiet) {
+        const excluded = res.excluded && res.excluded.length ? `, ${res.excluded.length} excluded` : '';
+        const skipped = res.skipped && res.skipped.length ? `, ${res.skipped.length} skipped` : '';
+        const current = res.current && res.current.length ? `, ${res.current.length} already re-keyed` : '';
+        console.log(`${command}: ${res.processed} file(s) ok, ${res.errors.length} failed${excluded}${skipped}${current}`);
+    }
+    if (signal.aborted) return EXIT_CANCELLED;
+    return exitCodeFor(res.errors);
+}
+
+async function runFileOp(command, target, password, args, signal) {
+    if (command === 'encrypt') {
+        const out = await core.encryptFile(target, password, {
+            keyFile: args.keyFile, compression: args.compression, kdf: args.kdf, minStrength: args.minStrength, signal
+        });
+        if (!args.keepOriginals) {
+            if (args.secureDelete) await core.secureDelete(target);
+            else await fs.promises.unlink(target);
+        }
+        if (!args.quiet) console.log(`encrypted ${target} -> ${out}`);
+    } else if (command === 'decrypt') {
+        const out = await core.decryptFile(target, password, { keyFile: args.keyFile, identity: args.identity, signal });
+        if (!args.keepOriginals) {
+            if (args.secureDelete) await core.secureDelete(target);
+            else await fs.promises.unlink(target);
+        }
+        if (!args.quiet) console.log(`decrypted ${target} -> ${out}`);
+    } else {
+        await core.verifyFile(target, password, { keyFile: args.keyFile, identity: args.identity, signal });
+        if (!args.quiet) console.log(`ok ${target}`);
+    }
+    return EXIT_OK;
+}
+
+async function runList(target, args) {
+    const stat = await fs.promises.stat(target);
+    if (stat.isFile()) {
+        // Archives: <size>\t<path> for every entry
+        const keys = await core.keyCacheFor(await readPassword(args), { keyFile: args.keyFile });
+        try {
+            const { entries } = await core.listArchive(target, keys);
+            for (const entry of entries) console.log(`${entry.size}\t${entry.path}`);
+        } finally {
+            await keys.wipe();
+        }
+        return EXIT_OK;
+    }
+
+    // Folders: <encrypted file>\t<path it decrypts to>, both relative to the folder
+    let manifest = null;
+    if (fs.existsSync(path.join(target, core.MANIFEST_NAME))) {
+        const keys = await core.keyCacheFor(await readPassword(args), { keyFile: args.keyFile, identity: args.identity });
+        try {
+            // In a folder with key slots the manifest is keyed from the data key
+            await core.tryUnlockFolder(target, keys);
+            manifest = await core.loadManifest(target, keys);
+        } finally {
+            await keys.wipe();
+        }
+    }
+    const root = path.resolve(target);
+    for await (const file of core.walk(root)) {
+        if (!file.endsWith('.enc')) continue;
+        const rel = path.relative(root, file).split(path.sep).join('/');
+        const mapped = manifest && Object.prototype.hasOwnProperty.call(manifest.files, rel) ? manifest.files[rel] : null;
+        console.log(`${rel}\t${mapped || rel.slice(0, -4)}`);
+    }
+    return EXIT_OK;
+}
+
+// Key slot commands only rewrite the folder's key slot record. slots prints <id>\t<type>\t<key file or public key>\t<label>
+// per slot; add-recovery prints the recovery key, even with --quiet, since it is shown nowhere else.
+async function runSlotOp(command, target, args, slotId) {
+    let res;
+    if (command === 'slots') {
+        res = await core.listKeySlots(target);
+    } else {
+        const password = await readPassword(args);
+        const options = {
+            keyFile: args.keyFile, identity: args.identity, newKeyFile: args.newKeyFile, label: args.label, kdf: args.kdf, minStrength: args.minStrength
+        };
+        if (command === 'add-password') res = await core.addKeySlot(target, password, await readNewPassword(args), options);
+        else if (command === 'passwd') res = await core.changePassword(target, password, await readNewPassword(args), options);
+        else if (command === 'add-recovery') res = await core.addRecoveryKey(target, password, options);
+        else res = await core.removeKeySlot(target, password, slotId, options);
+    }
+    if (!res.success) {
+        const err = new Error(res.error);
+        err.code = res.code;
+        throw err;
+    }
+    if (command === 'slots') {
+        for (const slot of res.slots) console.log(`${slot.id}\t${slot.type}\t${slot.keyFile ? 'key file' : slot.recipient || '-'}\t${slot.label}`);
+    } else if (command === 'add-recovery') {
+        console.log(res.recoveryKey);
+        if (!args.quiet) console.error(`added recovery key slot ${res.slot.id}; the key above is not shown again, keep it safe`);
+    } else if (!args.quiet) {
+        if (command === 'add-password') console.log(`added key slot ${res.slot.id}`);
+        else if (command === 'passwd') console.log(`changed the password of key slot ${res.slot.id}`);
+        else console.log(`removed key slot ${res.removed}`);
+    }
+    return EXIT_OK;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    if (args.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    const [command, target, slotId] = args.positional;
+    if (command === 'calibrate') {
+        if (args.positional.length > 1) throw usageError(USAGE);
+        const kdf = await core.calibrateKdf({ name: args.kdf ? args.kdf.name : undefined, targetMs: args.targetMs });
+        console.log(kdfSpec(kdf));
+        return EXIT_OK;
+    }
+    // The passphrase goes to standard output, even with --quiet, so it can be piped into a password option
+    if (command === 'passphrase') {
+        if (args.positional.length > 1) throw usageError(USAGE);
+        const { passphrase, bits } = core.generatePassphrase({ words: args.words });
+        console.log(passphrase);
+        if (!args.quiet) console.error(`${Math.floor(bits)} bits; write it down or keep it in a password manager`);
+        return EXIT_OK;
+    }
+    if (!['encrypt', 'decrypt', 'verify', 'list', 'keygen', 'identity', 'pubkey', ...FOLDER_COMMANDS, ...SLOT_COMMANDS].includes(command) || !target ||
+        args.positional.length > (command === 'remove-slot' ? 3 : 2) || (command === 'remove-slot' && !slotId)) {
+        throw usageError(USAGE);
+    }
+
+    core.setReporter({
+        log: (msg) => { if (args.verbose) console.error(msg); },
+        progress: (data) => {
+            if (data.type === 'file' && data.action === 'error') console.error(`error: ${data.file}: ${data.error}`);
+            else if (data.type === 'file' && data.action === 'done' && !args.quiet && data.out) {
+                // Files rewritten in place (rekey) keep their name
+                console.log(data.out === data.file ? `${PAST_TENSE[command]} ${data.file}` : `${PAST_TENSE[command]} ${data.file} -> ${data.out}`);
+            }
+        }
+    });
+
+    if (command === 'list') return runList(target, args);
+    if (command === 'keygen') {
+        await core.generateKeyFile(target);
+        if (!args.quiet) console.log(`created key file ${target}`);
+        return EXIT_OK;
+    }
+    // The public key goes to standard output, even with --quiet, so it can be redirected into a file
+    if (command === 'identity') {
+        const { recipient } = await core.generateIdentity(target);
+        console.log(recipient);
+        if (!args.quiet) console.error(`created identity ${target}; keep it secret and hand out the public key above`);
+        return EXIT_OK;
+    }
+    if (command === 'pubkey') {
+        console.log((await core.readIdentity(target)).recipient);
+        return EXIT_OK;
+    }
+
+    const stat = await fs.promises.stat(target);
+    if ((FOLDER_COMMANDS.includes(command) || SLOT_COMMANDS.includes(command)) && !stat.isDirectory()) throw usageError(`${command} needs a folder`);
+    if (SLOT_COMMANDS.includes(command)) return runSlotOp(command, target, args, slotId);
+    if ((args.recipients.length > 0 || args.recipientsFiles.length > 0) && (command !== 'encrypt' || !stat.isDirectory())) {
+        throw usageError('--recipient and --recipients-file only apply to encrypting a folder');
+    }
+    const password = await readPassword(args);
+
+    // First Ctrl+C cancels cooperatively (the current file is cleaned up); a second one exits at once
+    const controller = new AbortController();
+    process.on('SIGINT', () => {
+        if (controller.signal.aborted) process.exit(EXIT_CANCELLED);
+        console.error('Cancelling... (press Ctrl+C again to exit immediately)');
+        controller.abort();
+    });
+
+    if (stat.isDirectory()) return runFolderOp(command, target, password, args, controller.signal);
+    return runFileOp(command, target, password, args, controller.signal);
+}
+
+main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+}, (err) => {
+    console.error(err.exitCode === EXIT_USAGE ? err.message : `error: ${err.message}`);
+    process.exitCode = exitCodeForError(err);
+});
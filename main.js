@@ -1,12 +1,45 @@
 // main.js - Electron main process for FolderVault
-// Implements folder traversal, encryption/decryption, secure delete, and IPC handlers.
+// Window setup and IPC handlers; the file format, crypto and folder operations live in vault_core.js.
 
 const { app, BrowserWindow, dialog, ipcMain, shell } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const crypto = require('crypto');
-const util = require('util');
-const stream = require('stream');
+const {
+    ARCHIVE_EXT,
+    STRENGTH_LABELS,
+    VIEW_MEMORY_LIMIT,
+    compressionMethods,
+    calibrateKdf,
+    passwordStrength,
+    generatePassphrase,
+    checkPasswordPolicy,
+    setReporter,
+    secureDelete,
+    generateKeyFile,
+    generateIdentity,
+    readIdentity,
+    readRecipients,
+    keyCacheFor,
+    removeEmptyDirs,
+    createArchive,
+    listArchive,
+    extractArchive,
+    encryptFolder,
+    rollbackEncryptFolder,
+    journalStatus,
+    previewEncryptFolder,
+    decryptFolder,
+    verifyFolder,
+    rekeyFolder,
+    openVaultView,
+    wipeStaleVaultViews,
+    listKeySlots,
+    initKeySlots,
+    addKeySlot,
+    addRecoveryKey,
+    changePassword,
+    removeKeySlot
+} = require('./vault_core');
 
 // Enable live-reload in development when source files change.
 // Only enable when NODE_ENV is not 'production' and the app is not packaged.
@@ -33,18 +66,12 @@ if (process.env.NODE_ENV !== 'production' && !app.isPackaged) {
     }
 }
 
-const pipeline = util.promisify(stream.pipeline);
-const scrypt = util.promisify(crypto.scrypt);
-
-const MAGIC = Buffer.from('ELECTRON'); // 8 bytes
-const SALT_LEN = 16;
-const IV_LEN = 12;
-const AUTH_TAG_LEN = 16;
-
 let mainWindow = null;
-let cancelRequested = false;
 // Controller for cooperative cancellation of long-running operations
 let activeOpController = null;
+// The open read-only vault view (see openVaultView) and the private copy of the file shown from it, if any
+let vaultView = null;
+let viewedCopy = null;
 // Simple log file for diagnostics (appends)
 const LOG_DIR = path.join(__dirname, 'logs');
 try { fs.mkdirSync(LOG_DIR, { recursive: true }); } catch (e) { /* ignore */ }
@@ -89,6 +116,9 @@ function createWindow() {
 
 app.whenReady().then(() => {
     createWindow();
+    // Private copies left behind by a vault view that never closed (see openVaultView)
+    wipeStaleVaultViews().then((n) => { if (n > 0) sendLog('Wiped', String(n), 'leftover vault view folders'); },
+        (err) => sendLog('Could not wipe leftover vault view folders:', err.message));
 
     app.on('activate', function () {
         if (BrowserWindow.getAllWindows().length === 0) createWindow();
@@ -99,6 +129,13 @@ app.on('window-all-closed', function () {
     if (process.platform !== 'darwin') app.quit();
 });
 
+app.on('before-quit', (event) => {
+    if (!vaultView) return;
+    // The vault view's private copies are wiped before the app goes
+    event.preventDefault();
+    closeVaultView().finally(() => app.quit());
+});
+
 // Utility to send log messages to renderer
 function sendLog(...parts) {
     const msg = parts.join(' ');
@@ -119,245 +156,136 @@ function sendProgress(data) {
     }
 }
 
-// Transform stream that counts bytes and reports progress via a callback
-const { Transform } = require('stream');
-class CountingTransform extends Transform {
-    constructor(total = 0, onProgress = () => { }) {
-        super();
-        this.total = total;
-        this.seen = 0;
-        this.onProgress = onProgress;
-    }
-    _transform(chunk, encoding, callback) {
-        this.seen += chunk.length;
-        try { this.onProgress(this.seen, this.total); } catch (e) { /* ignore */ }
-        this.push(chunk);
-        callback();
-    }
+// Folders with an encryption run in progress, kept across restarts so a run cut short by a crash can be
+// offered for resume or rollback on the next launch (the journal itself lives in the folder)
+function runsFile() {
+    return path.join(app.getPath('userData'), 'interrupted-runs.json');
 }
 
-// Async generator to walk a directory recursively
-async function* walk(dir) {
-    const dirents = await fs.promises.readdir(dir, { withFileTypes: true });
-    for (const dirent of dirents) {
-        const res = path.resolve(dir, dirent.name);
-        if (dirent.isDirectory()) {
-            yield* walk(res);
-        } else if (dirent.isFile()) {
-            yield res;
-        }
+function loadRuns() {
+    try {
+        const list = JSON.parse(fs.readFileSync(runsFile(), 'utf8'));
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
     }
 }
 
-// Secure delete: overwrite file with random data multiple times and unlink (best-effort)
-async function secureDelete(filePath, passes = 3) {
+function saveRuns(list) {
     try {
-        const stats = await fs.promises.stat(filePath);
-        const size = stats.size;
-        const fd = await fs.promises.open(filePath, 'r+');
-        try {
-            const chunk = 64 * 1024; // 64KB buffer
-            // Reuse a single buffer and fill it with random bytes to avoid many allocations
-            const buf = Buffer.allocUnsafe(chunk);
-            for (let pass = 0; pass < passes; pass++) {
-                let written = 0;
-                while (written < size) {
-                    const toWrite = Math.min(chunk, size - written);
-                    // Fill only the needed portion with random bytes
-                    crypto.randomFillSync(buf, 0, toWrite);
-                    await fd.write(buf, 0, toWrite, written);
-                    written += toWrite;
-                }
-                // fs.promises.FileHandle may or may not expose sync(); use whichever is available
-                if (typeof fd.sync === 'function') {
-                    await fd.sync();
-                } else {
-                    // fallback to fsync on the numeric fd
-                    await fs.promises.fsync(fd.fd);
-                }
-            }
-        } finally {
-            await fd.close();
-        }
-        await fs.promises.unlink(filePath);
-        sendLog('secureDelete: removed', filePath);
-    } catch (err) {
-        sendLog('secureDelete failed for', filePath, '-', err.message);
+        fs.writeFileSync(runsFile(), JSON.stringify(list));
+    } catch (e) {
+        sendLog('Could not save the list of interrupted runs:', e.message);
     }
 }
 
-// Encrypt a single file -> creates filePath + '.enc'
-// encryptFile supports an options object { signal } to support abortion
-async function encryptFile(filePath, password, options = {}) {
-    const salt = crypto.randomBytes(SALT_LEN);
-    const iv = crypto.randomBytes(IV_LEN);
-    // Derive key with scrypt parameters N=16384, r=8, p=1
-    const key = await scrypt(password, salt, 32, { N: 16384, r: 8, p: 1 });
-    try {
-        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
-        const outPath = `${filePath}.enc`;
-        const writeStream = fs.createWriteStream(outPath);
-
-        // Write header: MAGIC | SALT | IV
-        writeStream.write(MAGIC);
-        writeStream.write(salt);
-        writeStream.write(iv);
-
-        // Stream the file through the cipher into output (respect optional signal)
-        // Create read stream (support signal option in Node >= 16.7)
-        const readOpts = options.signal ? { signal: options.signal } : undefined;
-        const readStream = fs.createReadStream(filePath, readOpts);
-
-        // counting transform for per-file byte progress
-        const stats = await fs.promises.stat(filePath);
-        const totalBytes = stats.size;
-        const counter = new CountingTransform(totalBytes, (seen) => {
-            sendProgress({ type: 'file-progress', file: filePath, seen, total: totalBytes });
-        });
-
-        // wire abort to destroy streams quickly
-        const abortHandler = () => {
-            try { readStream.destroy(new Error('aborted')); } catch (e) { }
-            try { cipher.destroy(new Error('aborted')); } catch (e) { }
-            try { writeStream.destroy(new Error('aborted')); } catch (e) { }
-        };
-        if (options.signal) options.signal.addEventListener('abort', abortHandler, { once: true });
+function trackRun(folder) {
+    const list = loadRuns();
+    if (!list.includes(folder)) saveRuns(list.concat(folder));
+}
 
-        await pipeline(readStream, counter, cipher, writeStream);
+// Forget the folder once its journal is gone (the run completed or was rolled back)
+async function untrackRunIfFinished(folder) {
+    const status = await journalStatus(folder).catch(() => null);
+    if (!status) saveRuns(loadRuns().filter((f) => f !== folder));
+}
 
-        // After pipeline completes, retrieve auth tag and append it
-        const authTag = cipher.getAuthTag();
-        await fs.promises.appendFile(outPath, authTag);
+// Password policy set in the app: { minStrength } (the lowest passwordStrength score a new password may have,
+// 0 allowing any). It lives in the user data folder and is applied here to every call that sets a password, so the
+// renderer cannot leave it out.
+function policyFile() {
+    return path.join(app.getPath('userData'), 'password-policy.json');
+}
 
-        sendLog('Encrypted', filePath, '->', outPath);
-        return outPath;
-    } finally {
-        // Zero the key buffer to reduce leakage window
-        try { if (key && typeof key.fill === 'function') key.fill(0); } catch (e) { /* best-effort */ }
+function loadPolicy() {
+    try {
+        const policy = JSON.parse(fs.readFileSync(policyFile(), 'utf8'));
+        return { minStrength: Number.isInteger(policy.minStrength) ? policy.minStrength : 0 };
+    } catch (e) {
+        return { minStrength: 0 };
     }
 }
 
-// Decrypt a .enc file (expects header MAGIC|SALT|IV and trailing AUTH_TAG)
-// decryptFile supports options { signal } and uses an atomic write (temp+rename)
-async function decryptFile(encPath, password, options = {}) {
-    const handle = await fs.promises.open(encPath, 'r');
-    try {
-        const stat = await handle.stat();
-        const fileSize = stat.size;
+function withPolicy(options) {
+    return Object.assign({}, options, { minStrength: loadPolicy().minStrength });
+}
 
-        // Read header
-        const headerLen = MAGIC.length + SALT_LEN + IV_LEN;
-        if (fileSize < headerLen + AUTH_TAG_LEN) {
-            throw new Error('File too small to be valid');
-        }
+// Route the shared core's log and progress output to the renderer
+setReporter({ log: (msg) => sendLog(msg), progress: sendProgress });
 
-        const headerBuf = Buffer.alloc(headerLen);
-        await handle.read(headerBuf, 0, headerLen, 0);
+// IPC handlers
+ipcMain.handle('choose-folder', async () => {
+    const res = await dialog.showOpenDialog(mainWindow, { properties: ['openDirectory'] });
+    if (res.canceled || res.filePaths.length === 0) return null;
+    return res.filePaths[0];
+});
 
-        const magic = headerBuf.slice(0, MAGIC.length);
-        if (!magic.equals(MAGIC)) {
-            throw new Error('Invalid file magic');
-        }
+// Any file can serve as a key file; generate-key-file makes a new random one
+ipcMain.handle('choose-key-file', async () => {
+    const res = await dialog.showOpenDialog(mainWindow, { title: 'Choose key file', properties: ['openFile'] });
+    if (res.canceled || res.filePaths.length === 0) return null;
+    return res.filePaths[0];
+});
 
-        const salt = headerBuf.slice(MAGIC.length, MAGIC.length + SALT_LEN);
-        const iv = headerBuf.slice(MAGIC.length + SALT_LEN, headerLen);
-
-        // Read auth tag (last 16 bytes)
-        const authTagBuf = Buffer.alloc(AUTH_TAG_LEN);
-        await handle.read(authTagBuf, 0, AUTH_TAG_LEN, fileSize - AUTH_TAG_LEN);
-
-        const key = await scrypt(password, salt, 32, { N: 16384, r: 8, p: 1 });
-        try {
-            const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
-            decipher.setAuthTag(authTagBuf);
-
-            const outPath = encPath.endsWith('.enc') ? encPath.slice(0, -4) : `${encPath}.dec`;
-            const tmpPath = outPath + '.tmp-' + crypto.randomBytes(6).toString('hex');
-
-            const start = headerLen;
-            const end = fileSize - AUTH_TAG_LEN - 1; // inclusive end position (Node.js end is inclusive)
-
-            // Handle empty files (0 bytes of encrypted data) - end will be start - 1
-            // This is valid - it means the original file was empty
-            const hasEncryptedData = end >= start;
-            const totalBytes = hasEncryptedData ? (end - start + 1) : 0; // +1 because end is inclusive
-
-            // Stream decrypted output to a temp file, then fsync & rename atomically
-            let readStream;
-            let counter;
-
-            if (hasEncryptedData) {
-                // Normal case: file has encrypted data
-                const readOpts = Object.assign({ start, end }, options.signal ? { signal: options.signal } : {});
-                readStream = fs.createReadStream(encPath, readOpts);
-                counter = new CountingTransform(totalBytes, (seen) => {
-                    sendProgress({ type: 'file-progress', file: encPath, seen, total: totalBytes });
-                });
-            } else {
-                // Empty file case: create an empty stream (no data to decrypt)
-                // Use stream.Readable which is already available via the stream module
-                const { Readable } = stream;
-                readStream = new Readable({
-                    read() {
-                        this.push(null); // End of stream immediately
-                    }
-                });
-                counter = new CountingTransform(0, (seen) => {
-                    sendProgress({ type: 'file-progress', file: encPath, seen, total: 0 });
-                });
-            }
+ipcMain.handle('generate-key-file', async () => {
+    const res = await dialog.showSaveDialog(mainWindow, { title: 'Save new key file', defaultPath: 'foldervault.key' });
+    if (res.canceled || !res.filePath) return null;
+    try {
+        return { success: true, keyFile: await generateKeyFile(res.filePath) };
+    } catch (err) {
+        sendLog('Could not create key file:', err.message);
+        return { success: false, error: err.message };
+    }
+});
 
-            // wire abort to destroy streams quickly
-            const abortHandler = () => {
-                try { if (readStream) readStream.destroy(new Error('aborted')); } catch (e) { }
-                try { decipher.destroy(new Error('aborted')); } catch (e) { }
-            };
-            if (options.signal) options.signal.addEventListener('abort', abortHandler, { once: true });
+// Identities (key pairs) open folders encrypted to their public key; the public key is what gets shared
+ipcMain.handle('choose-identity', async () => {
+    const res = await dialog.showOpenDialog(mainWindow, { title: 'Choose identity file', properties: ['openFile'] });
+    if (res.canceled || res.filePaths.length === 0) return null;
+    try {
+        const { recipient } = await readIdentity(res.filePaths[0]);
+        return { success: true, identity: res.filePaths[0], recipient };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+});
 
-            try {
-                const writeStream = fs.createWriteStream(tmpPath);
-                await pipeline(readStream, counter, decipher, writeStream);
-
-                // Ensure data is flushed to disk (best-effort)
-                try {
-                    const fd = await fs.promises.open(tmpPath, 'r+');
-                    try {
-                        if (typeof fd.sync === 'function') await fd.sync();
-                        else await fs.promises.fsync(fd.fd);
-                    } finally {
-                        await fd.close();
-                    }
-                } catch (e) {
-                    // ignore fsync failures but log
-                    sendLog('fsync failed for', tmpPath, '-', e.message);
-                }
-
-                await fs.promises.rename(tmpPath, outPath);
-
-                sendLog('Decrypted', encPath, '->', outPath);
-                return outPath;
-            } catch (err) {
-                // If decryption fails (e.g., wrong password), clean up the temp file
-                try {
-                    await fs.promises.unlink(tmpPath).catch(() => { });
-                    sendLog('Cleaned up temp file after decryption error:', tmpPath);
-                } catch (e) { /* ignore cleanup errors */ }
-                throw err; // re-throw the original error
-            }
-        } finally {
-            // Zero key buffer
-            try { if (key && typeof key.fill === 'function') key.fill(0); } catch (e) { /* best-effort */ }
-        }
-    } finally {
-        await handle.close();
+ipcMain.handle('generate-identity', async () => {
+    const res = await dialog.showSaveDialog(mainWindow, { title: 'Save new identity', defaultPath: 'foldervault-identity.key' });
+    if (res.canceled || !res.filePath) return null;
+    try {
+        return Object.assign({ success: true }, await generateIdentity(res.filePath));
+    } catch (err) {
+        sendLog('Could not create identity:', err.message);
+        return { success: false, error: err.message };
     }
-}
+});
 
-// IPC handlers
-ipcMain.handle('choose-folder', async () => {
-    const res = await dialog.showOpenDialog(mainWindow, { properties: ['openDirectory'] });
+// Write the identity's public key to a file for others to import; the private key never leaves the identity file
+ipcMain.handle('export-public-key', async (event, { identity }) => {
+    try {
+        const { recipient } = await readIdentity(identity);
+        const res = await dialog.showSaveDialog(mainWindow, { title: 'Export public key', defaultPath: 'foldervault.pub' });
+        if (res.canceled || !res.filePath) return null;
+        await fs.promises.writeFile(res.filePath, `# FolderVault public key\n${recipient}\n`);
+        return { success: true, file: res.filePath, recipient };
+    } catch (err) {
+        sendLog('Could not export the public key:', err.message);
+        return { success: false, error: err.message };
+    }
+});
+
+// Public keys from one or more files (see readRecipients), to encrypt folders to
+ipcMain.handle('import-public-keys', async () => {
+    const res = await dialog.showOpenDialog(mainWindow, { title: 'Import public keys', properties: ['openFile', 'multiSelections'] });
     if (res.canceled || res.filePaths.length === 0) return null;
-    return res.filePaths[0];
+    try {
+        const recipients = [];
+        for (const file of res.filePaths) recipients.push(...await readRecipients(file));
+        return { success: true, recipients };
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
 });
 
 ipcMain.handle('open-app-folder', async () => {
@@ -391,7 +319,6 @@ ipcMain.handle('show-confirm', async (event, { title, message }) => {
 });
 
 ipcMain.handle('cancel-operation', async () => {
-    cancelRequested = true;
     // If there's an active controller, abort it to attempt to stop streaming operations
     try {
         if (activeOpController && typeof activeOpController.abort === 'function') {
@@ -403,99 +330,349 @@ ipcMain.handle('cancel-operation', async () => {
 });
 
 ipcMain.handle('encrypt-folder', async (event, { folder, password, options = {} }) => {
-    // options: { keepOriginals: boolean, secureDelete: boolean }
-    cancelRequested = false;
-    sendLog('Starting encryption for', folder);
+    // options: { keepOriginals: boolean, secureDelete: boolean, encryptNames: boolean, concurrency?: number,
+    //   exclude?: string[], include?: string[] (patterns in .gitignore syntax), symlinks?: 'skip' | 'store' | 'follow',
+    //   keyFile?: string (path of a key file needed along with the password, which may then be empty),
+    //   keySlots?: boolean (set up key slots first if the folder has none), recipients?: string[] (public keys to
+    //   encrypt to as well; the password may then be empty), identity?: string (identity file that opens the key slots),
+    //   compression?: 'none' | 'gzip' | 'brotli' | 'zstd' (files that are compressed already are stored as they are),
+    //   kdf?: { name: 'scrypt', N, r, p } | { name: 'argon2id', m, t, p } (see calibrate-kdf) }
     // create a controller for this operation to support cooperative cancellation
     const controller = new AbortController();
     activeOpController = controller;
-    let count = 0;
+    trackRun(folder);
     try {
-        let total = 0;
-        for await (const _ of walk(folder)) total++;
-        let processed = 0;
-        for await (const file of walk(folder)) {
-            if (cancelRequested) {
-                sendLog('Encryption cancelled by user');
-                break;
-            }
-            // Skip already encrypted files
-            if (file.endsWith('.enc')) {
-                sendLog('Skipping (already .enc):', file);
-                sendProgress({ type: 'file', file, action: 'skip' });
-                processed++;
-                continue;
-            }
-            sendProgress({ type: 'file', file, action: 'start', index: processed + 1, total });
-            try {
-                const encPath = await encryptFile(file, password, { signal: controller.signal });
-                sendProgress({ type: 'file', file, action: 'done', out: encPath });
-                if (!options.keepOriginals) {
-                    if (options.secureDelete) await secureDelete(file);
-                    else await fs.promises.unlink(file).catch(() => sendLog('unlink failed for', file));
-                }
-                count++;
-            } catch (err) {
-                sendLog('Error encrypting', file, '-', err.message);
-                sendProgress({ type: 'file', file, action: 'error', error: err.message });
+        return await encryptFolder(folder, password, Object.assign(withPolicy(options), { signal: controller.signal }));
+    } finally {
+        // clear active controller for this operation
+        try { activeOpController = null; } catch (e) { }
+        await untrackRunIfFinished(folder);
+    }
+});
+
+// Time the key derivation on this machine. options: { name: 'scrypt' | 'argon2id', targetMs } (see calibrateKdf);
+// resolves to { success, kdf } with parameters for the kdf option of encrypt, re-key and key slot calls
+ipcMain.handle('calibrate-kdf', async (event, { options = {} } = {}) => {
+    try {
+        return { success: true, kdf: await calibrateKdf(options) };
+    } catch (err) {
+        sendLog('Calibration failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    }
+});
+
+// Strength estimate for the password field: { bits, score (0-4), label, feedback: [hints] }. The password is not logged.
+ipcMain.handle('password-strength', (event, { password }) => passwordStrength(password));
+
+// A new diceware passphrase. options: { words, separator } (see generatePassphrase); resolves to { success, passphrase, bits }
+ipcMain.handle('generate-passphrase', (event, { options = {} } = {}) => {
+    try {
+        return Object.assign({ success: true }, generatePassphrase(options));
+    } catch (err) {
+        return { success: false, error: err.message, code: err.code };
+    }
+});
+
+ipcMain.handle('password-policy', () => loadPolicy());
+
+ipcMain.handle('set-password-policy', async (event, { policy = {} } = {}) => {
+    const { minStrength } = policy;
+    if (!Number.isInteger(minStrength) || minStrength < 0 || minStrength >= STRENGTH_LABELS.length) {
+        return { success: false, code: 'ERR_INVALID_OPTION', error: `The minimum strength must be 0 to ${STRENGTH_LABELS.length - 1}` };
+    }
+    try {
+        await fs.promises.writeFile(policyFile(), JSON.stringify({ minStrength }));
+    } catch (err) {
+        sendLog('Could not save the password policy:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    }
+    sendLog('Minimum password strength set to', STRENGTH_LABELS[minStrength]);
+    return { success: true, policy: { minStrength } };
+});
+
+// Compression methods the encrypt options can name; zstd depends on the Node.js version Electron ships
+ipcMain.handle('compression-methods', () => compressionMethods());
+
+// Interrupted runs from earlier sessions whose journal is still in place: [{ folder, started, options, total, ... }]
+ipcMain.handle('interrupted-runs', async () => {
+    const runs = [];
+    for (const folder of loadRuns()) {
+        const status = await journalStatus(folder).catch(() => null);
+        if (status) runs.push(Object.assign({ folder }, status));
+    }
+    saveRuns(runs.map((r) => r.folder));
+    return runs;
+});
+
+ipcMain.handle('journal-status', async (event, { folder }) => {
+    try {
+        return await journalStatus(folder);
+    } catch (err) {
+        sendLog('Could not read the operation journal:', err.message);
+        return null;
+    }
+});
+
+ipcMain.handle('resume-folder', async (event, { folder, password, options = {} }) => {
+    // Finishes the interrupted encryption with the options it was started with; only options.concurrency and
+    // options.keyFile (needed again if the run used one) and options.identity are used
+    const controller = new AbortController();
+    activeOpController = controller;
+    trackRun(folder);
+    try {
+        const { concurrency, keyFile, identity } = options;
+        return await encryptFolder(folder, password, { resume: true, concurrency, keyFile, identity, signal: controller.signal });
+    } finally {
+        try { activeOpController = null; } catch (e) { }
+        await untrackRunIfFinished(folder);
+    }
+});
+
+ipcMain.handle('rollback-folder', async (event, { folder, password, options = {} }) => {
+    // options: { keyFile?: string, identity?: string }
+    const controller = new AbortController();
+    activeOpController = controller;
+    try {
+        return await rollbackEncryptFolder(folder, password, { keyFile: options.keyFile, identity: options.identity, signal: controller.signal });
+    } finally {
+        try { activeOpController = null; } catch (e) { }
+        await untrackRunIfFinished(folder);
+    }
+});
+
+ipcMain.handle('preview-encrypt-folder', async (event, { folder, options = {} }) => {
+    // Same options as encrypt-folder; nothing is written or deleted
+    return previewEncryptFolder(folder, options);
+});
+
+ipcMain.handle('decrypt-folder', async (event, { folder, password, options = {} }) => {
+    // options: { keepOriginals: boolean, secureDelete: boolean, concurrency?: number, exclude?: string[], include?: string[],
+    //   symlinks?: 'skip' | 'follow', keyFile?: string, identity?: string } (links stored by an encrypt run always come back as links)
+    const controller = new AbortController();
+    activeOpController = controller;
+    try {
+        return await decryptFolder(folder, password, Object.assign({}, options, { signal: controller.signal }));
+    } finally {
+        try { activeOpController = null; } catch (e) { }
+    }
+});
+
+ipcMain.handle('verify-folder', async (event, { folder, password, options = {} }) => {
+    // Decrypts every .enc file into a discarding sink; nothing is written or deleted.
+    // options: { concurrency?: number, keyFile?: string, identity?: string }
+    const controller = new AbortController();
+    activeOpController = controller;
+    try {
+        const { concurrency, keyFile, identity } = options;
+        return await verifyFolder(folder, password, { concurrency, keyFile, identity, signal: controller.signal });
+    } finally {
+        try { activeOpController = null; } catch (e) { }
+    }
+});
+
+ipcMain.handle('rekey-folder', async (event, { folder, password, options = {} }) => {
+    // Re-encrypts every .enc file in place; no plaintext is written. options: { newPassword?: string (default: keep
+    // the password), kdf?: { name: 'scrypt', N, r, p } | { name: 'argon2id', m, t, p }, keyFile?: string, newKeyFile?: string, identity?: string,
+    // concurrency?: number }
+    const controller = new AbortController();
+    activeOpController = controller;
+    try {
+        return await rekeyFolder(folder, password, Object.assign(withPolicy(options), { signal: controller.signal }));
+    } finally {
+        try { activeOpController = null; } catch (e) { }
+    }
+});
+
+// Key slots: each resolves to { success, slots, ... } or { success: false, error, code }; options: { keyFile?: string,
+// identity?: string, newKeyFile?: string (needed along with newPassword from then on), label?: string }. None of them
+// touches .enc files.
+ipcMain.handle('list-key-slots', async (event, { folder }) => {
+    return listKeySlots(folder);
+});
+
+ipcMain.handle('init-key-slots', async (event, { folder, password, options = {} }) => {
+    return initKeySlots(folder, password, withPolicy(options));
+});
+
+ipcMain.handle('add-key-slot', async (event, { folder, password, newPassword, options = {} }) => {
+    return addKeySlot(folder, password, newPassword, withPolicy(options));
+});
+
+// The recovery key is only returned to the renderer, never logged (the log is also written to disk)
+ipcMain.handle('add-recovery-key', async (event, { folder, password, options = {} }) => {
+    return addRecoveryKey(folder, password, options);
+});
+
+ipcMain.handle('change-password', async (event, { folder, password, newPassword, options = {} }) => {
+    return changePassword(folder, password, newPassword, withPolicy(options));
+});
+
+ipcMain.handle('remove-key-slot', async (event, { folder, password, slotId, options = {} }) => {
+    return removeKeySlot(folder, password, slotId, options);
+});
+
+ipcMain.handle('choose-archive', async (event, { save, defaultPath } = {}) => {
+    const filters = [{ name: 'FolderVault archive', extensions: [ARCHIVE_EXT.slice(1)] }];
+    if (save) {
+        const res = await dialog.showSaveDialog(mainWindow, { defaultPath, filters });
+        if (res.canceled || !res.filePath) return null;
+        return res.filePath;
+    }
+    const res = await dialog.showOpenDialog(mainWindow, { properties: ['openFile'], filters });
+    if (res.canceled || res.filePaths.length === 0) return null;
+    return res.filePaths[0];
+});
+
+ipcMain.handle('create-archive', async (event, { folder, archive, password, options = {} }) => {
+    // options: { keepOriginals: boolean, secureDelete: boolean, keyFile?: string, exclude?: string[], include?: string[],
+    //   symlinks?: 'skip' | 'follow' }
+    const archivePath = archive || `${path.resolve(folder)}${ARCHIVE_EXT}`;
+    sendLog('Starting archive of', folder, '->', archivePath);
+    const controller = new AbortController();
+    activeOpController = controller;
+    let keys = null;
+    try {
+        checkPasswordPolicy(password, loadPolicy().minStrength);
+        keys = await keyCacheFor(password, { keyFile: options.keyFile });
+        const res = await createArchive(folder, archivePath, keys, {
+            exclude: options.exclude, include: options.include, symlinks: options.symlinks, signal: controller.signal
+        });
+        // Originals go only after the archive is complete and renamed into place
+        if (!options.keepOriginals) {
+            for (const file of res.files) {
+                if (options.secureDelete) await secureDelete(file);
+                else await fs.promises.unlink(file).catch(() => sendLog('unlink failed for', file));
             }
-            processed++;
-            sendProgress({ type: 'progress', processed, total });
+            await removeEmptyDirs(folder, res.dirs);
         }
-        sendLog('Encryption complete. Files processed:', String(count));
-        return { success: true, processed: count };
+        sendLog('Archive complete. Files archived:', String(res.files.length));
+        return { success: true, archive: archivePath, processed: res.files.length, errors: res.errors, excluded: res.excluded };
     } catch (err) {
-        sendLog('Encryption failed:', err.message);
+        sendLog('Archive failed:', err.message);
         return { success: false, error: err.message };
     } finally {
-        // clear active controller for this operation
+        if (keys) await keys.wipe();
         try { activeOpController = null; } catch (e) { }
     }
 });
 
-ipcMain.handle('decrypt-folder', async (event, { folder, password, options = {} }) => {
-    // options: { keepOriginals: boolean, secureDelete: boolean }
-    cancelRequested = false;
-    sendLog('Starting decryption for', folder);
+ipcMain.handle('list-archive', async (event, { archive, password, options = {} }) => {
+    // options: { keyFile?: string }
+    let keys = null;
+    try {
+        keys = await keyCacheFor(password, { keyFile: options.keyFile });
+        const res = await listArchive(archive, keys);
+        sendLog('Listed archive', archive, '-', String(res.entries.length), 'files');
+        return Object.assign({ success: true }, res);
+    } catch (err) {
+        sendLog('List archive failed:', err.message);
+        return { success: false, error: err.message };
+    } finally {
+        if (keys) await keys.wipe();
+    }
+});
+
+ipcMain.handle('extract-archive', async (event, { archive, dest, password, paths, options = {} }) => {
+    // paths: optional list of archive paths (files or directories) to extract; everything when empty.
+    // options: { keyFile?: string }
+    sendLog('Extracting', archive, '->', dest);
     const controller = new AbortController();
     activeOpController = controller;
-    let count = 0;
+    let keys = null;
     try {
-        let total = 0;
-        for await (const _ of walk(folder)) total++;
-        let processed = 0;
-        for await (const file of walk(folder)) {
-            if (cancelRequested) {
-                sendLog('Decryption cancelled by user');
-                break;
-            }
-            if (!file.endsWith('.enc')) {
-                processed++;
-                sendProgress({ type: 'file', file, action: 'skip' });
-                continue;
-            }
-            sendProgress({ type: 'file', file, action: 'start', index: processed + 1, total });
+        keys = await keyCacheFor(password, { keyFile: options.keyFile });
+        const res = await extractArchive(archive, dest, keys, { paths, signal: controller.signal });
+        sendLog('Extraction complete. Files extracted:', String(res.extracted));
+        return { success: true, processed: res.extracted, total: res.total };
+    } catch (err) {
+        sendLog('Extraction failed:', err.message);
+        return { success: false, error: err.message };
+    } finally {
+        if (keys) await keys.wipe();
+        try { activeOpController = null; } catch (e) { }
+    }
+});
+
+// Files the renderer shows itself, from memory: by extension, 'text' or an image's MIME type. Anything else opens
+// in its default app from a private copy.
+const VIEW_TYPES = {
+    txt: 'text', md: 'text', csv: 'text', tsv: 'text', log: 'text', json: 'text', xml: 'text', yml: 'text', yaml: 'text',
+    toml: 'text', ini: 'text', conf: 'text', cfg: 'text', env: 'text', html: 'text', css: 'text', js: 'text', ts: 'text',
+    py: 'text', sh: 'text', c: 'text', h: 'text', cpp: 'text', java: 'text', go: 'text', rs: 'text', sql: 'text',
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', bmp: 'image/bmp',
+    svg: 'image/svg+xml'
+};
+
+// Wipe the private copy on show, if any
+async function discardViewedCopy() {
+    if (!viewedCopy) return;
+    const copyPath = viewedCopy;
+    viewedCopy = null;
+    if (vaultView) await vaultView.discard(copyPath);
+}
+
+async function closeVaultView() {
+    if (!vaultView) return;
+    const view = vaultView;
+    vaultView = null;
+    viewedCopy = null;
+    try {
+        await view.close();
+    } catch (err) {
+        sendLog('Could not close the vault view:', err.message);
+    }
+}
+
+ipcMain.handle('open-vault-view', async (event, { folder, password, options = {} }) => {
+    // options: { keyFile?: string, identity?: string, symlinks?: string }
+    await closeVaultView();
+    try {
+        vaultView = await openVaultView(folder, password, options);
+        return { success: true, entries: vaultView.entries };
+    } catch (err) {
+        sendLog('Could not open the vault view:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    }
+});
+
+ipcMain.handle('view-vault-file', async (event, { file }) => {
+    // Resolves to { success, kind: 'text' | 'image', mime, data } for files shown from memory, or
+    // { success, kind: 'external' } once a private copy has opened in the default app
+    if (!vaultView) return { success: false, error: 'No vault is open' };
+    await discardViewedCopy();
+    try {
+        const entry = vaultView.entries.find((e) => e.file === file);
+        if (!entry) return { success: false, error: 'Not a file in this vault', code: 'ERR_NOT_FOUND' };
+        const type = entry.link ? 'text' : VIEW_TYPES[path.extname(entry.path).slice(1).toLowerCase()];
+        if (type && (entry.size === null || entry.size <= VIEW_MEMORY_LIMIT)) {
             try {
-                const outPath = await decryptFile(file, password, { signal: controller.signal });
-                sendProgress({ type: 'file', file, action: 'done', out: outPath });
-                if (!options.keepOriginals) {
-                    if (options.secureDelete) await secureDelete(file);
-                    else await fs.promises.unlink(file).catch(() => sendLog('unlink failed for', file));
-                }
-                count++;
+                const data = await vaultView.read(file);
+                return type === 'text' ? { success: true, kind: 'text', data } : { success: true, kind: 'image', mime: type, data };
             } catch (err) {
-                sendLog('Error decrypting', file, '-', err.message);
-                sendProgress({ type: 'file', file, action: 'error', error: err.message });
+                // Compressed files only show their size on reading
+                if (err.code !== 'ERR_TOO_LARGE') throw err;
             }
-            processed++;
-            sendProgress({ type: 'progress', processed, total });
         }
-        sendLog('Decryption complete. Files processed:', String(count));
-        return { success: true, processed: count };
+        viewedCopy = await vaultView.copy(file);
+        const failure = await shell.openPath(viewedCopy);
+        if (failure) {
+            await discardViewedCopy();
+            return { success: false, error: failure };
+        }
+        sendLog('Opened a private copy of', entry.path);
+        return { success: true, kind: 'external' };
     } catch (err) {
-        sendLog('Decryption failed:', err.message);
-        return { success: false, error: err.message };
-    } finally {
-        try { activeOpController = null; } catch (e) { }
+        sendLog('Could not open', file, '-', err.message);
+        return { success: false, error: err.message, code: err.code };
     }
 });
+
+ipcMain.handle('close-vault-file', async () => {
+    await discardViewedCopy();
+    return { success: true };
+});
+
+ipcMain.handle('close-vault-view', async () => {
+    await closeVaultView();
+    return { success: true };
+});
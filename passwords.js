@@ -0,0 +1,136 @@
+// passwords.js - password strength estimate and diceware passphrases, for vault_core.js's password policy
+// Passphrase words come from EFF's large wordlist (resources/eff_large_wordlist.txt, 6^5 words, CC BY 3.0 US).
+// The estimate is deliberately rough: it charges each character by the alphabet it is drawn from, much less for
+// repeats, runs like abc or 123 and characters used before, one word's worth for any word from the list, and
+// almost nothing for the most common passwords.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const WORDLIST_PATH = path.join(__dirname, 'resources', 'eff_large_wordlist.txt');
+const STRENGTH_LABELS = ['very weak', 'weak', 'fair', 'strong', 'very strong'];
+// Lowest estimate (in bits) for scores 1 to 4
+const SCORE_BITS = [30, 45, 60, 75];
+const MIN_WORD_LEN = 4;
+const MAX_WORD_LEN = 9;
+const RECOMMENDED_LENGTH = 12;
+
+// Checked after stripping digits and symbols from the end, so password123! counts too
+const COMMON_PASSWORDS = new Set([
+    'password', 'passw0rd', 'p@ssword', 'qwerty', 'qwertyuiop', 'asdfgh', 'asdfghjkl', 'zxcvbnm', '1q2w3e4r',
+    'letmein', 'welcome', 'admin', 'administrator', 'login', 'master', 'dragon', 'monkey', 'shadow', 'sunshine',
+    'princess', 'football', 'baseball', 'iloveyou', 'trustno1', 'superman', 'batman', 'starwars', 'whatever',
+    'freedom', 'secret', 'changeme', 'default', 'hello', 'abc', 'test', 'guest', 'root', 'access', 'mustang',
+    'michael', 'jennifer', 'charlie', 'computer', 'internet', 'summer', 'winter', 'spring', 'autumn', 'love'
+]);
+const COMMON_BITS = 10;
+
+let wordlist = null;
+
+// The words in dice order; read once, on first use
+function loadWordlist() {
+    if (!wordlist) {
+        wordlist = fs.readFileSync(WORDLIST_PATH, 'utf8').split('\n')
+            .map((line) => line.trim().split(/\s+/)[1])
+            .filter(Boolean);
+    }
+    return wordlist;
+}
+
+let wordSet = null;
+
+function words() {
+    if (!wordSet) wordSet = new Set(loadWordlist());
+    return wordSet;
+}
+
+function wordBits() {
+    return Math.log2(loadWordlist().length);
+}
+
+// `count` words picked uniformly at random and joined by `separator`; returns { passphrase, bits }
+function generatePassphrase(count, separator) {
+    const list = loadWordlist();
+    const picked = [];
+    for (let i = 0; i < count; i++) picked.push(list[crypto.randomInt(list.length)]);
+    return { passphrase: picked.join(separator), bits: count * wordBits() };
+}
+
+function alphabetSize(chars) {
+    let size = 0;
+    if (chars.some((c) => c >= 'a' && c <= 'z')) size += 26;
+    if (chars.some((c) => c >= 'A' && c <= 'Z')) size += 26;
+    if (chars.some((c) => c >= '0' && c <= '9')) size += 10;
+    if (chars.some((c) => c.charCodeAt(0) < 128 && !/[a-z0-9]/i.test(c))) size += 33;
+    if (chars.some((c) => c.codePointAt(0) >= 128)) size += 100;
+    return size;
+}
+
+// Longest list word (at least MIN_WORD_LEN letters) starting at chars[i], compared without case
+function wordAt(lower, i) {
+    for (let len = Math.min(MAX_WORD_LEN, lower.length - i); len >= MIN_WORD_LEN; len--) {
+        if (words().has(lower.slice(i, i + len).join(''))) return len;
+    }
+    return 0;
+}
+
+function step(a, b) {
+    return b.codePointAt(0) - a.codePointAt(0);
+}
+
+// { bits, score (0-4), label, feedback: [hints] } for `password`
+function passwordStrength(password) {
+    const chars = Array.from(password || '');
+    if (chars.length === 0) return { bits: 0, score: 0, label: STRENGTH_LABELS[0], feedback: ['Enter a password'] };
+    const lower = chars.map((c) => c.toLowerCase());
+    const charBits = Math.log2(alphabetSize(chars));
+    const seen = new Set();
+    let bits = 0;
+    let found = 0;
+    let repeats = 0;
+    let runs = 0;
+    for (let i = 0; i < chars.length;) {
+        const len = wordAt(lower, i);
+        if (len && len * charBits > wordBits()) {
+            // One bit more when the word is not all lower case
+            const word = chars.slice(i, i + len);
+            bits += wordBits() + (word.join('') === lower.slice(i, i + len).join('') ? 0 : 1);
+            word.forEach((c) => seen.add(c));
+            found++;
+            i += len;
+            continue;
+        }
+        const c = chars[i];
+        if (i > 0 && chars[i - 1] === c) {
+            bits += 1;
+            repeats++;
+        } else if (i > 1 && Math.abs(step(chars[i - 1], c)) === 1 && step(chars[i - 2], chars[i - 1]) === step(chars[i - 1], c)) {
+            bits += 1;
+            runs++;
+        } else {
+            bits += seen.has(c) ? 2 : charBits;
+        }
+        seen.add(c);
+        i++;
+    }
+    const base = lower.join('').replace(/[^a-z]+$/, '').replace(/^[^a-z]+/, '');
+    const common = COMMON_PASSWORDS.has(base) || COMMON_PASSWORDS.has(lower.join(''));
+    if (common) bits = Math.min(bits, COMMON_BITS + (chars.length - base.length) * 2);
+
+    let score = 0;
+    while (score < SCORE_BITS.length && bits >= SCORE_BITS[score]) score++;
+    const feedback = [];
+    if (common) feedback.push('This is one of the most common passwords');
+    if (score < 3) {
+        if (chars.length < RECOMMENDED_LENGTH && !found) feedback.push(`Use at least ${RECOMMENDED_LENGTH} characters, or a passphrase of several words`);
+        if (found && !common) feedback.push('Add more words');
+        if (repeats) feedback.push('Avoid repeated characters');
+        if (runs) feedback.push('Avoid runs like abc or 123');
+        if (!found && alphabetSize(chars) <= 26) feedback.push('Mix in capitals, digits or symbols');
+        feedback.push('Or generate a passphrase');
+    }
+    return { bits: Math.round(bits), score, label: STRENGTH_LABELS[score], feedback };
+}
+
+module.exports = { passwordStrength, generatePassphrase, loadWordlist, STRENGTH_LABELS };
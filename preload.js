@@ -5,12 +5,87 @@ contextBridge.exposeInMainWorld('vault', {
     chooseFolder: async () => {
         return await ipcRenderer.invoke('choose-folder');
     },
+    chooseKeyFile: async () => {
+        return await ipcRenderer.invoke('choose-key-file');
+    },
+    generateKeyFile: async () => {
+        return await ipcRenderer.invoke('generate-key-file');
+    },
+    chooseIdentity: async () => {
+        return await ipcRenderer.invoke('choose-identity');
+    },
+    generateIdentity: async () => {
+        return await ipcRenderer.invoke('generate-identity');
+    },
+    exportPublicKey: async (identity) => {
+        return await ipcRenderer.invoke('export-public-key', { identity });
+    },
+    importPublicKeys: async () => {
+        return await ipcRenderer.invoke('import-public-keys');
+    },
     encryptFolder: async (folder, password, options) => {
         return await ipcRenderer.invoke('encrypt-folder', { folder, password, options });
     },
+    calibrateKdf: async (options) => {
+        return await ipcRenderer.invoke('calibrate-kdf', { options });
+    },
+    passwordStrength: async (password) => {
+        return await ipcRenderer.invoke('password-strength', { password });
+    },
+    generatePassphrase: async (options) => {
+        return await ipcRenderer.invoke('generate-passphrase', { options });
+    },
+    passwordPolicy: async () => {
+        return await ipcRenderer.invoke('password-policy');
+    },
+    setPasswordPolicy: async (policy) => {
+        return await ipcRenderer.invoke('set-password-policy', { policy });
+    },
+    compressionMethods: async () => {
+        return await ipcRenderer.invoke('compression-methods');
+    },
+    interruptedRuns: async () => {
+        return await ipcRenderer.invoke('interrupted-runs');
+    },
+    journalStatus: async (folder) => {
+        return await ipcRenderer.invoke('journal-status', { folder });
+    },
+    resumeFolder: async (folder, password, options) => {
+        return await ipcRenderer.invoke('resume-folder', { folder, password, options });
+    },
+    rollbackFolder: async (folder, password, options) => {
+        return await ipcRenderer.invoke('rollback-folder', { folder, password, options });
+    },
+    previewEncryptFolder: async (folder, options) => {
+        return await ipcRenderer.invoke('preview-encrypt-folder', { folder, options });
+    },
     decryptFolder: async (folder, password, options) => {
         return await ipcRenderer.invoke('decrypt-folder', { folder, password, options });
     },
+    verifyFolder: async (folder, password, options) => {
+        return await ipcRenderer.invoke('verify-folder', { folder, password, options });
+    },
+    rekeyFolder: async (folder, password, options) => {
+        return await ipcRenderer.invoke('rekey-folder', { folder, password, options });
+    },
+    listKeySlots: async (folder) => {
+        return await ipcRenderer.invoke('list-key-slots', { folder });
+    },
+    initKeySlots: async (folder, password, options) => {
+        return await ipcRenderer.invoke('init-key-slots', { folder, password, options });
+    },
+    addKeySlot: async (folder, password, newPassword, options) => {
+        return await ipcRenderer.invoke('add-key-slot', { folder, password, newPassword, options });
+    },
+    addRecoveryKey: async (folder, password, options) => {
+        return await ipcRenderer.invoke('add-recovery-key', { folder, password, options });
+    },
+    changePassword: async (folder, password, newPassword, options) => {
+        return await ipcRenderer.invoke('change-password', { folder, password, newPassword, options });
+    },
+    removeKeySlot: async (folder, password, slotId, options) => {
+        return await ipcRenderer.invoke('remove-key-slot', { folder, password, slotId, options });
+    },
     onLog: (callback) => {
         const listener = (event, message) => callback(message);
         ipcRenderer.on('vault-log', listener);
@@ -43,5 +118,29 @@ contextBridge.exposeInMainWorld('vault', {
     },
     cancelOperation: async () => {
         return await ipcRenderer.invoke('cancel-operation');
+    },
+    chooseArchive: async (options) => {
+        return await ipcRenderer.invoke('choose-archive', options);
+    },
+    createArchive: async (folder, archive, password, options) => {
+        return await ipcRenderer.invoke('create-archive', { folder, archive, password, options });
+    },
+    listArchive: async (archive, password, options) => {
+        return await ipcRenderer.invoke('list-archive', { archive, password, options });
+    },
+    extractArchive: async (archive, dest, password, paths, options) => {
+        return await ipcRenderer.invoke('extract-archive', { archive, dest, password, paths, options });
+    },
+    openVaultView: async (folder, password, options) => {
+        return await ipcRenderer.invoke('open-vault-view', { folder, password, options });
+    },
+    viewVaultFile: async (file) => {
+        return await ipcRenderer.invoke('view-vault-file', { file });
+    },
+    closeVaultFile: async () => {
+        return await ipcRenderer.invoke('close-vault-file');
+    },
+    closeVaultView: async () => {
+        return await ipcRenderer.invoke('close-vault-view');
     }
 });
@@ -20,16 +20,69 @@
     const folderArea = document.getElementById('folderArea');
     const folderSpan = document.getElementById('folder');
     const pwdInput = document.getElementById('password');
+    const confirmInput = document.getElementById('confirmPassword');
+    const strengthBar = document.getElementById('strengthBar');
+    const strengthText = document.getElementById('strengthText');
+    const generatePassphraseBtn = document.getElementById('generatePassphrase');
+    const minStrengthSelect = document.getElementById('minStrength');
+    const passphraseEl = document.getElementById('passphrase');
+    const keyFileName = document.getElementById('keyFileName');
+    const chooseKeyFileBtn = document.getElementById('chooseKeyFile');
+    const newKeyFileBtn = document.getElementById('newKeyFile');
+    const clearKeyFileBtn = document.getElementById('clearKeyFile');
+    const identityName = document.getElementById('identityName');
+    const chooseIdentityBtn = document.getElementById('chooseIdentity');
+    const newIdentityBtn = document.getElementById('newIdentity');
+    const exportPublicKeyBtn = document.getElementById('exportPublicKey');
+    const clearIdentityBtn = document.getElementById('clearIdentity');
+    const recipientsInput = document.getElementById('recipients');
+    const importPublicKeysBtn = document.getElementById('importPublicKeys');
     const encryptBtn = document.getElementById('encrypt');
     const decryptBtn = document.getElementById('decrypt');
+    const previewBtn = document.getElementById('preview');
+    const verifyBtn = document.getElementById('verify');
     const cancelBtn = document.getElementById('cancel');
     const keepOriginals = document.getElementById('keepOriginals');
     const secureDelete = document.getElementById('secureDelete');
+    const encryptNames = document.getElementById('encryptNames');
+    const keySlotsInput = document.getElementById('keySlots');
+    const concurrencyInput = document.getElementById('concurrency');
+    const excludeInput = document.getElementById('exclude');
+    const includeInput = document.getElementById('include');
+    const symlinksSelect = document.getElementById('symlinks');
+    const compressionSelect = document.getElementById('compression');
     const fileList = document.getElementById('fileList');
     const overallBar = document.getElementById('overallBar');
     const overallText = document.getElementById('overallText');
     const logEl = document.getElementById('log');
     const openDist = document.getElementById('openDist');
+    const archiveBtn = document.getElementById('archive');
+    const openArchiveBtn = document.getElementById('openArchive');
+    const extractAllBtn = document.getElementById('extractAll');
+    const interruptedBox = document.getElementById('interrupted');
+    const interruptedText = document.getElementById('interruptedText');
+    const resumeBtn = document.getElementById('resume');
+    const rollbackBtn = document.getElementById('rollback');
+    const slotList = document.getElementById('slotList');
+    const newPwdInput = document.getElementById('newPassword');
+    const initSlotsBtn = document.getElementById('initSlots');
+    const addSlotBtn = document.getElementById('addSlot');
+    const changePasswordBtn = document.getElementById('changePassword');
+    const addRecoveryBtn = document.getElementById('addRecovery');
+    const recoveryKeyEl = document.getElementById('recoveryKey');
+    const kdfParamsEl = document.getElementById('kdfParams');
+    const kdfNameSelect = document.getElementById('kdfName');
+    const kdfTargetInput = document.getElementById('kdfTarget');
+    const calibrateBtn = document.getElementById('calibrate');
+    const rekeyBtn = document.getElementById('rekey');
+    const browseBtn = document.getElementById('browse');
+    const closeVaultBtn = document.getElementById('closeVault');
+    const viewerEl = document.getElementById('viewer');
+    const viewerName = document.getElementById('viewerName');
+    const viewerText = document.getElementById('viewerText');
+    const viewerImage = document.getElementById('viewerImage');
+    const viewerNote = document.getElementById('viewerNote');
+    const closeViewerBtn = document.getElementById('closeViewer');
 
     // Map from file path -> <li> element
     const fileMap = new Map();
@@ -38,6 +91,14 @@
 
     let selectedFolder = null;
     let running = false;
+    // Archive currently shown in the file list (set by "Open Archive")
+    let openedArchive = null;
+    // Folder whose vault view is shown in the file list (set by "Browse"); its files open read-only in the viewer
+    let browsedFolder = null;
+    // What the viewer shows: the decrypted bytes and an image's blob URL, both dropped when it closes
+    let viewerData = null;
+    let viewerUrl = null;
+    let viewRequest = 0;
 
     function appendLog(msg) {
         const time = new Date().toLocaleTimeString();
@@ -53,7 +114,19 @@
         running = v;
         encryptBtn.disabled = v;
         decryptBtn.disabled = v;
+        previewBtn.disabled = v;
+        verifyBtn.disabled = v;
         pick.disabled = v;
+        archiveBtn.disabled = v;
+        openArchiveBtn.disabled = v;
+        extractAllBtn.disabled = v || !openedArchive;
+        browseBtn.disabled = v;
+        closeVaultBtn.disabled = v || !browsedFolder;
+        // A folder run may change what the view lists, so it closes first
+        if (v) closeVault();
+        resumeBtn.disabled = v;
+        rollbackBtn.disabled = v;
+        for (const btn of [initSlotsBtn, addSlotBtn, changePasswordBtn, addRecoveryBtn, rekeyBtn, calibrateBtn]) btn.disabled = v;
         // cancel is enabled only while running
         cancelBtn.disabled = !v;
         if (!v) {
@@ -67,13 +140,34 @@
     let queuedProgress = null;
     let progressTimer = null;
     const PROGRESS_THROTTLE_MS = 150; // throttle UI updates for overall progress
+    // Last overall progress event, and bytes seen so far of files still in flight (file path -> bytes)
+    let lastProgress = null;
+    const inFlight = new Map();
+
+    function scheduleProgress(data) {
+        queuedProgress = data;
+        if (!progressTimer) {
+            progressTimer = setTimeout(() => { flushProgress(); }, PROGRESS_THROTTLE_MS);
+        }
+    }
 
     function flushProgress() {
         if (!queuedProgress) return;
-        const { processed, total } = queuedProgress;
-        overallText.textContent = `${processed} / ${total}`;
-        const pct = total > 0 ? Math.round((processed / total) * 100) : 0;
+        const { processed, total, totalBytes } = queuedProgress;
+        let pct;
+        if (totalBytes !== undefined) {
+            // Folder runs report bytes of finished files; add what the files in flight have got through
+            let bytes = queuedProgress.bytes;
+            for (const seen of inFlight.values()) bytes += seen;
+            bytes = Math.min(bytes, totalBytes);
+            overallText.textContent = `${humanBytes(bytes)} / ${humanBytes(totalBytes)} · ${processed} / ${total} files`;
+            pct = totalBytes > 0 ? Math.round((bytes / totalBytes) * 100) : (total > 0 ? Math.round((processed / total) * 100) : 0);
+        } else {
+            overallText.textContent = `${processed} / ${total}`;
+            pct = total > 0 ? Math.round((processed / total) * 100) : 0;
+        }
         overallBar.style.width = pct + '%';
+        lastProgress = queuedProgress;
         queuedProgress = null;
         if (progressTimer) { clearTimeout(progressTimer); progressTimer = null; }
     }
@@ -85,19 +179,24 @@
         if (window.vault && window.vault.onProgress && !unsubProgress) {
             unsubProgress = window.vault.onProgress((data) => {
                 if (data.type === 'file') {
+                    if (data.action !== 'start') inFlight.delete(data.file);
                     updateFileItem(data);
                     return;
                 }
                 if (data.type === 'file-progress') {
                     // data: { type:'file-progress', file, seen, total }
                     updateFileProgress(data);
+                    const current = queuedProgress || lastProgress;
+                    if (fileMap.has(data.file) && current && current.totalBytes !== undefined) {
+                        inFlight.set(data.file, data.seen);
+                        scheduleProgress(current);
+                    }
                     return;
                 }
                 if (data.type === 'progress') {
-                    queuedProgress = data;
-                    if (!progressTimer) {
-                        progressTimer = setTimeout(() => { flushProgress(); }, PROGRESS_THROTTLE_MS);
-                    }
+                    // A folder run opens with its totals: forget the previous run's files
+                    if (data.processed === 0) inFlight.clear();
+                    scheduleProgress(data);
                     // If we've reached the end, ensure UI unblocks
                     try {
                         if (data.processed === data.total) setRunning(false);
@@ -138,7 +237,7 @@
         }
         if (action === 'start') meta.textContent = `Processing (${index || '?'} of ${total || '?'})`;
         else if (action === 'done') {
-            meta.textContent = `Done → ${out ? baseName(out) : ''}`;
+            meta.textContent = out ? `Done → ${baseName(out)}` : 'OK';
             if (small) small.textContent = '';
             const bar = li.querySelector('.file-progress .bar>i');
             if (bar) bar.style.width = '100%';
@@ -149,7 +248,8 @@
             }, 30_000);
         }
         else if (action === 'skip') {
-            meta.textContent = `Skipped`;
+            if (data.reason === 'removed') meta.textContent = 'Skipped: removed during the run';
+            else meta.textContent = data.reason ? `Skipped: ${data.reason}` : 'Skipped';
             li.classList.add('skipped');
             setTimeout(() => { try { fileStats.delete(file); } catch (e) { } }, 30_000);
         }
@@ -217,15 +317,377 @@
         return `${Math.round(n / (1024 * 1024 * 1024))}GB`;
     }
 
+    function humanDuration(seconds) {
+        if (seconds < 60) return `${Math.max(1, Math.round(seconds))}s`;
+        if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+        return `${Math.floor(seconds / 3600)}h ${Math.round((seconds % 3600) / 60)}m`;
+    }
+
+    // "Files at once" setting; left empty, the core picks a default from the number of CPU cores
+    function concurrency() {
+        const n = parseInt(concurrencyInput.value, 10);
+        return n > 0 ? n : undefined;
+    }
+
+    // Include / exclude patterns, one per line (blank lines and comments are dropped by the core), and the link policy
+    function rules() {
+        return { exclude: excludeInput.value.split('\n'), include: includeInput.value.split('\n'), symlinks: symlinksSelect.value };
+    }
+
+    // Key file used along with the password (null for none); only its path is kept here
+    let keyFile = null;
+
+    function setKeyFile(file) {
+        keyFile = file;
+        keyFileName.textContent = file ? maskPath(file) : '(none)';
+        clearKeyFileBtn.disabled = !file;
+    }
+
+    chooseKeyFileBtn.addEventListener('click', async () => {
+        const file = await window.vault.chooseKeyFile();
+        if (file) setKeyFile(file);
+    });
+
+    newKeyFileBtn.addEventListener('click', async () => {
+        const res = await window.vault.generateKeyFile();
+        if (!res) return;
+        if (!res.success) { appendLog('Could not create key file: ' + res.error); return; }
+        setKeyFile(res.keyFile);
+        appendLog('Created key file ' + maskPath(res.keyFile) + '. Keep a copy: anything encrypted with it cannot be opened without it.');
+    });
+
+    clearKeyFileBtn.addEventListener('click', () => setKeyFile(null));
+
+    // Identity file that opens folders encrypted to its public key, in place of the password (null for none)
+    let identity = null;
+
+    function setIdentity(file, recipient) {
+        identity = file;
+        identityName.textContent = file ? `${maskPath(file)} (${recipient.slice(0, 12)}…)` : '(none)';
+        exportPublicKeyBtn.disabled = !file;
+        clearIdentityBtn.disabled = !file;
+    }
+
+    chooseIdentityBtn.addEventListener('click', async () => {
+        const res = await window.vault.chooseIdentity();
+        if (!res) return;
+        if (!res.success) { appendLog('Not an identity file: ' + res.error); return; }
+        setIdentity(res.identity, res.recipient);
+    });
+
+    newIdentityBtn.addEventListener('click', async () => {
+        const res = await window.vault.generateIdentity();
+        if (!res) return;
+        if (!res.success) { appendLog('Could not create identity: ' + res.error); return; }
+        setIdentity(res.identity, res.recipient);
+        appendLog('Created identity ' + maskPath(res.identity) + ' with public key ' + res.recipient +
+            '. Keep the identity file secret; share the public key (Export Public Key) with people who encrypt folders for you.');
+    });
+
+    exportPublicKeyBtn.addEventListener('click', async () => {
+        const res = await window.vault.exportPublicKey(identity);
+        if (!res) return;
+        if (!res.success) { appendLog('Could not export the public key: ' + res.error); return; }
+        appendLog('Public key ' + res.recipient + ' written to ' + maskPath(res.file));
+    });
+
+    clearIdentityBtn.addEventListener('click', () => setIdentity(null));
+
+    // Public keys to encrypt to, one per line; the core checks each one
+    function recipients() {
+        return recipientsInput.value.split('\n').map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+    }
+
+    // Strength estimate of the password being typed, from the main process
+    let strength = null;
+    let strengthRequest = 0;
+
+    async function updateStrength() {
+        const password = pwdInput.value;
+        const request = ++strengthRequest;
+        const res = password ? await window.vault.passwordStrength(password) : null;
+        // Answers can arrive out of order while typing; only the latest one is shown
+        if (request !== strengthRequest) return;
+        strength = res;
+        strengthBar.className = res ? 'score-' + res.score : '';
+        strengthBar.style.width = res ? `${(res.score + 1) * 20}%` : '0%';
+        strengthText.textContent = res ? `Strength: ${res.label} (about ${res.bits} bits)` + (res.feedback.length ? '. ' + res.feedback.join('. ') : '') : '';
+    }
+
+    pwdInput.addEventListener('input', () => {
+        passphraseEl.hidden = true;
+        updateStrength();
+    });
+
+    // The confirm field must match, and the password must meet the minimum strength, before anything is encrypted
+    // with it (the main process applies the minimum as well). An empty password is left to the key file or recipients.
+    function passwordReady(password) {
+        if (!password) return true;
+        if (confirmInput.value !== password) { appendLog('The passwords do not match; type the password again in the confirm field'); return false; }
+        const min = Number(minStrengthSelect.value);
+        if (strength && strength.score < min) {
+            appendLog(`The password is ${strength.label}; at least ${minStrengthSelect.selectedOptions[0].textContent.toLowerCase()} is required`);
+            return false;
+        }
+        return true;
+    }
+
+    // The passphrase is shown here, never written to the log, until the password field is edited
+    generatePassphraseBtn.addEventListener('click', async () => {
+        const res = await window.vault.generatePassphrase({});
+        if (!res.success) { appendLog('Could not generate a passphrase: ' + res.error); return; }
+        pwdInput.value = res.passphrase;
+        confirmInput.value = res.passphrase;
+        passphraseEl.textContent = `Passphrase: ${res.passphrase} (${Math.floor(res.bits)} bits). Write it down or keep it in a password manager.`;
+        passphraseEl.hidden = false;
+        updateStrength();
+    });
+
+    minStrengthSelect.addEventListener('change', async () => {
+        const res = await window.vault.setPasswordPolicy({ minStrength: Number(minStrengthSelect.value) });
+        if (!res.success) appendLog('Could not save the password policy: ' + res.error);
+    });
+
+    // Key derivation for new files and key slots; null keeps the core default (scrypt N=16384)
+    let kdf = null;
+
+    function describeKdf(params) {
+        if (!params) return 'scrypt, default cost';
+        if (params.name === 'argon2id') return `Argon2id, ${params.m / 1024} MiB × ${params.t} passes`;
+        return `scrypt, N=${params.N}`;
+    }
+
+    // Time the chosen function on this machine and keep the parameters that take about the target time
+    async function calibrate() {
+        const targetMs = Math.round(Number(kdfTargetInput.value) * 1000);
+        calibrateBtn.disabled = true;
+        kdfParamsEl.textContent = 'calibrating...';
+        try {
+            const res = await window.vault.calibrateKdf({ name: kdfNameSelect.value, targetMs });
+            if (res.success) {
+                kdf = res.kdf;
+                appendLog('Key derivation set to ' + describeKdf(kdf));
+            } else {
+                appendLog('Calibration failed: ' + res.error);
+            }
+        } catch (err) {
+            appendLog('Calibration failed: ' + (err && err.message ? err.message : String(err)));
+        } finally {
+            kdfParamsEl.textContent = describeKdf(kdf);
+            calibrateBtn.disabled = running;
+        }
+    }
+
+    calibrateBtn.addEventListener('click', calibrate);
+    kdfNameSelect.addEventListener('change', calibrate);
+
+    importPublicKeysBtn.addEventListener('click', async () => {
+        const res = await window.vault.importPublicKeys();
+        if (!res) return;
+        if (!res.success) { appendLog('Could not import public keys: ' + res.error); return; }
+        const known = new Set(recipients());
+        const added = res.recipients.filter((r) => !known.has(r) && known.add(r));
+        recipientsInput.value = recipients().concat(added).join('\n');
+        appendLog(`Imported ${added.length} public key(s)`);
+    });
+
+    function logExcluded(res) {
+        if (!res || !res.excluded || res.excluded.length === 0) return;
+        const shown = res.excluded.slice(0, 5).join(', ') + (res.excluded.length > 5 ? ', …' : '');
+        appendLog(`Left alone by the include/exclude rules: ${res.excluded.length} (${shown})`);
+    }
+
+    // Links and special files the run did not touch, and originals still readable through other hard links
+    function logSkipped(res) {
+        if (!res) return;
+        if (res.skipped && res.skipped.length > 0) {
+            const shown = res.skipped.slice(0, 5).map((s) => `${s.file} (${s.reason})`).join(', ') + (res.skipped.length > 5 ? ', …' : '');
+            appendLog(`Skipped links and special files: ${res.skipped.length} (${shown})`);
+        }
+        for (const file of res.hardLinks || []) appendLog(`Warning: ${file} has hard links outside the folder that keep its contents readable`);
+    }
+
+    // Partial outputs a decrypt run kept to resume from; they hold plaintext, so say where they are
+    function logPartials(res) {
+        if (!res || !res.partials || res.partials.length === 0) return;
+        appendLog(`Kept ${res.partials.length} partly decrypted file(s); decrypt again to finish them: ${res.partials.join(', ')}`);
+    }
+
+    // Show or hide the resume / roll back prompt for an interrupted encryption run (status from journalStatus)
+    function showInterrupted(status) {
+        if (!status) {
+            interruptedBox.hidden = true;
+            return;
+        }
+        const finished = status.done + status.written;
+        interruptedText.textContent = `An encryption run started ${new Date(status.started).toLocaleString()} was interrupted ` +
+            `(${finished} of ${status.total} files finished). Resume it with the same password and key file, or roll it back to restore the folder.`;
+        interruptedBox.hidden = false;
+    }
+
+    async function refreshInterrupted() {
+        if (!selectedFolder) { showInterrupted(null); return; }
+        try {
+            showInterrupted(await window.vault.journalStatus(selectedFolder));
+        } catch (err) {
+            showInterrupted(null);
+        }
+    }
+
+    // Key slots of the selected folder (res from listKeySlots or a slot change); changing them rewrites only the
+    // folder's key slot record, never its files
+    function showSlots(res) {
+        slotList.innerHTML = '';
+        const slots = res && res.success ? res.slots : [];
+        initSlotsBtn.hidden = slots.length > 0;
+        if (slots.length === 0) {
+            const li = document.createElement('li');
+            li.textContent = 'None: files are keyed from the password alone';
+            slotList.appendChild(li);
+        }
+        for (const slot of slots) {
+            const li = document.createElement('li');
+            const name = document.createElement('span');
+            const kind = slot.type === 'recovery' ? 'Recovery key' : slot.type === 'recipient' ? `Public key ${slot.recipient.slice(0, 12)}…` : 'Password';
+            name.textContent = `${slot.label || kind}${slot.keyFile ? ' + key file' : ''} · ${slot.id}`;
+            const remove = document.createElement('button');
+            remove.className = 'btn ghost';
+            remove.textContent = 'Remove';
+            remove.addEventListener('click', () => removeSlot(slot.id));
+            li.append(name, remove);
+            slotList.appendChild(li);
+        }
+    }
+
+    async function refreshSlots() {
+        recoveryKeyEl.hidden = true;
+        recoveryKeyEl.textContent = '';
+        if (!selectedFolder) { showSlots(null); return; }
+        try {
+            showSlots(await window.vault.listKeySlots(selectedFolder));
+        } catch (err) {
+            showSlots(null);
+        }
+    }
+
+    // Run a slot change with the current password (and key file) or identity; new passwords get the same key file
+    async function changeSlots(change) {
+        if (!selectedFolder) { appendLog('Pick a folder first'); return null; }
+        const password = pwdInput.value;
+        if (!password && !keyFile && !identity) { appendLog('Enter the current password or choose its key file or identity'); return null; }
+        const res = await change(password);
+        if (res.success) showSlots(res);
+        else appendLog('Key slots not changed: ' + res.error);
+        return res;
+    }
+
+    // New password from the second field; empty only when a key file is chosen
+    function newPassword() {
+        const value = newPwdInput.value;
+        if (!value && !keyFile) { appendLog('Enter the new password'); return null; }
+        return value;
+    }
+
+    initSlotsBtn.addEventListener('click', async () => {
+        const res = await changeSlots((password) => window.vault.initKeySlots(selectedFolder, password, { keyFile, kdf: kdf || undefined }));
+        if (res && res.success) appendLog('Key slots set up. Files encrypted from now on can have their password changed without re-encrypting.');
+    });
+
+    addSlotBtn.addEventListener('click', async () => {
+        const value = newPassword();
+        if (value === null) return;
+        const res = await changeSlots((password) => window.vault.addKeySlot(selectedFolder, password, value, { keyFile, identity, newKeyFile: keyFile, kdf: kdf || undefined }));
+        if (res && res.success) {
+            newPwdInput.value = '';
+            appendLog('Added key slot ' + res.slot.id);
+        }
+    });
+
+    changePasswordBtn.addEventListener('click', async () => {
+        const value = newPassword();
+        if (value === null) return;
+        const res = await changeSlots((password) => window.vault.changePassword(selectedFolder, password, value, { keyFile, identity, newKeyFile: keyFile, kdf: kdf || undefined }));
+        if (res && res.success) {
+            pwdInput.value = value;
+            updateStrength();
+            newPwdInput.value = '';
+            appendLog('Password changed for key slot ' + res.slot.id + '; no files were re-encrypted');
+        }
+    });
+
+    // The recovery key is shown here once and never written to the log
+    addRecoveryBtn.addEventListener('click', async () => {
+        const res = await changeSlots((password) => window.vault.addRecoveryKey(selectedFolder, password, { keyFile, identity }));
+        if (res && res.success) {
+            recoveryKeyEl.textContent = `Recovery key: ${res.recoveryKey}. Write it down now and keep it safe; it is not shown again ` +
+                'and opens the folder in place of the password.';
+            recoveryKeyEl.hidden = false;
+            appendLog('Added recovery key slot ' + res.slot.id);
+        }
+    });
+
+    async function removeSlot(id) {
+        const ok = await window.vault.showConfirm('Remove key slot', `Key slot ${id} will no longer open this folder. Proceed?`);
+        if (!ok) return;
+        const res = await changeSlots((password) => window.vault.removeKeySlot(selectedFolder, password, id, { keyFile, identity }));
+        if (res && res.success) appendLog('Removed key slot ' + id);
+    }
+
+    // Re-encrypt every file for the new password (if one is entered) and the chosen key derivation, keeping the key file
+    rekeyBtn.addEventListener('click', async () => {
+        if (!selectedFolder) { appendLog('Pick a folder first'); return; }
+        const password = pwdInput.value;
+        if (!password && !keyFile && !identity) { appendLog('Enter the current password or choose its key file or identity'); return; }
+        const ok = await window.vault.showConfirm('Re-key folder', 'Every encrypted file in this folder will be re-encrypted for the new settings. Proceed?');
+        if (!ok) return;
+
+        fileList.innerHTML = '';
+        fileMap.clear();
+        fileStats.clear();
+        overallBar.style.width = '0%';
+        overallText.textContent = '0 / 0';
+        openedArchive = null;
+
+        setRunning(true);
+        appendLog('Re-keying (no plaintext is written)...');
+        const options = {
+            newPassword: newPwdInput.value || undefined,
+            kdf: kdf || undefined,
+            keyFile,
+            newKeyFile: keyFile,
+            identity,
+            concurrency: concurrency()
+        };
+        try {
+            const res = await window.vault.rekeyFolder(selectedFolder, password, options);
+            appendLog('Result: ' + JSON.stringify(res));
+            if (res && res.success && options.newPassword) {
+                pwdInput.value = options.newPassword;
+                updateStrength();
+                newPwdInput.value = '';
+            }
+        } catch (err) {
+            appendLog('Re-keying failed: ' + (err && err.message ? err.message : String(err)));
+        } finally {
+            setRunning(false);
+            refreshSlots();
+        }
+    });
+
     pick.addEventListener('click', async () => {
         const folder = await window.vault.chooseFolder();
         if (folder) {
+            closeVault();
             selectedFolder = folder;
             folderSpan.textContent = maskPath(folder);
             appendLog('Selected folder: ' + maskPath(folder));
             fileList.innerHTML = '';
             fileMap.clear();
             overallBar.style.width = '0%'; overallText.textContent = '0 / 0';
+            openedArchive = null;
+            extractAllBtn.disabled = true;
+            refreshInterrupted();
+            refreshSlots();
         } else {
             appendLog('Folder selection canceled');
         }
@@ -239,18 +701,22 @@
         const items = e.dataTransfer.files;
         if (items && items.length > 0) {
             const path = items[0].path;
+            closeVault();
             selectedFolder = path;
             folderSpan.textContent = maskPath(path);
             appendLog('Selected folder (drop): ' + maskPath(path));
             fileList.innerHTML = '';
             fileMap.clear();
+            refreshInterrupted();
+            refreshSlots();
         }
     });
 
     encryptBtn.addEventListener('click', async () => {
         if (!selectedFolder) { appendLog('Pick a folder first'); return; }
         const password = pwdInput.value;
-        if (!password) { appendLog('Enter a password'); return; }
+        if (!password && !keyFile && !identity && recipients().length === 0) { appendLog('Enter a password, choose a key file or add a public key'); return; }
+        if (!passwordReady(password)) return;
 
         // confirm destructive action if originals will be deleted (native dialog)
         if (!keepOriginals.checked) {
@@ -264,25 +730,68 @@
         fileStats.clear();
         overallBar.style.width = '0%';
         overallText.textContent = '0 / 0';
+        openedArchive = null;
 
         setRunning(true);
         appendLog('Starting encryption...');
-        const options = { keepOriginals: keepOriginals.checked, secureDelete: secureDelete.checked };
+        const options = Object.assign({
+            keepOriginals: keepOriginals.checked, secureDelete: secureDelete.checked, encryptNames: encryptNames.checked, keySlots: keySlotsInput.checked,
+            concurrency: concurrency(), keyFile, identity, recipients: recipients(), compression: compressionSelect.value, kdf: kdf || undefined
+        }, rules());
         try {
             const res = await window.vault.encryptFolder(selectedFolder, password, options);
             appendLog('Result: ' + JSON.stringify(res));
+            logExcluded(res);
+            logSkipped(res);
         } catch (err) {
             appendLog('Encryption failed: ' + (err && err.message ? err.message : String(err)));
         } finally {
             // Always ensure we clear running state so UI is usable
             setRunning(false);
+            refreshInterrupted();
+            refreshSlots();
         }
     });
 
+    // Resume or roll back the interrupted run in the selected folder
+    async function recoverRun(rollback) {
+        if (!selectedFolder) { appendLog('Pick a folder first'); return; }
+        const password = pwdInput.value;
+        if (!password && !keyFile && !identity) { appendLog('Enter a password or choose a key file or identity'); return; }
+        if (rollback) {
+            const ok = await window.vault.showConfirm('Roll back', 'Files encrypted by the interrupted run will be decrypted back to their original names and the encrypted copies removed. Proceed?');
+            if (!ok) return;
+        }
+
+        fileList.innerHTML = '';
+        fileMap.clear();
+        fileStats.clear();
+        overallBar.style.width = '0%';
+        overallText.textContent = '0 / 0';
+        openedArchive = null;
+
+        setRunning(true);
+        appendLog(rollback ? 'Rolling back the interrupted run...' : 'Resuming the interrupted run...');
+        try {
+            const res = rollback
+                ? await window.vault.rollbackFolder(selectedFolder, password, { keyFile, identity })
+                : await window.vault.resumeFolder(selectedFolder, password, { concurrency: concurrency(), keyFile, identity });
+            appendLog('Result: ' + JSON.stringify(res));
+        } catch (err) {
+            appendLog((rollback ? 'Rollback' : 'Resume') + ' failed: ' + (err && err.message ? err.message : String(err)));
+        } finally {
+            setRunning(false);
+            refreshInterrupted();
+        }
+    }
+
+    resumeBtn.addEventListener('click', () => recoverRun(false));
+    rollbackBtn.addEventListener('click', () => recoverRun(true));
+
     decryptBtn.addEventListener('click', async () => {
         if (!selectedFolder) { appendLog('Pick a folder first'); return; }
         const password = pwdInput.value;
-        if (!password) { appendLog('Enter a password'); return; }
+        if (!password && !keyFile && !identity) { appendLog('Enter a password or choose a key file or identity'); return; }
 
         // Clear previous operation's file list and progress
         fileList.innerHTML = '';
@@ -290,13 +799,23 @@
         fileStats.clear();
         overallBar.style.width = '0%';
         overallText.textContent = '0 / 0';
+        openedArchive = null;
 
         setRunning(true);
         appendLog('Starting decryption...');
-        const options = { keepOriginals: keepOriginals.checked, secureDelete: secureDelete.checked };
+        const options = Object.assign({ keepOriginals: keepOriginals.checked, secureDelete: secureDelete.checked, concurrency: concurrency(), keyFile, identity }, rules());
         try {
             const res = await window.vault.decryptFolder(selectedFolder, password, options);
+            if (res && res.code === 'ERR_WRONG_PASSWORD') {
+                // Caught before any file was touched
+                appendLog(res.error + '. Nothing was decrypted.');
+                pwdInput.focus();
+                pwdInput.select();
+                return;
+            }
             appendLog('Result: ' + JSON.stringify(res));
+            logExcluded(res);
+            logPartials(res);
         } catch (err) {
             appendLog('Decryption failed: ' + (err && err.message ? err.message : String(err)));
         } finally {
@@ -304,6 +823,357 @@
         }
     });
 
+    // Show an encryption plan in the file list: a summary row, then every file that would be encrypted or skipped
+    function showPlan(plan) {
+        fileList.innerHTML = '';
+        fileMap.clear();
+        fileStats.clear();
+
+        const summary = document.createElement('li');
+        summary.className = 'file-item summary-row';
+        summary.innerHTML = `<div class="name"></div>`;
+        let text = `Preview: ${plan.files.length} files to encrypt (${humanBytes(plan.totalBytes)}), ` +
+            `${plan.skipped.length} skipped · needs ${humanBytes(plan.spaceNeeded)} free · ` +
+            `about ${humanDuration(plan.estimatedSeconds)}`;
+        if (plan.freeSpace !== null) {
+            text += ` · ${humanBytes(plan.freeSpace)} available`;
+            if (plan.spaceNeeded > plan.freeSpace) {
+                text += ' — not enough disk space';
+                summary.classList.add('error');
+            }
+        }
+        summary.querySelector('.name').textContent = text;
+        fileList.appendChild(summary);
+
+        const addRow = (entry, cls, middle, meta) => {
+            const li = document.createElement('li');
+            li.className = cls;
+            li.innerHTML = `<div class="name"></div>` +
+                `<div class="file-progress"><div class="file-meta-small"></div></div>` +
+                `<div class="meta"></div>`;
+            // paths are relative to the selected folder (textContent: names are untrusted)
+            li.querySelector('.name').textContent = entry.path;
+            li.querySelector('.name').title = entry.path;
+            li.querySelector('.file-meta-small').textContent = middle;
+            li.querySelector('.meta').textContent = meta;
+            fileList.appendChild(li);
+        };
+        for (const f of plan.files) addRow(f, 'file-item', `${humanBytes(f.size)} → ${humanBytes(f.outSize)}`, 'Will encrypt');
+        for (const s of plan.skipped) addRow(s, 'file-item skipped', '', `Skip: ${s.reason}`);
+    }
+
+    previewBtn.addEventListener('click', async () => {
+        if (!selectedFolder) { appendLog('Pick a folder first'); return; }
+        const options = Object.assign({
+            keepOriginals: keepOriginals.checked, secureDelete: secureDelete.checked, encryptNames: encryptNames.checked, keySlots: keySlotsInput.checked,
+            keyFile, recipients: recipients(), compression: compressionSelect.value, kdf: kdf || undefined
+        }, rules());
+        overallBar.style.width = '0%';
+        overallText.textContent = '0 / 0';
+        openedArchive = null;
+        extractAllBtn.disabled = true;
+        try {
+            const plan = await window.vault.previewEncryptFolder(selectedFolder, options);
+            if (!plan || !plan.success) {
+                appendLog('Preview failed: ' + (plan && plan.error));
+                return;
+            }
+            showPlan(plan);
+            overallText.textContent = `0 / ${plan.files.length}`;
+            appendLog(`Preview: ${plan.files.length} files to encrypt, ${plan.skipped.length} skipped (nothing was changed)`);
+        } catch (err) {
+            appendLog('Preview failed: ' + (err && err.message ? err.message : String(err)));
+        }
+    });
+
+    const VERIFY_STATUS_TEXT = { corrupted: 'Corrupted', truncated: 'Truncated', 'wrong-password': 'Wrong password', error: 'Unreadable' };
+
+    // Label failed files with their category and put the report summary at the top of the list
+    function showVerifyReport(res) {
+        for (const f of res.failed) {
+            let li = fileMap.get(f.file);
+            if (!li) {
+                // e.g. the name manifest, which is checked before the per-file progress starts
+                updateFileItem({ file: f.file, action: 'error', error: f.error });
+                li = fileMap.get(f.file);
+            }
+            li.classList.add('error');
+            li.querySelector('.meta').textContent = `${VERIFY_STATUS_TEXT[f.status] || 'Failed'}: ${f.error}`;
+        }
+        const s = res.summary;
+        const summary = document.createElement('li');
+        summary.className = 'file-item summary-row' + (res.failed.length ? ' error' : ' done');
+        summary.innerHTML = `<div class="name"></div>`;
+        summary.querySelector('.name').textContent = `Verified ${res.total} files: ${s.good} good, ${s.corrupted} corrupted, ` +
+            `${s.truncated} truncated, ${s.wrongPassword} wrong password, ${s.error} unreadable`;
+        fileList.insertBefore(summary, fileList.firstChild);
+    }
+
+    verifyBtn.addEventListener('click', async () => {
+        if (!selectedFolder) { appendLog('Pick a folder first'); return; }
+        const password = pwdInput.value;
+        if (!password && !keyFile && !identity) { appendLog('Enter a password or choose a key file or identity'); return; }
+
+        fileList.innerHTML = '';
+        fileMap.clear();
+        fileStats.clear();
+        overallBar.style.width = '0%';
+        overallText.textContent = '0 / 0';
+        openedArchive = null;
+
+        setRunning(true);
+        appendLog('Verifying (no files are written)...');
+        try {
+            const res = await window.vault.verifyFolder(selectedFolder, password, { concurrency: concurrency(), keyFile, identity });
+            if (res && res.success) showVerifyReport(res);
+            else appendLog('Verification failed: ' + (res && res.error));
+        } catch (err) {
+            appendLog('Verification failed: ' + (err && err.message ? err.message : String(err)));
+        } finally {
+            setRunning(false);
+        }
+    });
+
+    archiveBtn.addEventListener('click', async () => {
+        if (!selectedFolder) { appendLog('Pick a folder first'); return; }
+        const password = pwdInput.value;
+        if (!password && !keyFile) { appendLog('Enter a password or choose a key file'); return; }
+        if (!passwordReady(password)) return;
+
+        if (!keepOriginals.checked) {
+            const ok = await window.vault.showConfirm('Warning', 'You chose to delete originals after archiving. This is destructive and may be irreversible. Proceed?');
+            if (!ok) return;
+        }
+        const archive = await window.vault.chooseArchive({ save: true, defaultPath: selectedFolder + '.fvault' });
+        if (!archive) { appendLog('Archive selection canceled'); return; }
+
+        fileList.innerHTML = '';
+        fileMap.clear();
+        fileStats.clear();
+        overallBar.style.width = '0%';
+        overallText.textContent = '0 / 0';
+        openedArchive = null;
+
+        setRunning(true);
+        appendLog('Creating archive ' + maskPath(archive) + '...');
+        const options = Object.assign({ keepOriginals: keepOriginals.checked, secureDelete: secureDelete.checked, keyFile }, rules());
+        try {
+            const res = await window.vault.createArchive(selectedFolder, archive, password, options);
+            appendLog('Result: ' + JSON.stringify(res));
+            logExcluded(res);
+        } catch (err) {
+            appendLog('Archive failed: ' + (err && err.message ? err.message : String(err)));
+        } finally {
+            setRunning(false);
+        }
+    });
+
+    // Show archive entries in the file list; clicking one extracts just that path
+    function showArchiveEntries(entries) {
+        fileList.innerHTML = '';
+        fileMap.clear();
+        fileStats.clear();
+        for (const entry of entries) {
+            const li = document.createElement('li');
+            li.className = 'file-item archive-entry';
+            li.dataset.file = entry.path;
+            li.title = 'Click to extract';
+            li.innerHTML = `<div class="name"></div>` +
+                `<div class="file-progress"><div class="bar"><i></i></div><div class="file-meta-small"></div></div>` +
+                `<div class="meta"></div>`;
+            // archive paths are relative, so show them in full (textContent: names are untrusted)
+            li.querySelector('.name').textContent = entry.path;
+            li.querySelector('.meta').textContent = humanBytes(entry.size || 0);
+            li.addEventListener('click', () => extractPaths([entry.path]));
+            fileList.appendChild(li);
+            fileMap.set(entry.path, li);
+        }
+    }
+
+    async function extractPaths(paths) {
+        if (running || !openedArchive) return;
+        const password = pwdInput.value;
+        if (!password && !keyFile) { appendLog('Enter a password or choose a key file'); return; }
+        const dest = await window.vault.chooseFolder();
+        if (!dest) { appendLog('Extraction canceled'); return; }
+
+        for (const li of fileMap.values()) li.classList.remove('done', 'skipped', 'error');
+        overallBar.style.width = '0%';
+        overallText.textContent = '0 / 0';
+
+        setRunning(true);
+        appendLog('Extracting to ' + maskPath(dest) + '...');
+        try {
+            const res = await window.vault.extractArchive(openedArchive, dest, password, paths, { keyFile });
+            appendLog('Result: ' + JSON.stringify(res));
+        } catch (err) {
+            appendLog('Extraction failed: ' + (err && err.message ? err.message : String(err)));
+        } finally {
+            setRunning(false);
+        }
+    }
+
+    openArchiveBtn.addEventListener('click', async () => {
+        const password = pwdInput.value;
+        if (!password && !keyFile) { appendLog('Enter a password or choose a key file'); return; }
+        const archive = await window.vault.chooseArchive({ save: false });
+        if (!archive) { appendLog('Archive selection canceled'); return; }
+        try {
+            const res = await window.vault.listArchive(archive, password, { keyFile });
+            if (!res || !res.success) {
+                appendLog('Open archive failed: ' + (res && res.error));
+                return;
+            }
+            await closeVault();
+            openedArchive = archive;
+            extractAllBtn.disabled = false;
+            showArchiveEntries(res.entries);
+            overallBar.style.width = '0%';
+            overallText.textContent = `0 / ${res.entries.length}`;
+            appendLog(`Opened archive ${maskPath(archive)} (${res.entries.length} files)`);
+        } catch (err) {
+            appendLog('Open archive failed: ' + (err && err.message ? err.message : String(err)));
+        }
+    });
+
+    extractAllBtn.addEventListener('click', () => extractPaths(null));
+
+    // Show the vault's files in the file list; clicking one opens it in the viewer
+    function showVaultEntries(entries) {
+        fileList.innerHTML = '';
+        fileMap.clear();
+        fileStats.clear();
+        for (const entry of entries) {
+            const li = document.createElement('li');
+            li.className = 'file-item vault-entry';
+            li.dataset.file = entry.file;
+            li.title = 'Click to view (read-only)';
+            li.innerHTML = `<div class="name"></div>` +
+                `<div class="file-progress"><div class="bar"><i></i></div><div class="file-meta-small"></div></div>` +
+                `<div class="meta"></div>`;
+            // textContent: names are untrusted
+            li.querySelector('.name').textContent = entry.path;
+            li.querySelector('.meta').textContent = entry.link ? 'Symbolic link' : entry.size === null ? 'Compressed' : humanBytes(entry.size);
+            li.addEventListener('click', () => viewEntry(entry, li));
+            fileList.appendChild(li);
+            fileMap.set(entry.file, li);
+        }
+    }
+
+    // Empty the viewer, zeroing the bytes it showed (the main process wipes any private copy)
+    function clearViewer() {
+        if (viewerData) viewerData.fill(0);
+        viewerData = null;
+        if (viewerUrl) URL.revokeObjectURL(viewerUrl);
+        viewerUrl = null;
+        viewerText.textContent = '';
+        viewerText.hidden = true;
+        viewerImage.removeAttribute('src');
+        viewerImage.hidden = true;
+        viewerNote.textContent = '';
+        viewerNote.hidden = true;
+    }
+
+    async function viewEntry(entry, li) {
+        if (running || !browsedFolder) return;
+        const request = ++viewRequest;
+        clearViewer();
+        for (const other of fileMap.values()) other.classList.remove('viewing');
+        li.classList.add('viewing');
+        viewerName.textContent = entry.path;
+        viewerNote.textContent = 'Decrypting…';
+        viewerNote.hidden = false;
+        viewerEl.hidden = false;
+        try {
+            const res = await window.vault.viewVaultFile(entry.file);
+            // A later click wins
+            if (request !== viewRequest) {
+                if (res && res.data) res.data.fill(0);
+                return;
+            }
+            if (!res || !res.success) {
+                viewerNote.textContent = 'Could not open: ' + (res && res.error);
+                return;
+            }
+            viewerNote.hidden = true;
+            if (res.kind === 'text') {
+                viewerData = res.data;
+                viewerText.textContent = new TextDecoder().decode(res.data);
+                viewerText.hidden = false;
+            } else if (res.kind === 'image') {
+                viewerData = res.data;
+                viewerUrl = URL.createObjectURL(new Blob([res.data], { type: res.mime }));
+                viewerImage.src = viewerUrl;
+                viewerImage.hidden = false;
+            } else {
+                viewerNote.textContent = 'Opened in its default app from a private copy, which is wiped when you close this viewer.';
+                viewerNote.hidden = false;
+            }
+        } catch (err) {
+            if (request === viewRequest) viewerNote.textContent = 'Could not open: ' + (err && err.message ? err.message : String(err));
+        }
+    }
+
+    async function closeViewer() {
+        viewRequest++;
+        clearViewer();
+        viewerEl.hidden = true;
+        for (const li of fileMap.values()) li.classList.remove('viewing');
+        try {
+            await window.vault.closeVaultFile();
+        } catch (err) {
+            appendLog('Could not wipe the private copy: ' + (err && err.message ? err.message : String(err)));
+        }
+    }
+
+    // Close the vault view: the viewer empties, and the main process wipes its private copies and keys
+    async function closeVault() {
+        if (!browsedFolder) return;
+        browsedFolder = null;
+        closeVaultBtn.disabled = true;
+        await closeViewer();
+        try {
+            await window.vault.closeVaultView();
+            appendLog('Closed the vault view');
+        } catch (err) {
+            appendLog('Could not close the vault view: ' + (err && err.message ? err.message : String(err)));
+        }
+    }
+
+    browseBtn.addEventListener('click', async () => {
+        if (!selectedFolder) { appendLog('Pick a folder first'); return; }
+        const password = pwdInput.value;
+        if (!password && !keyFile && !identity) { appendLog('Enter a password or choose a key file or identity'); return; }
+        await closeVault();
+        try {
+            const res = await window.vault.openVaultView(selectedFolder, password, { keyFile, identity, symlinks: symlinksSelect.value });
+            if (!res || !res.success) {
+                appendLog('Browse failed: ' + (res && res.error));
+                if (res && res.code === 'ERR_WRONG_PASSWORD') pwdInput.focus();
+                return;
+            }
+            browsedFolder = selectedFolder;
+            openedArchive = null;
+            extractAllBtn.disabled = true;
+            closeVaultBtn.disabled = false;
+            showVaultEntries(res.entries);
+            overallBar.style.width = '0%';
+            overallText.textContent = `0 / ${res.entries.length}`;
+            appendLog(`Browsing ${maskPath(selectedFolder)} read-only (${res.entries.length} files); nothing is decrypted to the folder`);
+        } catch (err) {
+            appendLog('Browse failed: ' + (err && err.message ? err.message : String(err)));
+        }
+    });
+
+    closeViewerBtn.addEventListener('click', () => closeViewer());
+
+    closeVaultBtn.addEventListener('click', async () => {
+        await closeVault();
+        fileList.innerHTML = '';
+        fileMap.clear();
+        overallText.textContent = '0 / 0';
+    });
+
     cancelBtn.addEventListener('click', async () => {
         if (!running) return;
         // disable cancel to indicate request sent
@@ -327,6 +1197,44 @@
         }
     });
 
+    // Show the saved password policy
+    (async () => {
+        try {
+            minStrengthSelect.value = String((await window.vault.passwordPolicy()).minStrength);
+        } catch (err) {
+            appendLog('Could not read the password policy: ' + (err && err.message ? err.message : String(err)));
+        }
+    })();
+
+    // Only offer the compression methods this build can write
+    (async () => {
+        try {
+            const methods = await window.vault.compressionMethods();
+            for (const option of Array.from(compressionSelect.options)) {
+                if (option.value !== 'none' && !methods.includes(option.value)) option.remove();
+            }
+        } catch (err) {
+            appendLog('Could not list compression methods: ' + (err && err.message ? err.message : String(err)));
+        }
+    })();
+
+    // On launch, offer to finish or undo runs that a crash or power loss cut short
+    (async () => {
+        try {
+            const runs = await window.vault.interruptedRuns();
+            if (!runs || runs.length === 0) return;
+            for (const run of runs) appendLog('Interrupted encryption run found in ' + maskPath(run.folder));
+            if (!selectedFolder) {
+                selectedFolder = runs[0].folder;
+                folderSpan.textContent = maskPath(selectedFolder);
+                showInterrupted(runs[0]);
+                refreshSlots();
+            }
+        } catch (err) {
+            appendLog('Could not check for interrupted runs: ' + (err && err.message ? err.message : String(err)));
+        }
+    })();
+
     openDist.addEventListener('click', async () => {
         try {
             const res = await window.vault.openAppFolder();
@@ -0,0 +1,246 @@
+// cli.test.js - runs cli.js as a child process and checks its output and exit codes
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { PASSWORD, makeTempDir, writeTree, readTree } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+
+function run(args, options = {}) {
+    // Ignore a password set in the developer's own environment
+    const env = Object.assign({}, process.env);
+    delete env.FOLDERVAULT_PASSWORD;
+    Object.assign(env, options.env);
+    return spawnSync(process.execPath, [CLI, ...args], { env, input: options.input || '', encoding: 'utf8', timeout: 60000 });
+}
+
+test('help and usage errors', () => {
+    assert.strictEqual(run(['--help']).status, 0);
+    assert.strictEqual(run(['frobnicate', '.']).status, 2);
+    assert.strictEqual(run(['encrypt', '.', '--bogus']).status, 2);
+    assert.strictEqual(run(['encrypt', '.', '--jobs', '0']).status, 2);
+    assert.strictEqual(run(['encrypt', '.', '--symlinks', 'copy']).status, 2);
+});
+
+test('an empty password is a usage error', async (t) => {
+    const dir = await makeTempDir(t);
+    assert.strictEqual(run(['verify', dir], { input: '\n' }).status, 2);
+});
+
+test('encrypt, list, verify and decrypt a folder', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = { 'a.txt': 'alpha\n', 'sub/b.txt': 'beta\n' };
+    await writeTree(dir, files);
+    const env = { FOLDERVAULT_PASSWORD: PASSWORD };
+
+    const enc = run(['encrypt', dir, '--encrypt-names', '-q'], { env });
+    assert.strictEqual(enc.status, 0, enc.stderr);
+
+    const list = run(['list', dir], { env });
+    assert.strictEqual(list.status, 0, list.stderr);
+    const mapped = list.stdout.trim().split('\n').map((line) => line.split('\t')[1]).sort();
+    assert.deepStrictEqual(mapped, ['a.txt', 'sub/b.txt']);
+
+    assert.strictEqual(run(['verify', dir, '-j', '2'], { env }).status, 0);
+    assert.strictEqual(run(['verify', dir], { input: 'wrong password\n' }).status, 3);
+    const wrong = run(['decrypt', dir], { input: 'wrong password\n' });
+    assert.strictEqual(wrong.status, 3);
+    assert.match(wrong.stderr, /Incorrect password/);
+
+    const passwordFile = path.join(path.dirname(dir), path.basename(dir) + '.pw');
+    await fs.promises.writeFile(passwordFile, PASSWORD + '\n');
+    t.after(() => fs.promises.rm(passwordFile, { force: true }));
+    const dec = run(['decrypt', dir, '--password-file', passwordFile]);
+    assert.strictEqual(dec.status, 0, dec.stderr);
+
+    const tree = await readTree(dir);
+    assert.deepStrictEqual(Object.keys(tree).sort(), Object.keys(files).sort());
+    for (const [rel, data] of Object.entries(files)) assert.strictEqual(tree[rel].toString(), data);
+});
+
+test('damaged files exit with the integrity code', async (t) => {
+    const dir = await makeTempDir(t);
+    const file = path.join(dir, 'data.bin');
+    await fs.promises.writeFile(file, Buffer.alloc(70000, 7));
+    assert.strictEqual(run(['encrypt', file, '--password-stdin'], { input: PASSWORD }).status, 0);
+
+    const enc = file + '.enc';
+    const full = await fs.promises.readFile(enc);
+    await fs.promises.writeFile(enc, full.slice(0, full.length - 10));
+    assert.strictEqual(run(['verify', enc, '--password-stdin'], { input: PASSWORD }).status, 4);
+});
+
+test('resume and rollback finish or undo an interrupted run', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n', 'b.txt': 'beta\n' });
+    const env = { FOLDERVAULT_PASSWORD: PASSWORD };
+    // A journal with nothing finished yet, as if the run died right after it started
+    const head = { version: 1, op: 'encrypt', started: new Date().toISOString(), options: { keepOriginals: false } };
+    await fs.promises.writeFile(path.join(dir, '.foldervault-journal'), JSON.stringify(head) + '\n');
+
+    const blocked = run(['encrypt', dir], { env });
+    assert.strictEqual(blocked.status, 1);
+    assert.match(blocked.stderr, /foldervault resume/);
+
+    const rollback = run(['rollback', dir, '-q'], { env });
+    assert.strictEqual(rollback.status, 0, rollback.stderr);
+    assert.deepStrictEqual(Object.keys(await readTree(dir)).sort(), ['a.txt', 'b.txt']);
+
+    await fs.promises.writeFile(path.join(dir, '.foldervault-journal'), JSON.stringify(head) + '\n');
+    const resume = run(['resume', dir, '-q'], { env });
+    assert.strictEqual(resume.status, 0, resume.stderr);
+    assert.deepStrictEqual(Object.keys(await readTree(dir)).sort(), ['a.txt.enc', 'b.txt.enc']);
+    assert.strictEqual(run(['rollback', dir], { env }).status, 1);
+});
+
+test('--exclude and --include pick the files a folder run touches', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n', 'b.log': 'log\n', 'cache/c.txt': 'cached\n', 'd.md': 'delta\n' });
+    const env = { FOLDERVAULT_PASSWORD: PASSWORD };
+
+    const enc = run(['encrypt', dir, '--exclude', 'cache/', '--exclude', '*.log', '--include', '*.txt'], { env });
+    assert.strictEqual(enc.status, 0, enc.stderr);
+    assert.match(enc.stdout, /1 file\(s\) ok, 0 failed, 3 excluded/);
+    assert.deepStrictEqual(Object.keys(await readTree(dir)).sort(), ['a.txt.enc', 'b.log', 'cache/c.txt', 'd.md']);
+});
+
+test('keygen writes a key file that is then needed to decrypt', async (t) => {
+    const dir = await makeTempDir(t);
+    const keyFile = path.join(dir, 'vault.key');
+    const data = path.join(dir, 'data');
+    await writeTree(data, { 'a.txt': 'alpha\n' });
+    assert.strictEqual(run(['keygen', keyFile]).status, 0);
+    assert.strictEqual((await fs.promises.stat(keyFile)).size, 64);
+    assert.strictEqual(run(['keygen', keyFile]).status, 1);
+
+    // A key file alone is enough; without it the files report a missing credential
+    const env = { FOLDERVAULT_PASSWORD: '' };
+    assert.strictEqual(run(['encrypt', data, '--key-file', keyFile], { env }).status, 0);
+    assert.strictEqual(run(['decrypt', data], { env: { FOLDERVAULT_PASSWORD: PASSWORD } }).status, 3);
+    assert.strictEqual(run(['verify', data, '--key-file', keyFile], { env }).status, 0);
+    assert.strictEqual(run(['decrypt', data, '--key-file', keyFile], { env }).status, 0);
+    assert.strictEqual((await readTree(data))['a.txt'].toString(), 'alpha\n');
+});
+
+test('key slot commands change the password without re-encrypting', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+    assert.strictEqual(run(['encrypt', dir, '--key-slots'], { env: { FOLDERVAULT_PASSWORD: PASSWORD } }).status, 0);
+    const before = (await readTree(dir))['a.txt.enc'];
+
+    assert.strictEqual(run(['passwd', dir, '--password-stdin'], { input: `${PASSWORD}\nnew password\n` }).status, 0);
+    const recovery = run(['add-recovery', dir, '-q'], { input: 'new password\n' });
+    assert.strictEqual(recovery.status, 0);
+    const slots = run(['slots', dir]).stdout.trim().split('\n');
+    assert.strictEqual(slots.length, 2);
+    assert.match(slots[1], /\trecovery\t/);
+    assert.ok((await readTree(dir))['a.txt.enc'].equals(before));
+
+    assert.strictEqual(run(['verify', dir], { env: { FOLDERVAULT_PASSWORD: PASSWORD } }).status, 3);
+    assert.strictEqual(run(['remove-slot', dir], { input: 'new password\n' }).status, 2);
+    assert.strictEqual(run(['remove-slot', dir, slots[1].split('\t')[0]], { input: 'new password\n' }).status, 0);
+    assert.strictEqual(run(['decrypt', dir], { input: 'new password\n' }).status, 0);
+    assert.strictEqual((await readTree(dir))['a.txt'].toString(), 'alpha\n');
+    assert.ok(recovery.stdout.trim().length > 0);
+});
+
+test('list unlocks key slots to map encrypted names', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n', 'sub/b.txt': 'beta\n' });
+    const env = { FOLDERVAULT_PASSWORD: PASSWORD };
+    assert.strictEqual(run(['encrypt', dir, '--key-slots', '--encrypt-names'], { env }).status, 0);
+    const list = run(['list', dir], { env });
+    assert.strictEqual(list.status, 0, list.stderr);
+    const mapped = list.stdout.trim().split('\n').map((line) => line.split('\t')[1]).sort();
+    assert.deepStrictEqual(mapped, ['a.txt', 'sub/b.txt']);
+    assert.strictEqual(run(['list', dir], { env: { FOLDERVAULT_PASSWORD: 'wrong password' } }).status, 3);
+});
+
+test('identity and pubkey set up a recipient that decrypts without a password', async (t) => {
+    const dir = await makeTempDir(t);
+    const identity = path.join(dir, 'me.key');
+    const data = path.join(dir, 'data');
+    await writeTree(data, { 'a.txt': 'alpha\n' });
+    const created = run(['identity', identity, '-q']);
+    assert.strictEqual(created.status, 0, created.stderr);
+    const recipient = created.stdout.trim();
+    assert.strictEqual(run(['pubkey', identity]).stdout.trim(), recipient);
+    assert.strictEqual(run(['identity', identity]).status, 1);
+    assert.strictEqual(run(['decrypt', data, '-r', recipient]).status, 2);
+    assert.strictEqual(run(['encrypt', data, '-r', 'fvpk1nope']).status, 2);
+
+    const enc = run(['encrypt', data, '-r', recipient]);
+    assert.strictEqual(enc.status, 0, enc.stderr);
+    assert.match(run(['slots', data]).stdout, new RegExp(`\\trecipient\\t${recipient}\\t`));
+    assert.strictEqual(run(['verify', data], { input: 'some password\n' }).status, 3);
+    assert.match(run(['list', data, '-i', identity]).stdout, /\ta\.txt$/m);
+    assert.strictEqual(run(['decrypt', data, '-i', identity]).status, 0);
+    assert.strictEqual((await readTree(data))['a.txt'].toString(), 'alpha\n');
+});
+
+test('rekey moves a folder to a new password and KDF cost', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+    assert.strictEqual(run(['encrypt', dir], { env: { FOLDERVAULT_PASSWORD: PASSWORD } }).status, 0);
+    assert.strictEqual(run(['rekey', dir, '--kdf', 'argon2:m=1'], { env: { FOLDERVAULT_PASSWORD: PASSWORD } }).status, 2);
+
+    const env = { FOLDERVAULT_PASSWORD: PASSWORD, NEW_PW: 'new password' };
+    const rekey = run(['rekey', dir, '--new-password-env', 'NEW_PW', '--kdf', 'scrypt:N=32768'], { env });
+    assert.strictEqual(rekey.status, 0, rekey.stderr);
+    assert.match(rekey.stdout, /rekey: 1 file\(s\) ok, 0 failed/);
+    assert.strictEqual(run(['verify', dir], { env: { FOLDERVAULT_PASSWORD: PASSWORD } }).status, 3);
+    assert.strictEqual(run(['decrypt', dir], { input: 'new password\n' }).status, 0);
+    assert.strictEqual((await readTree(dir))['a.txt'].toString(), 'alpha\n');
+});
+
+test('--compress shrinks compressible files and decrypt undoes it', async (t) => {
+    const dir = await makeTempDir(t);
+    const text = 'timestamp,level,message\n' + '2026-10-19T12:00:00Z,INFO,request served\n'.repeat(5000);
+    await writeTree(dir, { 'log.csv': text });
+    const env = { FOLDERVAULT_PASSWORD: PASSWORD };
+    assert.strictEqual(run(['encrypt', dir, '--compress', 'lzma'], { env }).status, 2);
+
+    const enc = run(['encrypt', dir, '--compress', 'gzip', '-q'], { env });
+    assert.strictEqual(enc.status, 0, enc.stderr);
+    assert.ok((await fs.promises.stat(path.join(dir, 'log.csv.enc'))).size < text.length / 10);
+    assert.strictEqual(run(['decrypt', dir, '-q'], { env }).status, 0);
+    assert.strictEqual((await readTree(dir))['log.csv'].toString(), text);
+});
+
+test('calibrate prints a --kdf spec that encrypt accepts', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+    const calibrated = run(['calibrate', '--target-ms', '50']);
+    assert.strictEqual(calibrated.status, 0, calibrated.stderr);
+    assert.match(calibrated.stdout, /^argon2id:m=\d+,t=\d+,p=1\n$/);
+    assert.strictEqual(run(['calibrate', '--target-ms', '5']).status, 2);
+
+    const env = { FOLDERVAULT_PASSWORD: PASSWORD };
+    const enc = run(['encrypt', dir, '--kdf', 'argon2id:m=2048,t=1', '-q'], { env });
+    assert.strictEqual(enc.status, 0, enc.stderr);
+    assert.strictEqual(run(['decrypt', dir, '-q'], { env }).status, 0);
+    assert.strictEqual((await readTree(dir))['a.txt'].toString(), 'alpha\n');
+});
+
+test('passphrase prints a usable passphrase and --min-strength refuses weak passwords', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+    const generated = run(['passphrase', '--words', '7', '-q']);
+    assert.strictEqual(generated.status, 0, generated.stderr);
+    const passphrase = generated.stdout.trim();
+    assert.ok(passphrase.split('-').length >= 7);
+    assert.strictEqual(generated.stderr, '');
+    assert.strictEqual(run(['passphrase', '--words', '2']).status, 2);
+    assert.strictEqual(run(['encrypt', dir, '--min-strength', 'great']).status, 2);
+
+    const weak = run(['encrypt', dir, '--min-strength', 'strong'], { input: 'hunter2\n' });
+    assert.strictEqual(weak.status, 1);
+    assert.match(weak.stderr, /at least strong is required/);
+    const enc = run(['encrypt', dir, '--min-strength', '3', '-q'], { input: `${passphrase}\n` });
+    assert.strictEqual(enc.status, 0, enc.stderr);
+    assert.strictEqual(run(['decrypt', dir, '-q'], { input: `${passphrase}\n` }).status, 0);
+    assert.strictEqual((await readTree(dir))['a.txt'].toString(), 'alpha\n');
+});
@@ -0,0 +1,111 @@
+// compression.test.js - compressing plaintext before it is sealed, and undoing it on decrypt
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, writeTree, readTree, randomData } = require('./helpers');
+
+// Log-like text that compresses well and spans several chunks
+function logText(lines) {
+    const out = [];
+    for (let i = 0; i < lines; i++) out.push(`2026-10-19T12:00:${String(i % 60).padStart(2, '0')}Z INFO request ${i} served in ${i % 97} ms`);
+    return Buffer.from(out.join('\n') + '\n');
+}
+
+async function headerOf(encPath) {
+    const handle = await fs.promises.open(encPath, 'r');
+    try {
+        return await core.readHeader(handle, (await handle.stat()).size);
+    } finally {
+        await handle.close();
+    }
+}
+
+test('each available method shrinks the file, is named in the header and is undone on decrypt', async (t) => {
+    const dir = await makeTempDir(t);
+    const data = logText(20000);
+    for (const method of core.compressionMethods()) {
+        const file = path.join(dir, `${method}.log`);
+        await fs.promises.writeFile(file, data);
+        const enc = await core.encryptFile(file, PASSWORD, { compression: method });
+        assert.ok((await fs.promises.stat(enc)).size < data.length / 4, method);
+        const hdr = await headerOf(enc);
+        assert.strictEqual(hdr.compression, method);
+        assert.strictEqual(hdr.version, 4);
+
+        const range = await core.decryptRange(enc, PASSWORD, { start: 100000, length: 5000 });
+        assert.ok(range.equals(data.slice(100000, 105000)), method);
+        await fs.promises.unlink(file);
+        await core.decryptFile(enc, PASSWORD);
+        assert.ok((await fs.promises.readFile(file)).equals(data), method);
+    }
+});
+
+test('files that are compressed already are stored as they are', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, {
+        'photo.JPG': randomData(2000),
+        'logs.bin': zlib.gzipSync(logText(100)),
+        'plain.txt': logText(100)
+    });
+    for (const [name, expected] of [['photo.JPG', null], ['logs.bin', null], ['plain.txt', 'gzip']]) {
+        const enc = await core.encryptFile(path.join(dir, name), PASSWORD, { compression: 'gzip' });
+        const hdr = await headerOf(enc);
+        assert.strictEqual(hdr.compression, expected, name);
+        assert.strictEqual(hdr.version, expected ? 4 : core.FORMAT_VERSION, name);
+    }
+    await assert.rejects(core.encryptFile(path.join(dir, 'plain.txt'), PASSWORD, { compression: 'lzma' }), { code: 'ERR_INVALID_OPTION' });
+});
+
+test('folder runs compress in workers, and verify, rekey and decrypt keep working', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = {
+        'big.log': logText(60000),
+        'small.csv': 'id,name\n1,alpha\n2,beta\n',
+        'empty.txt': '',
+        'noise.bin': randomData(core.CHUNK_SIZE + 3)
+    };
+    await writeTree(dir, files);
+    assert.ok(files['big.log'].length >= core.WORKER_MIN_BYTES);
+    const res = await core.encryptFolder(dir, PASSWORD, { compression: 'brotli', concurrency: 2 });
+    assert.strictEqual(res.success, true, res.error);
+    assert.strictEqual(res.processed, 4);
+    assert.strictEqual((await headerOf(path.join(dir, 'big.log.enc'))).compression, 'brotli');
+
+    const report = await core.verifyFolder(dir, PASSWORD);
+    assert.strictEqual(report.summary.good, 4);
+    const rekeyed = await core.rekeyFolder(dir, PASSWORD, { newPassword: 'new password' });
+    assert.strictEqual(rekeyed.processed, 4);
+    assert.strictEqual((await headerOf(path.join(dir, 'big.log.enc'))).compression, 'brotli');
+
+    const wrong = await core.decryptFolder(dir, PASSWORD);
+    assert.strictEqual(wrong.code, 'ERR_WRONG_PASSWORD');
+    assert.deepStrictEqual(Object.keys(await readTree(dir)).filter((rel) => !rel.endsWith('.enc')), []);
+    const dec = await core.decryptFolder(dir, 'new password');
+    assert.strictEqual(dec.processed, 4);
+    const out = await readTree(dir);
+    for (const [rel, data] of Object.entries(files)) assert.ok(Buffer.from(out[rel]).equals(Buffer.from(data)), rel);
+});
+
+test('a compression field without the v4 version byte is refused', async (t) => {
+    const dir = await makeTempDir(t);
+    const file = path.join(dir, 'a.txt');
+    await fs.promises.writeFile(file, 'alpha\n');
+    const enc = await core.encryptFile(file, PASSWORD);
+    const data = await fs.promises.readFile(enc);
+    const hdr = await headerOf(enc);
+    const json = JSON.parse(data.slice(core.MAGIC_V2.length + 3, hdr.headerLen - 32).toString('utf8'));
+    json.compression = 'gzip';
+    const body = Buffer.from(JSON.stringify(json));
+    const fixed = Buffer.alloc(3);
+    fixed.writeUInt8(3, 0);
+    fixed.writeUInt16BE(body.length, 1);
+    const head = Buffer.concat([core.MAGIC_V2, fixed, body]);
+    const digest = crypto.createHash('sha256').update(head).digest();
+    await fs.promises.writeFile(enc, Buffer.concat([head, digest, data.slice(hdr.headerLen)]));
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: path.join(dir, 'out.txt') }), /Malformed file header/);
+});
@@ -0,0 +1,369 @@
+// folder.test.js - folder operations, name encryption, verification and archives
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, writeTree, readTree, flipByte, randomData } = require('./helpers');
+
+function sampleTree() {
+    return {
+        'a.txt': Buffer.from('Hello FolderVault\n'),
+        'empty.txt': Buffer.alloc(0),
+        'docs/report.bin': randomData(core.CHUNK_SIZE * 2 + 3),
+        'docs/deep/notes.md': Buffer.from('# notes\n')
+    };
+}
+
+function asObject(tree) {
+    const out = {};
+    for (const [k, v] of Object.entries(tree)) out[k] = Buffer.from(v).toString('hex');
+    return out;
+}
+
+test('encryptFolder and decryptFolder restore the tree', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = sampleTree();
+    await writeTree(dir, files);
+
+    const enc = await core.encryptFolder(dir, PASSWORD);
+    assert.strictEqual(enc.success, true);
+    assert.strictEqual(enc.processed, 4);
+    assert.deepStrictEqual(enc.errors, []);
+    assert.deepStrictEqual(Object.keys(await readTree(dir)).sort(), Object.keys(files).map((f) => f + '.enc').sort());
+
+    const dec = await core.decryptFolder(dir, PASSWORD);
+    assert.strictEqual(dec.success, true);
+    assert.deepStrictEqual(asObject(await readTree(dir)), asObject(files));
+});
+
+test('encryptNames hides names and decryptFolder restores them', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = sampleTree();
+    await writeTree(dir, files);
+
+    const enc = await core.encryptFolder(dir, PASSWORD, { encryptNames: true });
+    assert.strictEqual(enc.success, true);
+    const names = Object.keys(await readTree(dir));
+    assert.ok(names.includes(core.MANIFEST_NAME));
+    for (const name of names) {
+        assert.ok(!/report|notes|docs|a\.txt/.test(name), `leaked name: ${name}`);
+    }
+
+    await core.decryptFolder(dir, PASSWORD);
+    assert.deepStrictEqual(asObject(await readTree(dir)), asObject(files));
+});
+
+test('decryptFolder with a wrong password fails once with ERR_WRONG_PASSWORD and keeps the .enc files', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, sampleTree());
+    await core.encryptFolder(dir, PASSWORD);
+
+    const res = await core.decryptFolder(dir, 'not-the-password');
+    assert.strictEqual(res.success, false);
+    assert.strictEqual(res.code, 'ERR_WRONG_PASSWORD');
+    assert.strictEqual(res.error, 'Incorrect password');
+    assert.ok(Object.keys(await readTree(dir)).every((f) => f.endsWith('.enc')));
+});
+
+test('cancelling a sequential encryptFolder stops after the current file', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = {};
+    for (let i = 0; i < 10; i++) files[`f${i}.txt`] = Buffer.from(`file ${i}\n`);
+    await writeTree(dir, files);
+
+    const controller = new AbortController();
+    core.setReporter({
+        progress: (data) => {
+            if (data.type === 'file' && data.action === 'done') controller.abort();
+        }
+    });
+    t.after(() => core.setReporter({ progress: () => { } }));
+
+    const res = await core.encryptFolder(dir, PASSWORD, { concurrency: 1, signal: controller.signal });
+    assert.strictEqual(res.success, true);
+    assert.strictEqual(res.processed, 1);
+    const names = Object.keys(await readTree(dir));
+    assert.strictEqual(names.filter((n) => n.endsWith('.enc')).length, 1);
+    // The journal stays so the cancelled run can be resumed or rolled back (see journal.test.js)
+    assert.ok(names.includes(core.JOURNAL_NAME));
+    assert.strictEqual(names.filter((n) => n !== core.JOURNAL_NAME).length, 10);
+});
+
+test('parallel runs hand large files to workers and restore the tree', async (t) => {
+    const dir = await makeTempDir(t);
+    const tree = sampleTree();
+    tree['big/one.bin'] = randomData(core.WORKER_MIN_BYTES + 5);
+    tree['big/two.bin'] = randomData(core.WORKER_MIN_BYTES * 2);
+    await writeTree(dir, tree);
+
+    const enc = await core.encryptFolder(dir, PASSWORD, { concurrency: 3, encryptNames: true });
+    assert.deepStrictEqual(enc, { success: true, processed: 6, errors: [], changed: [], excluded: [], skipped: [], hardLinks: [] });
+    const verified = await core.verifyFolder(dir, PASSWORD, { concurrency: 3 });
+    assert.strictEqual(verified.good.length, 6);
+    const dec = await core.decryptFolder(dir, PASSWORD, { concurrency: 3 });
+    assert.deepStrictEqual(dec, { success: true, processed: 6, errors: [], changed: [], excluded: [], partials: [] });
+    assert.deepStrictEqual(asObject(await readTree(dir)), asObject(tree));
+});
+
+test('parallel runs report failures in walk order', async (t) => {
+    const dir = await makeTempDir(t);
+    const tree = {};
+    for (let i = 0; i < 8; i++) tree[`f${i}.bin`] = randomData(i % 2 ? core.WORKER_MIN_BYTES : 100);
+    await writeTree(dir, tree);
+    await core.encryptFolder(dir, PASSWORD, { keepOriginals: true });
+    for (let i = 0; i < 8; i += 3) await flipByte(path.join(dir, `f${i}.bin.enc`), 60);
+    for (const name of Object.keys(tree)) await fs.promises.unlink(path.join(dir, name));
+
+    const res = await core.decryptFolder(dir, PASSWORD, { concurrency: 4 });
+    assert.strictEqual(res.processed, 5);
+    assert.deepStrictEqual(res.errors.map((e) => path.basename(e.file)), ['f0.bin.enc', 'f3.bin.enc', 'f6.bin.enc']);
+    const report = await core.verifyFolder(dir, PASSWORD, { concurrency: 4 });
+    assert.deepStrictEqual(report.failed.map((f) => path.basename(f.file)), ['f0.bin.enc', 'f3.bin.enc', 'f6.bin.enc']);
+});
+
+test('cancelling a parallel encryptFolder leaves a run that can be resumed', async (t) => {
+    const dir = await makeTempDir(t);
+    const tree = {};
+    for (let i = 0; i < 12; i++) tree[`f${i}.bin`] = randomData(i % 3 ? 1000 : core.WORKER_MIN_BYTES);
+    await writeTree(dir, tree);
+
+    const controller = new AbortController();
+    core.setReporter({
+        progress: (data) => {
+            if (data.type === 'file' && data.action === 'done') controller.abort();
+        }
+    });
+    t.after(() => core.setReporter({ progress: () => { } }));
+    const res = await core.encryptFolder(dir, PASSWORD, { concurrency: 4, signal: controller.signal });
+    core.setReporter({ progress: () => { } });
+    assert.strictEqual(res.success, true);
+    assert.ok(res.processed >= 1 && res.processed < 12);
+    assert.deepStrictEqual(res.errors, []);
+
+    const resumed = await core.encryptFolder(dir, PASSWORD, { resume: true, concurrency: 4 });
+    assert.strictEqual(resumed.success, true);
+    const names = Object.keys(await readTree(dir));
+    assert.strictEqual(names.length, 12);
+    assert.ok(names.every((n) => n.endsWith('.enc')));
+    await core.decryptFolder(dir, PASSWORD);
+    assert.deepStrictEqual(asObject(await readTree(dir)), asObject(tree));
+});
+
+test('folder runs report byte progress from a single scan', async (t) => {
+    const dir = await makeTempDir(t);
+    const tree = sampleTree();
+    await writeTree(dir, tree);
+    const totalBytes = Object.values(tree).reduce((sum, data) => sum + data.length, 0);
+
+    const events = [];
+    core.setReporter({ progress: (data) => { if (data.type === 'progress') events.push(data); } });
+    t.after(() => core.setReporter({ progress: () => { } }));
+    await core.encryptFolder(dir, PASSWORD);
+    core.setReporter({ progress: () => { } });
+
+    // One event with the totals before the first file, then one per file
+    assert.strictEqual(events.length, 5);
+    assert.strictEqual(events[0].bytes, 0);
+    assert.ok(events.every((e) => e.totalBytes === totalBytes));
+    assert.strictEqual(events[events.length - 1].bytes, totalBytes);
+});
+
+test('encryptFolder reports files removed or modified during the run', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'first\n', 'b.txt': 'second\n', 'c.txt': 'third\n', 'd.bin': randomData(core.CHUNK_SIZE * 4) });
+
+    // While a.txt is encrypted, remove b.txt and rewrite c.txt; append to d.bin while it is being read
+    core.setReporter({
+        progress: (data) => {
+            if (data.type === 'file' && data.action === 'start' && data.file.endsWith('a.txt')) {
+                fs.unlinkSync(path.join(dir, 'b.txt'));
+                fs.writeFileSync(path.join(dir, 'c.txt'), 'third, longer now\n');
+            }
+            if (data.type === 'file-progress' && data.file.endsWith('d.bin') && data.seen === core.CHUNK_SIZE) {
+                fs.appendFileSync(data.file, 'more');
+            }
+        }
+    });
+    t.after(() => core.setReporter({ progress: () => { } }));
+    const res = await core.encryptFolder(dir, PASSWORD, { concurrency: 1 });
+    core.setReporter({ progress: () => { } });
+
+    assert.strictEqual(res.success, true);
+    assert.strictEqual(res.processed, 2);
+    assert.deepStrictEqual(res.changed.map((c) => [path.basename(c.file), c.change]), [['b.txt', 'removed'], ['c.txt', 'modified']]);
+    assert.deepStrictEqual(res.errors.map((e) => [path.basename(e.file), e.code]), [['d.bin', 'ERR_MODIFIED']]);
+    // The modified file is left as it is, without a half-stale encrypted copy
+    assert.deepStrictEqual(Object.keys(await readTree(dir)).sort(), ['a.txt.enc', 'c.txt.enc', 'd.bin']);
+
+    await core.decryptFolder(dir, PASSWORD);
+    const tree = await readTree(dir);
+    assert.strictEqual(tree['c.txt'].toString(), 'third, longer now\n');
+});
+
+test('partial decryptions are reported and left alone by later runs', async (t) => {
+    const dir = await makeTempDir(t);
+    const data = randomData(core.CHUNK_SIZE * 3);
+    await writeTree(dir, { 'a.txt': 'alpha\n', 'big.bin': data });
+    await core.encryptFolder(dir, PASSWORD);
+    const enc = path.join(dir, 'big.bin.enc');
+    const good = await fs.promises.readFile(enc);
+    await flipByte(enc, good.length - 100);
+
+    const res = await core.decryptFolder(dir, PASSWORD);
+    assert.deepStrictEqual(res.errors.map((e) => e.code), ['ERR_CORRUPTED']);
+    assert.strictEqual(res.partials.length, 1);
+    assert.match(path.basename(res.partials[0]), /^big\.bin\.partial-[0-9a-f]{16}$/);
+
+    const plan = await core.previewEncryptFolder(dir);
+    assert.deepStrictEqual(plan.files.map((f) => f.path), ['a.txt']);
+    assert.ok(plan.skipped.some((s) => s.file === res.partials[0] && s.reason === 'partial decryption'));
+    assert.strictEqual((await core.encryptFolder(dir, PASSWORD)).processed, 1);
+    assert.ok(!Object.keys(await readTree(dir)).some((f) => f.includes('.partial-') && f.endsWith('.enc')));
+
+    // The repaired file resumes from the kept prefix, and nothing is left over
+    await fs.promises.writeFile(enc, good);
+    const rest = await core.decryptFolder(dir, PASSWORD);
+    assert.deepStrictEqual(rest.partials, []);
+    assert.ok((await fs.promises.readFile(path.join(dir, 'big.bin'))).equals(data));
+});
+
+test('verifyFolder reports good and damaged files without writing plaintext', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, sampleTree());
+    await core.encryptFolder(dir, PASSWORD);
+
+    const clean = await core.verifyFolder(dir, PASSWORD);
+    assert.strictEqual(clean.success, true);
+    assert.strictEqual(clean.total, 4);
+    assert.strictEqual(clean.good.length, 4);
+    assert.deepStrictEqual(clean.failed, []);
+
+    const damaged = path.join(dir, 'docs', 'report.bin.enc');
+    const size = (await fs.promises.stat(damaged)).size;
+    await flipByte(damaged, size - 40);
+    const res = await core.verifyFolder(dir, PASSWORD);
+    assert.strictEqual(res.good.length, 3);
+    assert.strictEqual(res.failed.length, 1);
+    assert.strictEqual(res.failed[0].file, damaged);
+    assert.strictEqual(res.failed[0].code, 'ERR_CORRUPTED');
+    assert.strictEqual(res.failed[0].status, 'corrupted');
+    assert.ok(Object.keys(await readTree(dir)).every((f) => f.endsWith('.enc')));
+});
+
+test('verifyFolder tells corrupted, truncated and wrong-password files apart', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, sampleTree());
+    await core.encryptFolder(dir, PASSWORD, { encryptNames: true });
+    const encFiles = Object.keys(await readTree(dir)).filter((f) => f.endsWith('.enc')).map((f) => path.join(dir, f));
+    const sizes = await Promise.all(encFiles.map(async (f) => (await fs.promises.stat(f)).size));
+    // Largest file has several chunks; damage its first chunk, which fails like a wrong password would
+    const big = encFiles[sizes.indexOf(Math.max(...sizes))];
+    const bigSize = Math.max(...sizes);
+    await flipByte(big, bigSize - 2 * (core.CHUNK_SIZE + 16) - 10);
+    // The empty file is a lone tag; cutting into it leaves too little to be a chunk
+    const other = encFiles[sizes.indexOf(Math.min(...sizes))];
+    const full = await fs.promises.readFile(other);
+    await fs.promises.writeFile(other, full.slice(0, full.length - 4));
+
+    const res = await core.verifyFolder(dir, PASSWORD);
+    assert.strictEqual(res.success, true);
+    const status = Object.fromEntries(res.failed.map((f) => [f.file, f.status]));
+    assert.strictEqual(status[big], 'corrupted');
+    assert.strictEqual(status[other], 'truncated');
+    assert.deepStrictEqual(res.summary, { good: 2, corrupted: 1, truncated: 1, wrongPassword: 0, error: 0 });
+
+    const wrong = await core.verifyFolder(dir, 'not-the-password');
+    assert.strictEqual(wrong.good.length, 0);
+    // The truncated file is still reported as truncated; everything that fails authentication is a wrong password
+    assert.deepStrictEqual(wrong.summary, { good: 0, corrupted: 0, truncated: 1, wrongPassword: 4, error: 0 });
+    assert.ok(wrong.failed.some((f) => f.file.endsWith(core.MANIFEST_NAME) && f.status === 'wrong-password'));
+});
+
+test('previewEncryptFolder predicts the run without changing anything', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = sampleTree();
+    await writeTree(dir, Object.assign({ 'old.bin.enc': Buffer.from('x') }, files));
+    const before = asObject(await readTree(dir));
+
+    const plan = await core.previewEncryptFolder(dir, { secureDelete: true });
+    assert.strictEqual(plan.success, true);
+    assert.deepStrictEqual(plan.files.map((f) => f.path).sort(), Object.keys(files).sort());
+    assert.deepStrictEqual(plan.skipped.map((s) => [s.path, s.reason]), [['old.bin.enc', 'already .enc']]);
+    assert.strictEqual(plan.totalBytes, Object.values(files).reduce((sum, b) => sum + b.length, 0));
+    assert.ok(plan.estimatedSeconds > 0);
+    assert.deepStrictEqual(asObject(await readTree(dir)), before);
+
+    // Deleting as it goes needs less room than keeping every original
+    const keep = await core.previewEncryptFolder(dir, { keepOriginals: true });
+    assert.strictEqual(keep.spaceNeeded, keep.outputBytes);
+    assert.ok(plan.spaceNeeded < keep.spaceNeeded);
+
+    await core.encryptFolder(dir, PASSWORD, { keepOriginals: true });
+    for (const f of plan.files) {
+        assert.strictEqual((await fs.promises.stat(f.file + '.enc')).size, f.outSize, f.path);
+    }
+});
+
+test('archives list and extract everything or selected paths', async (t) => {
+    const dir = await makeTempDir(t);
+    const src = path.join(dir, 'src');
+    const files = sampleTree();
+    await writeTree(src, files);
+    const archivePath = path.join(dir, 'backup' + core.ARCHIVE_EXT);
+
+    const keys = core.createKeyCache(PASSWORD);
+    t.after(() => keys.wipe());
+    const created = await core.createArchive(src, archivePath, keys);
+    assert.strictEqual(created.errors, 0);
+
+    const { entries } = await core.listArchive(archivePath, core.createKeyCache(PASSWORD));
+    assert.deepStrictEqual(entries.map((e) => e.path).sort(), Object.keys(files).sort());
+
+    const all = path.join(dir, 'all');
+    await core.extractArchive(archivePath, all, core.createKeyCache(PASSWORD));
+    assert.deepStrictEqual(asObject(await readTree(all)), asObject(files));
+
+    const some = path.join(dir, 'some');
+    const res = await core.extractArchive(archivePath, some, core.createKeyCache(PASSWORD), { paths: ['docs/deep'] });
+    assert.strictEqual(res.extracted, 1);
+    assert.deepStrictEqual(Object.keys(await readTree(some)), ['docs/deep/notes.md']);
+
+    await assert.rejects(core.listArchive(archivePath, core.createKeyCache('not-the-password')));
+});
+
+test('an archive written inside its own folder leaves itself and its temp file out', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = sampleTree();
+    await writeTree(dir, files);
+    const archivePath = path.join(dir, 'backup' + core.ARCHIVE_EXT);
+
+    const keys = core.createKeyCache(PASSWORD);
+    t.after(() => keys.wipe());
+    const created = await core.createArchive(dir, archivePath, keys);
+    assert.strictEqual(created.errors, 0);
+    assert.ok(!created.files.some((file) => file.startsWith(archivePath)));
+    const { entries } = await core.listArchive(archivePath, keys);
+    assert.deepStrictEqual(entries.map((e) => e.path).sort(), Object.keys(files).sort());
+    assert.deepStrictEqual((await fs.promises.readdir(dir)).filter((name) => name.includes('.tmp-')), []);
+});
+
+test('an archive scans the folder once and reports byte progress', async (t) => {
+    const dir = await makeTempDir(t);
+    const src = path.join(dir, 'src');
+    await writeTree(src, { 'keep.txt': 'alpha\n', 'docs/b.md': 'beta\n' });
+    const archivePath = path.join(dir, 'progress' + core.ARCHIVE_EXT);
+    const events = [];
+    core.setReporter({ progress: (data) => events.push(data) });
+    t.after(() => core.setReporter({ progress: () => { } }));
+
+    const keys = core.createKeyCache(PASSWORD);
+    t.after(() => keys.wipe());
+    await core.createArchive(src, archivePath, keys);
+    const { entries } = await core.listArchive(archivePath, keys);
+    assert.deepStrictEqual(entries.map((e) => e.path).sort(), ['docs/b.md', 'keep.txt']);
+    const progress = events.filter((e) => e.type === 'progress');
+    assert.deepStrictEqual(progress[0], { type: 'progress', processed: 0, total: 2, bytes: 0, totalBytes: 11 });
+    assert.deepStrictEqual(progress[progress.length - 1], { type: 'progress', processed: 2, total: 2, bytes: 11, totalBytes: 11 });
+});
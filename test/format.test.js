@@ -0,0 +1,250 @@
+// format.test.js - single-file encryption format: round trips, legacy files, per-file keys, tampering, truncation, cancellation
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, exists, flipByte, randomData } = require('./helpers');
+
+const CS = core.CHUNK_SIZE;
+const TAG_LEN = 16;
+
+async function encryptData(dir, name, data) {
+    const plain = path.join(dir, name);
+    await fs.promises.writeFile(plain, data);
+    const enc = await core.encryptFile(plain, PASSWORD);
+    return { plain, enc };
+}
+
+async function headerLen(encPath) {
+    const handle = await fs.promises.open(encPath, 'r');
+    try {
+        return (await core.readHeader(handle, (await handle.stat()).size)).headerLen;
+    } finally {
+        await handle.close();
+    }
+}
+
+test('round trips files of every size around the chunk boundaries', async (t) => {
+    const dir = await makeTempDir(t);
+    for (const size of [0, 1, CS - 1, CS, CS + 1, 3 * CS, 3 * CS + 5]) {
+        const data = randomData(size);
+        const { enc } = await encryptData(dir, `f${size}`, data);
+        const out = await core.decryptFile(enc, PASSWORD, { outPath: path.join(dir, `f${size}.out`) });
+        assert.ok(Buffer.from(await fs.promises.readFile(out)).equals(data), `size ${size}`);
+    }
+});
+
+test('an empty file encrypts to a single empty chunk', async (t) => {
+    const dir = await makeTempDir(t);
+    const { enc } = await encryptData(dir, 'empty', Buffer.alloc(0));
+    const size = (await fs.promises.stat(enc)).size;
+    assert.strictEqual(size, (await headerLen(enc)) + TAG_LEN);
+    await core.verifyFile(enc, PASSWORD);
+    const out = await core.decryptFile(enc, PASSWORD, { outPath: path.join(dir, 'empty.out') });
+    assert.strictEqual((await fs.promises.stat(out)).size, 0);
+});
+
+test('writes a v3 chunked header', async (t) => {
+    const dir = await makeTempDir(t);
+    const { enc } = await encryptData(dir, 'a.txt', Buffer.from('hello'));
+    const handle = await fs.promises.open(enc, 'r');
+    try {
+        const hdr = await core.readHeader(handle, (await handle.stat()).size);
+        assert.strictEqual(hdr.version, core.FORMAT_VERSION);
+        assert.strictEqual(hdr.cipher, core.STREAM_CIPHER_ID);
+        assert.strictEqual(hdr.chunkSize, CS);
+    } finally {
+        await handle.close();
+    }
+});
+
+test('times and permission bits survive a round trip and are not readable from the header', async (t) => {
+    const dir = await makeTempDir(t);
+    const plain = path.join(dir, 'run.sh');
+    await fs.promises.writeFile(plain, '#!/bin/sh\necho hello\n');
+    await fs.promises.chmod(plain, 0o750);
+    await fs.promises.utimes(plain, 1000000000.25, 1200000000.5);
+    const enc = await core.encryptFile(plain, PASSWORD);
+    await fs.promises.unlink(plain);
+    assert.ok(!(await fs.promises.readFile(enc)).includes('1200000000'));
+
+    await core.decryptFile(enc, PASSWORD);
+    const st = await fs.promises.stat(plain);
+    assert.strictEqual(st.mtimeMs, 1200000000500);
+    assert.strictEqual(st.atimeMs, 1000000000250);
+    // Windows only keeps the read-only bit
+    if (process.platform !== 'win32') assert.strictEqual(st.mode & 0o777, 0o750);
+});
+
+test('decrypts legacy v1 files', async (t) => {
+    const dir = await makeTempDir(t);
+    const data = randomData(1000);
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await util.promisify(crypto.scrypt)(PASSWORD, salt, 32, { N: 16384, r: 8, p: 1 });
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const body = Buffer.concat([cipher.update(data), cipher.final()]);
+    const enc = path.join(dir, 'old.bin.enc');
+    await fs.promises.writeFile(enc, Buffer.concat([core.MAGIC, salt, iv, body, cipher.getAuthTag()]));
+
+    const out = await core.decryptFile(enc, PASSWORD);
+    assert.strictEqual(out, path.join(dir, 'old.bin'));
+    assert.ok((await fs.promises.readFile(out)).equals(data));
+});
+
+test('decrypts single-tag v3 records', async (t) => {
+    const dir = await makeTempDir(t);
+    const data = randomData(5000);
+    const keys = core.createKeyCache(PASSWORD);
+    const enc = path.join(dir, 'record.enc');
+    try {
+        await fs.promises.writeFile(enc, await core.sealBuffer(data, keys));
+        assert.ok((await core.openBuffer(await fs.promises.readFile(enc), keys)).equals(data));
+    } finally {
+        await keys.wipe();
+    }
+    const out = await core.decryptFile(enc, PASSWORD);
+    assert.ok((await fs.promises.readFile(out)).equals(data));
+});
+
+test('a wrong password fails with ERR_WRONG_PASSWORD and writes nothing', async (t) => {
+    const dir = await makeTempDir(t);
+    const { plain, enc } = await encryptData(dir, 'secret.bin', randomData(2 * CS + 7));
+    await fs.promises.unlink(plain);
+    await assert.rejects(core.decryptFile(enc, 'not-the-password'), { code: 'ERR_WRONG_PASSWORD', message: 'Incorrect password' });
+    await assert.rejects(core.verifyFile(enc, 'not-the-password'), { code: 'ERR_WRONG_PASSWORD' });
+    assert.deepStrictEqual(await fs.promises.readdir(dir), ['secret.bin.enc']);
+});
+
+test('files sharing a key cache share the stretched password and get their own HKDF keys', async (t) => {
+    const dir = await makeTempDir(t);
+    const keys = core.createKeyCache(PASSWORD);
+    t.after(() => keys.wipe());
+    const headers = [];
+    for (const name of ['a.txt', 'b.txt']) {
+        await fs.promises.writeFile(path.join(dir, name), name);
+        const enc = await core.encryptFile(path.join(dir, name), PASSWORD, { keys });
+        const handle = await fs.promises.open(enc, 'r');
+        try {
+            headers.push(await core.readHeader(handle, (await handle.stat()).size));
+        } finally {
+            await handle.close();
+        }
+    }
+    const [a, b] = headers;
+    assert.ok(a.salt.equals(b.salt));
+    assert.ok(!a.nonce.equals(b.nonce));
+    const keyA = await keys.fileKey(a);
+    const keyB = await keys.fileKey(b);
+    assert.ok(!keyA.equals(keyB));
+    // A fresh cache (a new run) derives the same file key from the header alone
+    const other = core.createKeyCache(PASSWORD);
+    t.after(() => other.wipe());
+    assert.ok((await other.fileKey(a)).equals(keyA));
+    assert.strictEqual((await fs.promises.readFile(await core.decryptFile(path.join(dir, 'b.txt.enc'), PASSWORD, { outPath: path.join(dir, 'b.out') }))).toString(), 'b.txt');
+});
+
+test('a modified header is rejected', async (t) => {
+    const dir = await makeTempDir(t);
+    const { enc } = await encryptData(dir, 'a.bin', randomData(100));
+    // First byte of the JSON header (after MAGIC_V2 | VERSION | HEADER_LEN)
+    await flipByte(enc, 11);
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: path.join(dir, 'a.out') }), { code: 'ERR_HEADER_TAMPERED' });
+});
+
+test('a bit flip in the first chunk fails with ERR_AUTH_FAILED', async (t) => {
+    const dir = await makeTempDir(t);
+    const { enc } = await encryptData(dir, 'a.bin', randomData(CS + 10));
+    await flipByte(enc, (await headerLen(enc)) + 5);
+    const out = path.join(dir, 'a.out');
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: out }), { code: 'ERR_AUTH_FAILED' });
+    assert.strictEqual(await exists(out), false);
+});
+
+test('a bit flip in a later chunk fails with ERR_CORRUPTED and can be resumed after repair', async (t) => {
+    const dir = await makeTempDir(t);
+    const data = randomData(3 * CS + 5);
+    const { enc } = await encryptData(dir, 'a.bin', data);
+    const good = await fs.promises.readFile(enc);
+    const pos = (await headerLen(enc)) + 2 * (CS + TAG_LEN) + 3;
+    await flipByte(enc, pos);
+
+    const out = path.join(dir, 'a.out');
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: out, resume: true }), { code: 'ERR_CORRUPTED' });
+    assert.strictEqual(await exists(out), false);
+    assert.ok((await fs.promises.readdir(dir)).some((n) => n.startsWith('a.out.partial-')));
+
+    // Restoring the damaged byte lets the next run continue from the kept prefix
+    await fs.promises.writeFile(enc, good);
+    await core.decryptFile(enc, PASSWORD, { outPath: out, resume: true });
+    assert.ok((await fs.promises.readFile(out)).equals(data));
+    assert.ok(!(await fs.promises.readdir(dir)).some((n) => n.includes('.partial-')));
+});
+
+test('reordered chunks fail authentication', async (t) => {
+    const dir = await makeTempDir(t);
+    const { enc } = await encryptData(dir, 'a.bin', randomData(3 * CS));
+    const buf = await fs.promises.readFile(enc);
+    const start = await headerLen(enc);
+    const sealed = CS + TAG_LEN;
+    const first = Buffer.from(buf.slice(start, start + sealed));
+    buf.copy(buf, start, start + sealed, start + 2 * sealed);
+    first.copy(buf, start + sealed);
+    await fs.promises.writeFile(enc, buf);
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: path.join(dir, 'a.out') }), { code: 'ERR_AUTH_FAILED' });
+});
+
+test('truncation is detected mid-chunk and at a chunk boundary', async (t) => {
+    const dir = await makeTempDir(t);
+    const { enc } = await encryptData(dir, 'a.bin', randomData(3 * CS + 5));
+    const full = await fs.promises.readFile(enc);
+    const start = await headerLen(enc);
+
+    // Too little left of the final chunk to hold its tag
+    await fs.promises.writeFile(enc, full.slice(0, full.length - 10));
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: path.join(dir, 'a.out') }), { code: 'ERR_TRUNCATED' });
+
+    // Cut inside a full chunk: it becomes the final chunk and cannot authenticate
+    await fs.promises.writeFile(enc, full.slice(0, start + 2 * (CS + TAG_LEN) + 1000));
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: path.join(dir, 'a.out') }), { code: 'ERR_CORRUPTED' });
+
+    // Drop the final chunk entirely, leaving only whole middle chunks
+    await fs.promises.writeFile(enc, full.slice(0, start + 3 * (CS + TAG_LEN)));
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: path.join(dir, 'a.out') }), { code: 'ERR_TRUNCATED' });
+    await assert.rejects(core.verifyFile(enc, PASSWORD), { code: 'ERR_TRUNCATED' });
+});
+
+test('decryptRange returns only the requested bytes', async (t) => {
+    const dir = await makeTempDir(t);
+    const data = randomData(3 * CS + 5);
+    const { enc } = await encryptData(dir, 'a.bin', data);
+    for (const [start, length] of [[0, 10], [CS - 3, 7], [2 * CS, CS + 5], [3 * CS + 4, 100]]) {
+        const part = await core.decryptRange(enc, PASSWORD, { start, length });
+        assert.ok(part.equals(data.slice(start, start + length)), `range ${start}+${length}`);
+    }
+});
+
+test('cancelled operations fail with ERR_CANCELLED and leave no output', async (t) => {
+    const dir = await makeTempDir(t);
+    const { plain, enc } = await encryptData(dir, 'a.bin', randomData(4 * CS));
+    const controller = new AbortController();
+    controller.abort();
+
+    await assert.rejects(core.encryptFile(plain, PASSWORD, { outPath: path.join(dir, 'b.enc'), signal: controller.signal }), { code: 'ERR_CANCELLED' });
+    assert.strictEqual(await exists(path.join(dir, 'b.enc')), false);
+
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: path.join(dir, 'a.out'), signal: controller.signal }), { code: 'ERR_CANCELLED' });
+    assert.strictEqual(await exists(path.join(dir, 'a.out')), false);
+});
+
+test('secureDelete removes the file', async (t) => {
+    const dir = await makeTempDir(t);
+    const p = path.join(dir, 'x.bin');
+    await fs.promises.writeFile(p, randomData(3000));
+    await core.secureDelete(p, 2);
+    assert.strictEqual(await exists(p), false);
+});
@@ -0,0 +1,53 @@
+// helpers.js - shared fixtures for the node:test suite (npm test)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const core = require('../vault_core');
+
+const PASSWORD = 'correcthorsebatterystaple';
+
+// Keep test output clean; core log lines are only shown with VERBOSE=1
+core.setReporter({ log: (msg) => { if (process.env.VERBOSE) console.log(msg); } });
+
+// Fresh scratch directory under the OS temp dir, removed again by the returned cleanup function
+async function makeTempDir(t) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'foldervault-test-'));
+    t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+async function writeTree(root, files) {
+    for (const [rel, data] of Object.entries(files)) {
+        const p = path.join(root, rel);
+        await fs.promises.mkdir(path.dirname(p), { recursive: true });
+        await fs.promises.writeFile(p, data);
+    }
+}
+
+// Map of relative path (forward slashes) -> contents for every file under root
+async function readTree(root) {
+    const out = {};
+    for await (const file of core.walk(root)) {
+        out[path.relative(root, file).split(path.sep).join('/')] = await fs.promises.readFile(file);
+    }
+    return out;
+}
+
+async function exists(p) {
+    return fs.promises.stat(p).then(() => true).catch(() => false);
+}
+
+// XOR one byte of a file in place
+async function flipByte(filePath, position) {
+    const data = await fs.promises.readFile(filePath);
+    data[position] ^= 0x01;
+    await fs.promises.writeFile(filePath, data);
+}
+
+function randomData(size) {
+    return crypto.randomBytes(size);
+}
+
+module.exports = { PASSWORD, makeTempDir, writeTree, readTree, exists, flipByte, randomData };
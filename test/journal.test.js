@@ -0,0 +1,189 @@
+// journal.test.js - interrupted encryptFolder runs: the journal, resume and rollback
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, writeTree, readTree, exists, randomData } = require('./helpers');
+
+function sampleTree() {
+    return {
+        'a.txt': Buffer.from('alpha\n'),
+        'b.txt': Buffer.from('beta\n'),
+        'docs/report.bin': randomData(core.CHUNK_SIZE + 100),
+        'docs/notes.md': Buffer.from('# notes\n')
+    };
+}
+
+function asObject(tree) {
+    const out = {};
+    for (const [k, v] of Object.entries(tree)) out[k] = Buffer.from(v).toString('hex');
+    return out;
+}
+
+// Run encryptFolder and abort it once `after` files are done
+async function encryptAndCancel(t, dir, options, after) {
+    const controller = new AbortController();
+    let done = 0;
+    core.setReporter({
+        progress: (data) => {
+            if (data.type === 'file' && data.action === 'done' && ++done === after) controller.abort();
+        }
+    });
+    t.after(() => core.setReporter({ progress: () => { } }));
+    const res = await core.encryptFolder(dir, PASSWORD, Object.assign({ concurrency: 1 }, options, { signal: controller.signal }));
+    core.setReporter({ progress: () => { } });
+    return res;
+}
+
+// Hand-written journal describing a run that died part-way through
+async function writeJournal(dir, options, records) {
+    const head = { version: 1, op: 'encrypt', started: new Date().toISOString(), options };
+    const lines = [head, ...records].map((r) => JSON.stringify(r));
+    await fs.promises.writeFile(path.join(dir, core.JOURNAL_NAME), lines.join('\n') + '\n');
+}
+
+test('a cancelled run keeps its journal and blocks new runs until resumed', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = sampleTree();
+    await writeTree(dir, files);
+
+    const res = await encryptAndCancel(t, dir, {}, 2);
+    assert.strictEqual(res.processed, 2);
+    const status = await core.journalStatus(dir);
+    assert.strictEqual(status.done, 2);
+    assert.strictEqual(status.options.keepOriginals, false);
+
+    assert.strictEqual((await core.encryptFolder(dir, PASSWORD)).code, 'ERR_INTERRUPTED');
+    assert.strictEqual((await core.decryptFolder(dir, PASSWORD)).code, 'ERR_INTERRUPTED');
+
+    // Resuming uses the journaled options even when others are passed
+    const resumed = await core.encryptFolder(dir, PASSWORD, { resume: true, keepOriginals: true });
+    assert.strictEqual(resumed.success, true);
+    assert.strictEqual(resumed.processed, 2);
+    assert.strictEqual(await core.journalStatus(dir), null);
+    const names = Object.keys(await readTree(dir)).sort();
+    assert.deepStrictEqual(names, Object.keys(files).map((f) => f + '.enc').sort());
+
+    await core.decryptFolder(dir, PASSWORD);
+    assert.deepStrictEqual(asObject(await readTree(dir)), asObject(files));
+});
+
+test('a resumed run refuses a password other than the one the interrupted run used', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = sampleTree();
+    await writeTree(dir, files);
+    await encryptAndCancel(t, dir, {}, 2);
+    const before = await readTree(dir);
+
+    const wrong = await core.encryptFolder(dir, 'another password', { resume: true });
+    assert.strictEqual(wrong.code, 'ERR_WRONG_PASSWORD');
+    assert.deepStrictEqual(await readTree(dir), before);
+    assert.strictEqual((await core.journalStatus(dir)).done, 2);
+
+    assert.strictEqual((await core.encryptFolder(dir, PASSWORD, { resume: true })).processed, 2);
+    const dec = await core.decryptFolder(dir, PASSWORD);
+    assert.deepStrictEqual(dec.errors, []);
+    assert.deepStrictEqual(asObject(await readTree(dir)), asObject(files));
+});
+
+test('rollback restores the tree from a cancelled run', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = sampleTree();
+    await writeTree(dir, files);
+
+    await encryptAndCancel(t, dir, { secureDelete: true }, 3);
+    const res = await core.rollbackEncryptFolder(dir, PASSWORD);
+    assert.strictEqual(res.success, true);
+    assert.strictEqual(res.processed, 3);
+    assert.deepStrictEqual(asObject(await readTree(dir)), asObject(files));
+});
+
+test('rollback with names encrypted restores paths and removes the manifest', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = sampleTree();
+    await writeTree(dir, files);
+
+    await encryptAndCancel(t, dir, { encryptNames: true }, 3);
+    assert.ok(await exists(path.join(dir, core.MANIFEST_NAME)));
+    const res = await core.rollbackEncryptFolder(dir, PASSWORD);
+    assert.deepStrictEqual(res.errors, []);
+    assert.deepStrictEqual(asObject(await readTree(dir)), asObject(files));
+});
+
+test('a wrong password cannot roll back files whose originals are gone', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, sampleTree());
+    await encryptAndCancel(t, dir, {}, 2);
+
+    const res = await core.rollbackEncryptFolder(dir, 'not-the-password');
+    assert.strictEqual(res.errors.length, 2);
+    assert.ok(res.errors.every((e) => e.code === 'ERR_AUTH_FAILED'));
+    // Nothing was lost and the journal still lists both files
+    assert.strictEqual((await core.journalStatus(dir)).total, 2);
+    assert.strictEqual((await core.rollbackEncryptFolder(dir, PASSWORD)).processed, 2);
+});
+
+test('resume settles every state a crash can leave behind', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = sampleTree();
+    await writeTree(dir, files);
+    // a.txt: encrypted and renamed into place, but the original was not deleted yet
+    await core.encryptFile(path.join(dir, 'a.txt'), PASSWORD);
+    // docs/report.bin: crashed while writing, leaving only a temp file
+    await fs.promises.writeFile(path.join(dir, 'docs', 'report.bin.enc.tmp-0123456789ab'), 'partial');
+    // b.txt: finished, original gone
+    await core.encryptFile(path.join(dir, 'b.txt'), PASSWORD);
+    await fs.promises.unlink(path.join(dir, 'b.txt'));
+    await writeJournal(dir, { keepOriginals: false, secureDelete: false, encryptNames: false }, [
+        { file: 'a.txt', out: 'a.txt.enc', state: 'begin' },
+        { file: 'docs/report.bin', out: 'docs/report.bin.enc', state: 'begin' },
+        { file: 'b.txt', out: 'b.txt.enc', state: 'begin' },
+        { file: 'a.txt', out: 'a.txt.enc', state: 'written' },
+        { file: 'b.txt', out: 'b.txt.enc', state: 'written' },
+        { file: 'b.txt', out: 'b.txt.enc', state: 'done' }
+    ]);
+    // A record torn by the crash
+    await fs.promises.appendFile(path.join(dir, core.JOURNAL_NAME), '{"file":"docs/no');
+
+    const res = await core.encryptFolder(dir, PASSWORD, { resume: true });
+    assert.strictEqual(res.success, true);
+    assert.deepStrictEqual(res.errors, []);
+    assert.deepStrictEqual(Object.keys(await readTree(dir)).sort(), Object.keys(files).map((f) => f + '.enc').sort());
+
+    await core.decryptFolder(dir, PASSWORD);
+    assert.deepStrictEqual(asObject(await readTree(dir)), asObject(files));
+});
+
+test('rollback settles every state a crash can leave behind', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = sampleTree();
+    await writeTree(dir, files);
+    await core.encryptFile(path.join(dir, 'a.txt'), PASSWORD);
+    await fs.promises.writeFile(path.join(dir, 'docs', 'report.bin.enc.tmp-0123456789ab'), 'partial');
+    await core.encryptFile(path.join(dir, 'b.txt'), PASSWORD);
+    await fs.promises.unlink(path.join(dir, 'b.txt'));
+    await writeJournal(dir, { keepOriginals: false, secureDelete: false, encryptNames: false }, [
+        { file: 'a.txt', out: 'a.txt.enc', state: 'written' },
+        { file: 'docs/report.bin', out: 'docs/report.bin.enc', state: 'begin' },
+        { file: 'b.txt', out: 'b.txt.enc', state: 'done' }
+    ]);
+
+    const res = await core.rollbackEncryptFolder(dir, PASSWORD);
+    assert.deepStrictEqual(res.errors, []);
+    assert.deepStrictEqual(asObject(await readTree(dir)), asObject(files));
+});
+
+test('a journal cannot point outside its folder', async (t) => {
+    const dir = await makeTempDir(t);
+    const victim = path.join(path.dirname(dir), path.basename(dir) + '-victim.txt');
+    await fs.promises.writeFile(victim, 'keep me');
+    t.after(() => fs.promises.rm(victim, { force: true }));
+    await writeJournal(dir, {}, [{ file: 'a.txt', out: `../${path.basename(victim)}`, state: 'begin' }]);
+    await fs.promises.writeFile(path.join(dir, 'a.txt'), 'x');
+
+    const res = await core.rollbackEncryptFolder(dir, PASSWORD);
+    assert.strictEqual(res.success, false);
+    assert.strictEqual(await fs.promises.readFile(victim, 'utf8'), 'keep me');
+});
@@ -0,0 +1,91 @@
+// kdf.test.js - Argon2id key derivation, KDF choice and calibration
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const core = require('../vault_core');
+const argon2 = require('../argon2');
+const { PASSWORD, makeTempDir, writeTree, readTree } = require('./helpers');
+
+// Small enough to keep the suite fast
+const FAST_ARGON2 = { name: 'argon2id', m: 1024, t: 2, p: 2 };
+
+async function kdfOf(encPath) {
+    const handle = await fs.promises.open(encPath, 'r');
+    try {
+        return (await core.readHeader(handle, (await handle.stat()).size)).kdf;
+    } finally {
+        await handle.close();
+    }
+}
+
+test('argon2.js agrees with BLAKE2b-512 and the RFC 9106 Argon2id test vector', async () => {
+    // Lengths around the 128-byte block boundary
+    for (const len of [0, 3, 127, 128, 129, 256, 1000]) {
+        const data = crypto.randomBytes(len);
+        assert.ok(argon2.blake2b([data], 64).equals(crypto.createHash('blake2b512').update(data).digest()), String(len));
+    }
+    const tag = argon2.argon2id(Buffer.alloc(32, 1), Buffer.alloc(16, 2), { m: 32, t: 3, p: 4 }, 32,
+        { secret: Buffer.alloc(8, 3), ad: Buffer.alloc(12, 4) });
+    assert.strictEqual(tag.toString('hex'), '0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659');
+    // The worker thread gives the same tag
+    const salt = Buffer.alloc(16, 7);
+    const sync = argon2.argon2id(Buffer.from(PASSWORD), salt, FAST_ARGON2, 32);
+    assert.ok((await argon2.argon2idAsync(PASSWORD, salt, FAST_ARGON2, 32)).equals(sync));
+});
+
+test('files and key slots record the chosen KDF, and decrypting needs nothing but the password', async (t) => {
+    const dir = await makeTempDir(t);
+    const file = path.join(dir, 'a.txt');
+    await fs.promises.writeFile(file, 'alpha\n');
+    const enc = await core.encryptFile(file, PASSWORD, { kdf: FAST_ARGON2 });
+    assert.deepStrictEqual(await kdfOf(enc), FAST_ARGON2);
+    await assert.rejects(core.decryptFile(enc, 'wrong', { outPath: path.join(dir, 'x') }), { code: 'ERR_WRONG_PASSWORD' });
+    assert.strictEqual((await fs.promises.readFile(await core.decryptFile(enc, PASSWORD, { outPath: path.join(dir, 'out.txt') }))).toString(), 'alpha\n');
+
+    const folder = path.join(dir, 'folder');
+    await writeTree(folder, { 'b.txt': 'beta\n', 'sub/c.txt': 'gamma\n' });
+    const res = await core.encryptFolder(folder, PASSWORD, { kdf: FAST_ARGON2, keySlots: true });
+    assert.strictEqual(res.success, true, res.error);
+    const record = JSON.parse(await fs.promises.readFile(path.join(folder, core.KEYSLOTS_NAME), 'utf8'));
+    assert.strictEqual(record.slots[0].kdf.name, 'argon2id');
+    assert.strictEqual(record.slots[0].kdf.m, FAST_ARGON2.m);
+    // A second password slot with its own KDF
+    const added = await core.addKeySlot(folder, PASSWORD, 'second', { kdf: { name: 'scrypt', N: 1024, r: 8, p: 1 } });
+    assert.strictEqual(added.success, true, added.error);
+    const dec = await core.decryptFolder(folder, 'second');
+    assert.strictEqual(dec.processed, 2);
+    assert.strictEqual((await readTree(folder))['sub/c.txt'].toString(), 'gamma\n');
+});
+
+test('rekey moves a folder from scrypt to Argon2id, and bad parameters are refused', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+    await core.encryptFolder(dir, PASSWORD);
+    assert.strictEqual((await kdfOf(path.join(dir, 'a.txt.enc'))).name, 'scrypt');
+    const rekeyed = await core.rekeyFolder(dir, PASSWORD, { kdf: FAST_ARGON2 });
+    assert.strictEqual(rekeyed.processed, 1);
+    assert.deepStrictEqual(await kdfOf(path.join(dir, 'a.txt.enc')), FAST_ARGON2);
+    assert.strictEqual((await core.verifyFolder(dir, PASSWORD)).summary.good, 1);
+
+    for (const kdf of [{ name: 'argon2id', m: 8, t: 1, p: 2 }, { name: 'argon2id', m: 4096, t: 0, p: 1 }, { name: 'argon2d', m: 4096, t: 1, p: 1 }]) {
+        const refused = await core.rekeyFolder(dir, PASSWORD, { kdf });
+        assert.strictEqual(refused.code, 'ERR_INVALID_OPTION', JSON.stringify(kdf));
+        const other = path.join(dir, 'other');
+        const enc = await core.encryptFolder(other, PASSWORD, { kdf });
+        assert.strictEqual(enc.code, 'ERR_INVALID_OPTION', JSON.stringify(kdf));
+    }
+});
+
+test('calibration picks parameters within the limits it is given', async () => {
+    const kdf = await core.calibrateKdf({ targetMs: 50, maxMemoryKiB: 19 * 1024 });
+    assert.strictEqual(kdf.name, 'argon2id');
+    assert.strictEqual(kdf.m, 19 * 1024);
+    assert.ok(kdf.t >= 1 && kdf.p === 1);
+    const scrypt = await core.calibrateKdf({ name: 'scrypt', targetMs: 10 });
+    assert.deepStrictEqual(scrypt, core.DEFAULT_KDF);
+    await assert.rejects(core.calibrateKdf({ name: 'bcrypt' }), { code: 'ERR_INVALID_OPTION' });
+    await assert.rejects(core.calibrateKdf({ targetMs: 0 }), { code: 'ERR_INVALID_OPTION' });
+});
@@ -0,0 +1,104 @@
+// keycheck.test.js - the key-check value in file headers, and rejecting a wrong password before a run starts
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, writeTree, readTree } = require('./helpers');
+
+async function headerOf(encPath) {
+    const handle = await fs.promises.open(encPath, 'r');
+    try {
+        return await core.readHeader(handle, (await handle.stat()).size);
+    } finally {
+        await handle.close();
+    }
+}
+
+test('password-keyed files carry a key check; files locked by key slots do not', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n', 'b.txt': 'beta\n' });
+    const res = await core.encryptFolder(dir, PASSWORD, { concurrency: 2 });
+    assert.strictEqual(res.success, true, res.error);
+    const a = await headerOf(path.join(dir, 'a.txt.enc'));
+    const b = await headerOf(path.join(dir, 'b.txt.enc'));
+    assert.strictEqual(a.check.length, 16);
+    // Files of one run share a master key, so they share its check
+    assert.ok(a.check.equals(b.check));
+
+    const slotted = path.join(dir, 'slotted');
+    await writeTree(slotted, { 'c.txt': 'gamma\n' });
+    await core.encryptFolder(slotted, PASSWORD, { keySlots: true });
+    assert.strictEqual((await headerOf(path.join(slotted, 'c.txt.enc'))).check, null);
+});
+
+test('a wrong password is rejected once, before any file is touched', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n', 'sub/b.txt': 'beta\n', 'c.txt': 'gamma\n' });
+    await core.encryptFolder(dir, PASSWORD, { encryptNames: true });
+    const before = await readTree(dir);
+
+    const events = [];
+    core.setReporter({ progress: (data) => events.push(data) });
+    t.after(() => core.setReporter({ progress: () => { } }));
+    for (const concurrency of [1, 2]) {
+        const res = await core.decryptFolder(dir, 'wrong password', { concurrency });
+        assert.strictEqual(res.code, 'ERR_WRONG_PASSWORD');
+        assert.strictEqual(res.error, 'Incorrect password');
+    }
+    assert.deepStrictEqual(events.filter((e) => e.type === 'file'), []);
+    assert.deepStrictEqual(await readTree(dir), before);
+
+    const slotted = path.join(path.dirname(dir), path.basename(dir) + '-slots');
+    t.after(() => fs.promises.rm(slotted, { recursive: true, force: true }));
+    await writeTree(slotted, { 'd.txt': 'delta\n' });
+    await core.encryptFolder(slotted, PASSWORD, { keySlots: true });
+    assert.strictEqual((await core.decryptFolder(slotted, 'wrong password')).code, 'ERR_WRONG_PASSWORD');
+
+    assert.strictEqual((await core.decryptFolder(dir, PASSWORD)).processed, 3);
+    assert.strictEqual((await readTree(dir))['sub/b.txt'].toString(), 'beta\n');
+});
+
+test('folders written before key checks still fail file by file', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n', 'b.txt': 'beta\n' });
+    // A key cache that writes no check stands in for an older version
+    const keys = core.createKeyCache(PASSWORD);
+    keys.keyCheck = async () => null;
+    try {
+        for (const name of ['a.txt', 'b.txt']) {
+            await core.encryptFile(path.join(dir, name), PASSWORD, { keys });
+            await fs.promises.unlink(path.join(dir, name));
+        }
+    } finally {
+        await keys.wipe();
+    }
+    assert.strictEqual((await headerOf(path.join(dir, 'a.txt.enc'))).check, null);
+
+    await assert.rejects(core.decryptFile(path.join(dir, 'a.txt.enc'), 'wrong password'), { code: 'ERR_AUTH_FAILED' });
+    const wrong = await core.decryptFolder(dir, 'wrong password');
+    assert.strictEqual(wrong.success, true);
+    assert.deepStrictEqual(wrong.errors.map((e) => e.code), ['ERR_AUTH_FAILED', 'ERR_AUTH_FAILED']);
+    assert.strictEqual((await core.decryptFolder(dir, PASSWORD)).processed, 2);
+});
+
+test('a key check that does not decode to 16 bytes makes the header malformed', async (t) => {
+    const dir = await makeTempDir(t);
+    const file = path.join(dir, 'a.txt');
+    await fs.promises.writeFile(file, 'alpha\n');
+    const enc = await core.encryptFile(file, PASSWORD);
+    const data = await fs.promises.readFile(enc);
+    const hdr = await headerOf(enc);
+    const json = JSON.parse(data.slice(core.MAGIC_V2.length + 3, hdr.headerLen - 32).toString('utf8'));
+    json.check = hdr.check.slice(0, 8).toString('base64');
+    const body = Buffer.from(JSON.stringify(json));
+    const fixed = Buffer.alloc(3);
+    fixed.writeUInt8(hdr.version, 0);
+    fixed.writeUInt16BE(body.length, 1);
+    const head = Buffer.concat([core.MAGIC_V2, fixed, body]);
+    const digest = crypto.createHash('sha256').update(head).digest();
+    await fs.promises.writeFile(enc, Buffer.concat([head, digest, data.slice(hdr.headerLen)]));
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: path.join(dir, 'out.txt') }), /Malformed file header/);
+});
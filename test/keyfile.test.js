@@ -0,0 +1,77 @@
+// keyfile.test.js - key files used along with (or instead of) the password
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, writeTree, readTree, randomData } = require('./helpers');
+
+async function newKeyFile(dir, name = 'vault.key') {
+    return core.generateKeyFile(path.join(dir, name));
+}
+
+test('generateKeyFile writes random bytes and never replaces a file', async (t) => {
+    const dir = await makeTempDir(t);
+    const a = await newKeyFile(dir, 'a.key');
+    const b = await newKeyFile(dir, 'b.key');
+    assert.strictEqual((await fs.promises.stat(a)).size, core.KEY_FILE_LEN);
+    assert.ok(!(await fs.promises.readFile(a)).equals(await fs.promises.readFile(b)));
+    await assert.rejects(core.generateKeyFile(a), { code: 'ERR_EXISTS' });
+    await fs.promises.writeFile(path.join(dir, 'empty'), '');
+    await assert.rejects(core.readKeyFile(path.join(dir, 'empty')), { code: 'ERR_KEYFILE' });
+});
+
+test('a file locked with a key file needs both secrets', async (t) => {
+    const dir = await makeTempDir(t);
+    const keyFile = await newKeyFile(dir);
+    const other = await newKeyFile(dir, 'other.key');
+    const plain = path.join(dir, 'a.txt');
+    await fs.promises.writeFile(plain, 'alpha\n');
+    const enc = await core.encryptFile(plain, PASSWORD, { keyFile });
+    const out = path.join(dir, 'out.txt');
+
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: out }), { code: 'ERR_KEYFILE_REQUIRED' });
+    await assert.rejects(core.decryptFile(enc, PASSWORD, { outPath: out, keyFile: other }), { code: 'ERR_WRONG_PASSWORD' });
+    await assert.rejects(core.decryptFile(enc, 'wrong', { outPath: out, keyFile }), { code: 'ERR_WRONG_PASSWORD', message: 'Incorrect password or key file' });
+    await core.decryptFile(enc, PASSWORD, { outPath: out, keyFile });
+    assert.strictEqual(await fs.promises.readFile(out, 'utf8'), 'alpha\n');
+
+    // A key file on its own, with an empty password
+    const alone = await core.encryptFile(plain, '', { keyFile, outPath: path.join(dir, 'alone.enc') });
+    await core.verifyFile(alone, '', { keyFile });
+    // Files without one still open with the password alone, even when a key file is given
+    const plainOnly = await core.encryptFile(plain, PASSWORD, { outPath: path.join(dir, 'plain.enc') });
+    await core.verifyFile(plainOnly, PASSWORD, { keyFile });
+});
+
+test('folder runs pass the key file to workers and a resumed run must use it again', async (t) => {
+    const dir = await makeTempDir(t);
+    const keyFile = await newKeyFile(await makeTempDir(t));
+    const files = { 'a.txt': 'alpha\n', 'big.bin': randomData(core.WORKER_MIN_BYTES + 1), 'sub/b.txt': 'beta\n' };
+    await writeTree(dir, files);
+
+    const enc = await core.encryptFolder(dir, PASSWORD, { keyFile, encryptNames: true, concurrency: 2 });
+    assert.strictEqual(enc.processed, 3);
+    assert.strictEqual((await core.decryptFolder(dir, PASSWORD)).success, false);
+    const report = await core.verifyFolder(dir, PASSWORD, { concurrency: 2 });
+    assert.ok(report.failed.length > 0 && report.failed.every((f) => f.code === 'ERR_KEYFILE_REQUIRED' && f.status === 'wrong-password'));
+
+    const verified = await core.verifyFolder(dir, PASSWORD, { keyFile, concurrency: 2 });
+    assert.strictEqual(verified.failed.length, 0);
+    const dec = await core.decryptFolder(dir, PASSWORD, { keyFile, concurrency: 2 });
+    assert.strictEqual(dec.processed, 3);
+    const tree = await readTree(dir);
+    for (const [rel, data] of Object.entries(files)) assert.ok(Buffer.from(tree[rel]).equals(Buffer.from(data)), rel);
+
+    // An interrupted run keeps needing the key file it started with
+    const controller = new AbortController();
+    core.setReporter({ progress: (data) => { if (data.type === 'file' && data.action === 'done') controller.abort(); } });
+    t.after(() => core.setReporter({ progress: () => { } }));
+    await core.encryptFolder(dir, PASSWORD, { keyFile, concurrency: 1, signal: controller.signal });
+    core.setReporter({ progress: () => { } });
+    assert.strictEqual((await core.encryptFolder(dir, PASSWORD, { resume: true })).code, 'ERR_KEYFILE_REQUIRED');
+    const resumed = await core.encryptFolder(dir, PASSWORD, { resume: true, keyFile });
+    assert.strictEqual(resumed.success, true);
+    assert.strictEqual((await core.decryptFolder(dir, PASSWORD, { keyFile })).processed, 3);
+});
@@ -0,0 +1,116 @@
+// keyslots.test.js - key slots: several secrets for one data key, changed without re-encrypting files
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, writeTree, readTree, randomData } = require('./helpers');
+
+// Contents of every .enc file, to show slot changes leave them alone
+async function encryptedFiles(dir) {
+    const tree = await readTree(dir);
+    return Object.keys(tree).filter((rel) => rel.endsWith('.enc')).map((rel) => tree[rel].toString('base64'));
+}
+
+test('passwords and recovery keys are added and changed without touching the files', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = { 'a.txt': 'alpha\n', 'big.bin': randomData(core.WORKER_MIN_BYTES + 1), 'sub/b.txt': 'beta\n' };
+    await writeTree(dir, files);
+
+    const enc = await core.encryptFolder(dir, PASSWORD, { keySlots: true, encryptNames: true, concurrency: 2 });
+    assert.strictEqual(enc.processed, 3);
+    const listed = await core.listKeySlots(dir);
+    assert.strictEqual(listed.slots.length, 1);
+    assert.strictEqual(listed.slots[0].type, 'password');
+    const before = await encryptedFiles(dir);
+
+    const added = await core.addKeySlot(dir, PASSWORD, 'second password', { label: 'laptop' });
+    assert.deepStrictEqual(added.slots.map((s) => s.label), ['', 'laptop']);
+    const recovery = await core.addRecoveryKey(dir, 'second password');
+    assert.match(recovery.recoveryKey, /^([A-Z2-7]{4}-){7}[A-Z2-7]{4}$/);
+    assert.strictEqual(recovery.slot.type, 'recovery');
+    const changed = await core.changePassword(dir, PASSWORD, 'new password');
+    assert.strictEqual(changed.slot.id, listed.slots[0].id);
+    assert.deepStrictEqual(await encryptedFiles(dir), before);
+
+    // The old password no longer opens anything; every remaining secret does
+    const refused = await core.verifyFolder(dir, PASSWORD);
+    assert.ok(refused.failed.length > 0 && refused.failed.every((f) => f.status === 'wrong-password'));
+    for (const secret of ['new password', 'second password', recovery.recoveryKey]) {
+        const report = await core.verifyFolder(dir, secret, { concurrency: 2 });
+        assert.strictEqual(report.good.length, 3, secret);
+        assert.strictEqual(report.failed.length, 0, secret);
+    }
+    assert.strictEqual((await core.encryptFolder(dir, PASSWORD)).code, 'ERR_AUTH_FAILED');
+
+    const dec = await core.decryptFolder(dir, recovery.recoveryKey, { concurrency: 2 });
+    assert.strictEqual(dec.processed, 3);
+    const tree = await readTree(dir);
+    for (const [rel, data] of Object.entries(files)) assert.ok(Buffer.from(tree[rel]).equals(Buffer.from(data)), rel);
+    // The record stays for the next run
+    assert.ok(tree[core.KEYSLOTS_NAME]);
+});
+
+test('removing slots needs a working password and keeps at least one', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+    const init = await core.initKeySlots(dir, PASSWORD);
+    assert.strictEqual(init.success, true);
+    assert.strictEqual((await core.initKeySlots(dir, PASSWORD)).code, 'ERR_EXISTS');
+    const { slot } = await core.addKeySlot(dir, PASSWORD, 'second password');
+
+    assert.strictEqual((await core.removeKeySlot(dir, 'wrong', slot.id)).code, 'ERR_AUTH_FAILED');
+    assert.strictEqual((await core.removeKeySlot(dir, PASSWORD, 'nope')).code, 'ERR_NO_SLOT');
+    // Removing the slot that opened the record is fine while another one remains
+    const removed = await core.removeKeySlot(dir, PASSWORD, init.slots[0].id);
+    assert.deepStrictEqual(removed.slots.map((s) => s.id), [slot.id]);
+    assert.strictEqual((await core.removeKeySlot(dir, 'second password', slot.id)).code, 'ERR_LAST_SLOT');
+    assert.strictEqual((await core.changePassword(dir, PASSWORD, 'x')).code, 'ERR_AUTH_FAILED');
+    assert.strictEqual((await core.listKeySlots(await makeTempDir(t))).slots.length, 0);
+    assert.strictEqual((await core.addKeySlot(await makeTempDir(t), PASSWORD, 'x')).code, 'ERR_NO_KEYSLOTS');
+});
+
+test('a single file finds its record above it, and slots can need a key file', async (t) => {
+    const dir = await makeTempDir(t);
+    const keyFile = await core.generateKeyFile(path.join(await makeTempDir(t), 'vault.key'));
+    await writeTree(dir, { 'sub/a.txt': 'alpha\n' });
+    await core.initKeySlots(dir, PASSWORD, { keyFile });
+    const enc = await core.encryptFolder(dir, PASSWORD, { keyFile });
+    assert.strictEqual(enc.processed, 1);
+
+    const file = path.join(dir, 'sub', 'a.txt.enc');
+    const out = path.join(dir, 'out.txt');
+    await assert.rejects(core.decryptFile(file, PASSWORD, { outPath: out }), { code: 'ERR_KEYFILE_REQUIRED' });
+    await core.decryptFile(file, PASSWORD, { keyFile, outPath: out });
+    assert.strictEqual(await fs.promises.readFile(out, 'utf8'), 'alpha\n');
+    assert.strictEqual((await core.listKeySlots(dir)).slots[0].keyFile, true);
+    assert.strictEqual((await core.changePassword(dir, PASSWORD, 'x')).code, 'ERR_KEYFILE_REQUIRED');
+
+    // Moved away from its record, the file cannot be opened at all
+    const moved = path.join(await makeTempDir(t), 'a.txt.enc');
+    await fs.promises.copyFile(file, moved);
+    await assert.rejects(core.decryptFile(moved, PASSWORD, { keyFile }), { code: 'ERR_NO_KEYSLOTS' });
+
+    // A slot copied from another record does not open this one
+    const other = await makeTempDir(t);
+    await core.initKeySlots(other, 'other password');
+    const record = JSON.parse(await fs.promises.readFile(path.join(dir, core.KEYSLOTS_NAME), 'utf8'));
+    const foreign = JSON.parse(await fs.promises.readFile(path.join(other, core.KEYSLOTS_NAME), 'utf8'));
+    record.slots.push(foreign.slots[0]);
+    await fs.promises.writeFile(path.join(dir, core.KEYSLOTS_NAME), JSON.stringify(record));
+    assert.strictEqual((await core.verifyFolder(dir, 'other password')).summary.wrongPassword, 1);
+    await fs.promises.writeFile(path.join(dir, core.KEYSLOTS_NAME), '{"version":1}');
+    assert.strictEqual((await core.encryptFolder(dir, PASSWORD, { keyFile })).code, 'ERR_CORRUPTED');
+});
+
+test('preview sizes match files written under key slots', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n', 'b.bin': randomData(70000) });
+    const plan = await core.previewEncryptFolder(dir, { keySlots: true });
+    assert.ok(plan.skipped.every((s) => s.reason !== 'key slots'));
+    await core.encryptFolder(dir, PASSWORD, { keySlots: true, keepOriginals: true });
+    for (const f of plan.files) assert.strictEqual((await fs.promises.stat(f.file + '.enc')).size, f.outSize, f.path);
+    const again = await core.previewEncryptFolder(dir);
+    assert.ok(again.skipped.some((s) => s.path === core.KEYSLOTS_NAME && s.reason === 'key slots'));
+});
@@ -0,0 +1,133 @@
+// links.test.js - symbolic links, hard links and special files in folder runs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, writeTree, exists } = require('./helpers');
+
+// Creating symlinks needs extra rights on Windows; skip the test there instead of failing
+async function symlinkOrSkip(t, target, linkPath) {
+    try {
+        await fs.promises.symlink(target, linkPath);
+        return true;
+    } catch (e) {
+        if (e.code !== 'EPERM') throw e;
+        t.skip('symlinks are not available');
+        return false;
+    }
+}
+
+function rel(dir, list) {
+    return list.map((s) => [path.relative(dir, s.file).split(path.sep).join('/'), s.reason]).sort();
+}
+
+test('links are skipped and reported by default, like other special files', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+    if (!(await symlinkOrSkip(t, 'a.txt', path.join(dir, 'link')))) return;
+    const expected = [['link', 'symbolic link']];
+    if (process.platform !== 'win32') {
+        execFileSync('mkfifo', [path.join(dir, 'pipe')]);
+        expected.push(['pipe', 'not a regular file']);
+    }
+
+    const res = await core.encryptFolder(dir, PASSWORD);
+    assert.strictEqual(res.processed, 1);
+    assert.deepStrictEqual(rel(dir, res.skipped), expected);
+    assert.strictEqual(await fs.promises.readlink(path.join(dir, 'link')), 'a.txt');
+    assert.strictEqual((await core.encryptFolder(dir, PASSWORD, { symlinks: 'copy' })).code, 'ERR_INVALID_OPTION');
+});
+
+test('store keeps links as encrypted records and restores them as links', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+    if (!(await symlinkOrSkip(t, path.join('..', 'elsewhere', 'b.txt'), path.join(dir, 'dangling')))) return;
+    await fs.promises.symlink('a.txt', path.join(dir, 'link'));
+
+    const enc = await core.encryptFolder(dir, PASSWORD, { symlinks: 'store' });
+    assert.strictEqual(enc.processed, 3);
+    assert.ok(!(await fs.promises.lstat(path.join(dir, 'link')).catch(() => null)));
+    const handle = await fs.promises.open(path.join(dir, 'link.enc'), 'r');
+    try {
+        assert.strictEqual((await core.readHeader(handle, (await handle.stat()).size)).entry, 'symlink');
+    } finally {
+        await handle.close();
+    }
+
+    const dec = await core.decryptFolder(dir, PASSWORD);
+    assert.strictEqual(dec.processed, 3);
+    assert.strictEqual(await fs.promises.readlink(path.join(dir, 'link')), 'a.txt');
+    assert.strictEqual(await fs.promises.readlink(path.join(dir, 'dangling')), path.join('..', 'elsewhere', 'b.txt'));
+    assert.strictEqual(await fs.promises.readFile(path.join(dir, 'link'), 'utf8'), 'alpha\n');
+});
+
+test('follow stops at loops and never enters linked folders outside the one walked', async (t) => {
+    const root = await makeTempDir(t);
+    const dir = path.join(root, 'vault');
+    const outside = path.join(root, 'outside');
+    await writeTree(root, { 'vault/a.txt': 'alpha\n', 'vault/sub/b.txt': 'beta\n', 'outside/c.txt': 'gamma\n', 'outside/d.txt': 'delta\n' });
+    if (!(await symlinkOrSkip(t, outside, path.join(dir, 'ext')))) return;
+    await fs.promises.symlink(path.join(outside, 'd.txt'), path.join(dir, 'file'));
+    await fs.promises.symlink(dir, path.join(dir, 'sub', 'loop'));
+    await fs.promises.symlink('a.txt', path.join(dir, 'same'));
+    await fs.promises.symlink('missing.txt', path.join(dir, 'broken'));
+
+    const res = await core.encryptFolder(dir, PASSWORD, { symlinks: 'follow' });
+    assert.strictEqual(res.processed, 3);
+    assert.deepStrictEqual(res.changed, []);
+    assert.deepStrictEqual(rel(dir, res.skipped), [
+        ['broken', 'broken link'],
+        ['ext', 'link to a folder outside this one'],
+        ['same', 'link to a file already in the folder'],
+        ['sub/loop', 'link loop or folder already walked']
+    ]);
+    assert.deepStrictEqual(await fs.promises.readdir(outside), ['c.txt', 'd.txt']);
+    assert.strictEqual(await fs.promises.readFile(path.join(outside, 'c.txt'), 'utf8'), 'gamma\n');
+    // A linked file is encrypted as a copy where the link was; its target outside stays as it is
+    assert.ok(await exists(path.join(dir, 'file.enc')));
+    assert.strictEqual(await fs.promises.readFile(path.join(outside, 'd.txt'), 'utf8'), 'delta\n');
+
+    const dec = await core.decryptFolder(dir, PASSWORD, { symlinks: 'follow' });
+    assert.strictEqual(dec.processed, 3);
+    assert.strictEqual(await fs.promises.readFile(path.join(dir, 'file'), 'utf8'), 'delta\n');
+    assert.deepStrictEqual(await fs.promises.readdir(outside), ['c.txt', 'd.txt']);
+});
+
+test('hard links outside the run are reported and deleting a link leaves its target alone', async (t) => {
+    const root = await makeTempDir(t);
+    const dir = path.join(root, 'vault');
+    await writeTree(root, { 'vault/a.txt': 'alpha\n', 'vault/b.txt': 'beta\n', 'target.txt': 'keep me\n' });
+    await fs.promises.link(path.join(dir, 'a.txt'), path.join(root, 'copy.txt'));
+    await fs.promises.link(path.join(dir, 'b.txt'), path.join(dir, 'b2.txt'));
+
+    const res = await core.encryptFolder(dir, PASSWORD);
+    assert.strictEqual(res.processed, 3);
+    assert.deepStrictEqual(res.hardLinks.map((file) => path.basename(file)), ['a.txt']);
+    assert.strictEqual(await fs.promises.readFile(path.join(root, 'copy.txt'), 'utf8'), 'alpha\n');
+
+    if (!(await symlinkOrSkip(t, path.join(root, 'target.txt'), path.join(root, 'link')))) return;
+    await core.secureDelete(path.join(root, 'link'), 2);
+    assert.ok(!(await fs.promises.lstat(path.join(root, 'link')).catch(() => null)));
+    assert.strictEqual(await fs.promises.readFile(path.join(root, 'target.txt'), 'utf8'), 'keep me\n');
+});
+
+test('an archive follows linked files only when links are followed', async (t) => {
+    const dir = await makeTempDir(t);
+    const src = path.join(dir, 'src');
+    await writeTree(src, { 'a.txt': 'alpha\n' });
+    await writeTree(dir, { 'outside.txt': 'beta\n' });
+    if (!(await symlinkOrSkip(t, path.join(dir, 'outside.txt'), path.join(src, 'link.txt')))) return;
+
+    const keys = core.createKeyCache(PASSWORD);
+    t.after(() => keys.wipe());
+    for (const [symlinks, expected] of [['skip', ['a.txt']], ['store', ['a.txt']], ['follow', ['a.txt', 'link.txt']]]) {
+        const archivePath = path.join(dir, symlinks + core.ARCHIVE_EXT);
+        await core.createArchive(src, archivePath, keys, { symlinks });
+        const { entries } = await core.listArchive(archivePath, keys);
+        assert.deepStrictEqual(entries.map((e) => e.path).sort(), expected, symlinks);
+    }
+    assert.strictEqual(await fs.promises.readlink(path.join(src, 'link.txt')), path.join(dir, 'outside.txt'));
+});
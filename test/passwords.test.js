@@ -0,0 +1,80 @@
+// passwords.test.js - strength estimate, diceware passphrases and the minimum-strength policy
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const core = require('../vault_core');
+const { loadWordlist } = require('../passwords');
+const { PASSWORD, makeTempDir, writeTree, readTree } = require('./helpers');
+
+test('the strength estimate ranks guessable passwords below random ones', () => {
+    assert.deepStrictEqual(core.passwordStrength(''), { bits: 0, score: 0, label: 'very weak', feedback: ['Enter a password'] });
+    for (const weak of ['a', 'password', 'Password123!', 'qwerty', 'aaaaaaaaaaaaaaaa', 'abcdefghijklmnop', '1234567890123']) {
+        assert.ok(core.passwordStrength(weak).score <= 1, weak);
+    }
+    assert.match(core.passwordStrength('letmein2024').feedback.join('\n'), /most common passwords/);
+    assert.match(core.passwordStrength('aaaaaaaaaaaaaaaa').feedback.join('\n'), /repeated/);
+    assert.match(core.passwordStrength('abcdefghijklmnop').feedback.join('\n'), /runs/);
+    for (const strong of ['xK9#mQ2$vL7p', 'J8s!k2@Lm9#qZ4^w', 'kq8fz3wpm2ratv7n']) {
+        const res = core.passwordStrength(strong);
+        assert.ok(res.score >= 3, strong);
+        assert.deepStrictEqual(res.feedback, []);
+    }
+    // Words from the list count as words, not letters
+    const words = loadWordlist().slice(100, 103).join('');
+    assert.ok(core.passwordStrength(words).bits < words.length * Math.log2(26));
+});
+
+test('generated passphrases are list words, and rate strong or better', () => {
+    const list = new Set(loadWordlist());
+    assert.strictEqual(list.size, 7776);
+    const { passphrase, bits } = core.generatePassphrase();
+    const words = passphrase.split('-');
+    assert.ok(words.length >= core.PASSPHRASE_WORDS);
+    assert.ok(Math.abs(bits - core.PASSPHRASE_WORDS * Math.log2(7776)) < 1e-9);
+    assert.ok(core.passwordStrength(passphrase).score >= 3);
+    const spaced = core.generatePassphrase({ words: 4, separator: ' ' }).passphrase.split(' ');
+    assert.strictEqual(spaced.length, 4);
+    assert.ok(spaced.every((w) => list.has(w)));
+
+    for (const options of [{ words: 3 }, { words: 21 }, { words: 5.5 }, { separator: 'x' }, { separator: '--' }, { separator: '' }]) {
+        assert.throws(() => core.generatePassphrase(options), { code: 'ERR_INVALID_OPTION' }, JSON.stringify(options));
+    }
+});
+
+test('the minimum strength refuses weak new passwords before anything is written', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+    const strong = core.generatePassphrase().passphrase;
+
+    const weak = await core.encryptFolder(dir, 'hunter2', { minStrength: 2 });
+    assert.strictEqual(weak.code, 'ERR_WEAK_PASSWORD');
+    assert.match(weak.error, /very weak; at least fair is required/);
+    assert.deepStrictEqual(Object.keys(await readTree(dir)), ['a.txt']);
+    await assert.rejects(core.encryptFile(path.join(dir, 'a.txt'), 'hunter2', { minStrength: 1 }), { code: 'ERR_WEAK_PASSWORD' });
+    assert.strictEqual((await core.encryptFolder(dir, PASSWORD, { minStrength: 5 })).code, 'ERR_INVALID_OPTION');
+
+    const res = await core.encryptFolder(dir, strong, { minStrength: 3, keySlots: true });
+    assert.strictEqual(res.success, true, res.error);
+    const added = await core.addKeySlot(dir, strong, 'second', { minStrength: 2 });
+    assert.strictEqual(added.code, 'ERR_WEAK_PASSWORD');
+    const changed = await core.changePassword(dir, strong, 'second', { minStrength: 1 });
+    assert.strictEqual(changed.code, 'ERR_WEAK_PASSWORD');
+    const rekeyed = await core.rekeyFolder(dir, strong, { newPassword: 'second', minStrength: 1 });
+    assert.strictEqual(rekeyed.code, 'ERR_WEAK_PASSWORD');
+    // Without a policy any password goes, as before
+    assert.strictEqual((await core.addKeySlot(dir, strong, 'second')).success, true);
+    assert.strictEqual((await core.listKeySlots(dir)).slots.length, 2);
+});
+
+test('a key file stands in for an empty password under the policy', async (t) => {
+    const dir = await makeTempDir(t);
+    const keyFile = await core.generateKeyFile(path.join(dir, 'vault.key'));
+    const data = path.join(dir, 'data');
+    await writeTree(data, { 'a.txt': 'alpha\n' });
+    const res = await core.encryptFolder(data, '', { keyFile, minStrength: 4 });
+    assert.strictEqual(res.success, true, res.error);
+    assert.strictEqual((await core.decryptFolder(data, '', { keyFile })).processed, 1);
+    assert.strictEqual((await fs.promises.readFile(path.join(data, 'a.txt'))).toString(), 'alpha\n');
+});
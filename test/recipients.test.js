@@ -0,0 +1,89 @@
+// recipients.test.js - public-key recipients: folders encrypted to X25519 identities, alongside passwords
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, writeTree, readTree, randomData } = require('./helpers');
+
+async function newIdentity(dir, name) {
+    return core.generateIdentity(path.join(dir, name));
+}
+
+test('identities open folders encrypted to their public keys, and the password still works', async (t) => {
+    const keysDir = await makeTempDir(t);
+    const dir = await makeTempDir(t);
+    const alice = await newIdentity(keysDir, 'alice.key');
+    const bob = await newIdentity(keysDir, 'bob.key');
+    const carol = await newIdentity(keysDir, 'carol.key');
+    assert.match(alice.recipient, /^fvpk1[A-Za-z0-9_-]{43}$/);
+    assert.strictEqual((await core.readIdentity(alice.identity)).recipient, alice.recipient);
+    await assert.rejects(core.generateIdentity(alice.identity), { code: 'ERR_EXISTS' });
+
+    const files = { 'a.txt': 'alpha\n', 'big.bin': randomData(core.WORKER_MIN_BYTES + 1), 'sub/b.txt': 'beta\n' };
+    await writeTree(dir, files);
+    const enc = await core.encryptFolder(dir, PASSWORD, { recipients: [alice.recipient, bob.recipient], concurrency: 2 });
+    assert.strictEqual(enc.processed, 3);
+    const listed = await core.listKeySlots(dir);
+    assert.deepStrictEqual(listed.slots.map((s) => s.type), ['password', 'recipient', 'recipient']);
+    assert.deepStrictEqual(listed.slots.slice(1).map((s) => s.recipient), [alice.recipient, bob.recipient]);
+
+    for (const who of [alice, bob]) {
+        const report = await core.verifyFolder(dir, '', { identity: who.identity, concurrency: 2 });
+        assert.strictEqual(report.good.length, 3);
+        assert.strictEqual(report.failed.length, 0);
+    }
+    assert.strictEqual((await core.verifyFolder(dir, PASSWORD)).good.length, 3);
+    const refused = await core.verifyFolder(dir, '', { identity: carol.identity });
+    assert.ok(refused.failed.length > 0 && refused.failed.every((f) => f.status === 'wrong-password'));
+
+    const dec = await core.decryptFolder(dir, '', { identity: bob.identity, concurrency: 2 });
+    assert.strictEqual(dec.processed, 3);
+    const tree = await readTree(dir);
+    for (const [rel, data] of Object.entries(files)) assert.ok(Buffer.from(tree[rel]).equals(Buffer.from(data)), rel);
+});
+
+test('a folder can be encrypted to recipients only, and later runs add recipients', async (t) => {
+    const keysDir = await makeTempDir(t);
+    const dir = await makeTempDir(t);
+    const alice = await newIdentity(keysDir, 'alice.key');
+    const bob = await newIdentity(keysDir, 'bob.key');
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+
+    assert.strictEqual((await core.encryptFolder(dir, '')).code, 'ERR_NO_PASSWORD');
+    assert.strictEqual((await core.encryptFolder(dir, '', { recipients: ['fvpk1nope'] })).code, 'ERR_RECIPIENT');
+    const enc = await core.encryptFolder(dir, '', { recipients: [alice.recipient] });
+    assert.strictEqual(enc.processed, 1);
+    assert.deepStrictEqual((await core.listKeySlots(dir)).slots.map((s) => s.type), ['recipient']);
+    assert.strictEqual((await core.verifyFolder(dir, PASSWORD)).failed[0].status, 'wrong-password');
+
+    // Adding files needs the folder unlocked; the identity does that, and new recipients get slots on the way
+    await writeTree(dir, { 'b.txt': 'beta\n' });
+    assert.strictEqual((await core.encryptFolder(dir, '', { recipients: [bob.recipient] })).code, 'ERR_AUTH_FAILED');
+    const more = await core.encryptFolder(dir, '', { identity: alice.identity, recipients: [alice.recipient, bob.recipient] });
+    assert.strictEqual(more.processed, 1);
+    assert.strictEqual((await core.listKeySlots(dir)).slots.length, 2);
+    assert.strictEqual((await core.verifyFolder(dir, '', { identity: bob.identity })).good.length, 2);
+    // Recipients are stored and compared as parsed, so a pasted key with spaces around it adds no second slot
+    await writeTree(dir, { 'c.txt': 'gamma\n' });
+    const padded = await core.encryptFolder(dir, '', { identity: alice.identity, recipients: [` ${bob.recipient}\n`] });
+    assert.strictEqual(padded.processed, 1);
+    assert.deepStrictEqual((await core.listKeySlots(dir)).slots.map((s) => s.recipient), [alice.recipient, bob.recipient]);
+
+    // A recipient slot has no password to change
+    const passwd = await core.changePassword(dir, '', 'new password', { identity: bob.identity });
+    assert.strictEqual(passwd.code, 'ERR_RECIPIENT');
+});
+
+test('public key files list recipients one per line', async (t) => {
+    const dir = await makeTempDir(t);
+    const alice = await newIdentity(dir, 'alice.key');
+    const bob = await newIdentity(dir, 'bob.key');
+    const pub = path.join(dir, 'team.pub');
+    await fs.promises.writeFile(pub, `# team\n${alice.recipient}\n\n  ${bob.recipient}  \n`);
+    assert.deepStrictEqual(await core.readRecipients(pub), [alice.recipient, bob.recipient]);
+    await fs.promises.writeFile(pub, '# nobody\n');
+    await assert.rejects(core.readRecipients(pub), { code: 'ERR_RECIPIENT' });
+    await assert.rejects(core.readIdentity(pub), { code: 'ERR_IDENTITY' });
+});
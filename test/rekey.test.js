@@ -0,0 +1,136 @@
+// rekey.test.js - re-keying folders for a new password or KDF parameters without writing plaintext
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const util = require('util');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, writeTree, readTree, randomData } = require('./helpers');
+
+const NEW_KDF = { name: 'scrypt', N: 32768, r: 8, p: 1 };
+
+async function kdfOf(encPath) {
+    const handle = await fs.promises.open(encPath, 'r');
+    try {
+        return (await core.readHeader(handle, (await handle.stat()).size)).kdf;
+    } finally {
+        await handle.close();
+    }
+}
+
+test('files move to the new password and parameters, names and legacy files included', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = { 'a.txt': 'alpha\n', 'big.bin': randomData(3 * core.CHUNK_SIZE + 7), 'sub/empty.txt': '' };
+    await writeTree(dir, files);
+    assert.strictEqual((await core.encryptFolder(dir, PASSWORD, { encryptNames: true })).processed, 3);
+    // A v1 file written before the current format
+    const legacy = randomData(1000);
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await util.promisify(crypto.scrypt)(PASSWORD, salt, 32, { N: 16384, r: 8, p: 1 });
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const body = Buffer.concat([cipher.update(legacy), cipher.final()]);
+    await fs.promises.writeFile(path.join(dir, 'old.bin.enc'), Buffer.concat([core.MAGIC, salt, iv, body, cipher.getAuthTag()]));
+
+    const events = [];
+    core.setReporter({ progress: (data) => events.push(data) });
+    t.after(() => core.setReporter({ progress: () => { } }));
+    const res = await core.rekeyFolder(dir, PASSWORD, { newPassword: 'new password', kdf: NEW_KDF, concurrency: 2 });
+    assert.strictEqual(res.success, true, res.error);
+    assert.strictEqual(res.processed, 4);
+    assert.strictEqual(res.errors.length, 0);
+    assert.ok(events.some((e) => e.type === 'progress' && e.processed === 4));
+
+    const tree = await readTree(dir);
+    // Nothing but encrypted files and the manifest, no temp files
+    assert.deepStrictEqual(Object.keys(tree).filter((rel) => !rel.endsWith('.enc')), [core.MANIFEST_NAME]);
+    for (const rel of Object.keys(tree).filter((r) => r.endsWith('.enc'))) {
+        assert.deepStrictEqual(await kdfOf(path.join(dir, rel)), NEW_KDF, rel);
+    }
+    const refused = await core.verifyFolder(dir, PASSWORD);
+    assert.ok(refused.failed.length > 0 && refused.failed.every((f) => f.status === 'wrong-password'));
+    const dec = await core.decryptFolder(dir, 'new password');
+    assert.strictEqual(dec.processed, 4);
+    const out = await readTree(dir);
+    for (const [rel, data] of Object.entries(files)) assert.ok(Buffer.from(out[rel]).equals(Buffer.from(data)), rel);
+    assert.ok(out['old.bin'].equals(legacy));
+});
+
+test('wrong settings change nothing and a repeated run finds the files already re-keyed', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n', 'b.txt': 'beta\n' });
+    await core.encryptFolder(dir, PASSWORD);
+    const before = await readTree(dir);
+
+    const wrong = await core.rekeyFolder(dir, 'wrong password', { newPassword: 'new password' });
+    assert.strictEqual(wrong.code, 'ERR_WRONG_PASSWORD');
+    assert.deepStrictEqual(await readTree(dir), before);
+    assert.strictEqual((await core.rekeyFolder(dir, PASSWORD, { kdf: { name: 'scrypt', N: 3, r: 8, p: 1 } })).code, 'ERR_INVALID_OPTION');
+    assert.strictEqual((await core.rekeyFolder(dir, PASSWORD, { newPassword: '' })).code, 'ERR_NO_PASSWORD');
+
+    const done = await core.rekeyFolder(dir, PASSWORD, { newPassword: 'new password', kdf: NEW_KDF });
+    assert.strictEqual(done.processed, 2);
+    const again = await core.rekeyFolder(dir, PASSWORD, { newPassword: 'new password', kdf: NEW_KDF });
+    assert.strictEqual(again.processed, 0);
+    assert.strictEqual(again.current.length, 2);
+    assert.strictEqual((await core.verifyFolder(dir, 'new password')).good.length, 2);
+});
+
+test('key slot folders keep their data key and the opening slot takes the new password', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+    await core.encryptFolder(dir, PASSWORD, { keySlots: true });
+    await core.addKeySlot(dir, PASSWORD, 'second password');
+
+    const res = await core.rekeyFolder(dir, PASSWORD, { newPassword: 'new password', kdf: NEW_KDF });
+    assert.strictEqual(res.processed, 1);
+    assert.strictEqual((await core.verifyFolder(dir, 'new password')).good.length, 1);
+    assert.strictEqual((await core.verifyFolder(dir, 'second password')).good.length, 1);
+    assert.strictEqual((await core.verifyFolder(dir, PASSWORD)).good.length, 0);
+});
+
+test('cancelling leaves every file whole under one of the two passwords', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = {};
+    for (let i = 0; i < 6; i++) files[`f${i}.bin`] = randomData(core.CHUNK_SIZE * 4);
+    await writeTree(dir, files);
+    await core.encryptFolder(dir, PASSWORD);
+
+    const controller = new AbortController();
+    let started = 0;
+    core.setReporter({ progress: (data) => { if (data.type === 'file' && data.action === 'start' && ++started === 3) controller.abort(); } });
+    t.after(() => core.setReporter({ progress: () => { } }));
+    const res = await core.rekeyFolder(dir, PASSWORD, { newPassword: 'new password', concurrency: 1, signal: controller.signal });
+    assert.strictEqual(res.success, true);
+    assert.ok(res.processed < 6);
+
+    const tree = await readTree(dir);
+    assert.strictEqual(Object.keys(tree).length, 6);
+    const oldGood = (await core.verifyFolder(dir, PASSWORD)).good.length;
+    const newGood = (await core.verifyFolder(dir, 'new password')).good.length;
+    assert.strictEqual(oldGood + newGood, 6);
+    assert.strictEqual((await core.rekeyFolder(dir, PASSWORD, { newPassword: 'new password' })).errors.length, 0);
+    assert.strictEqual((await core.verifyFolder(dir, 'new password')).good.length, 6);
+});
+
+test('a cancelled run leaves the key slot on the current password so running it again finishes', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n', 'b.txt': 'beta\n' });
+    await core.encryptFolder(dir, PASSWORD, { keySlots: true });
+    const slots = await fs.promises.readFile(path.join(dir, core.KEYSLOTS_NAME));
+
+    const controller = new AbortController();
+    controller.abort();
+    const cancelled = await core.rekeyFolder(dir, PASSWORD, { newPassword: 'new password', kdf: NEW_KDF, signal: controller.signal });
+    assert.strictEqual(cancelled.success, true);
+    assert.strictEqual(cancelled.processed, 0);
+    assert.ok((await fs.promises.readFile(path.join(dir, core.KEYSLOTS_NAME))).equals(slots));
+
+    const again = await core.rekeyFolder(dir, PASSWORD, { newPassword: 'new password', kdf: NEW_KDF });
+    assert.strictEqual(again.success, true, again.error);
+    assert.strictEqual(again.processed, 2);
+    assert.strictEqual((await core.verifyFolder(dir, 'new password')).good.length, 2);
+    assert.strictEqual((await core.verifyFolder(dir, PASSWORD)).good.length, 0);
+});
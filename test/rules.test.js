@@ -0,0 +1,105 @@
+// rules.test.js - include/exclude rules (.vaultignore) for folder runs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, writeTree, readTree } = require('./helpers');
+
+// Which of `paths` a filter built from `options` keeps (directories are checked the way walk would)
+async function kept(dir, options, paths) {
+    const filter = await core.loadPathFilter(dir, options);
+    return paths.filter((rel) => {
+        const parts = rel.split('/');
+        for (let i = 1; i < parts.length; i++) {
+            if (!filter.enterDir(path.join(dir, ...parts.slice(0, i)))) return false;
+        }
+        return filter.keep(path.join(dir, rel), rel);
+    });
+}
+
+test('rules follow .gitignore syntax', async (t) => {
+    const dir = await makeTempDir(t);
+    const paths = ['a.txt', 'notes.tmp', 'src/main.js', 'src/debug.log', 'build/out.bin', 'docs/build/page.html',
+        'node_modules/x/index.js', 'keep.log', 'Thumbs.db', 'photos/2024/Thumbs.db', 'deep/a/b/c.cache'];
+    const exclude = [
+        '# comments and blank lines are ignored',
+        '',
+        '*.tmp',
+        '*.log',
+        '!keep.log',
+        '/build/',
+        'node_modules/',
+        'Thumbs.db',
+        '**/b/*.cache'
+    ];
+    assert.deepStrictEqual(await kept(dir, { exclude }, paths),
+        ['a.txt', 'src/main.js', 'docs/build/page.html', 'keep.log']);
+});
+
+test('a file under an excluded folder cannot be re-included', async (t) => {
+    const dir = await makeTempDir(t);
+    const exclude = ['logs/', '!logs/important.txt'];
+    assert.deepStrictEqual(await kept(dir, { exclude }, ['logs/important.txt', 'other.txt']), ['other.txt']);
+});
+
+test('include patterns limit the run and excludes still apply', async (t) => {
+    const dir = await makeTempDir(t);
+    const paths = ['a.txt', 'docs/b.md', 'docs/draft/c.md', 'img/d.png'];
+    assert.deepStrictEqual(await kept(dir, { include: ['docs/', '*.txt'], exclude: ['draft/'] }, paths), ['a.txt', 'docs/b.md']);
+});
+
+test('.vaultignore is read from the folder root unless turned off', async (t) => {
+    const dir = await makeTempDir(t);
+    await fs.promises.writeFile(path.join(dir, core.VAULTIGNORE_NAME), '*.bak\r\n');
+    assert.deepStrictEqual(await kept(dir, {}, ['a.txt', 'a.bak']), ['a.txt']);
+    assert.deepStrictEqual(await kept(dir, { ignoreFile: false }, ['a.txt', 'a.bak']), ['a.txt', 'a.bak']);
+});
+
+test('encrypt and decrypt leave excluded files alone and report them', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, {
+        [core.VAULTIGNORE_NAME]: 'node_modules/\n*.tmp\n',
+        'a.txt': 'alpha\n',
+        'scratch.tmp': 'temp\n',
+        'node_modules/pkg/index.js': 'module.exports = 1;\n',
+        'docs/b.md': 'beta\n'
+    });
+
+    const plan = await core.previewEncryptFolder(dir);
+    assert.deepStrictEqual(plan.files.map((f) => f.path).sort(), ['a.txt', 'docs/b.md']);
+    assert.deepStrictEqual(plan.skipped.map((s) => [s.path, s.reason]).sort(),
+        [[core.VAULTIGNORE_NAME, 'rules file'], ['node_modules/', 'excluded folder'], ['scratch.tmp', 'excluded']]);
+
+    const enc = await core.encryptFolder(dir, PASSWORD, { encryptNames: true });
+    assert.strictEqual(enc.processed, 2);
+    assert.deepStrictEqual(enc.excluded.sort(), ['node_modules/', 'scratch.tmp']);
+    const names = Object.keys(await readTree(dir));
+    assert.ok(names.includes('scratch.tmp') && names.includes('node_modules/pkg/index.js') && names.includes(core.VAULTIGNORE_NAME));
+    assert.ok(!names.includes('a.txt') && !names.includes('docs/b.md'));
+
+    // Rules given at decrypt time match the paths files decrypt to, even under encrypted names
+    const dec = await core.decryptFolder(dir, PASSWORD, { exclude: ['docs/'] });
+    assert.strictEqual(dec.processed, 1);
+    assert.deepStrictEqual(dec.excluded.sort(), ['docs/b.md', 'node_modules/']);
+    const rest = await core.decryptFolder(dir, PASSWORD);
+    assert.strictEqual(rest.processed, 1);
+    const tree = await readTree(dir);
+    assert.strictEqual(tree['docs/b.md'].toString(), 'beta\n');
+    assert.ok(!(await fs.promises.stat(path.join(dir, core.MANIFEST_NAME)).catch(() => null)));
+});
+
+test('an archive leaves out what the rules exclude', async (t) => {
+    const dir = await makeTempDir(t);
+    const src = path.join(dir, 'src');
+    await writeTree(src, { 'keep.txt': 'alpha\n', 'build/out.bin': 'skip me', 'logs/a.log': 'log\n', 'docs/b.md': 'beta\n' });
+    const archivePath = path.join(dir, 'rules' + core.ARCHIVE_EXT);
+    const keys = core.createKeyCache(PASSWORD);
+    t.after(() => keys.wipe());
+    const created = await core.createArchive(src, archivePath, keys, { exclude: ['build/', '*.log'] });
+    assert.deepStrictEqual(created.excluded.sort(), ['build/', 'logs/a.log']);
+    assert.deepStrictEqual(created.files.map((file) => path.relative(src, file).split(path.sep).join('/')).sort(), ['docs/b.md', 'keep.txt']);
+    const { entries } = await core.listArchive(archivePath, keys);
+    assert.deepStrictEqual(entries.map((e) => e.path).sort(), ['docs/b.md', 'keep.txt']);
+});
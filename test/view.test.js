@@ -0,0 +1,91 @@
+// view.test.js - browsing an encrypted folder without decrypting it in place
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('../vault_core');
+const { PASSWORD, makeTempDir, writeTree, readTree, randomData } = require('./helpers');
+
+test('a vault view lists real names and reads files into memory without touching the folder', async (t) => {
+    const dir = await makeTempDir(t);
+    const files = {
+        'notes/todo.txt': 'buy milk\n',
+        'report.csv': 'id,total\n1,42\n',
+        'data.bin': randomData(core.CHUNK_SIZE * 2 + 5),
+        'empty.txt': ''
+    };
+    await writeTree(dir, files);
+    const res = await core.encryptFolder(dir, PASSWORD, { encryptNames: true });
+    assert.strictEqual(res.success, true, res.error);
+    // A compressed file too, whose size only shows on reading
+    await fs.promises.writeFile(path.join(dir, 'log.txt'), 'line\n'.repeat(1000));
+    await core.encryptFile(path.join(dir, 'log.txt'), PASSWORD, { compression: 'gzip' });
+    await fs.promises.unlink(path.join(dir, 'log.txt'));
+    const before = await readTree(dir);
+
+    const view = await core.openVaultView(dir, PASSWORD);
+    t.after(() => view.close());
+    assert.deepStrictEqual(view.entries.map((e) => e.path), ['data.bin', 'empty.txt', 'log.txt', 'notes/todo.txt', 'report.csv']);
+    const byPath = new Map(view.entries.map((e) => [e.path, e]));
+    assert.strictEqual(byPath.get('data.bin').size, files['data.bin'].length);
+    assert.strictEqual(byPath.get('empty.txt').size, 0);
+    assert.strictEqual(byPath.get('log.txt').size, null);
+    for (const [rel, data] of Object.entries(files)) {
+        assert.ok((await view.read(byPath.get(rel).file)).equals(Buffer.from(data)), rel);
+    }
+    assert.strictEqual((await view.read(byPath.get('log.txt').file)).toString(), 'line\n'.repeat(1000));
+    await assert.rejects(view.read(path.join(dir, 'elsewhere.enc')), { code: 'ERR_NOT_FOUND' });
+    assert.deepStrictEqual(await readTree(dir), before);
+
+    await view.close();
+    await assert.rejects(view.read(byPath.get('report.csv').file), { code: 'ERR_CLOSED' });
+});
+
+test('private copies live outside the folder, read-only, and are wiped on discard and close', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'sub/a.txt': 'alpha\n', 'b.txt': 'beta\n' });
+    await core.encryptFolder(dir, PASSWORD, { keySlots: true });
+    const before = await readTree(dir);
+
+    const view = await core.openVaultView(dir, PASSWORD);
+    t.after(() => view.close());
+    const [b, a] = view.entries;
+    const copyA = await view.copy(a.file);
+    const copyB = await view.copy(b.file);
+    assert.strictEqual(path.basename(copyA), 'a.txt');
+    assert.ok(copyA.startsWith(os.tmpdir()));
+    assert.strictEqual(await fs.promises.readFile(copyA, 'utf8'), 'alpha\n');
+    assert.deepStrictEqual(await readTree(dir), before);
+    const tempDir = path.dirname(path.dirname(copyA));
+    if (process.platform !== 'win32') {
+        assert.strictEqual((await fs.promises.stat(copyA)).mode & 0o777, 0o400);
+        assert.strictEqual((await fs.promises.stat(tempDir)).mode & 0o777, 0o700);
+    }
+
+    await view.discard(copyA);
+    await assert.rejects(fs.promises.stat(path.dirname(copyA)), { code: 'ENOENT' });
+    assert.strictEqual(await fs.promises.readFile(copyB, 'utf8'), 'beta\n');
+    await view.close();
+    await assert.rejects(fs.promises.stat(tempDir), { code: 'ENOENT' });
+});
+
+test('a vault view refuses a wrong password, and leftover temp folders of dead processes are wiped', async (t) => {
+    const dir = await makeTempDir(t);
+    await writeTree(dir, { 'a.txt': 'alpha\n' });
+    await core.encryptFolder(dir, PASSWORD);
+    await assert.rejects(core.openVaultView(dir, 'wrong password'), { code: 'ERR_WRONG_PASSWORD' });
+
+    // No process has pid 2^22 + 1 on Linux, macOS or Windows
+    const stale = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'foldervault-view-4194305-'));
+    await writeTree(stale, { 'f1/secret.txt': 'plaintext\n' });
+    const view = await core.openVaultView(dir, PASSWORD);
+    t.after(() => view.close());
+    const live = path.dirname(path.dirname(await view.copy(view.entries[0].file)));
+
+    assert.ok(await core.wipeStaleVaultViews() >= 1);
+    await assert.rejects(fs.promises.stat(stale), { code: 'ENOENT' });
+    // The open view's folder belongs to this process and stays
+    assert.ok((await fs.promises.stat(live)).isDirectory());
+});
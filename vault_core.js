@@ -0,0 +1,4000 @@
+// vault_core.js - FolderVault file format, crypto and folder operations
+// Shared by the Electron main process (main.js) and the command-line interface (cli.js); it has no Electron dependency.
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const os = require('os');
+const util = require('util');
+const stream = require('stream');
+const zlib = require('zlib');
+const argon2 = require('./argon2');
+const passwords = require('./passwords');
+
+const pipeline = util.promisify(stream.pipeline);
+const scrypt = util.promisify(crypto.scrypt);
+// Node.js 24.7+ has Argon2 built in; older versions use the pure-JS one in argon2.js
+const nativeArgon2 = typeof crypto.argon2 === 'function' ? util.promisify(crypto.argon2) : null;
+
+// Legacy (v1) files start with this magic followed directly by SALT | IV
+const MAGIC = Buffer.from('ELECTRON'); // 8 bytes
+// v2+ files: MAGIC_V2 | VERSION (1 byte) | HEADER_LEN (uint16 BE) | HEADER (JSON)
+// v3 appends HEADER_DIGEST (SHA-256 of everything before it) and authenticates the whole header as GCM AAD
+const MAGIC_V2 = Buffer.from('FLDVAULT'); // 8 bytes
+const FORMAT_VERSION = 3;
+const MIN_FORMAT_VERSION = 2;
+// v4 is v3 with a compressed plaintext (header field `compression`). Only compressed files are written as v4,
+// so older versions refuse them instead of handing back compressed bytes.
+const COMPRESSED_FORMAT_VERSION = 4;
+const MAX_HEADER_LEN = 64 * 1024;
+const HEADER_DIGEST_LEN = 32;
+const SALT_LEN = 16;
+const IV_LEN = 12;
+const AUTH_TAG_LEN = 16;
+const KEY_LEN = 32;
+const NONCE_LEN = 16;
+const CIPHER_ID = 'aes-256-gcm';
+// Chunked format used for new files (STREAM construction): the plaintext is split into CHUNK_SIZE segments,
+// each sealed as CIPHERTEXT | AUTH_TAG under the IV NONCE_PREFIX (7 B) | CHUNK_INDEX (uint32 BE) | LAST_FLAG (1 B)
+// with the header as AAD, so reordered, dropped or truncated chunks fail authentication where they occur.
+const STREAM_CIPHER_ID = 'aes-256-gcm-stream';
+const CHUNK_SIZE = 64 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const NONCE_PREFIX_LEN = 7;
+// HKDF context for per-file keys derived from a vault master key
+const FILE_KEY_INFO = Buffer.from('FolderVault file key v1');
+// HKDF context and length of a master key's key-check value (see keyCheck)
+const KEY_CHECK_INFO = Buffer.from('FolderVault key check v1');
+const KEY_CHECK_LEN = 16;
+// Sealed file metadata: MTIME_MS (f64 BE) | ATIME_MS (f64 BE) | MODE (u16 BE), see sealMetadata
+const METADATA_LEN = 18;
+const METADATA_AAD = Buffer.from('FolderVault file metadata v1');
+
+// KDF used for new files. Parameters are stored in each file header so they can be raised later
+// without breaking files that were encrypted with older settings.
+const DEFAULT_KDF = { name: 'scrypt', N: 16384, r: 8, p: 1 };
+// v1 files carry no parameters; they were always written with these
+const LEGACY_KDF = { name: 'scrypt', N: 16384, r: 8, p: 1 };
+// Argon2id parameters (m in KiB) when only the name is chosen: RFC 9106's second recommendation, in one lane
+const ARGON2_KDF = { name: 'argon2id', m: 65536, t: 3, p: 1 };
+const KDF_NAMES = ['scrypt', 'argon2id'];
+
+// Log and progress sinks. main.js forwards these to the renderer ('vault-log' / 'vault-progress'); the CLI prints them.
+const reporter = { log: (msg) => console.log(msg), progress: () => { } };
+
+function setReporter({ log, progress } = {}) {
+    if (log) reporter.log = log;
+    if (progress) reporter.progress = progress;
+}
+
+function sendLog(...parts) {
+    reporter.log(parts.join(' '));
+}
+
+function sendProgress(data) {
+    reporter.progress(data);
+}
+
+// Transform stream that counts bytes and reports progress via a callback
+const { Transform } = require('stream');
+class CountingTransform extends Transform {
+    constructor(total = 0, onProgress = () => { }) {
+        super();
+        this.total = total;
+        this.seen = 0;
+        this.onProgress = onProgress;
+    }
+    _transform(chunk, encoding, callback) {
+        this.seen += chunk.length;
+        try { this.onProgress(this.seen, this.total); } catch (e) { /* ignore */ }
+        this.push(chunk);
+        callback();
+    }
+}
+
+const SYMLINK_POLICIES = ['skip', 'store', 'follow'];
+
+// options.symlinks for folder runs, defaulting to 'skip'
+function symlinkPolicy(value) {
+    if (value === undefined || value === null) return 'skip';
+    if (!SYMLINK_POLICIES.includes(value)) throw vaultError('ERR_INVALID_OPTION', `Unknown symlink policy: ${value}`);
+    return value;
+}
+
+function direntKind(dirent) {
+    if (dirent.isDirectory()) return 'directory';
+    if (dirent.isFile()) return 'file';
+    if (dirent.isSymbolicLink()) return 'symlink';
+    if (dirent.isFIFO()) return 'fifo';
+    if (dirent.isSocket()) return 'socket';
+    return 'device';
+}
+
+// Async generator to walk a directory recursively
+// options.onDir is called with each subdirectory path (files are yielded, directories are not);
+// options.enterDir(dir), when given, can return false to leave a subdirectory out entirely.
+// options.symlinks is the policy for symbolic links: 'skip' (the default), 'store' (yield the link itself) or
+// 'follow' (walk into linked folders and yield linked files, visiting each real folder once so link loops end).
+// A linked folder outside the one being walked is never entered, as its files would be changed where they are.
+// options.onSkip(path, kind, reason) hears about everything else that is not yielded: skipped, broken, looping or
+// outside links and FIFOs, sockets and devices.
+async function* walk(dir, options = {}, visited = null, realRoot = null) {
+    const follow = options.symlinks === 'follow';
+    if (follow && !visited) {
+        const st = await fs.promises.stat(dir);
+        visited = new Set([`${st.dev}:${st.ino}`]);
+        realRoot = await fs.promises.realpath(dir);
+    }
+    const skip = (res, kind, reason) => { if (options.onSkip) options.onSkip(res, kind, reason); };
+    const dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+    for (const dirent of dirents) {
+        const res = path.resolve(dir, dirent.name);
+        let kind = direntKind(dirent);
+        let st = null;
+        if (kind === 'symlink') {
+            if (options.symlinks === 'store') {
+                yield res;
+                continue;
+            }
+            if (!follow) {
+                skip(res, kind, 'symbolic link');
+                continue;
+            }
+            st = await fs.promises.stat(res).catch(() => null);
+            if (!st) {
+                skip(res, kind, 'broken link');
+                continue;
+            }
+            kind = st.isDirectory() ? 'directory' : st.isFile() ? 'file' : null;
+            if (!kind) {
+                skip(res, 'symlink', 'link to a special file');
+                continue;
+            }
+        }
+        if (kind === 'directory') {
+            if (follow) {
+                st = st || await fs.promises.stat(res);
+                const id = `${st.dev}:${st.ino}`;
+                if (visited.has(id)) {
+                    skip(res, dirent.isSymbolicLink() ? 'symlink' : kind, 'link loop or folder already walked');
+                    continue;
+                }
+                if (dirent.isSymbolicLink() && !(await fs.promises.realpath(res)).startsWith(realRoot + path.sep)) {
+                    skip(res, 'symlink', 'link to a folder outside this one');
+                    continue;
+                }
+                visited.add(id);
+            }
+            if (options.enterDir && !options.enterDir(res)) continue;
+            if (options.onDir) options.onDir(res);
+            yield* walk(res, options, visited, realRoot);
+        } else if (kind === 'file') {
+            yield res;
+        } else {
+            skip(res, kind, 'not a regular file');
+        }
+    }
+}
+
+// Walk the tree once and stat every file: [{ file, size, mtimeMs, nlink, id, link }] in walk order, so a folder run
+// has its file list and byte total up front and can tell later whether a file changed. `id` identifies the file's
+// data (device and inode) and `link` marks a symbolic link yielded under the 'store' policy, which is described by
+// lstat. Files that disappear between readdir and stat are left out. options are passed to walk, and
+// options.keep(file), when given, can return false to leave a file out.
+async function snapshotFolder(dir, options = {}) {
+    const entries = [];
+    const followed = new Set();
+    for await (const file of walk(dir, options)) {
+        if (options.keep && !options.keep(file)) continue;
+        const lst = options.symlinks === 'store' || options.symlinks === 'follow' ? await statIfExists(file, true) : null;
+        const link = !!lst && lst.isSymbolicLink() && options.symlinks === 'store';
+        const st = await statIfExists(file, link);
+        if (!st) continue;
+        if (lst && lst.isSymbolicLink() && !link) followed.add(file);
+        entries.push({ file, size: st.size, mtimeMs: st.mtimeMs, nlink: st.nlink, id: `${st.dev}:${st.ino}`, link });
+    }
+    if (followed.size === 0) return entries;
+    // A followed link to a file the walk also reaches directly would only encrypt the same data twice
+    const direct = new Set(entries.filter((e) => !followed.has(e.file)).map((e) => e.id));
+    return entries.filter((e) => {
+        if (!followed.has(e.file) || !direct.has(e.id)) return true;
+        if (options.onSkip) options.onSkip(e.file, 'symlink', 'link to a file already in the folder');
+        return false;
+    });
+}
+
+// stat (or lstat, for a link itself) that resolves to null for a missing file
+async function statIfExists(file, link = false) {
+    try {
+        return await (link ? fs.promises.lstat(file) : fs.promises.stat(file));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+// Whether a fresh stat (null for a missing file) still matches a snapshot entry
+function sameFile(entry, st) {
+    return !!st && st.size === entry.size && st.mtimeMs === entry.mtimeMs;
+}
+
+// Secure delete: overwrite file with random data multiple times and unlink (best-effort)
+const SECURE_DELETE_PASSES = 3;
+async function secureDelete(filePath, passes = SECURE_DELETE_PASSES) {
+    try {
+        // Overwriting through a symbolic link would destroy its target; the link itself holds no file data
+        if ((await fs.promises.lstat(filePath)).isSymbolicLink()) {
+            await fs.promises.unlink(filePath);
+            return;
+        }
+        const stats = await fs.promises.stat(filePath);
+        const size = stats.size;
+        const fd = await fs.promises.open(filePath, 'r+');
+        try {
+            const chunk = 64 * 1024; // 64KB buffer
+            // Reuse a single buffer and fill it with random bytes to avoid many allocations
+            const buf = Buffer.allocUnsafe(chunk);
+            for (let pass = 0; pass < passes; pass++) {
+                let written = 0;
+                while (written < size) {
+                    const toWrite = Math.min(chunk, size - written);
+                    // Fill only the needed portion with random bytes
+                    crypto.randomFillSync(buf, 0, toWrite);
+                    await fd.write(buf, 0, toWrite, written);
+                    written += toWrite;
+                }
+                // fs.promises.FileHandle may or may not expose sync(); use whichever is available
+                if (typeof fd.sync === 'function') {
+                    await fd.sync();
+                } else {
+                    // fallback to fsync on the numeric fd
+                    await fs.promises.fsync(fd.fd);
+                }
+            }
+        } finally {
+            await fd.close();
+        }
+        await fs.promises.unlink(filePath);
+        sendLog('secureDelete: removed', filePath);
+    } catch (err) {
+        sendLog('secureDelete failed for', filePath, '-', err.message);
+    }
+}
+
+// Validate KDF parameters read from a header before using them (guards against absurd work factors).
+// `keyFile: true` marks keys whose KDF input combines the password with a key file (see createKeyCache).
+// scrypt takes { N, r, p }; argon2id takes { m (memory in KiB, up to 1 GiB), t (passes), p (lanes) }.
+function checkKdfParams(kdf) {
+    if (!kdf || typeof kdf !== 'object') throw new Error('Missing KDF parameters');
+    if (!KDF_NAMES.includes(kdf.name)) throw new Error(`Unsupported KDF: ${kdf.name}`);
+    if (kdf.keyFile !== undefined && kdf.keyFile !== true) throw new Error('Invalid key file flag');
+    if (kdf.name === 'argon2id') {
+        const { m, t, p } = kdf;
+        if (!Number.isInteger(p) || p < 1 || p > 16) throw new Error('Invalid Argon2id p');
+        if (!Number.isInteger(m) || m < 8 * p || m > 1024 * 1024) throw new Error('Invalid Argon2id m');
+        if (!Number.isInteger(t) || t < 1 || t > 32) throw new Error('Invalid Argon2id t');
+        return;
+    }
+    const { N, r, p } = kdf;
+    if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0 || N > 2 ** 20) throw new Error('Invalid scrypt N');
+    if (!Number.isInteger(r) || r < 1 || r > 32) throw new Error('Invalid scrypt r');
+    if (!Number.isInteger(p) || p < 1 || p > 16) throw new Error('Invalid scrypt p');
+}
+
+// options.kdf for operations that write new keys: DEFAULT_KDF when left out, ERR_INVALID_OPTION when unusable
+function kdfOption(kdf) {
+    if (kdf === undefined || kdf === null) return DEFAULT_KDF;
+    try {
+        checkKdfParams(kdf);
+    } catch (err) {
+        throw vaultError('ERR_INVALID_OPTION', err.message);
+    }
+    return kdf;
+}
+
+// Derive the file key from the password using the KDF described by `kdf` and the given salt
+async function deriveKey(password, kdf, salt) {
+    checkKdfParams(kdf);
+    if (kdf.name === 'argon2id') {
+        const { m, t, p } = kdf;
+        if (nativeArgon2) {
+            return nativeArgon2('argon2id', { message: password, nonce: salt, parallelism: p, tagLength: KEY_LEN, memory: m, passes: t });
+        }
+        // Pure JS runs for a second or more, so it gets a thread of its own
+        return argon2.argon2idAsync(password, salt, { m, t, p }, KEY_LEN);
+    }
+    const { N, r, p } = kdf;
+    // Node's default maxmem (32MB) is too small for larger N; allow what the parameters require
+    const maxmem = 128 * N * r + 128 * r * p + 1024 * 1024;
+    return scrypt(password, salt, KEY_LEN, { N, r, p, maxmem });
+}
+
+const CALIBRATION_TARGET_MS = 1000;
+const CALIBRATION_MAX_MEMORY_KIB = 256 * 1024;
+// Floor for calibrated Argon2id memory (OWASP's minimum), whatever the machine's speed
+const ARGON2_MIN_MEMORY_KIB = 19 * 1024;
+
+// Milliseconds one derivation with `kdf` takes here
+async function timeKdf(kdf) {
+    const start = process.hrtime.bigint();
+    (await deriveKey('calibration', kdf, crypto.randomBytes(SALT_LEN))).fill(0);
+    return Math.max(Number(process.hrtime.bigint() - start) / 1e6, 1);
+}
+
+// Benchmark this machine and pick KDF parameters that take about options.targetMs (1000 ms by default) to derive.
+// options: { name: 'argon2id' (default) or 'scrypt', targetMs, maxMemoryKiB (256 MiB by default) }. Argon2id keeps
+// three passes while memory can still grow, then adds passes; scrypt doubles N from DEFAULT_KDF's. The result
+// never falls below DEFAULT_KDF's cost or ARGON2_MIN_MEMORY_KIB, and is ready to pass as options.kdf.
+async function calibrateKdf(options = {}) {
+    const name = options.name || 'argon2id';
+    const targetMs = options.targetMs === undefined ? CALIBRATION_TARGET_MS : options.targetMs;
+    const maxMemoryKiB = options.maxMemoryKiB === undefined ? CALIBRATION_MAX_MEMORY_KIB : options.maxMemoryKiB;
+    if (!KDF_NAMES.includes(name)) throw vaultError('ERR_INVALID_OPTION', `Unknown KDF: ${name}`);
+    if (!Number.isFinite(targetMs) || targetMs < 10 || targetMs > 60000) throw vaultError('ERR_INVALID_OPTION', 'The target time must be 10 ms to 60 s');
+    if (!Number.isInteger(maxMemoryKiB) || maxMemoryKiB < ARGON2_MIN_MEMORY_KIB || maxMemoryKiB > 1024 * 1024) {
+        throw vaultError('ERR_INVALID_OPTION', 'The memory limit must be 19 MiB to 1 GiB');
+    }
+    if (name === 'scrypt') {
+        // Time and memory (128 * N * r bytes) both grow linearly with N
+        const ms = await timeKdf(DEFAULT_KDF);
+        let N = DEFAULT_KDF.N;
+        while (N < 2 ** 20 && ms * (N * 2) / DEFAULT_KDF.N <= targetMs && 128 * N * 2 * DEFAULT_KDF.r <= maxMemoryKiB * 1024) N *= 2;
+        return Object.assign({}, DEFAULT_KDF, { N });
+    }
+    // Argon2id time grows with memory times passes; a 16 MiB pass gives the rate
+    const probe = { name, m: 16 * 1024, t: 1, p: 1 };
+    const budget = targetMs * probe.m / await timeKdf(probe);
+    const m = Math.max(ARGON2_MIN_MEMORY_KIB, Math.min(maxMemoryKiB, Math.floor(budget / 3 / 1024) * 1024));
+    const t = Math.max(1, Math.min(32, Math.round(budget / m)));
+    return { name, m, t, p: 1 };
+}
+
+const PASSPHRASE_WORDS = 6;
+const STRENGTH_LABELS = passwords.STRENGTH_LABELS;
+const passwordStrength = passwords.passwordStrength;
+
+// A random passphrase from the bundled diceware wordlist (12.9 bits per word). options: { words (4 to 20,
+// PASSPHRASE_WORDS by default), separator (one character that is not a letter, '-' by default) }; returns
+// { passphrase, bits }
+function generatePassphrase(options = {}) {
+    const words = options.words === undefined ? PASSPHRASE_WORDS : options.words;
+    const separator = options.separator === undefined ? '-' : options.separator;
+    if (!Number.isInteger(words) || words < 4 || words > 20) throw vaultError('ERR_INVALID_OPTION', 'A passphrase has 4 to 20 words');
+    if (typeof separator !== 'string' || separator.length !== 1 || /[a-z]/i.test(separator)) {
+        throw vaultError('ERR_INVALID_OPTION', 'The separator must be one character that is not a letter');
+    }
+    return passwords.generatePassphrase(words, separator);
+}
+
+// Refuse a new password whose passwordStrength score is below minStrength (0-4; 0 or undefined allows any) with
+// ERR_WEAK_PASSWORD. An empty password is left alone: a key file or recipients stand in for it.
+function checkPasswordPolicy(password, minStrength) {
+    if (minStrength === undefined || minStrength === null) return;
+    if (!Number.isInteger(minStrength) || minStrength < 0 || minStrength >= STRENGTH_LABELS.length) {
+        throw vaultError('ERR_INVALID_OPTION', `The minimum strength must be 0 to ${STRENGTH_LABELS.length - 1}`);
+    }
+    if (!password) return;
+    const strength = passwordStrength(password);
+    if (strength.score < minStrength) {
+        throw vaultError('ERR_WEAK_PASSWORD', `The password is ${strength.label}; at least ${STRENGTH_LABELS[minStrength]} is required`);
+    }
+}
+
+// Per-file key from a vault master key: cheap HKDF-SHA256 keyed by the file's random nonce
+function deriveFileKey(masterKey, nonce) {
+    return Buffer.from(crypto.hkdfSync('sha256', masterKey, nonce, FILE_KEY_INFO, KEY_LEN));
+}
+
+// Key-check value of a vault master key, stored as `check` in the header of every file keyed from it, so a wrong
+// password is caught right after the KDF instead of by a failing chunk. It comes from its own HKDF context, so it
+// says nothing about the file keys, and guessing passwords against it costs a KDF run per guess like the chunk
+// tags it stands in for.
+function keyCheck(masterKey) {
+    return Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), KEY_CHECK_INFO, KEY_CHECK_LEN));
+}
+
+// The error for a password (with its key file or identity) that a key check or the key slots have shown is wrong
+function incorrectPassword(withKeyFile, withIdentity) {
+    const what = withIdentity ? 'password or identity' : withKeyFile ? 'password or key file' : 'password';
+    return vaultError('ERR_WRONG_PASSWORD', `Incorrect ${what}`);
+}
+
+// Key file: any file can be one (its SHA-256 is what counts); generateKeyFile writes this many random bytes
+const KEY_FILE_LEN = 64;
+
+// SHA-256 of a key file's contents, for createKeyCache
+async function readKeyFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    try {
+        for await (const chunk of fs.createReadStream(filePath)) {
+            size += chunk.length;
+            hash.update(chunk);
+        }
+    } catch (err) {
+        throw vaultError('ERR_KEYFILE', `Cannot read the key file: ${err.message}`);
+    }
+    if (size === 0) throw vaultError('ERR_KEYFILE', 'The key file is empty');
+    return hash.digest();
+}
+
+// Write a new random key file. An existing file is never replaced, since whatever it unlocks would be lost.
+async function generateKeyFile(filePath) {
+    let handle;
+    try {
+        handle = await fs.promises.open(filePath, 'wx', 0o600);
+    } catch (err) {
+        if (err.code === 'EEXIST') throw vaultError('ERR_EXISTS', `${filePath} already exists`);
+        throw err;
+    }
+    try {
+        await handle.writeFile(crypto.randomBytes(KEY_FILE_LEN));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    sendLog('Created key file', filePath);
+    return filePath;
+}
+
+// Recipients (public-key encryption in the style of age): an identity is an X25519 key pair kept in a text file,
+// and its public key, the recipient, is a short string that can be handed out freely. A folder is encrypted to
+// recipients through recipient key slots (see sealRecipientSlot), which only the matching identity opens.
+// Both are raw 32-byte keys in base64url after their prefix.
+const RECIPIENT_PREFIX = 'fvpk1';
+const IDENTITY_PREFIX = 'FVSK1';
+const RECIPIENT_PATTERN = /^fvpk1[A-Za-z0-9_-]{43}$/;
+const IDENTITY_PATTERN = /^FVSK1[A-Za-z0-9_-]{43}$/;
+// PKCS#8 DER prefix of a raw X25519 private key, so one can be imported without its public half
+const X25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b656e04220420', 'hex');
+
+function recipientKey(recipient) {
+    return crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: recipient.slice(RECIPIENT_PREFIX.length) }, format: 'jwk' });
+}
+
+function recipientOf(publicKey) {
+    return RECIPIENT_PREFIX + publicKey.export({ format: 'jwk' }).x;
+}
+
+// Validate a recipient string; surrounding whitespace is ignored
+function parseRecipient(text) {
+    const recipient = String(text).trim();
+    if (!RECIPIENT_PATTERN.test(recipient)) throw vaultError('ERR_RECIPIENT', `Not a FolderVault public key: ${recipient}`);
+    try {
+        recipientKey(recipient);
+    } catch (e) {
+        throw vaultError('ERR_RECIPIENT', `Not a FolderVault public key: ${recipient}`);
+    }
+    return recipient;
+}
+
+// Recipients listed in a public key file: one per line, blank lines and '#' comments ignored
+async function readRecipients(filePath) {
+    let text;
+    try {
+        text = await fs.promises.readFile(filePath, 'utf8');
+    } catch (err) {
+        throw vaultError('ERR_RECIPIENT', `Cannot read the public key file: ${err.message}`);
+    }
+    const recipients = text.split(/\r?\n/).map((line) => line.trim()).filter((line) => line && !line.startsWith('#')).map(parseRecipient);
+    if (recipients.length === 0) throw vaultError('ERR_RECIPIENT', 'The file holds no FolderVault public key');
+    return recipients;
+}
+
+// Write a new identity file (never replacing an existing file); resolves to { identity, recipient }
+async function generateIdentity(filePath) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+    const recipient = recipientOf(publicKey);
+    const text = `# FolderVault identity: keep this file secret, it opens folders encrypted to its public key\n` +
+        `# created: ${new Date().toISOString()}\n# public key: ${recipient}\n${IDENTITY_PREFIX}${privateKey.export({ format: 'jwk' }).d}\n`;
+    let handle;
+    try {
+        handle = await fs.promises.open(filePath, 'wx', 0o600);
+    } catch (err) {
+        if (err.code === 'EEXIST') throw vaultError('ERR_EXISTS', `${filePath} already exists`);
+        throw err;
+    }
+    try {
+        await handle.writeFile(text);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    sendLog('Created identity', filePath, 'with public key', recipient);
+    return { identity: filePath, recipient };
+}
+
+// Private key and recipient of an identity file, for createKeyCache
+async function readIdentity(filePath) {
+    let text;
+    try {
+        text = await fs.promises.readFile(filePath, 'utf8');
+    } catch (err) {
+        throw vaultError('ERR_IDENTITY', `Cannot read the identity file: ${err.message}`);
+    }
+    const line = text.split(/\r?\n/).map((l) => l.trim()).find((l) => IDENTITY_PATTERN.test(l));
+    if (!line) throw vaultError('ERR_IDENTITY', 'Not a FolderVault identity file');
+    const raw = Buffer.from(line.slice(IDENTITY_PREFIX.length), 'base64url');
+    const der = Buffer.concat([X25519_PKCS8_PREFIX, raw]);
+    try {
+        const privateKey = crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' });
+        return { privateKey, recipient: recipientOf(crypto.createPublicKey(privateKey)) };
+    } finally {
+        raw.fill(0);
+        der.fill(0);
+    }
+}
+
+// Key cache for one folder operation. The password is stretched once per (KDF params, salt) pair and
+// files get their own keys through deriveFileKey, so scrypt no longer runs for every file.
+// New files written through this cache share `kdf`/`salt`; call wipe() when the operation ends.
+// `keyFile` is a key file digest (readKeyFile): new files then need both, marked by `keyFile: true` in their KDF
+// parameters, and the password (which may be empty) is combined with it as HMAC-SHA256(keyFile, password) before
+// scrypt. Files without the mark still open with the password alone. wipe() also zeroes `keyFile`.
+// useVault(id, dataKey) hands the cache a folder's unlocked data key (see openKeySlots): files whose header names
+// that `vault` id are keyed from it, and so are new files from then on. wipe() zeroes the data key too.
+// `identity` (readIdentity) opens recipient key slots addressed to its `recipient`.
+// keyCheck(hdr) gives the key-check value for a new file's header, and opens(hdr) tells whether the password opens
+// the master key of a file whose header carries one.
+function createKeyCache(password, kdf = DEFAULT_KDF, keyFile = null, identity = null) {
+    const masters = new Map();
+    const salt = crypto.randomBytes(SALT_LEN);
+    let vaultId = null;
+    let dataKey = null;
+    if (keyFile) kdf = Object.assign({}, kdf, { keyFile: true });
+
+    function secret(params) {
+        if (!params.keyFile) return password;
+        if (!keyFile) throw vaultError('ERR_KEYFILE_REQUIRED', 'This data is locked with a key file; choose the key file to unlock it');
+        return crypto.createHmac('sha256', keyFile).update(String(password), 'utf8').digest();
+    }
+
+    function master(params, masterSalt) {
+        const id = JSON.stringify(params) + ':' + masterSalt.toString('hex');
+        if (!masters.has(id)) {
+            // Cache the promise so concurrent callers share one derivation
+            const pending = Promise.resolve().then(() => deriveKey(secret(params), params, masterSalt));
+            pending.catch(() => masters.delete(id));
+            masters.set(id, pending);
+        }
+        return masters.get(id);
+    }
+
+    return {
+        kdf,
+        salt,
+        vault: null,
+        recipient: identity ? identity.recipient : null,
+        // Returns a fresh key buffer for the file described by `hdr` ({ kdf, salt, vault, nonce }); the caller zeroes it
+        async fileKey(hdr) {
+            if (hdr.vault) {
+                if (hdr.vault !== vaultId) {
+                    throw vaultError('ERR_AUTH_FAILED', `This file is locked by key slots (${KEYSLOTS_NAME}) that this password has not unlocked`);
+                }
+                return deriveFileKey(dataKey, hdr.nonce);
+            }
+            // Files without a nonce predate vault keys and use the stretched password directly
+            if (!hdr.nonce) return deriveKey(secret(hdr.kdf), hdr.kdf, hdr.salt);
+            return deriveFileKey(await master(hdr.kdf, hdr.salt), hdr.nonce);
+        },
+        // Key-check value (see keyCheck) for the header of a new file keyed like `hdr`; null for files keyed from
+        // the folder's data key, whose key slots already catch a wrong password
+        async keyCheck(hdr) {
+            if (hdr.vault) return null;
+            return keyCheck(await master(hdr.kdf, hdr.salt));
+        },
+        // Whether this password opens the master key of the file described by `hdr`, which must carry a check
+        async opens(hdr) {
+            return crypto.timingSafeEqual(keyCheck(await master(hdr.kdf, hdr.salt)), hdr.check);
+        },
+        wrongPassword() {
+            return incorrectPassword(!!keyFile, !!identity);
+        },
+        // The password (and key file) stretched with `params` and `stretchSalt`, uncached; the caller zeroes it
+        stretch(params, stretchSalt) {
+            return Promise.resolve().then(() => deriveKey(secret(params), params, stretchSalt));
+        },
+        // X25519 secret shared between the identity and `publicKey`; the caller zeroes it
+        agree(publicKey) {
+            if (!identity) throw vaultError('ERR_IDENTITY', 'No identity was given');
+            return crypto.diffieHellman({ privateKey: identity.privateKey, publicKey });
+        },
+        // Copy of the unlocked data key, for sealing it into new slots; the caller zeroes it
+        vaultKey() {
+            if (!dataKey) throw vaultError('ERR_AUTH_FAILED', 'The key slots are not unlocked');
+            return Buffer.from(dataKey);
+        },
+        useVault(id, key) {
+            if (dataKey) dataKey.fill(0);
+            vaultId = id;
+            dataKey = key;
+            this.vault = id;
+        },
+        async wipe() {
+            const keys = await Promise.allSettled(masters.values());
+            masters.clear();
+            if (keyFile) keyFile.fill(0);
+            if (dataKey) dataKey.fill(0);
+            identity = null;
+            for (const k of keys) {
+                try { if (k.value && typeof k.value.fill === 'function') k.value.fill(0); } catch (e) { /* best-effort */ }
+            }
+        }
+    };
+}
+
+// Key cache for a call that was not handed one: options.kdf applies to new files, options.keyFile is the path
+// of a key file to use along with the password and options.identity the path of an identity file
+async function keyCacheFor(password, options = {}) {
+    return createKeyCache(password, options.kdf, options.keyFile ? await readKeyFile(options.keyFile) : null,
+        options.identity ? await readIdentity(options.identity) : null);
+}
+
+// Key for a single-file call that was not handed a key cache. A file locked by key slots first unlocks the
+// record they live in, found in the file's folder or the nearest folder above it that has one with its id.
+async function ownFileKey(hdr, encPath, password, options) {
+    const keys = await keyCacheFor(password, options);
+    try {
+        if (hdr.vault) await openKeySlots(keys, await findKeySlots(path.dirname(path.resolve(encPath)), hdr.vault));
+        // A wrong password stops here, before any chunk is read
+        if (hdr.check && !await keys.opens(hdr)) throw keys.wrongPassword();
+        return await keys.fileKey(hdr);
+    } finally {
+        await keys.wipe();
+    }
+}
+
+// Build an error carrying a stable code so callers can tell failure kinds apart
+function vaultError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+// Frame a JSON header: MAGIC_V2 | VERSION | HEADER_LEN | JSON | HEADER_DIGEST
+function frameHeader(fields) {
+    const json = Buffer.from(JSON.stringify(fields), 'utf8');
+    const fixed = Buffer.alloc(3);
+    fixed.writeUInt8(fields.compression ? COMPRESSED_FORMAT_VERSION : FORMAT_VERSION, 0);
+    fixed.writeUInt16BE(json.length, 1);
+    const body = Buffer.concat([MAGIC_V2, fixed, json]);
+    const digest = crypto.createHash('sha256').update(body).digest();
+    return Buffer.concat([body, digest]);
+}
+
+// Serialize a v3 file header
+// `nonce` is set for files keyed from a vault master key (see createKeyCache); files keyed from a folder's key
+// slots name the record's `vault` id in place of `kdf`/`salt`. Chunked files pass
+// `chunkSize` and `noncePrefix` instead of a single `iv`. `entry` is 'symlink' for a stored link, whose
+// plaintext is the link target; regular files leave it out. `meta` is the sealed metadata (see sealMetadata).
+// `compression` names the method the chunked plaintext was compressed with (see COMPRESSION_CODECS). `check` is
+// the master key's key-check value (see keyCheck), for files with a `nonce` and no `vault`.
+function buildHeader({ kdf, salt, vault, nonce, check, iv, chunkSize, noncePrefix, entry, meta, compression }) {
+    return frameHeader({
+        entry,
+        meta: meta ? meta.toString('base64') : undefined,
+        compression: compression || undefined,
+        cipher: chunkSize ? STREAM_CIPHER_ID : CIPHER_ID,
+        kdf: vault ? undefined : Object.assign({}, kdf, { salt: salt.toString('base64') }),
+        check: check ? check.toString('base64') : undefined,
+        vault: vault || undefined,
+        hkdf: nonce ? { hash: 'sha256', nonce: nonce.toString('base64') } : undefined,
+        iv: iv ? iv.toString('base64') : undefined,
+        stream: chunkSize ? { chunkSize, noncePrefix: noncePrefix.toString('base64') } : undefined
+    });
+}
+
+// Read a framed (v2/v3) header that starts after the MAGIC_V2 bytes.
+// Returns { version, headerLen, header, raw } where raw is the header bytes when authenticated (v3+), else null
+async function readFramedHeader(handle, fileSize) {
+    const fixed = Buffer.alloc(3);
+    if (fileSize < MAGIC_V2.length + fixed.length) throw new Error('File too small to be valid');
+    await handle.read(fixed, 0, fixed.length, MAGIC_V2.length);
+    const version = fixed.readUInt8(0);
+    const jsonLen = fixed.readUInt16BE(1);
+    if (version < MIN_FORMAT_VERSION || version > COMPRESSED_FORMAT_VERSION) throw new Error(`Unsupported format version: ${version}`);
+    if (jsonLen === 0 || jsonLen > MAX_HEADER_LEN) throw new Error('Invalid header length');
+
+    // v2 headers end after the JSON; v3 headers carry a digest and are authenticated as AAD
+    const authenticated = version >= 3;
+    const bodyLen = MAGIC_V2.length + fixed.length + jsonLen;
+    const headerLen = bodyLen + (authenticated ? HEADER_DIGEST_LEN : 0);
+    if (fileSize < headerLen + AUTH_TAG_LEN) throw vaultError('ERR_TRUNCATED', 'File is truncated');
+    const headerBuf = Buffer.alloc(headerLen);
+    await handle.read(headerBuf, 0, headerLen, 0);
+
+    if (authenticated) {
+        const expected = crypto.createHash('sha256').update(headerBuf.slice(0, bodyLen)).digest();
+        if (!crypto.timingSafeEqual(expected, headerBuf.slice(bodyLen))) {
+            throw vaultError('ERR_HEADER_TAMPERED', 'File header has been modified or is corrupted');
+        }
+    }
+
+    let header;
+    try {
+        header = JSON.parse(headerBuf.slice(bodyLen - jsonLen, bodyLen).toString('utf8'));
+    } catch (e) {
+        throw new Error('Malformed file header');
+    }
+    if (!header || typeof header !== 'object') throw new Error('Malformed file header');
+    return { version, headerLen, header, raw: authenticated ? headerBuf : null };
+}
+
+// Split the header's kdf object into validated parameters and the salt
+function parseKdf(header) {
+    checkKdfParams(header.kdf);
+    const salt = Buffer.from(String(header.kdf.salt || ''), 'base64');
+    if (salt.length !== SALT_LEN) throw new Error('Malformed file header');
+    const kdf = Object.assign({}, header.kdf);
+    delete kdf.salt;
+    return { kdf, salt };
+}
+
+// Read and parse the header of an encrypted file (v1, v2 or v3).
+// Returns { version, headerLen, entry, cipher, kdf, salt, vault, nonce, check, iv, chunkSize, noncePrefix, meta, compression, aad }
+// where entry is 'file' or 'symlink', vault is the key slot record id (kdf and salt are then null) or null, nonce is
+// null for per-file-salt files, check is the master key's key-check value or null (files from before key checks, and
+// ones without a master key or locked by key slots), iv is null for chunked files (chunkSize/noncePrefix are null otherwise), meta is the
+// sealed metadata or null, compression is the method name or null and aad is the raw header (v3+) or null
+async function readHeader(handle, fileSize) {
+    const magic = Buffer.alloc(MAGIC.length);
+    if (fileSize < MAGIC.length) throw new Error('File too small to be valid');
+    await handle.read(magic, 0, MAGIC.length, 0);
+
+    if (magic.equals(MAGIC)) {
+        // v1: fixed layout, parameters implied
+        const headerLen = MAGIC.length + SALT_LEN + IV_LEN;
+        if (fileSize < headerLen + AUTH_TAG_LEN) throw vaultError('ERR_TRUNCATED', 'File is truncated');
+        const buf = Buffer.alloc(SALT_LEN + IV_LEN);
+        await handle.read(buf, 0, buf.length, MAGIC.length);
+        return {
+            version: 1,
+            headerLen,
+            entry: 'file',
+            cipher: CIPHER_ID,
+            kdf: LEGACY_KDF,
+            salt: buf.slice(0, SALT_LEN),
+            vault: null,
+            nonce: null,
+            check: null,
+            iv: buf.slice(SALT_LEN),
+            chunkSize: null,
+            noncePrefix: null,
+            meta: null,
+            compression: null,
+            aad: null
+        };
+    }
+
+    if (!magic.equals(MAGIC_V2)) throw new Error('Invalid file magic');
+
+    const { version, headerLen, header, raw } = await readFramedHeader(handle, fileSize);
+    if (header.type === 'archive') throw new Error('This is a FolderVault archive, not an encrypted file');
+    if (header.cipher !== CIPHER_ID && header.cipher !== STREAM_CIPHER_ID) throw new Error(`Unsupported cipher: ${header.cipher}`);
+    const entry = header.entry === undefined ? 'file' : header.entry;
+    if (entry !== 'file' && (entry !== 'symlink' || header.cipher !== STREAM_CIPHER_ID)) throw new Error(`Unsupported entry type: ${entry}`);
+    // Files locked by key slots carry the record's id instead of KDF parameters, and always an HKDF nonce
+    let kdf = null;
+    let salt = null;
+    let vault = null;
+    if (header.vault !== undefined) {
+        vault = String(header.vault);
+        if (!VAULT_ID_PATTERN.test(vault) || !header.hkdf) throw new Error('Malformed file header');
+    } else {
+        ({ kdf, salt } = parseKdf(header));
+    }
+    let iv = null;
+    let chunkSize = null;
+    let noncePrefix = null;
+    if (header.cipher === STREAM_CIPHER_ID) {
+        // Chunk IVs are built from the prefix; the header must be authenticated since it is every chunk's AAD
+        const s = header.stream || {};
+        chunkSize = s.chunkSize;
+        noncePrefix = Buffer.from(String(s.noncePrefix || ''), 'base64');
+        if (!raw || !Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_CHUNK_SIZE ||
+            noncePrefix.length !== NONCE_PREFIX_LEN) {
+            throw new Error('Malformed file header');
+        }
+    } else {
+        iv = Buffer.from(String(header.iv || ''), 'base64');
+        if (iv.length !== IV_LEN) throw new Error('Malformed file header');
+    }
+    let nonce = null;
+    if (header.hkdf) {
+        nonce = Buffer.from(String(header.hkdf.nonce || ''), 'base64');
+        if (header.hkdf.hash !== 'sha256' || nonce.length !== NONCE_LEN) throw new Error('Malformed file header');
+    }
+    let check = null;
+    if (header.check !== undefined) {
+        check = Buffer.from(String(header.check), 'base64');
+        if (!kdf || !nonce || check.length !== KEY_CHECK_LEN) throw new Error('Malformed file header');
+    }
+    let meta = null;
+    if (header.meta !== undefined) {
+        meta = Buffer.from(String(header.meta), 'base64');
+        if (!noncePrefix || meta.length !== METADATA_LEN + AUTH_TAG_LEN) throw new Error('Malformed file header');
+    }
+    // Compression is only for chunked regular files, and always comes with the v4 version byte
+    let compression = null;
+    if (header.compression !== undefined || version >= COMPRESSED_FORMAT_VERSION) {
+        compression = String(header.compression);
+        if (version < COMPRESSED_FORMAT_VERSION || !Object.prototype.hasOwnProperty.call(COMPRESSION_CODECS, compression) ||
+            !noncePrefix || entry !== 'file') {
+            throw new Error('Malformed file header');
+        }
+    }
+
+    return { version, headerLen, entry, cipher: header.cipher, kdf, salt, vault, nonce, check, iv, chunkSize, noncePrefix, meta, compression, aad: raw };
+}
+
+// GCM reports any tag mismatch with this generic OpenSSL message
+function isAuthFailure(err) {
+    return !!err && /unable to authenticate data/i.test(err.message || '');
+}
+
+// IV for one chunk of a chunked file: NONCE_PREFIX | CHUNK_INDEX | LAST_FLAG
+function chunkNonce(prefix, index, last) {
+    if (index > 0xffffffff) throw new Error('File too large for the chunked format');
+    const iv = Buffer.alloc(IV_LEN);
+    prefix.copy(iv, 0);
+    iv.writeUInt32BE(index, NONCE_PREFIX_LEN);
+    iv.writeUInt8(last ? 1 : 0, NONCE_PREFIX_LEN + 4);
+    return iv;
+}
+
+function sealChunk(key, prefix, index, last, aad, plain) {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, chunkNonce(prefix, index, last));
+    cipher.setAAD(aad);
+    return Buffer.concat([cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+}
+
+// Authenticate and decrypt one sealed chunk. A failure on chunk 0 may be a wrong password; once chunk 0 has
+// authenticated the key is known to be right, so later failures are reported as corruption.
+function openChunk(key, prefix, index, last, aad, sealed) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, chunkNonce(prefix, index, last));
+    decipher.setAAD(aad);
+    decipher.setAuthTag(sealed.slice(sealed.length - AUTH_TAG_LEN));
+    try {
+        return Buffer.concat([decipher.update(sealed.slice(0, sealed.length - AUTH_TAG_LEN)), decipher.final()]);
+    } catch (err) {
+        if (!isAuthFailure(err)) throw err;
+        if (index === 0) throw vaultError('ERR_AUTH_FAILED', 'Wrong password or corrupted data (authentication failed)');
+        throw vaultError('ERR_CORRUPTED', `Chunk ${index} is corrupted (authentication failed)`);
+    }
+}
+
+// Times and permission bits worth restoring after a round trip, from a fs.Stats
+function fileMetadata(st) {
+    return { mtimeMs: st.mtimeMs, atimeMs: st.atimeMs, mode: st.mode & 0o777 };
+}
+
+// IV for the sealed metadata: the chunk IV layout with a last flag no chunk uses
+function metadataNonce(prefix) {
+    const iv = chunkNonce(prefix, 0xffffffff, false);
+    iv.writeUInt8(2, NONCE_PREFIX_LEN + 4);
+    return iv;
+}
+
+// Seal file metadata under the file key. It goes in the header, which every chunk authenticates, so it stays
+// private and cannot be swapped between files.
+function sealMetadata(key, prefix, meta) {
+    const plain = Buffer.alloc(METADATA_LEN);
+    plain.writeDoubleBE(meta.mtimeMs, 0);
+    plain.writeDoubleBE(meta.atimeMs, 8);
+    plain.writeUInt16BE(meta.mode, 16);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, metadataNonce(prefix));
+    cipher.setAAD(METADATA_AAD);
+    return Buffer.concat([cipher.update(plain), cipher.final(), cipher.getAuthTag()]);
+}
+
+function openMetadata(key, prefix, sealed) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, metadataNonce(prefix));
+    decipher.setAAD(METADATA_AAD);
+    decipher.setAuthTag(sealed.slice(METADATA_LEN));
+    let plain;
+    try {
+        plain = Buffer.concat([decipher.update(sealed.slice(0, METADATA_LEN)), decipher.final()]);
+    } catch (err) {
+        if (isAuthFailure(err)) throw vaultError('ERR_CORRUPTED', 'File metadata is corrupted (authentication failed)');
+        throw err;
+    }
+    return { mtimeMs: plain.readDoubleBE(0), atimeMs: plain.readDoubleBE(8), mode: plain.readUInt16BE(16) & 0o777 };
+}
+
+// Apply the metadata sealed in `hdr` (if any) to a decrypted file or restored link. Best-effort: a file system
+// that cannot hold permissions or times still gets the file, and the log says what was lost.
+async function restoreMetadata(target, hdr, key) {
+    if (!hdr.meta) return;
+    const meta = openMetadata(key, hdr.noncePrefix, hdr.meta);
+    const link = hdr.entry === 'symlink';
+    if (!link) {
+        try {
+            await fs.promises.chmod(target, meta.mode);
+        } catch (err) {
+            sendLog('Could not restore permissions for', target, '-', err.message);
+        }
+    }
+    try {
+        // utimes takes seconds; fractions keep the sub-millisecond part where the file system stores it
+        await (link ? fs.promises.lutimes : fs.promises.utimes)(target, meta.atimeMs / 1000, meta.mtimeMs / 1000);
+    } catch (err) {
+        sendLog('Could not restore timestamps for', target, '-', err.message);
+    }
+}
+
+// Transform that seals its input into chunks. A full chunk is held back until more input arrives so the
+// final chunk (empty for an empty file) is the one sealed with the last flag.
+class ChunkSealTransform extends Transform {
+    constructor(key, noncePrefix, chunkSize, aad) {
+        super();
+        this.key = key;
+        this.noncePrefix = noncePrefix;
+        this.chunkSize = chunkSize;
+        this.aad = aad;
+        this.index = 0;
+        this.pending = Buffer.alloc(0);
+    }
+    _transform(chunk, encoding, callback) {
+        try {
+            this.pending = Buffer.concat([this.pending, chunk]);
+            while (this.pending.length > this.chunkSize) {
+                this.push(sealChunk(this.key, this.noncePrefix, this.index++, false, this.aad, this.pending.slice(0, this.chunkSize)));
+                this.pending = this.pending.slice(this.chunkSize);
+            }
+            callback();
+        } catch (err) {
+            callback(err);
+        }
+    }
+    _flush(callback) {
+        try {
+            this.push(sealChunk(this.key, this.noncePrefix, this.index++, true, this.aad, this.pending));
+            this.pending = Buffer.alloc(0);
+            callback();
+        } catch (err) {
+            callback(err);
+        }
+    }
+}
+
+// Random-access view of a chunked file opened on `handle`; read(i) returns the authenticated plaintext of chunk i
+function chunkReader(handle, hdr, key, fileSize) {
+    const sealedSize = hdr.chunkSize + AUTH_TAG_LEN;
+    const body = fileSize - hdr.headerLen;
+    const count = Math.max(1, Math.ceil(body / sealedSize));
+    const lastLen = body - (count - 1) * sealedSize;
+    if (lastLen < AUTH_TAG_LEN) throw vaultError('ERR_TRUNCATED', 'File is truncated (incomplete final chunk)');
+    return {
+        count,
+        sealedSize,
+        // plaintext length
+        size: (count - 1) * hdr.chunkSize + lastLen - AUTH_TAG_LEN,
+        async read(index) {
+            const last = index === count - 1;
+            const len = last ? lastLen : sealedSize;
+            const buf = Buffer.alloc(len);
+            const { bytesRead } = await handle.read(buf, 0, len, hdr.headerLen + index * sealedSize);
+            if (bytesRead !== len) throw vaultError('ERR_TRUNCATED', 'File is truncated');
+            try {
+                return openChunk(key, hdr.noncePrefix, index, last, hdr.aad, buf);
+            } catch (err) {
+                // A full final chunk that opens as a middle chunk means the file was cut at a chunk boundary
+                if (last && index > 0 && len === sealedSize && err.code) {
+                    let cut = false;
+                    try { openChunk(key, hdr.noncePrefix, index, false, hdr.aad, buf).fill(0); cut = true; } catch (e) { /* not a cut */ }
+                    if (cut) throw vaultError('ERR_TRUNCATED', 'File is truncated (final chunk missing)');
+                }
+                throw err;
+            }
+        }
+    };
+}
+
+// Optional compression of a file's plaintext before it is sealed, named in the header's `compression` field.
+// zstd needs a Node.js whose zlib has it; files written with it only open where it is available.
+const COMPRESSION_CODECS = {
+    gzip: { compress: () => zlib.createGzip(), decompress: () => zlib.createGunzip() },
+    // Brotli's default quality (11) is far too slow for whole folders
+    brotli: {
+        compress: () => zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } }),
+        decompress: () => zlib.createBrotliDecompress()
+    },
+    zstd: { compress: () => zlib.createZstdCompress(), decompress: () => zlib.createZstdDecompress() }
+};
+
+function compressionAvailable(name) {
+    return name !== 'zstd' || typeof zlib.createZstdCompress === 'function';
+}
+
+// Compression methods this Node.js can write and read
+function compressionMethods() {
+    return Object.keys(COMPRESSION_CODECS).filter(compressionAvailable);
+}
+
+// options.compression: a method name, or 'none' (the default) to store files as they are. Resolves to the name or null.
+function compressionMethod(value) {
+    if (value === undefined || value === null || value === 'none') return null;
+    if (!Object.prototype.hasOwnProperty.call(COMPRESSION_CODECS, value)) throw vaultError('ERR_INVALID_OPTION', `Unknown compression method: ${value}`);
+    if (!compressionAvailable(value)) throw vaultError('ERR_UNSUPPORTED', `${value} compression is not available in this version of Node.js`);
+    return value;
+}
+
+// Formats that are compressed already; compressing them again costs time and saves next to nothing
+const COMPRESSED_EXTENSIONS = new Set([
+    '.gz', '.tgz', '.bz2', '.xz', '.txz', '.zst', '.lz4', '.br', '.zip', '.7z', '.rar', '.jar', '.apk',
+    '.docx', '.xlsx', '.pptx', '.odt', '.ods', '.odp', '.epub',
+    '.jpg', '.jpeg', '.png', '.gif', '.webp', '.heic', '.avif',
+    '.mp3', '.aac', '.m4a', '.ogg', '.opus', '.flac', '.mp4', '.m4v', '.mov', '.mkv', '.webm'
+]);
+// Leading bytes of the same kinds of files under other names
+const COMPRESSED_SIGNATURES = [
+    [0x1f, 0x8b], // gzip
+    [0x42, 0x5a, 0x68], // bzip2
+    [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], // xz
+    [0x28, 0xb5, 0x2f, 0xfd], // zstd
+    [0x50, 0x4b, 0x03, 0x04], // zip and the formats built on it
+    [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c], // 7z
+    [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07], // rar
+    [0xff, 0xd8, 0xff], // jpeg
+    [0x89, 0x50, 0x4e, 0x47], // png
+    [0x47, 0x49, 0x46, 0x38] // gif
+].map((bytes) => Buffer.from(bytes));
+
+// Whether the file is stored compressed already, judged by its extension and then its first bytes
+async function isCompressedFile(filePath) {
+    if (COMPRESSED_EXTENSIONS.has(path.extname(filePath).toLowerCase())) return true;
+    const head = Buffer.alloc(8);
+    const handle = await fs.promises.open(filePath, 'r');
+    let bytesRead;
+    try {
+        ({ bytesRead } = await handle.read(head, 0, head.length, 0));
+    } finally {
+        await handle.close();
+    }
+    return COMPRESSED_SIGNATURES.some((sig) => bytesRead >= sig.length && head.slice(0, sig.length).equals(sig));
+}
+
+// Stream that undoes the header's compression
+function decompressor(hdr) {
+    if (!compressionAvailable(hdr.compression)) {
+        throw vaultError('ERR_UNSUPPORTED', `This file is ${hdr.compression}-compressed, which this version of Node.js cannot read`);
+    }
+    return COMPRESSION_CODECS[hdr.compression].decompress();
+}
+
+// zlib reports bad input with Z_* codes (ERR__* for brotli). Data that authenticated yet does not inflate was
+// written wrong, so it is reported as corruption.
+function decompressionError(err) {
+    if (typeof err.errno !== 'number' || !/^(Z_|ERR__)/.test(err.code || '')) return err;
+    return vaultError('ERR_CORRUPTED', `Compressed data is damaged (${err.message})`);
+}
+
+// The authenticated chunks of a chunked file in order, as a stream
+function chunkStream(reader, onChunk = () => { }, signal, cancelMessage) {
+    return stream.Readable.from((async function* () {
+        for (let i = 0; i < reader.count; i++) {
+            if (signal && signal.aborted) throw vaultError('ERR_CANCELLED', cancelMessage);
+            yield await reader.read(i);
+            onChunk(i);
+        }
+    })());
+}
+
+// Seal the plaintext coming out of `sources` (streams in pipeline order) as a chunked file under `key` into a temp file
+// next to outPath, starting with `header`, which every chunk authenticates. Resolves to the synced temp file's path
+// for the caller to rename into place; on failure the temp file is removed, and a cancel through `signal` becomes
+// ERR_CANCELLED with `cancelMessage`. The pipeline starts before anything is awaited, so an already-aborted signal
+// is still heard by the sources.
+async function writeSealed(outPath, header, key, noncePrefix, sources, signal, cancelMessage) {
+    const cipher = new ChunkSealTransform(key, noncePrefix, CHUNK_SIZE, header);
+    const tmpPath = outPath + '.tmp-' + crypto.randomBytes(6).toString('hex');
+    const writeStream = fs.createWriteStream(tmpPath);
+    // Header first (version, KDF parameters, cipher id, chunking, digest)
+    writeStream.write(header);
+
+    // wire abort to destroy streams quickly
+    const abortHandler = () => {
+        for (const s of [...sources, cipher, writeStream]) {
+            try { s.destroy(new Error('aborted')); } catch (e) { }
+        }
+    };
+    if (signal) signal.addEventListener('abort', abortHandler, { once: true });
+    try {
+        await pipeline(...sources, cipher, writeStream);
+        const fd = await fs.promises.open(tmpPath, 'r+');
+        try {
+            if (typeof fd.sync === 'function') await fd.sync();
+            else await fs.promises.fsync(fd.fd);
+        } finally {
+            await fd.close();
+        }
+        return tmpPath;
+    } catch (err) {
+        // Never leave a half-written file behind
+        await fs.promises.unlink(tmpPath).catch(() => { });
+        if (signal && signal.aborted) throw vaultError('ERR_CANCELLED', cancelMessage);
+        throw err;
+    } finally {
+        if (signal) signal.removeEventListener('abort', abortHandler);
+    }
+}
+
+// Encrypt a single file -> creates filePath + '.enc' (or options.outPath)
+// encryptFile supports an options object { signal, kdf, keys, keyFile, outPath, entry } to support abortion, custom
+// KDF parameters, a shared per-operation key cache (see createKeyCache) or a key file, and a custom output name. With
+// entry: 'symlink', filePath must be a symbolic link and the link itself (its target path) is encrypted.
+// The file's times and permission bits are sealed into the header and restored by decryptFile.
+// options.compression (see compressionMethod) compresses the file before sealing it, unless it is compressed already.
+// options.minStrength refuses a weak password (see checkPasswordPolicy) when no key cache is passed.
+async function encryptFile(filePath, password, options = {}) {
+    if (!options.keys) checkPasswordPolicy(password, options.minStrength);
+    const entry = options.entry === 'symlink' ? 'symlink' : undefined;
+    let compression = entry ? null : compressionMethod(options.compression);
+    if (compression && await isCompressedFile(filePath)) {
+        sendLog('Not compressing (already compressed):', filePath);
+        compression = null;
+    }
+    // Taken before reading, which may move the access time
+    const st = entry ? await fs.promises.lstat(filePath) : await fs.promises.stat(filePath);
+    // Folder operations pass a shared key cache; a single-file call gets its own
+    const keys = options.keys || await keyCacheFor(password, options);
+    const nonce = crypto.randomBytes(NONCE_LEN);
+    const noncePrefix = crypto.randomBytes(NONCE_PREFIX_LEN);
+    let key;
+    let check;
+    try {
+        key = await keys.fileKey({ kdf: keys.kdf, salt: keys.salt, vault: keys.vault, nonce });
+        check = await keys.keyCheck({ kdf: keys.kdf, salt: keys.salt, vault: keys.vault });
+    } finally {
+        if (!options.keys) await keys.wipe();
+    }
+    try {
+        const meta = sealMetadata(key, noncePrefix, fileMetadata(st));
+        const header = buildHeader({ kdf: keys.kdf, salt: keys.salt, vault: keys.vault, nonce, check, chunkSize: CHUNK_SIZE, noncePrefix, entry, meta, compression });
+        const outPath = options.outPath || `${filePath}.enc`;
+
+        // counting transform for per-file byte progress
+        const linkTarget = entry ? Buffer.from(await fs.promises.readlink(filePath), 'utf8') : null;
+        const totalBytes = linkTarget ? linkTarget.length : st.size;
+        const counter = new CountingTransform(totalBytes, (seen) => {
+            sendProgress({ type: 'file-progress', file: filePath, seen, total: totalBytes });
+        });
+
+        // Stream the file through the cipher into output (respect optional signal)
+        // Create read stream (support signal option in Node >= 16.7); nothing may be awaited between here
+        // and writeSealed(), or an already-aborted signal errors the stream before anyone listens
+        const readOpts = options.signal ? { signal: options.signal } : undefined;
+        const readStream = linkTarget ? stream.Readable.from([linkTarget], readOpts) : fs.createReadStream(filePath, readOpts);
+        const sources = compression ? [readStream, counter, COMPRESSION_CODECS[compression].compress()] : [readStream, counter];
+        // Write to a temp file and rename it into place, so a crash never leaves a half-written outPath
+        const tmpPath = await writeSealed(outPath, header, key, noncePrefix, sources, options.signal, 'Encryption cancelled');
+        try {
+            await fs.promises.rename(tmpPath, outPath);
+        } catch (err) {
+            await fs.promises.unlink(tmpPath).catch(() => { });
+            throw err;
+        }
+
+        sendLog('Encrypted', filePath, '->', outPath);
+        return outPath;
+    } finally {
+        // Zero the key buffer to reduce leakage window
+        try { if (key && typeof key.fill === 'function') key.fill(0); } catch (e) { /* best-effort */ }
+    }
+}
+
+// Partial outputs kept by decryptChunks hold plaintext; folder runs leave them alone and report them
+const PARTIAL_PATTERN = /\.partial-[0-9a-f]{16}$/;
+
+function isPartialPath(filePath) {
+    return PARTIAL_PATTERN.test(filePath);
+}
+
+// Partial outputs kept next to outPath for a later run to resume from
+async function keptPartials(outPath) {
+    const prefix = path.basename(outPath) + '.partial-';
+    const names = await fs.promises.readdir(path.dirname(outPath)).catch(() => []);
+    return names.filter((name) => name.startsWith(prefix) && isPartialPath(name)).map((name) => path.join(path.dirname(outPath), name));
+}
+
+// Decrypt a chunked file chunk by chunk: only authenticated plaintext is ever written, and a bad chunk stops the
+// run where it occurs instead of after the whole file. The output accumulates in a partial file named after this
+// file's header digest; with options.resume an interrupted or failed run keeps the authenticated prefix and the
+// next run continues from the first chunk it does not yet hold.
+async function decryptChunks(handle, hdr, key, encPath, outPath, fileSize, options) {
+    const reader = chunkReader(handle, hdr, key, fileSize);
+    const partialPath = `${outPath}.partial-${hdr.aad.slice(-HEADER_DIGEST_LEN).toString('hex').slice(0, 16)}`;
+    let first = 0;
+    if (options.resume) {
+        const held = await fs.promises.stat(partialPath).then((s) => s.size, () => 0);
+        first = Math.min(Math.floor(held / hdr.chunkSize), reader.count - 1);
+    }
+    const out = await fs.promises.open(partialPath, first > 0 ? 'r+' : 'w');
+    const total = fileSize - hdr.headerLen;
+    let done = false;
+    try {
+        if (first > 0) {
+            // Drop any chunk that was only partly written before the interruption
+            await out.truncate(first * hdr.chunkSize);
+            sendLog('Resuming', encPath, 'at chunk', String(first), 'of', String(reader.count));
+        }
+        for (let i = first; i < reader.count; i++) {
+            if (options.signal && options.signal.aborted) throw vaultError('ERR_CANCELLED', 'Decryption cancelled');
+            const plain = await reader.read(i);
+            await out.write(plain, 0, plain.length, i * hdr.chunkSize);
+            plain.fill(0);
+            sendProgress({ type: 'file-progress', file: encPath, seen: Math.min(total, (i + 1) * reader.sealedSize), total });
+        }
+        if (typeof out.sync === 'function') await out.sync();
+        else await fs.promises.fsync(out.fd);
+        done = true;
+    } finally {
+        await out.close();
+        if (!done) {
+            const held = await fs.promises.stat(partialPath).then((s) => s.size, () => 0);
+            if (options.resume && held > 0) sendLog('Kept partial output for resume:', partialPath);
+            else await fs.promises.unlink(partialPath).catch(() => { });
+        }
+    }
+    await restoreMetadata(partialPath, hdr, key);
+    await fs.promises.rename(partialPath, outPath);
+    sendLog('Decrypted', encPath, '->', outPath);
+    return outPath;
+}
+
+// Decrypt a compressed chunked file: its chunks are authenticated in order and inflated into a temp file next to
+// outPath. Chunk boundaries say nothing about where output bytes go, so there is no resume; a rerun starts over.
+async function inflateChunks(handle, hdr, key, encPath, outPath, fileSize, options) {
+    const reader = chunkReader(handle, hdr, key, fileSize);
+    const inflater = decompressor(hdr);
+    const total = fileSize - hdr.headerLen;
+    const source = chunkStream(reader, (i) => {
+        sendProgress({ type: 'file-progress', file: encPath, seen: Math.min(total, (i + 1) * reader.sealedSize), total });
+    }, options.signal, 'Decryption cancelled');
+    const tmpPath = outPath + '.tmp-' + crypto.randomBytes(6).toString('hex');
+    try {
+        await pipeline(source, inflater, fs.createWriteStream(tmpPath));
+        const out = await fs.promises.open(tmpPath, 'r+');
+        try {
+            if (typeof out.sync === 'function') await out.sync();
+            else await fs.promises.fsync(out.fd);
+        } finally {
+            await out.close();
+        }
+        await restoreMetadata(tmpPath, hdr, key);
+        await fs.promises.rename(tmpPath, outPath);
+    } catch (err) {
+        await fs.promises.unlink(tmpPath).catch(() => { });
+        throw decompressionError(err);
+    }
+    sendLog('Decrypted', encPath, '->', outPath);
+    return outPath;
+}
+
+// Recreate a stored symbolic link (see encryptFile's entry option) at outPath, replacing whatever is there
+async function restoreSymlink(handle, hdr, key, encPath, outPath, fileSize) {
+    const reader = chunkReader(handle, hdr, key, fileSize);
+    const parts = [];
+    for (let i = 0; i < reader.count; i++) parts.push(await reader.read(i));
+    const target = Buffer.concat(parts).toString('utf8');
+    const tmpPath = outPath + '.tmp-' + crypto.randomBytes(6).toString('hex');
+    await fs.promises.symlink(target, tmpPath);
+    try {
+        await restoreMetadata(tmpPath, hdr, key);
+        await fs.promises.rename(tmpPath, outPath);
+    } catch (err) {
+        await fs.promises.unlink(tmpPath).catch(() => { });
+        throw err;
+    }
+    sendLog('Restored link', outPath, '->', target);
+    return outPath;
+}
+
+// Decrypt a .enc file (v1: MAGIC|SALT|IV, v2/v3: see buildHeader) with a trailing AUTH_TAG, or a chunked file
+// decryptFile supports options { signal, keys, keyFile, identity, outPath, resume } and uses an atomic write (temp+rename);
+// the times and permission bits sealed by encryptFile are applied before the output is renamed into place
+async function decryptFile(encPath, password, options = {}) {
+    const handle = await fs.promises.open(encPath, 'r');
+    try {
+        const stat = await handle.stat();
+        const fileSize = stat.size;
+
+        const hdr = await readHeader(handle, fileSize);
+        const { headerLen, iv, aad } = hdr;
+
+        // Read auth tag (last 16 bytes)
+        const authTagBuf = Buffer.alloc(AUTH_TAG_LEN);
+        await handle.read(authTagBuf, 0, AUTH_TAG_LEN, fileSize - AUTH_TAG_LEN);
+
+        const key = options.keys ? await options.keys.fileKey(hdr) : await ownFileKey(hdr, encPath, password, options);
+        try {
+            const outPath = options.outPath || (encPath.endsWith('.enc') ? encPath.slice(0, -4) : `${encPath}.dec`);
+            if (hdr.entry === 'symlink') return await restoreSymlink(handle, hdr, key, encPath, outPath, fileSize);
+            if (hdr.compression) return await inflateChunks(handle, hdr, key, encPath, outPath, fileSize, options);
+            if (hdr.chunkSize) return await decryptChunks(handle, hdr, key, encPath, outPath, fileSize, options);
+
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+            decipher.setAuthTag(authTagBuf);
+            if (aad) decipher.setAAD(aad);
+
+            const tmpPath = outPath + '.tmp-' + crypto.randomBytes(6).toString('hex');
+
+            const start = headerLen;
+            const end = fileSize - AUTH_TAG_LEN - 1; // inclusive end position (Node.js end is inclusive)
+
+            // Handle empty files (0 bytes of encrypted data) - end will be start - 1
+            // This is valid - it means the original file was empty
+            const hasEncryptedData = end >= start;
+            const totalBytes = hasEncryptedData ? (end - start + 1) : 0; // +1 because end is inclusive
+
+            // Stream decrypted output to a temp file, then fsync & rename atomically
+            let readStream;
+            let counter;
+
+            if (hasEncryptedData) {
+                // Normal case: file has encrypted data
+                const readOpts = Object.assign({ start, end }, options.signal ? { signal: options.signal } : {});
+                readStream = fs.createReadStream(encPath, readOpts);
+                counter = new CountingTransform(totalBytes, (seen) => {
+                    sendProgress({ type: 'file-progress', file: encPath, seen, total: totalBytes });
+                });
+            } else {
+                // Empty file case: create an empty stream (no data to decrypt)
+                // Use stream.Readable which is already available via the stream module
+                const { Readable } = stream;
+                readStream = new Readable({
+                    read() {
+                        this.push(null); // End of stream immediately
+                    }
+                });
+                counter = new CountingTransform(0, (seen) => {
+                    sendProgress({ type: 'file-progress', file: encPath, seen, total: 0 });
+                });
+            }
+
+            // wire abort to destroy streams quickly
+            const abortHandler = () => {
+                try { if (readStream) readStream.destroy(new Error('aborted')); } catch (e) { }
+                try { decipher.destroy(new Error('aborted')); } catch (e) { }
+            };
+            if (options.signal) options.signal.addEventListener('abort', abortHandler, { once: true });
+
+            try {
+                const writeStream = fs.createWriteStream(tmpPath);
+                await pipeline(readStream, counter, decipher, writeStream);
+
+                // Ensure data is flushed to disk (best-effort)
+                try {
+                    const fd = await fs.promises.open(tmpPath, 'r+');
+                    try {
+                        if (typeof fd.sync === 'function') await fd.sync();
+                        else await fs.promises.fsync(fd.fd);
+                    } finally {
+                        await fd.close();
+                    }
+                } catch (e) {
+                    // ignore fsync failures but log
+                    sendLog('fsync failed for', tmpPath, '-', e.message);
+                }
+
+                await fs.promises.rename(tmpPath, outPath);
+
+                sendLog('Decrypted', encPath, '->', outPath);
+                return outPath;
+            } catch (err) {
+                // If decryption fails (e.g., wrong password), clean up the temp file
+                try {
+                    await fs.promises.unlink(tmpPath).catch(() => { });
+                    sendLog('Cleaned up temp file after decryption error:', tmpPath);
+                } catch (e) { /* ignore cleanup errors */ }
+                // The header digest already matched, so a tag failure means a wrong password or damaged data
+                if (isAuthFailure(err)) {
+                    throw vaultError('ERR_AUTH_FAILED', 'Wrong password or corrupted data (authentication failed)');
+                }
+                if (options.signal && options.signal.aborted) throw vaultError('ERR_CANCELLED', 'Decryption cancelled');
+                throw err; // re-throw the original error
+            } finally {
+                if (options.signal) options.signal.removeEventListener('abort', abortHandler);
+            }
+        } finally {
+            // Zero key buffer
+            try { if (key && typeof key.fill === 'function') key.fill(0); } catch (e) { /* best-effort */ }
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+// Random-access read of plaintext bytes [start, start + length) from a chunked file without decrypting the rest
+// options: { keys, keyFile, start, length }; only the chunks covering the range are read and authenticated, except in
+// a compressed file, whose chunks are inflated from the start up to the end of the range
+async function decryptRange(encPath, password, options = {}) {
+    const handle = await fs.promises.open(encPath, 'r');
+    try {
+        const { size: fileSize } = await handle.stat();
+        const hdr = await readHeader(handle, fileSize);
+        if (!hdr.chunkSize) throw new Error('Random access needs a chunked file (re-encrypt it with this version)');
+        const key = options.keys ? await options.keys.fileKey(hdr) : await ownFileKey(hdr, encPath, password, options);
+        try {
+            const reader = chunkReader(handle, hdr, key, fileSize);
+            const start = Math.max(0, options.start || 0);
+            if (hdr.compression) return await inflateRange(reader, hdr, start, options.length === undefined ? Infinity : start + options.length);
+            const end = options.length === undefined ? reader.size : Math.min(reader.size, start + options.length);
+            const parts = [];
+            for (let i = Math.floor(start / hdr.chunkSize); i * hdr.chunkSize < end; i++) {
+                const base = i * hdr.chunkSize;
+                parts.push((await reader.read(i)).slice(Math.max(0, start - base), end - base));
+            }
+            return Buffer.concat(parts);
+        } finally {
+            try { if (key && typeof key.fill === 'function') key.fill(0); } catch (e) { /* best-effort */ }
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+// Plaintext bytes [start, end) of a compressed file; inflation stops once the range is filled
+async function inflateRange(reader, hdr, start, end) {
+    const inflater = decompressor(hdr);
+    const source = chunkStream(reader);
+    source.on('error', (err) => inflater.destroy(err));
+    source.pipe(inflater);
+    const parts = [];
+    let pos = 0;
+    try {
+        for await (const chunk of inflater) {
+            const from = Math.max(0, start - pos);
+            const to = Math.min(chunk.length, end - pos);
+            if (to > from) parts.push(chunk.slice(from, to));
+            pos += chunk.length;
+            if (pos >= end) break;
+        }
+    } catch (err) {
+        throw decompressionError(err);
+    } finally {
+        source.destroy();
+    }
+    return Buffer.concat(parts);
+}
+
+// Encrypt an in-memory buffer as a single-tag (aes-256-gcm) record, for small records like the manifest
+async function sealBuffer(plaintext, keys) {
+    const nonce = crypto.randomBytes(NONCE_LEN);
+    const iv = crypto.randomBytes(IV_LEN);
+    const check = await keys.keyCheck({ kdf: keys.kdf, salt: keys.salt, vault: keys.vault });
+    const header = buildHeader({ kdf: keys.kdf, salt: keys.salt, vault: keys.vault, nonce, check, iv });
+    const key = await keys.fileKey({ kdf: keys.kdf, salt: keys.salt, vault: keys.vault, nonce });
+    try {
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(header);
+        const body = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        return Buffer.concat([header, body, cipher.getAuthTag()]);
+    } finally {
+        try { key.fill(0); } catch (e) { /* best-effort */ }
+    }
+}
+
+// Decrypt a buffer produced by sealBuffer (or a whole single-tag .enc file read into memory)
+async function openBuffer(data, keys) {
+    // readHeader only needs read(buffer, offset, length, position), so adapt the buffer to that shape
+    const reader = {
+        read: async (buf, offset, length, position) => {
+            data.copy(buf, offset, position, position + length);
+        }
+    };
+    const hdr = await readHeader(reader, data.length);
+    if (hdr.chunkSize) throw new Error('Chunked files must be read with decryptFile or decryptRange');
+    if (hdr.check && !await keys.opens(hdr)) throw keys.wrongPassword();
+    const key = await keys.fileKey(hdr);
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, hdr.iv);
+        decipher.setAuthTag(data.slice(data.length - AUTH_TAG_LEN));
+        if (hdr.aad) decipher.setAAD(hdr.aad);
+        try {
+            return Buffer.concat([decipher.update(data.slice(hdr.headerLen, data.length - AUTH_TAG_LEN)), decipher.final()]);
+        } catch (err) {
+            if (isAuthFailure(err)) throw vaultError('ERR_AUTH_FAILED', 'Wrong password or corrupted data (authentication failed)');
+            throw err;
+        }
+    } finally {
+        try { key.fill(0); } catch (e) { /* best-effort */ }
+    }
+}
+
+// Write a file via temp + fsync + rename so readers never see a partial file
+async function writeFileAtomic(filePath, data) {
+    const tmpPath = filePath + '.tmp-' + crypto.randomBytes(6).toString('hex');
+    const fd = await fs.promises.open(tmpPath, 'w');
+    try {
+        await fd.writeFile(data);
+        if (typeof fd.sync === 'function') await fd.sync();
+        else await fs.promises.fsync(fd.fd);
+    } finally {
+        await fd.close();
+    }
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+// Name encryption: files are stored under random names in the folder root and their real relative
+// paths (plus every directory, so empty ones survive) live in this encrypted manifest.
+const MANIFEST_NAME = '.foldervault-manifest';
+// Flush the manifest (and only then delete the originals it covers) after this many files
+const MANIFEST_FLUSH_EVERY = 64;
+
+function isManifestPath(folder, filePath) {
+    return path.dirname(filePath) === path.resolve(folder) && path.basename(filePath) === MANIFEST_NAME;
+}
+
+function opaqueName() {
+    return crypto.randomBytes(16).toString('hex') + '.enc';
+}
+
+// Relative paths are stored with '/' separators so manifests and archive indexes are portable between platforms
+function toPortablePath(folder, filePath) {
+    return path.relative(folder, filePath).split(path.sep).join('/');
+}
+
+// Resolve a stored '/'-separated path inside `folder`, refusing anything that would escape it
+function resolveInside(folder, rel) {
+    const root = path.resolve(folder);
+    const resolved = path.resolve(root, ...String(rel).split('/'));
+    if (resolved === root || !resolved.startsWith(root + path.sep)) throw new Error(`Invalid relative path: ${rel}`);
+    return resolved;
+}
+
+// Load and decrypt the folder's manifest; returns null when the folder has none.
+// Manifest shape: { version: 1, files: { '<opaque name>': 'real/relative/path' }, dirs: ['real/dir', ...] }
+async function loadManifest(folder, keys) {
+    let data;
+    try {
+        data = await fs.promises.readFile(path.join(folder, MANIFEST_NAME));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+    const manifest = JSON.parse((await openBuffer(data, keys)).toString('utf8'));
+    if (!manifest || typeof manifest.files !== 'object' || !Array.isArray(manifest.dirs)) {
+        throw new Error('Malformed manifest');
+    }
+    return manifest;
+}
+
+async function saveManifest(folder, manifest, keys) {
+    const plain = Buffer.from(JSON.stringify(manifest), 'utf8');
+    try {
+        await writeFileAtomic(path.join(folder, MANIFEST_NAME), await sealBuffer(plain, keys));
+    } finally {
+        plain.fill(0);
+    }
+}
+
+// Remove directories that are empty after their files were moved out, deepest first (best-effort)
+async function removeEmptyDirs(folder, dirs) {
+    const sorted = dirs.map((d) => resolveInside(folder, d)).sort((a, b) => b.length - a.length);
+    for (const dir of sorted) {
+        await fs.promises.rmdir(dir).catch(() => { });
+    }
+}
+
+// Folder-operation journal: a write-ahead log kept in the folder root while encryptFolder runs, so a run that
+// crashed, lost power or was cancelled can be resumed or rolled back later. It is JSON lines: a head record
+//   { version, op: 'encrypt', started, options: { keepOriginals, secureDelete, encryptNames } }
+// then one { file, out, state } record per step, where file/out are '/'-separated paths relative to the folder
+// and state is 'begin' (about to write out), 'written' (out is complete and renamed into place, the original
+// is not deleted yet) or 'done'. The last record for a file wins. The journal names files in plain text, like
+// the originals it describes, and is deleted when the run completes or is rolled back.
+const JOURNAL_NAME = '.foldervault-journal';
+const JOURNAL_VERSION = 1;
+
+// Also matches a temp copy left by a crash while the journal was being rewritten
+function isJournalPath(folder, filePath) {
+    const name = path.basename(filePath);
+    return path.dirname(filePath) === path.resolve(folder) && (name === JOURNAL_NAME || name.startsWith(JOURNAL_NAME + '.tmp-'));
+}
+
+// Read the folder's journal; returns null when there is none, else { started, options, files: Map(file -> { out, state }) }
+async function readJournal(folder) {
+    let text;
+    try {
+        text = await fs.promises.readFile(path.join(folder, JOURNAL_NAME), 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+    const lines = text.split('\n').filter((line) => line.trim());
+    let head;
+    try {
+        head = JSON.parse(lines[0]);
+    } catch (e) {
+        throw vaultError('ERR_JOURNAL', 'Malformed operation journal');
+    }
+    if (!head || head.version !== JOURNAL_VERSION || head.op !== 'encrypt') {
+        throw vaultError('ERR_JOURNAL', 'Unsupported operation journal');
+    }
+    const files = new Map();
+    for (const line of lines.slice(1)) {
+        let rec;
+        try {
+            rec = JSON.parse(line);
+        } catch (e) {
+            // A record torn by a crash can only be the last one
+            break;
+        }
+        if (rec && typeof rec.file === 'string' && typeof rec.out === 'string') {
+            files.set(rec.file, { out: rec.out, state: rec.state });
+        }
+    }
+    return { started: head.started, options: head.options || {}, files };
+}
+
+// Start a journal, or rewrite an existing one compactly (dropping a torn last record) before appending to it.
+// record(file, out, state, durable) appends one step; durable records are fsynced before it resolves.
+async function openJournal(folder, journal) {
+    const journalPath = path.join(folder, JOURNAL_NAME);
+    const head = { version: JOURNAL_VERSION, op: 'encrypt', started: journal.started, options: journal.options };
+    const lines = [JSON.stringify(head)];
+    for (const [file, entry] of journal.files) lines.push(JSON.stringify({ file, out: entry.out, state: entry.state }));
+    await writeFileAtomic(journalPath, lines.join('\n') + '\n');
+    const handle = await fs.promises.open(journalPath, 'a');
+    return {
+        async record(file, out, state, durable) {
+            await handle.write(JSON.stringify({ file: toPortablePath(folder, file), out: toPortablePath(folder, out), state }) + '\n');
+            if (durable) await handle.sync();
+        },
+        async close() {
+            await handle.close();
+        },
+        async remove() {
+            await handle.close();
+            await fs.promises.unlink(journalPath);
+        }
+    };
+}
+
+// Short summary of an interrupted run for the UI: null, or { started, options, total, begun, written, done }
+async function journalStatus(folder) {
+    const journal = await readJournal(folder);
+    if (!journal) return null;
+    const status = { started: journal.started, options: journal.options, total: journal.files.size, begun: 0, written: 0, done: 0 };
+    for (const entry of journal.files.values()) {
+        if (entry.state === 'begin') status.begun++;
+        else if (entry.state === 'written') status.written++;
+        else if (entry.state === 'done') status.done++;
+    }
+    return status;
+}
+
+// Remove temp files an interrupted encryptFile left next to `out`
+async function removeTempFiles(out) {
+    const prefix = path.basename(out) + '.tmp-';
+    const names = await fs.promises.readdir(path.dirname(out)).catch(() => []);
+    for (const name of names) {
+        if (name.startsWith(prefix)) await fs.promises.unlink(path.join(path.dirname(out), name)).catch(() => { });
+    }
+}
+
+async function pathExists(p) {
+    return fs.promises.lstat(p).then(() => true, () => false);
+}
+
+// Key slots (as in LUKS): a folder can keep a random data key in a record in its root, wrapped once for every
+// password, key file or recovery key allowed to open it. Files written while the slots are unlocked are keyed from
+// the data key (their header names the record's `vault` id instead of KDF parameters), so adding, removing or
+// changing a password rewrites only this record. It is JSON:
+//   { version, id, slots: [{ id, type, label, created, kdf, iv, wrapped }] }
+// where type is 'password' or 'recovery', kdf holds the slot's own scrypt parameters and salt (as in file headers)
+// and wrapped is the data key sealed with AES-256-GCM (ciphertext | tag) under HKDF(stretched secret, vault id),
+// with 'vault id:slot id' as AAD so slots cannot be moved between records. Losing the record loses the files.
+// 'recipient' slots have { recipient, epk } in place of kdf: the data key is wrapped under
+// HKDF(X25519(ephemeral key, recipient), epk | recipient key) and only the recipient's identity opens them.
+const KEYSLOTS_NAME = '.foldervault-keys';
+const KEYSLOTS_VERSION = 1;
+const VAULT_ID_PATTERN = /^[0-9a-f]{32}$/;
+const SLOT_TYPES = ['password', 'recovery', 'recipient'];
+const SLOT_KEY_INFO = Buffer.from('FolderVault key slot v1');
+const RECIPIENT_KEY_INFO = Buffer.from('FolderVault recipient slot v1');
+
+// Also matches a temp copy left by a crash while the record was being rewritten
+function isKeySlotsPath(folder, filePath) {
+    const name = path.basename(filePath);
+    return path.dirname(filePath) === path.resolve(folder) && (name === KEYSLOTS_NAME || name.startsWith(KEYSLOTS_NAME + '.tmp-'));
+}
+
+// Read the folder's key slot record; returns null when there is none
+async function readKeySlots(folder) {
+    let text;
+    try {
+        text = await fs.promises.readFile(path.join(folder, KEYSLOTS_NAME), 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+    const malformed = () => vaultError('ERR_CORRUPTED', `Malformed key slot record (${KEYSLOTS_NAME})`);
+    let record;
+    try {
+        record = JSON.parse(text);
+    } catch (e) {
+        throw malformed();
+    }
+    if (!record || record.version !== KEYSLOTS_VERSION || !VAULT_ID_PATTERN.test(record.id) ||
+        !Array.isArray(record.slots) || record.slots.length === 0) {
+        throw malformed();
+    }
+    for (const slot of record.slots) {
+        if (slot.type === 'recipient') {
+            if (!RECIPIENT_PATTERN.test(String(slot.recipient)) || Buffer.from(String(slot.epk || ''), 'base64').length !== KEY_LEN) {
+                throw malformed();
+            }
+        } else {
+            try {
+                parseKdf(slot);
+            } catch (e) {
+                throw malformed();
+            }
+        }
+        if (typeof slot.id !== 'string' || !SLOT_TYPES.includes(slot.type) ||
+            Buffer.from(String(slot.iv || ''), 'base64').length !== IV_LEN ||
+            Buffer.from(String(slot.wrapped || ''), 'base64').length !== KEY_LEN + AUTH_TAG_LEN) {
+            throw malformed();
+        }
+    }
+    return record;
+}
+
+async function writeKeySlots(folder, record) {
+    await writeFileAtomic(path.join(folder, KEYSLOTS_NAME), JSON.stringify(record, null, 2) + '\n');
+}
+
+// The record with id `vault` in `dir` or the nearest folder above it, for files handled on their own
+async function findKeySlots(dir, vault) {
+    for (let current = dir; ; current = path.dirname(current)) {
+        const record = await readKeySlots(current).catch(() => null);
+        if (record && record.id === vault) return record;
+        if (path.dirname(current) === current) {
+            throw vaultError('ERR_NO_KEYSLOTS', `This file is locked by key slots, but no ${KEYSLOTS_NAME} holding them was found next to it or above it`);
+        }
+    }
+}
+
+// AES key that wraps the data key in `slot`, from the secret `keys` holds
+async function slotWrapKey(keys, record, slot) {
+    const { kdf, salt } = parseKdf(slot);
+    const stretched = await keys.stretch(kdf, salt);
+    try {
+        return Buffer.from(crypto.hkdfSync('sha256', stretched, Buffer.from(record.id, 'hex'), SLOT_KEY_INFO, KEY_LEN));
+    } finally {
+        stretched.fill(0);
+    }
+}
+
+// AES key that wraps the data key in a recipient slot, from the X25519 secret its ephemeral key `epk` shares
+// with the recipient
+function recipientWrapKey(shared, epk, recipient) {
+    // An all-zero secret means a low-order public key, which would make the wrapping key public
+    if (shared.every((b) => b === 0)) throw vaultError('ERR_RECIPIENT', 'Invalid public key');
+    const salt = Buffer.concat([epk, Buffer.from(recipient.slice(RECIPIENT_PREFIX.length), 'base64url')]);
+    return Buffer.from(crypto.hkdfSync('sha256', shared, salt, RECIPIENT_KEY_INFO, KEY_LEN));
+}
+
+function slotAad(record, slot) {
+    return Buffer.from(`${record.id}:${slot.id}`, 'utf8');
+}
+
+function newSlotId(record) {
+    let id;
+    while (!id || record.slots.some((s) => s.id === id)) id = crypto.randomBytes(4).toString('hex');
+    return id;
+}
+
+// Seal `dataKey` into `slot` under `wrapKey` (adds iv and wrapped)
+function wrapDataKey(wrapKey, record, slot, dataKey) {
+    const iv = crypto.randomBytes(IV_LEN);
+    const cipher = crypto.createCipheriv(CIPHER_ID, wrapKey, iv);
+    cipher.setAAD(slotAad(record, slot));
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]);
+    return Object.assign(slot, { iv: iv.toString('base64'), wrapped: wrapped.toString('base64') });
+}
+
+// The data key in `slot`, or null when `wrapKey` is not the one it was sealed under
+function unwrapDataKey(wrapKey, record, slot) {
+    const sealed = Buffer.from(slot.wrapped, 'base64');
+    const decipher = crypto.createDecipheriv(CIPHER_ID, wrapKey, Buffer.from(slot.iv, 'base64'));
+    decipher.setAAD(slotAad(record, slot));
+    decipher.setAuthTag(sealed.slice(KEY_LEN));
+    try {
+        return Buffer.concat([decipher.update(sealed.slice(0, KEY_LEN)), decipher.final()]);
+    } catch (err) {
+        if (isAuthFailure(err)) return null;
+        throw err;
+    }
+}
+
+// New slot of `type` wrapping `dataKey` for the secret (password and key file) `keys` holds. `id` keeps an
+// existing slot's id when it is being rewritten.
+async function sealKeySlot(keys, record, dataKey, { type, label, id }) {
+    const slot = {
+        id: id || newSlotId(record),
+        type,
+        label: label ? String(label) : '',
+        created: new Date().toISOString(),
+        kdf: Object.assign({}, keys.kdf, { salt: crypto.randomBytes(SALT_LEN).toString('base64') })
+    };
+    const wrapKey = await slotWrapKey(keys, record, slot);
+    try {
+        return wrapDataKey(wrapKey, record, slot, dataKey);
+    } finally {
+        wrapKey.fill(0);
+    }
+}
+
+// New slot wrapping `dataKey` for `recipient`, through a fresh ephemeral key pair whose private half is dropped
+function sealRecipientSlot(record, dataKey, recipient, label) {
+    const ephemeral = crypto.generateKeyPairSync('x25519');
+    const epk = Buffer.from(ephemeral.publicKey.export({ format: 'jwk' }).x, 'base64url');
+    const shared = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: recipientKey(recipient) });
+    const slot = {
+        id: newSlotId(record),
+        type: 'recipient',
+        label: label ? String(label) : '',
+        created: new Date().toISOString(),
+        recipient,
+        epk: epk.toString('base64')
+    };
+    let wrapKey;
+    try {
+        wrapKey = recipientWrapKey(shared, epk, recipient);
+        return wrapDataKey(wrapKey, record, slot, dataKey);
+    } finally {
+        shared.fill(0);
+        if (wrapKey) wrapKey.fill(0);
+    }
+}
+
+// Wrapping key for `slot` from what `keys` holds, or null when it cannot open that kind of slot at all
+async function openingKey(keys, record, slot) {
+    if (slot.type !== 'recipient') return slotWrapKey(keys, record, slot);
+    if (slot.recipient !== keys.recipient) return null;
+    const epk = Buffer.from(slot.epk, 'base64');
+    const shared = keys.agree(recipientKey(RECIPIENT_PREFIX + epk.toString('base64url')));
+    try {
+        return recipientWrapKey(shared, epk, slot.recipient);
+    } finally {
+        shared.fill(0);
+    }
+}
+
+// Find the slot the secret or identity in `keys` opens; resolves to { slot, dataKey }. Every password slot costs
+// one scrypt run; recipient slots are only tried for the identity they are addressed to.
+async function openKeySlot(keys, record) {
+    let needsKeyFile = false;
+    // An identity's own slot opens without any scrypt run, so it goes first
+    const slots = record.slots.filter((s) => s.recipient && s.recipient === keys.recipient)
+        .concat(record.slots.filter((s) => !s.recipient || s.recipient !== keys.recipient));
+    for (const slot of slots) {
+        let wrapKey;
+        try {
+            wrapKey = await openingKey(keys, record, slot);
+        } catch (err) {
+            if (err.code !== 'ERR_KEYFILE_REQUIRED') throw err;
+            needsKeyFile = true;
+            continue;
+        }
+        if (!wrapKey) continue;
+        try {
+            const dataKey = unwrapDataKey(wrapKey, record, slot);
+            if (dataKey) return { slot, dataKey };
+        } finally {
+            wrapKey.fill(0);
+        }
+    }
+    if (needsKeyFile) throw vaultError('ERR_KEYFILE_REQUIRED', 'No key slot opens with this password alone; choose the key file to unlock it');
+    throw vaultError('ERR_AUTH_FAILED', keys.recipient ? 'No key slot opens with this password or identity' : 'No key slot opens with this password');
+}
+
+// Unlock `record` into `keys` (see createKeyCache.useVault)
+async function openKeySlots(keys, record) {
+    const { slot, dataKey } = await openKeySlot(keys, record);
+    keys.useVault(record.id, dataKey);
+    sendLog('Unlocked key slot', slot.id + (slot.label ? ` (${slot.label})` : ''));
+    return slot;
+}
+
+// Unlock the folder's key slots, if it has any, for a folder run; resolves to the record or null
+async function unlockFolder(folder, keys) {
+    const record = await readKeySlots(folder);
+    if (record) await openKeySlots(keys, record);
+    return record;
+}
+
+// Like unlockFolder for runs that only read: files keyed from the password alone still open when no slot
+// accepts it, and the ones locked by the slots then fail one by one
+async function tryUnlockFolder(folder, keys) {
+    try {
+        return await unlockFolder(folder, keys);
+    } catch (err) {
+        if (err.code !== 'ERR_AUTH_FAILED' && err.code !== 'ERR_KEYFILE_REQUIRED') throw err;
+        sendLog('Key slots not unlocked:', err.message);
+        return null;
+    }
+}
+
+// Set up key slots in `folder` with a fresh data key, leaving them unlocked in `keys`. options: { password, label,
+// recipients }: a password slot for the secret `keys` holds (unless password is false) and a slot per recipient.
+async function createKeySlotRecord(folder, keys, options = {}) {
+    const record = { version: KEYSLOTS_VERSION, id: crypto.randomBytes(16).toString('hex'), slots: [] };
+    const dataKey = crypto.randomBytes(KEY_LEN);
+    try {
+        if (options.password !== false) record.slots.push(await sealKeySlot(keys, record, dataKey, { type: 'password', label: options.label }));
+        for (const recipient of options.recipients || []) record.slots.push(sealRecipientSlot(record, dataKey, recipient));
+        await writeKeySlots(folder, record);
+    } catch (err) {
+        dataKey.fill(0);
+        throw err;
+    }
+    keys.useVault(record.id, dataKey);
+    sendLog('Created key slots for', folder);
+    return record;
+}
+
+// Add a slot to the unlocked `record` for each of `recipients` that has none yet; resolves to the slots added
+async function addRecipientSlots(folder, record, keys, recipients) {
+    const added = [];
+    const dataKey = keys.vaultKey();
+    try {
+        for (const recipient of recipients) {
+            if (record.slots.some((s) => s.recipient === recipient)) continue;
+            const slot = sealRecipientSlot(record, dataKey, recipient);
+            record.slots.push(slot);
+            added.push(slot);
+        }
+    } finally {
+        dataKey.fill(0);
+    }
+    if (added.length > 0) {
+        await writeKeySlots(folder, record);
+        sendLog('Encrypted to', String(added.length), 'more recipient(s)');
+    }
+    return added;
+}
+
+// Include / exclude rules for folder runs, in .gitignore syntax: '#' comments, '!' re-includes, a trailing '/'
+// matches directories only, a pattern containing '/' is anchored to the folder root, '*' and '?' stay within one
+// path segment and '**' spans any number of them. The last matching rule wins, and nothing under an excluded
+// directory can be re-included (as in git). Rules come from options.exclude and a .vaultignore file in the
+// folder root; options.include, when not empty, limits the run to paths matching one of its patterns.
+const VAULTIGNORE_NAME = '.vaultignore';
+
+function isIgnoreFilePath(folder, filePath) {
+    return path.dirname(filePath) === path.resolve(folder) && path.basename(filePath) === VAULTIGNORE_NAME;
+}
+
+function globToRegExp(glob) {
+    let re = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*') {
+            if (glob[i + 1] === '*') {
+                // '**/' matches zero or more directories, a trailing or inner '**' anything at all
+                if (glob[i + 2] === '/') {
+                    re += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    re += '.*';
+                    i++;
+                }
+            } else {
+                re += '[^/]*';
+            }
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '[') {
+            const end = glob.indexOf(']', i + 2);
+            if (end === -1) {
+                re += '\\[';
+            } else {
+                let cls = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+                if (cls[0] === '!') cls = '^' + cls.slice(1);
+                re += `[${cls}]`;
+                i = end;
+            }
+        } else if (c === '\\' && i + 1 < glob.length) {
+            re += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else {
+            re += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    return re;
+}
+
+// One rule line -> { regex, negate, dirOnly }, or null for blank lines and comments
+function parseRule(line) {
+    let text = line.replace(/\r$/, '').replace(/(^|[^\\])\s+$/, '$1');
+    if (!text || text.startsWith('#')) return null;
+    let negate = false;
+    if (text.startsWith('!')) {
+        negate = true;
+        text = text.slice(1);
+    } else if (text.startsWith('\\#') || text.startsWith('\\!')) {
+        text = text.slice(1);
+    }
+    const dirOnly = text.endsWith('/');
+    if (dirOnly) text = text.slice(0, -1);
+    const anchored = text.includes('/');
+    if (text.startsWith('/')) text = text.slice(1);
+    if (!text) return null;
+    const body = globToRegExp(text);
+    return { regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`), negate, dirOnly };
+}
+
+function parseRules(lines) {
+    return (lines || []).map(parseRule).filter(Boolean);
+}
+
+// Last matching rule wins; `rel` is a portable relative path
+function lastMatch(rules, rel, isDir) {
+    let excluded = false;
+    for (const rule of rules) {
+        if (rule.dirOnly && !isDir) continue;
+        if (rule.regex.test(rel)) excluded = !rule.negate;
+    }
+    return excluded;
+}
+
+// True when `rel` or one of its parent directories is matched by the rules
+function matchesWithParents(rules, rel, isDir) {
+    const parts = rel.split('/');
+    for (let i = 1; i < parts.length; i++) {
+        if (lastMatch(rules, parts.slice(0, i).join('/'), true)) return true;
+    }
+    return lastMatch(rules, rel, isDir);
+}
+
+// Build the filter for one folder run. options: { exclude: [line], include: [pattern], ignoreFile: boolean }
+// (ignoreFile defaults to true). The returned filter has enterDir(dir) for walk and keep(file, rel) for files,
+// and collects what it left out in `excluded` as portable paths, directories with a trailing '/'.
+async function loadPathFilter(folder, options = {}) {
+    let fileLines = [];
+    if (options.ignoreFile !== false) {
+        try {
+            fileLines = (await fs.promises.readFile(path.join(folder, VAULTIGNORE_NAME), 'utf8')).split('\n');
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+    }
+    const exclude = parseRules(fileLines.concat(options.exclude || []));
+    const include = parseRules(options.include || []).filter((rule) => !rule.negate);
+    const excluded = [];
+    return {
+        active: exclude.length > 0 || include.length > 0,
+        excluded,
+        enterDir(dir) {
+            const rel = toPortablePath(folder, dir);
+            if (!lastMatch(exclude, rel, true)) return true;
+            excluded.push(rel + '/');
+            return false;
+        },
+        keep(file, rel = toPortablePath(folder, file)) {
+            const keep = !matchesWithParents(exclude, rel, false) && (include.length === 0 || matchesWithParents(include, rel, false));
+            if (!keep) excluded.push(rel);
+            return keep;
+        }
+    };
+}
+
+// Rules a run was started with, in the form the journal keeps them so a resumed run applies the same ones
+function ruleOptions(options) {
+    return {
+        exclude: Array.isArray(options.exclude) ? options.exclude.map(String) : [],
+        include: Array.isArray(options.include) ? options.include.map(String) : [],
+        ignoreFile: options.ignoreFile !== false
+    };
+}
+
+// Parallel folder runs: how many files are in flight at once unless options.concurrency says otherwise
+const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, os.cpus().length));
+const MAX_CONCURRENCY = 32;
+// Files at least this large are handed to a worker thread in parallel runs; smaller ones are mostly I/O and
+// not worth the message round trips
+const WORKER_MIN_BYTES = 1024 * 1024;
+
+function resolveConcurrency(value) {
+    const n = value === undefined ? DEFAULT_CONCURRENCY : Math.floor(Number(value));
+    if (!Number.isFinite(n) || n < 1) return 1;
+    return Math.min(n, MAX_CONCURRENCY);
+}
+
+// Run `task` for every item of an (async) iterable with at most `limit` tasks in flight. Stops taking new items
+// once `shouldStop()` returns true or a task throws, waits for the running ones, then rethrows the first error.
+async function forEachLimit(items, limit, task, shouldStop) {
+    const running = new Set();
+    let failure = null;
+    for await (const item of items) {
+        if (failure || (shouldStop && shouldStop())) break;
+        const p = Promise.resolve()
+            .then(() => task(item))
+            .catch((err) => { if (!failure) failure = err; })
+            .finally(() => running.delete(p));
+        running.add(p);
+        if (running.size >= limit) await Promise.race(running);
+    }
+    await Promise.all(running);
+    if (failure) throw failure;
+}
+
+// Parallel runs finish files out of order; entries carry their walk `position` so summaries come out the same
+// every time. Returns the entries sorted by it, without it.
+function inWalkOrder(entries) {
+    return entries.sort((a, b) => a.position - b.position).map(({ position, ...rest }) => rest);
+}
+
+// Worker threads (vault_worker.js) that do the cipher work for large files in parallel folder runs. Workers
+// hold no key cache: each asks the parent for the key of the file it is working on, so the password is
+// still stretched once per vault salt, here. Workers are started on first use, up to `size`.
+function createWorkerPool(size, keys) {
+    const { Worker } = require('worker_threads');
+    const slots = [];
+    const waiting = [];
+    let nextId = 1;
+
+    function release(slot) {
+        slot.job = null;
+        const next = waiting.shift();
+        if (next) {
+            // Reserve the slot so nothing else claims it before the waiting job starts
+            slot.job = {};
+            next(slot);
+        }
+    }
+
+    function finish(slot, msg) {
+        const job = slot.job;
+        release(slot);
+        if (!job || !job.resolve) return;
+        job.cleanup();
+        if (msg.error) job.reject(vaultError(msg.error.code, msg.error.message));
+        else job.resolve(msg.result);
+    }
+
+    async function sendKey(slot, msg) {
+        let key;
+        try {
+            const hdr = {
+                kdf: msg.hdr.kdf,
+                salt: msg.hdr.salt ? Buffer.from(msg.hdr.salt) : null,
+                vault: msg.hdr.vault,
+                nonce: msg.hdr.nonce ? Buffer.from(msg.hdr.nonce) : null
+            };
+            // A key check request (see createKeyCache) is answered like a key; it may be null
+            key = msg.check ? await keys.keyCheck(hdr) : await keys.fileKey(hdr);
+            // postMessage copies the key, so this buffer can be zeroed straight away
+            slot.worker.postMessage({ type: 'key', req: msg.req, key });
+        } catch (err) {
+            slot.worker.postMessage({ type: 'key', req: msg.req, error: { code: err.code, message: err.message } });
+        } finally {
+            try { if (key) key.fill(0); } catch (e) { /* best-effort */ }
+        }
+    }
+
+    function spawn() {
+        const slot = { worker: null, job: null };
+        slot.worker = new Worker(path.join(__dirname, 'vault_worker.js'), { workerData: { kdf: keys.kdf, salt: keys.salt, vault: keys.vault } });
+        slot.worker.on('message', (msg) => {
+            if (msg.type === 'log') sendLog(msg.msg);
+            else if (msg.type === 'progress') sendProgress(msg.data);
+            else if (msg.type === 'key') sendKey(slot, msg);
+            else if (msg.type === 'done') finish(slot, msg);
+        });
+        slot.worker.on('error', (err) => {
+            // A crashed worker fails its job and is replaced on demand
+            slots.splice(slots.indexOf(slot), 1);
+            finish(slot, { error: { message: `Worker failed: ${err.message}` } });
+        });
+        slots.push(slot);
+        return slot;
+    }
+
+    function acquire() {
+        const free = slots.find((s) => !s.job);
+        if (free) {
+            free.job = {};
+            return Promise.resolve(free);
+        }
+        if (slots.length < size) {
+            const slot = spawn();
+            slot.job = {};
+            return Promise.resolve(slot);
+        }
+        return new Promise((resolve) => waiting.push(resolve));
+    }
+
+    return {
+        // Run encryptFile / decryptFile / verifyFile ('encrypt' | 'decrypt' | 'verify') on a worker.
+        // options: { signal, outPath, resume, entry }
+        async run(op, file, options = {}) {
+            const slot = await acquire();
+            const id = nextId++;
+            const signal = options.signal;
+            return new Promise((resolve, reject) => {
+                const onAbort = () => slot.worker.postMessage({ type: 'abort', id });
+                if (signal) signal.addEventListener('abort', onAbort, { once: true });
+                slot.job = { resolve, reject, cleanup: () => { if (signal) signal.removeEventListener('abort', onAbort); } };
+                slot.worker.postMessage({
+                    type: 'job', id, op, file,
+                    options: { outPath: options.outPath, resume: options.resume, entry: options.entry, compression: options.compression }
+                });
+                if (signal && signal.aborted) onAbort();
+            });
+        },
+        async close() {
+            await Promise.all(slots.map((s) => s.worker.terminate()));
+        }
+    };
+}
+
+const FILE_OPS = { encrypt: encryptFile, decrypt: decryptFile, verify: verifyFile };
+
+// One file's work in a folder run: on a worker when the run has a pool and the file (of `size` bytes) is large,
+// else in-process. options are passed to the file function and must include the run's `keys`
+async function runFileOp(pool, op, file, size, password, options) {
+    if (pool && size >= WORKER_MIN_BYTES) return pool.run(op, file, options);
+    return FILE_OPS[op](file, password, options);
+}
+
+// Single-file archive container (.fvault):
+//   HEADER (framed, type 'archive') | ENTRY* | INDEX | TRAILER
+// Each ENTRY is IV | ciphertext | AUTH_TAG for one file, keyed with HKDF(master, entry nonce).
+// INDEX has the same shape and holds the encrypted JSON list of entries and directories, so one path can be
+// listed or extracted without decrypting anything else.
+// TRAILER is INDEX_OFFSET (uint64 BE) | INDEX_LEN (uint64 BE) | INDEX_NONCE | ARCHIVE_TRAILER_MAGIC.
+// The header is AAD for every entry; the index AAD additionally binds the trailer fields.
+const ARCHIVE_EXT = '.fvault';
+const ARCHIVE_TRAILER_MAGIC = Buffer.from('FVINDEX1');
+const ARCHIVE_TRAILER_LEN = 8 + 8 + NONCE_LEN + ARCHIVE_TRAILER_MAGIC.length;
+const MAX_ARCHIVE_INDEX_LEN = 256 * 1024 * 1024;
+
+function buildArchiveHeader(keys) {
+    return frameHeader({
+        type: 'archive',
+        cipher: CIPHER_ID,
+        kdf: Object.assign({}, keys.kdf, { salt: keys.salt.toString('base64') })
+    });
+}
+
+// Encrypt one file into the archive starting at `position`; returns its index entry and the new end position
+async function appendArchiveEntry(out, position, folder, filePath, keys, header, options = {}) {
+    const nonce = crypto.randomBytes(NONCE_LEN);
+    const iv = crypto.randomBytes(IV_LEN);
+    const key = await keys.fileKey({ kdf: keys.kdf, salt: keys.salt, nonce });
+    try {
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        cipher.setAAD(header);
+        const stats = await fs.promises.stat(filePath);
+        let pos = position;
+        const write = async (buf) => {
+            if (buf.length === 0) return;
+            await out.write(buf, 0, buf.length, pos);
+            pos += buf.length;
+        };
+
+        await write(iv);
+        const readStream = fs.createReadStream(filePath, options.signal ? { signal: options.signal } : undefined);
+        let seen = 0;
+        for await (const chunk of readStream) {
+            seen += chunk.length;
+            sendProgress({ type: 'file-progress', file: filePath, seen, total: stats.size });
+            await write(cipher.update(chunk));
+        }
+        await write(cipher.final());
+        await write(cipher.getAuthTag());
+
+        const entry = {
+            path: toPortablePath(folder, filePath),
+            size: seen,
+            mtime: stats.mtimeMs,
+            offset: position,
+            length: pos - position,
+            nonce: nonce.toString('base64')
+        };
+        return { entry, end: pos };
+    } finally {
+        try { key.fill(0); } catch (e) { /* best-effort */ }
+    }
+}
+
+// Stream the whole folder into one archive written via temp file + rename. options take the include/exclude rules
+// (see loadPathFilter) and options.symlinks; links are followed or skipped, as an archive holds no link entries.
+// Returns { archivePath, files, dirs, errors, excluded } where files are the source paths that were archived.
+async function createArchive(folder, archivePath, keys, options = {}) {
+    const filter = await loadPathFilter(folder, options);
+    const symlinks = symlinkPolicy(options.symlinks) === 'follow' ? 'follow' : 'skip';
+    const dirs = [];
+    // One walk gives the file list and byte total up front
+    const snapshot = await snapshotFolder(folder, {
+        onDir: (dir) => dirs.push(toPortablePath(folder, dir)),
+        enterDir: filter.enterDir,
+        symlinks,
+        // Partial decryptions are plaintext left for a decrypt run to finish, not part of the folder
+        keep: (file) => !isPartialPath(file) && filter.keep(file)
+    });
+    if (filter.excluded.length > 0) sendLog('Left out by the include/exclude rules:', String(filter.excluded.length));
+    const tmpPath = archivePath + '.tmp-' + crypto.randomBytes(6).toString('hex');
+    const out = await fs.promises.open(tmpPath, 'w');
+    const entries = [];
+    const files = [];
+    let errors = 0;
+    let done = false;
+    // An archive written inside the folder leaves out itself and the temp file it is written to
+    const isOwnArchive = (file) => path.resolve(file) === path.resolve(archivePath) || path.resolve(file) === path.resolve(tmpPath);
+    try {
+        const header = buildArchiveHeader(keys);
+        await out.write(header, 0, header.length, 0);
+        let position = header.length;
+
+        const total = snapshot.length;
+        let totalBytes = 0;
+        for (const entry of snapshot) totalBytes += entry.size;
+        let bytes = 0;
+        let processed = 0;
+        sendProgress({ type: 'progress', processed, total, bytes, totalBytes });
+        for (const entry of snapshot) {
+            const file = entry.file;
+            if (options.signal && options.signal.aborted) throw vaultError('ERR_CANCELLED', 'Archive creation cancelled');
+            if (isOwnArchive(file)) {
+                totalBytes -= entry.size;
+                processed++;
+                continue;
+            }
+            // A file removed since the snapshot is skipped; one modified since then is archived as it is now
+            const now = await statIfExists(file);
+            if (!now) {
+                sendLog('Skipping (removed during the run):', file);
+                sendProgress({ type: 'file', file, action: 'skip', reason: 'removed' });
+                totalBytes -= entry.size;
+                processed++;
+                sendProgress({ type: 'progress', processed, total, bytes, totalBytes });
+                continue;
+            }
+            totalBytes += now.size - entry.size;
+            sendProgress({ type: 'file', file, action: 'start', index: processed + 1, total });
+            try {
+                const res = await appendArchiveEntry(out, position, folder, file, keys, header, options);
+                entries.push(res.entry);
+                files.push(file);
+                position = res.end;
+                sendProgress({ type: 'file', file, action: 'done', out: archivePath });
+            } catch (err) {
+                // A failed entry is simply overwritten by the next one; the index never references it
+                if (options.signal && options.signal.aborted) throw vaultError('ERR_CANCELLED', 'Archive creation cancelled');
+                errors++;
+                sendLog('Error archiving', file, '-', err.message);
+                sendProgress({ type: 'file', file, action: 'error', error: err.message });
+            }
+            bytes += now.size;
+            processed++;
+            sendProgress({ type: 'progress', processed, total, bytes, totalBytes });
+        }
+
+        // Encrypted index, then the plaintext trailer that locates it
+        const indexNonce = crypto.randomBytes(NONCE_LEN);
+        const plainIndex = Buffer.from(JSON.stringify({ version: 1, entries, dirs }), 'utf8');
+        const iv = crypto.randomBytes(IV_LEN);
+        const trailer = Buffer.alloc(ARCHIVE_TRAILER_LEN);
+        trailer.writeBigUInt64BE(BigInt(position), 0);
+        trailer.writeBigUInt64BE(BigInt(IV_LEN + plainIndex.length + AUTH_TAG_LEN), 8);
+        indexNonce.copy(trailer, 16);
+        ARCHIVE_TRAILER_MAGIC.copy(trailer, 16 + NONCE_LEN);
+
+        const key = await keys.fileKey({ kdf: keys.kdf, salt: keys.salt, nonce: indexNonce });
+        let indexBlob;
+        try {
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            cipher.setAAD(Buffer.concat([header, trailer.slice(0, 16 + NONCE_LEN)]));
+            indexBlob = Buffer.concat([iv, cipher.update(plainIndex), cipher.final(), cipher.getAuthTag()]);
+        } finally {
+            key.fill(0);
+            plainIndex.fill(0);
+        }
+        const tail = Buffer.concat([indexBlob, trailer]);
+        await out.write(tail, 0, tail.length, position);
+        // Drop any bytes left behind by an entry that failed part-way through
+        await out.truncate(position + tail.length);
+        if (typeof out.sync === 'function') await out.sync();
+        else await fs.promises.fsync(out.fd);
+        done = true;
+    } finally {
+        await out.close();
+        if (!done) await fs.promises.unlink(tmpPath).catch(() => { });
+    }
+    await fs.promises.rename(tmpPath, archivePath);
+    sendLog('Archived', String(files.length), 'files ->', archivePath);
+    return { archivePath, files, dirs, errors, excluded: filter.excluded };
+}
+
+// Read the header, trailer and encrypted index of an open archive
+async function readArchiveIndex(handle, keys) {
+    const { size } = await handle.stat();
+    const magic = Buffer.alloc(MAGIC_V2.length);
+    if (size < MAGIC_V2.length) throw new Error('Not a FolderVault archive');
+    await handle.read(magic, 0, magic.length, 0);
+    if (!magic.equals(MAGIC_V2)) throw new Error('Not a FolderVault archive');
+    const { headerLen, header, raw } = await readFramedHeader(handle, size);
+    if (header.type !== 'archive' || !raw) throw new Error('Not a FolderVault archive');
+    if (header.cipher !== CIPHER_ID) throw new Error(`Unsupported cipher: ${header.cipher}`);
+    const { kdf, salt } = parseKdf(header);
+
+    const trailer = Buffer.alloc(ARCHIVE_TRAILER_LEN);
+    if (size < headerLen + ARCHIVE_TRAILER_LEN) throw vaultError('ERR_TRUNCATED', 'Archive is truncated or incomplete');
+    await handle.read(trailer, 0, trailer.length, size - ARCHIVE_TRAILER_LEN);
+    if (!trailer.slice(16 + NONCE_LEN).equals(ARCHIVE_TRAILER_MAGIC)) {
+        throw vaultError('ERR_TRUNCATED', 'Archive is truncated or incomplete');
+    }
+    const indexOffset = Number(trailer.readBigUInt64BE(0));
+    const indexLen = Number(trailer.readBigUInt64BE(8));
+    if (indexOffset < headerLen || indexLen < IV_LEN + AUTH_TAG_LEN || indexLen > MAX_ARCHIVE_INDEX_LEN ||
+        indexOffset + indexLen !== size - ARCHIVE_TRAILER_LEN) {
+        throw new Error('Malformed archive trailer');
+    }
+    const blob = Buffer.alloc(indexLen);
+    await handle.read(blob, 0, indexLen, indexOffset);
+
+    const key = await keys.fileKey({ kdf, salt, nonce: trailer.slice(16, 16 + NONCE_LEN) });
+    let plain;
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, blob.slice(0, IV_LEN));
+        decipher.setAAD(Buffer.concat([raw, trailer.slice(0, 16 + NONCE_LEN)]));
+        decipher.setAuthTag(blob.slice(indexLen - AUTH_TAG_LEN));
+        plain = Buffer.concat([decipher.update(blob.slice(IV_LEN, indexLen - AUTH_TAG_LEN)), decipher.final()]);
+    } catch (err) {
+        if (isAuthFailure(err)) throw vaultError('ERR_AUTH_FAILED', 'Wrong password or corrupted archive index');
+        throw err;
+    } finally {
+        key.fill(0);
+    }
+    const index = JSON.parse(plain.toString('utf8'));
+    if (!index || !Array.isArray(index.entries) || !Array.isArray(index.dirs)) throw new Error('Malformed archive index');
+    return { header: raw, kdf, salt, indexOffset, index };
+}
+
+async function listArchive(archivePath, keys) {
+    const handle = await fs.promises.open(archivePath, 'r');
+    try {
+        const { index } = await readArchiveIndex(handle, keys);
+        return {
+            entries: index.entries.map((e) => ({ path: e.path, size: e.size, mtime: e.mtime })),
+            dirs: index.dirs
+        };
+    } finally {
+        await handle.close();
+    }
+}
+
+// Decrypt one archive entry to outPath (temp + rename), reading only that entry's byte range
+async function extractArchiveEntry(archivePath, archive, entry, outPath, keys, options = {}) {
+    const nonce = Buffer.from(String(entry.nonce || ''), 'base64');
+    const { offset, length } = entry;
+    if (nonce.length !== NONCE_LEN || !Number.isInteger(offset) || !Number.isInteger(length) ||
+        offset < archive.header.length || length < IV_LEN + AUTH_TAG_LEN || offset + length > archive.indexOffset) {
+        throw new Error(`Malformed archive entry: ${entry.path}`);
+    }
+    const handle = await fs.promises.open(archivePath, 'r');
+    const iv = Buffer.alloc(IV_LEN);
+    const tag = Buffer.alloc(AUTH_TAG_LEN);
+    try {
+        await handle.read(iv, 0, IV_LEN, offset);
+        await handle.read(tag, 0, AUTH_TAG_LEN, offset + length - AUTH_TAG_LEN);
+    } finally {
+        await handle.close();
+    }
+
+    const key = await keys.fileKey({ kdf: archive.kdf, salt: archive.salt, nonce });
+    const tmpPath = outPath + '.tmp-' + crypto.randomBytes(6).toString('hex');
+    try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAAD(archive.header);
+        decipher.setAuthTag(tag);
+        const start = offset + IV_LEN;
+        const end = offset + length - AUTH_TAG_LEN - 1; // inclusive
+        const total = end - start + 1;
+        const readStream = total > 0
+            ? fs.createReadStream(archivePath, Object.assign({ start, end }, options.signal ? { signal: options.signal } : {}))
+            : stream.Readable.from([]);
+        const counter = new CountingTransform(total, (seen) => {
+            sendProgress({ type: 'file-progress', file: entry.path, seen, total });
+        });
+        await pipeline(readStream, counter, decipher, fs.createWriteStream(tmpPath));
+        await fs.promises.rename(tmpPath, outPath);
+        return outPath;
+    } catch (err) {
+        await fs.promises.unlink(tmpPath).catch(() => { });
+        if (isAuthFailure(err)) throw vaultError('ERR_AUTH_FAILED', `Archive entry failed authentication: ${entry.path}`);
+        throw err;
+    } finally {
+        try { key.fill(0); } catch (e) { /* best-effort */ }
+    }
+}
+
+// Extract everything, or only the given paths (a directory path selects everything under it), into dest
+async function extractArchive(archivePath, dest, keys, options = {}) {
+    const handle = await fs.promises.open(archivePath, 'r');
+    let archive;
+    try {
+        archive = await readArchiveIndex(handle, keys);
+    } finally {
+        await handle.close();
+    }
+    const wanted = options.paths && options.paths.length ? options.paths : null;
+    const selected = (p) => !wanted || wanted.some((w) => p === w || p.startsWith(w.replace(/\/+$/, '') + '/'));
+
+    for (const dir of archive.index.dirs.filter(selected)) {
+        await fs.promises.mkdir(resolveInside(dest, dir), { recursive: true });
+    }
+    const entries = archive.index.entries.filter((e) => selected(e.path));
+    let extracted = 0;
+    let processed = 0;
+    for (const entry of entries) {
+        if (options.signal && options.signal.aborted) break;
+        sendProgress({ type: 'file', file: entry.path, action: 'start', index: processed + 1, total: entries.length });
+        try {
+            const outPath = resolveInside(dest, entry.path);
+            await fs.promises.mkdir(path.dirname(outPath), { recursive: true });
+            await extractArchiveEntry(archivePath, archive, entry, outPath, keys, options);
+            sendProgress({ type: 'file', file: entry.path, action: 'done', out: outPath });
+            extracted++;
+        } catch (err) {
+            sendLog('Error extracting', entry.path, '-', err.message);
+            sendProgress({ type: 'file', file: entry.path, action: 'error', error: err.message });
+        }
+        processed++;
+        sendProgress({ type: 'progress', processed, total: entries.length });
+    }
+    return { extracted, total: entries.length };
+}
+
+// Encrypt every file under `folder` in place (or under opaque names with encryptNames).
+// options: { keepOriginals: boolean, secureDelete: boolean, encryptNames: boolean, signal: AbortSignal, resume: boolean,
+//   concurrency: number (files at once, see DEFAULT_CONCURRENCY), exclude, include, ignoreFile (see loadPathFilter),
+//   symlinks: 'skip' | 'store' | 'follow' (see walk), keyFile: path of a key file needed along with the password,
+//   keySlots: boolean (set up key slots first if the folder has none), recipients: [public key] (see parseRecipient),
+//   identity: path of an identity file that opens the folder's key slots in place of the password,
+//   compression: see compressionMethod, kdf: KDF parameters for the password (see checkKdfParams and calibrateKdf),
+//   minStrength: lowest passwordStrength score the password may have (see checkPasswordPolicy; new runs only) }
+// Recipients get a key slot each, set up along with the folder's key slots if it has none; the password may then be
+// empty, leaving the folder with recipient slots only.
+// Each file's steps are journaled (see JOURNAL_NAME). If the folder holds the journal of an interrupted run the
+// call fails with ERR_INTERRUPTED unless `resume` is set; a resumed run finishes that run with its original options
+// and must be given the key file again if the run used one.
+// The file list comes from one snapshot of the folder; files removed or modified since then are listed in
+// `changed`, and a file modified while it was being encrypted is kept as it is and fails with ERR_MODIFIED.
+// Resolves to { success, processed, errors: [{ file, code, error }], changed: [{ file, change: 'removed' | 'modified' }],
+// excluded: [path] (left out by the include/exclude rules), skipped: [{ file, kind, reason }] (links and special
+// files walk did not yield), hardLinks: [file] (originals whose other hard links keep the plaintext readable) }
+// or { success: false, error, code }
+async function encryptFolder(folder, password, options = {}) {
+    const signal = options.signal;
+    let journal;
+    let keyFile = null;
+    let identity = null;
+    try {
+        symlinkPolicy(options.symlinks);
+        journal = await readJournal(folder);
+        if (options.keyFile) keyFile = await readKeyFile(options.keyFile);
+        if (options.identity) identity = await readIdentity(options.identity);
+    } catch (err) {
+        sendLog('Encryption failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    }
+    if (journal && !options.resume) {
+        return { success: false, code: 'ERR_INTERRUPTED', error: 'An earlier run in this folder was interrupted; resume or roll it back first' };
+    }
+    if (!journal && options.resume) {
+        return { success: false, code: 'ERR_NO_JOURNAL', error: 'There is no interrupted run to resume in this folder' };
+    }
+    // Finishing a run without its key file (or with one it did not use) would leave the folder needing two secrets
+    if (journal && !!journal.options.withKeyFile !== !!keyFile) {
+        return journal.options.withKeyFile
+            ? { success: false, code: 'ERR_KEYFILE_REQUIRED', error: 'The interrupted run used a key file; choose it to resume' }
+            : { success: false, code: 'ERR_KEYFILE', error: 'The interrupted run did not use a key file; resume it without one' };
+    }
+    if (journal) {
+        // A resumed run keeps the options it was started with (only how many files run at once may change)
+        options = Object.assign({}, journal.options, { signal, concurrency: options.concurrency });
+        sendLog('Resuming interrupted encryption for', folder, 'started', String(journal.started));
+    } else {
+        sendLog('Starting encryption for', folder);
+        journal = {
+            started: new Date().toISOString(),
+            options: Object.assign({ keepOriginals: !!options.keepOriginals, secureDelete: !!options.secureDelete, encryptNames: !!options.encryptNames },
+                ruleOptions(options), { symlinks: symlinkPolicy(options.symlinks), withKeyFile: !!keyFile, compression: options.compression }),
+            files: new Map()
+        };
+        try {
+            checkPasswordPolicy(password, options.minStrength);
+            journal.options.compression = compressionMethod(journal.options.compression);
+            journal.options.kdf = kdfOption(options.kdf);
+            journal.options.recipients = (options.recipients || []).map(parseRecipient);
+        } catch (err) {
+            sendLog('Encryption failed:', err.message);
+            return { success: false, error: err.message, code: err.code };
+        }
+    }
+    // Stretch the password once for the whole folder; files get HKDF subkeys
+    const keys = createKeyCache(password, options.kdf, keyFile, identity);
+    const concurrency = resolveConcurrency(options.concurrency);
+    let count = 0;
+    const errors = [];
+    const changed = [];
+    const skipped = [];
+    const hardLinks = [];
+    let log = null;
+    try {
+        // A folder with key slots has its files keyed from its data key, and a password none of the slots accepts
+        // stops the run before anything is written; options.keySlots or recipients set them up for a folder without
+        // any. Without a password or key file only the recipients can open them.
+        // The journal holds the recipients as parsed, for a fresh run and a resumed one alike
+        const recipients = journal.options.recipients || [];
+        const record = await unlockFolder(folder, keys);
+        if (record) {
+            await addRecipientSlots(folder, record, keys, recipients);
+        } else if (options.keySlots || recipients.length > 0) {
+            await createKeySlotRecord(folder, keys, { password: !!(password || keyFile), recipients });
+        } else if (!password && !keyFile) {
+            throw vaultError('ERR_NO_PASSWORD', 'Enter a password, choose a key file or add a recipient');
+        }
+        // A resumed run must use the key the interrupted one wrote with, or the folder would need two passwords
+        const written = [];
+        for (const entry of journal.files.values()) {
+            if (entry.state !== 'begin') written.push(resolveInside(folder, entry.out));
+        }
+        await checkFolderPassword(written, [keys]);
+
+        const removeOriginal = async (file) => {
+            if (options.secureDelete) await secureDelete(file);
+            else await fs.promises.unlink(file).catch(() => sendLog('unlink failed for', file));
+        };
+
+        // With encryptNames, extend the folder's existing manifest (if any) rather than replacing it
+        let manifest = null;
+        if (options.encryptNames) {
+            manifest = await loadManifest(folder, keys) || { version: 1, files: {}, dirs: [] };
+            // Drop entries whose encrypted file is gone so stale names don't accumulate
+            for (const name of Object.keys(manifest.files)) {
+                const exists = await fs.promises.stat(path.join(folder, name)).then(() => true, () => false);
+                if (!exists) delete manifest.files[name];
+            }
+        }
+        const dirs = new Set(manifest ? manifest.dirs : []);
+
+        // Settle the interrupted run's files: a 'begin' file starts over from its intact original, while a
+        // 'written' or 'done' file keeps its output and only needs its manifest entry and original deletion
+        const finished = new Set();
+        const carried = [];
+        for (const [rel, entry] of journal.files) {
+            const file = resolveInside(folder, rel);
+            const out = resolveInside(folder, entry.out);
+            await removeTempFiles(out);
+            if (entry.state === 'begin') {
+                if (await pathExists(file)) await fs.promises.unlink(out).catch(() => { });
+                journal.files.delete(rel);
+                continue;
+            }
+            if (!(await pathExists(out))) {
+                journal.files.delete(rel);
+                continue;
+            }
+            finished.add(file);
+            if (manifest) manifest.files[path.basename(out)] = rel;
+            if (entry.state === 'written') carried.push({ file, out });
+        }
+
+        log = await openJournal(folder, journal);
+        // Originals are only deleted once the manifest naming their encrypted copies is on disk
+        let pendingDeletes = [];
+        const finishFile = async ({ file, out }) => {
+            if (!options.keepOriginals && await pathExists(file)) await removeOriginal(file);
+            await log.record(file, out, 'done', false);
+        };
+        // Flushes run one after another: a newer manifest must never be overwritten by an older one
+        let flushing = Promise.resolve();
+        const flushManifest = () => {
+            const batch = pendingDeletes;
+            pendingDeletes = [];
+            flushing = flushing.then(async () => {
+                manifest.dirs = Array.from(dirs);
+                await saveManifest(folder, manifest, keys);
+                for (const item of batch) await finishFile(item);
+            });
+            return flushing;
+        };
+        if (carried.length > 0) {
+            if (manifest) {
+                pendingDeletes = carried;
+                await flushManifest();
+            } else {
+                for (const item of carried) await finishFile(item);
+            }
+        }
+
+        // Skip already encrypted files, the name manifest, the journal, the key slots, the rules file, partial
+        // decryptions and files the resumed run finished
+        const isSkipped = (file) => file.endsWith('.enc') || isManifestPath(folder, file) || isJournalPath(folder, file) ||
+            isKeySlotsPath(folder, file) || isIgnoreFilePath(folder, file) || isPartialPath(file) || finished.has(file);
+        const filter = await loadPathFilter(folder, options);
+        const onDir = manifest ? (dir) => dirs.add(toPortablePath(folder, dir)) : undefined;
+        // Links and special files the walk passes over are reported, unless the rules leave them out anyway
+        const onSkip = (file, kind, reason) => {
+            if (!filter.keep(file)) return;
+            sendLog('Skipping', kind, file, '-', reason);
+            skipped.push({ file, kind, reason });
+            sendProgress({ type: 'file', file, action: 'skip', reason });
+        };
+        const symlinks = symlinkPolicy(options.symlinks);
+        const snapshot = await snapshotFolder(folder, {
+            onDir,
+            onSkip,
+            symlinks,
+            enterDir: filter.enterDir,
+            keep: (file) => isSkipped(file) || filter.keep(file)
+        });
+        if (filter.excluded.length > 0) sendLog('Left out by the include/exclude rules:', String(filter.excluded.length));
+        const total = snapshot.length;
+        let totalBytes = 0;
+        for (const entry of snapshot) if (!isSkipped(entry.file)) totalBytes += entry.size;
+        // Names each file's data has within this run; hard links outside it keep the plaintext readable
+        const namesInRun = new Map();
+        for (const entry of snapshot) namesInRun.set(entry.id, (namesInRun.get(entry.id) || 0) + 1);
+        let bytes = 0;
+        let started = 0;
+        let processed = 0;
+        const pool = concurrency > 1 ? createWorkerPool(concurrency, keys) : null;
+        // The totals are known before the first file, so progress can be shown from the start
+        sendProgress({ type: 'progress', processed, total, bytes, totalBytes });
+        try {
+            await forEachLimit(snapshot.entries(), concurrency, async ([position, entry]) => {
+                const file = entry.file;
+                if (isSkipped(file)) {
+                    sendLog('Skipping:', file);
+                    sendProgress({ type: 'file', file, action: 'skip' });
+                    processed++;
+                    return;
+                }
+                // A file removed since the snapshot is skipped; one modified since then is encrypted as it is now
+                const before = await statIfExists(file, entry.link);
+                if (!before) {
+                    sendLog('Skipping (removed during the run):', file);
+                    changed.push({ position, file, change: 'removed' });
+                    sendProgress({ type: 'file', file, action: 'skip', reason: 'removed' });
+                    totalBytes -= entry.size;
+                    processed++;
+                    sendProgress({ type: 'progress', processed, total, bytes, totalBytes });
+                    return;
+                }
+                if (!sameFile(entry, before)) {
+                    changed.push({ position, file, change: 'modified' });
+                    totalBytes += before.size - entry.size;
+                }
+                // Deleting this name leaves the data in place under the file's other names
+                const outside = before.nlink - namesInRun.get(entry.id);
+                if (!entry.link && outside > 0 && !options.keepOriginals) {
+                    sendLog('Warning:', file, 'has', String(outside), 'hard link(s) outside the folder that keep its contents readable');
+                    hardLinks.push({ position, file });
+                }
+                sendProgress({ type: 'file', file, action: 'start', index: ++started, total });
+                try {
+                    const outPath = manifest ? path.join(folder, opaqueName()) : `${file}.enc`;
+                    // The intent must be on disk before the output appears, and 'written' before the original goes
+                    await log.record(file, outPath, 'begin', true);
+                    const entryType = entry.link ? 'symlink' : undefined;
+                    const encPath = await runFileOp(pool, 'encrypt', file, before.size, password, {
+                        signal, keys, outPath, entry: entryType, compression: options.compression
+                    });
+                    // Writes during the read could leave a mix of old and new content in the output, so keep the original
+                    if (!sameFile(before, await statIfExists(file, entry.link))) {
+                        await fs.promises.unlink(encPath).catch(() => { });
+                        throw vaultError('ERR_MODIFIED', 'File changed while it was being encrypted; it was left unencrypted');
+                    }
+                    await log.record(file, encPath, 'written', true);
+                    sendProgress({ type: 'file', file, action: 'done', out: encPath });
+                    if (manifest) {
+                        manifest.files[path.basename(encPath)] = toPortablePath(folder, file);
+                        pendingDeletes.push({ file, out: encPath });
+                        if (pendingDeletes.length >= MANIFEST_FLUSH_EVERY) await flushManifest();
+                    } else {
+                        await finishFile({ file, out: encPath });
+                    }
+                    count++;
+                } catch (err) {
+                    // Files stopped by a cancel are left for a resume, not reported as failures
+                    if (err.code === 'ERR_CANCELLED') {
+                        sendProgress({ type: 'file', file, action: 'error', error: 'Cancelled' });
+                    } else {
+                        sendLog('Error encrypting', file, '-', err.message);
+                        errors.push({ position, file, code: err.code, error: err.message });
+                        sendProgress({ type: 'file', file, action: 'error', error: err.message });
+                    }
+                }
+                bytes += before.size;
+                processed++;
+                sendProgress({ type: 'progress', processed, total, bytes, totalBytes });
+            }, () => signal && signal.aborted);
+        } finally {
+            // Always record what was written, even if the walk failed or was cancelled
+            if (manifest) await flushManifest();
+            if (pool) await pool.close();
+        }
+        const cancelled = !!(signal && signal.aborted);
+        if (cancelled) sendLog('Encryption cancelled by user');
+        if (manifest && !options.keepOriginals) await removeEmptyDirs(folder, manifest.dirs);
+        // A cancelled run keeps its journal so it can be resumed or rolled back like a crashed one
+        if (cancelled) {
+            await log.close();
+        } else {
+            await log.remove();
+        }
+        log = null;
+        sendLog('Encryption complete. Files processed:', String(count));
+        return {
+            success: true,
+            processed: count,
+            errors: inWalkOrder(errors),
+            changed: inWalkOrder(changed),
+            excluded: filter.excluded,
+            skipped,
+            hardLinks: inWalkOrder(hardLinks).map((h) => h.file)
+        };
+    } catch (err) {
+        sendLog('Encryption failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    } finally {
+        if (log) await log.close().catch(() => { });
+        await keys.wipe();
+    }
+}
+
+// Undo the interrupted encryptFolder run recorded in the folder's journal: outputs whose original still exists
+// are deleted, the rest are decrypted back to their original paths first. The journal is removed once every
+// file is back. options: { signal, keyFile, identity }; resolves like encryptFolder (processed = files restored)
+async function rollbackEncryptFolder(folder, password, options = {}) {
+    const signal = options.signal;
+    let journal;
+    let keys;
+    try {
+        journal = await readJournal(folder);
+        keys = await keyCacheFor(password, { keyFile: options.keyFile, identity: options.identity });
+    } catch (err) {
+        sendLog('Rollback failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    }
+    if (!journal) return { success: false, code: 'ERR_NO_JOURNAL', error: 'There is no interrupted run to roll back in this folder' };
+    sendLog('Rolling back interrupted encryption for', folder, 'started', String(journal.started));
+    let count = 0;
+    const errors = [];
+    let cancelled = false;
+    try {
+        await tryUnlockFolder(folder, keys);
+        const manifest = journal.options.encryptNames ? await loadManifest(folder, keys) : null;
+        const entries = Array.from(journal.files);
+        let processed = 0;
+        try {
+            for (const [rel, entry] of entries) {
+                if (signal && signal.aborted) {
+                    sendLog('Rollback cancelled by user');
+                    cancelled = true;
+                    break;
+                }
+                const file = resolveInside(folder, rel);
+                const out = resolveInside(folder, entry.out);
+                sendProgress({ type: 'file', file: out, action: 'start', index: processed + 1, total: entries.length });
+                try {
+                    await removeTempFiles(out);
+                    if (await pathExists(file)) {
+                        await fs.promises.unlink(out).catch((e) => { if (e.code !== 'ENOENT') throw e; });
+                    } else if (await pathExists(out)) {
+                        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                        await decryptFile(out, password, { signal, keys, outPath: file });
+                        await fs.promises.unlink(out);
+                    }
+                    if (manifest) delete manifest.files[path.basename(out)];
+                    journal.files.delete(rel);
+                    count++;
+                    sendProgress({ type: 'file', file: out, action: 'done', out: file });
+                } catch (err) {
+                    if (signal && signal.aborted) cancelled = true;
+                    sendLog('Error rolling back', out, '-', err.message);
+                    errors.push({ file: out, code: err.code, error: err.message });
+                    sendProgress({ type: 'file', file: out, action: 'error', error: err.message });
+                }
+                processed++;
+                sendProgress({ type: 'progress', processed, total: entries.length });
+            }
+        } finally {
+            if (manifest) {
+                if (Object.keys(manifest.files).length === 0) await fs.promises.unlink(path.join(folder, MANIFEST_NAME)).catch(() => { });
+                else await saveManifest(folder, manifest, keys);
+            }
+        }
+        if (!cancelled && errors.length === 0) {
+            await fs.promises.unlink(path.join(folder, JOURNAL_NAME));
+        } else {
+            // Keep only what is left to undo, so the rollback can be retried
+            const log = await openJournal(folder, journal);
+            await log.close();
+        }
+        sendLog('Rollback complete. Files restored:', String(count));
+        return { success: true, processed: count, errors };
+    } catch (err) {
+        sendLog('Rollback failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    } finally {
+        await keys.wipe();
+    }
+}
+
+// Rough disk throughput used for preview time estimates (reads, writes and secure-delete overwrites)
+const ESTIMATE_DISK_BYTES_PER_SEC = 150 * 1024 * 1024;
+let cipherRate = null;
+
+// Measure this machine's AES-256-GCM throughput once (bytes/second) for preview time estimates
+function measureCipherRate() {
+    if (cipherRate) return cipherRate;
+    const sample = Buffer.alloc(4 * 1024 * 1024);
+    const start = process.hrtime.bigint();
+    const cipher = crypto.createCipheriv('aes-256-gcm', crypto.randomBytes(KEY_LEN), crypto.randomBytes(IV_LEN));
+    cipher.update(sample);
+    cipher.final();
+    const seconds = Math.max(Number(process.hrtime.bigint() - start) / 1e9, 1e-6);
+    cipherRate = sample.length / seconds;
+    return cipherRate;
+}
+
+// Size of the .enc file encryptFile writes for a plaintext of `size` bytes. options: { keyFile, vault, kdf } say whether
+// a key file is used, whether the file is locked by key slots and which KDF parameters its header names.
+function encryptedSize(size, options = {}) {
+    const header = buildHeader({
+        kdf: Object.assign({}, options.kdf || DEFAULT_KDF, options.keyFile ? { keyFile: true } : {}),
+        salt: Buffer.alloc(SALT_LEN),
+        vault: options.vault ? '0'.repeat(32) : undefined,
+        nonce: Buffer.alloc(NONCE_LEN),
+        check: options.vault ? undefined : Buffer.alloc(KEY_CHECK_LEN),
+        chunkSize: CHUNK_SIZE,
+        noncePrefix: Buffer.alloc(NONCE_PREFIX_LEN),
+        meta: Buffer.alloc(METADATA_LEN + AUTH_TAG_LEN)
+    });
+    return header.length + size + Math.max(1, Math.ceil(size / CHUNK_SIZE)) * AUTH_TAG_LEN;
+}
+
+// Dry run of encryptFolder with the same options: walks the folder and reports what would happen without
+// reading file contents, writing or deleting anything. Resolves to
+// { success, files: [{ file, path, size, outSize }], skipped: [{ file, path, reason }], totalBytes, outputBytes,
+//   spaceNeeded, freeSpace, estimatedSeconds } or { success: false, error, code }
+// With options.compression the sizes are still those of uncompressed output, since contents are not read.
+async function previewEncryptFolder(folder, options = {}) {
+    const files = [];
+    const skipped = [];
+    try {
+        const filter = await loadPathFilter(folder, options);
+        const symlinks = symlinkPolicy(options.symlinks);
+        const vault = !!options.keySlots || (options.recipients || []).length > 0 || !!(await readKeySlots(folder));
+        const sizeOptions = { keyFile: !!options.keyFile, vault, kdf: options.kdf };
+        const onSkip = (file, kind, reason) => {
+            if (filter.keep(file)) skipped.push({ file, path: toPortablePath(folder, file), reason: kind === 'symlink' ? reason : `${reason} (${kind})` });
+        };
+        for await (const file of walk(folder, { enterDir: filter.enterDir, symlinks, onSkip })) {
+            const rel = toPortablePath(folder, file);
+            if (isManifestPath(folder, file)) {
+                skipped.push({ file, path: rel, reason: 'name manifest' });
+            } else if (isJournalPath(folder, file)) {
+                skipped.push({ file, path: rel, reason: 'operation journal' });
+            } else if (isKeySlotsPath(folder, file)) {
+                skipped.push({ file, path: rel, reason: 'key slots' });
+            } else if (isIgnoreFilePath(folder, file)) {
+                skipped.push({ file, path: rel, reason: 'rules file' });
+            } else if (isPartialPath(file)) {
+                skipped.push({ file, path: rel, reason: 'partial decryption' });
+            } else if (file.endsWith('.enc')) {
+                skipped.push({ file, path: rel, reason: 'already .enc' });
+            } else if (!filter.keep(file, rel)) {
+                skipped.push({ file, path: rel, reason: 'excluded' });
+            } else {
+                // A stored link's size is the length of its target path
+                const { size } = symlinks === 'store' ? await fs.promises.lstat(file) : await fs.promises.stat(file);
+                files.push({ file, path: rel, size, outSize: encryptedSize(size, sizeOptions) });
+            }
+        }
+        // Excluded folders are listed once, not file by file
+        for (const rel of filter.excluded) {
+            if (rel.endsWith('/')) skipped.push({ file: path.join(folder, rel), path: rel, reason: 'excluded folder' });
+        }
+
+        // Peak extra space: encrypted copies are written before their originals go, and with encryptNames
+        // originals are only deleted each time the manifest is flushed
+        let used = 0;
+        let spaceNeeded = 0;
+        let pending = [];
+        for (const f of files) {
+            used += f.outSize;
+            spaceNeeded = Math.max(spaceNeeded, used);
+            if (options.keepOriginals) continue;
+            pending.push(f.size);
+            if (!options.encryptNames || pending.length >= MANIFEST_FLUSH_EVERY) {
+                for (const size of pending) used -= size;
+                pending = [];
+            }
+        }
+
+        let freeSpace = null;
+        if (typeof fs.promises.statfs === 'function') {
+            try {
+                const st = await fs.promises.statfs(folder);
+                freeSpace = st.bavail * st.bsize;
+            } catch (e) { /* not supported on this filesystem */ }
+        }
+
+        const totalBytes = files.reduce((sum, f) => sum + f.size, 0);
+        const outputBytes = files.reduce((sum, f) => sum + f.outSize, 0);
+        const overwritten = options.keepOriginals || !options.secureDelete ? 0 : totalBytes * SECURE_DELETE_PASSES;
+        const estimatedSeconds = totalBytes / measureCipherRate() +
+            (totalBytes + outputBytes + overwritten) / ESTIMATE_DISK_BYTES_PER_SEC;
+        sendLog('Preview:', String(files.length), 'files to encrypt,', String(skipped.length), 'skipped');
+        return { success: true, files, skipped, totalBytes, outputBytes, spaceNeeded, freeSpace, estimatedSeconds };
+    } catch (err) {
+        sendLog('Preview failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    }
+}
+
+// Decrypt every .enc file under `folder`, restoring the original tree when the folder has a name manifest.
+// options: { keepOriginals: boolean, secureDelete: boolean, signal: AbortSignal, concurrency: number, exclude, include,
+// ignoreFile, keyFile, identity }; resolves like encryptFolder. The rules are matched against the paths files decrypt to, and a modified
+// .enc file is still decrypted, since authentication catches any damage. A wrong password fails the whole run with
+// ERR_WRONG_PASSWORD before any file is touched (see checkFolderPassword). The result's `partials` lists the partial
+// outputs that failed or cancelled files kept for the next run to resume from; they hold decrypted data.
+async function decryptFolder(folder, password, options = {}) {
+    const signal = options.signal;
+    // Decrypting half of an interrupted encryption would leave its journal describing files that moved
+    if (await pathExists(path.join(folder, JOURNAL_NAME))) {
+        return { success: false, code: 'ERR_INTERRUPTED', error: 'An earlier run in this folder was interrupted; resume or roll it back first' };
+    }
+    sendLog('Starting decryption for', folder);
+    // Master keys are derived once per vault salt and reused for every file that shares it
+    let keys;
+    try {
+        keys = await keyCacheFor(password, { keyFile: options.keyFile, identity: options.identity });
+    } catch (err) {
+        sendLog('Decryption failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    }
+    const concurrency = resolveConcurrency(options.concurrency);
+    const pool = concurrency > 1 ? createWorkerPool(concurrency, keys) : null;
+    let count = 0;
+    const errors = [];
+    const changed = [];
+    const partials = [];
+    try {
+        await tryUnlockFolder(folder, keys);
+        // A manifest means names were encrypted: opaque files in the root map back to their real paths
+        const manifest = await loadManifest(folder, keys);
+        const restored = new Set();
+
+        // The rules see the path a file decrypts to, so they read the same as for encryption
+        const filter = await loadPathFilter(folder, options);
+        const root = path.resolve(folder);
+        const originalPath = (file) => {
+            const name = path.basename(file);
+            if (manifest && path.dirname(file) === root && Object.prototype.hasOwnProperty.call(manifest.files, name)) return manifest.files[name];
+            return toPortablePath(folder, file).slice(0, -4);
+        };
+        // Encrypted files inside linked folders are only found when links are followed
+        const snapshot = await snapshotFolder(folder, {
+            enterDir: filter.enterDir,
+            symlinks: symlinkPolicy(options.symlinks) === 'follow' ? 'follow' : 'skip',
+            keep: (file) => !file.endsWith('.enc') || filter.keep(file, originalPath(file))
+        });
+        if (filter.excluded.length > 0) sendLog('Left out by the include/exclude rules:', String(filter.excluded.length));
+        await checkFolderPassword(snapshot.map((entry) => entry.file).filter((file) => file.endsWith('.enc')), [keys]);
+        const total = snapshot.length;
+        let totalBytes = 0;
+        for (const entry of snapshot) if (entry.file.endsWith('.enc')) totalBytes += entry.size;
+        let bytes = 0;
+        let started = 0;
+        let processed = 0;
+        sendProgress({ type: 'progress', processed, total, bytes, totalBytes });
+        await forEachLimit(snapshot.entries(), concurrency, async ([position, entry]) => {
+            const file = entry.file;
+            if (!file.endsWith('.enc')) {
+                processed++;
+                sendProgress({ type: 'file', file, action: 'skip' });
+                return;
+            }
+            const st = await statIfExists(file);
+            if (!st) {
+                changed.push({ position, file, change: 'removed' });
+                sendProgress({ type: 'file', file, action: 'skip', reason: 'removed' });
+                totalBytes -= entry.size;
+                processed++;
+                sendProgress({ type: 'progress', processed, total, bytes, totalBytes });
+                return;
+            }
+            if (!sameFile(entry, st)) {
+                changed.push({ position, file, change: 'modified' });
+                totalBytes += st.size - entry.size;
+            }
+            sendProgress({ type: 'file', file, action: 'start', index: ++started, total });
+            const name = path.basename(file);
+            const mapped = manifest && path.dirname(file) === path.resolve(folder) &&
+                Object.prototype.hasOwnProperty.call(manifest.files, name);
+            let outPath = mapped ? resolveInside(folder, manifest.files[name]) : file.slice(0, -4);
+            try {
+                if (mapped) await fs.promises.mkdir(path.dirname(outPath), { recursive: true });
+                // resume: a run that was cancelled or hit a corrupt chunk continues from what it already decrypted
+                outPath = await runFileOp(pool, 'decrypt', file, st.size, password, { signal, keys, outPath, resume: true });
+                if (mapped) restored.add(name);
+                sendProgress({ type: 'file', file, action: 'done', out: outPath });
+                if (!options.keepOriginals) {
+                    if (options.secureDelete) await secureDelete(file);
+                    else await fs.promises.unlink(file).catch(() => sendLog('unlink failed for', file));
+                }
+                count++;
+            } catch (err) {
+                if (err.code === 'ERR_CANCELLED') {
+                    sendProgress({ type: 'file', file, action: 'error', error: 'Cancelled' });
+                } else {
+                    sendLog('Error decrypting', file, '-', err.message);
+                    errors.push({ position, file, code: err.code, error: err.message });
+                    sendProgress({ type: 'file', file, action: 'error', error: err.message });
+                }
+                for (const partial of await keptPartials(outPath)) partials.push({ position, file: partial });
+            }
+            bytes += st.size;
+            processed++;
+            sendProgress({ type: 'progress', processed, total, bytes, totalBytes });
+        }, () => signal && signal.aborted);
+        if (signal && signal.aborted) sendLog('Decryption cancelled by user');
+
+        if (manifest) {
+            // Recreate the directory tree, including directories that were empty
+            for (const dir of manifest.dirs) {
+                await fs.promises.mkdir(resolveInside(folder, dir), { recursive: true });
+            }
+            // The manifest is only needed while some entry is still encrypted, including ones an earlier partial run
+            // (e.g. with exclude rules) left behind
+            const remaining = [];
+            for (const name of Object.keys(manifest.files)) {
+                if (!restored.has(name) && await pathExists(path.join(folder, name))) remaining.push(name);
+            }
+            if (remaining.length === 0 && !options.keepOriginals) {
+                const manifestPath = path.join(folder, MANIFEST_NAME);
+                if (options.secureDelete) await secureDelete(manifestPath);
+                else await fs.promises.unlink(manifestPath).catch(() => sendLog('unlink failed for', manifestPath));
+            }
+        }
+        if (partials.length > 0) sendLog('Kept', String(partials.length), 'partial file(s) with decrypted data; decrypt again to resume them');
+        sendLog('Decryption complete. Files processed:', String(count));
+        return {
+            success: true,
+            processed: count,
+            errors: inWalkOrder(errors),
+            changed: inWalkOrder(changed),
+            excluded: filter.excluded,
+            partials: inWalkOrder(partials).map((p) => p.file)
+        };
+    } catch (err) {
+        sendLog('Decryption failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    } finally {
+        if (pool) await pool.close();
+        await keys.wipe();
+    }
+}
+
+// Authenticate an encrypted file end to end without writing any plaintext: decrypted bytes go to a discarding sink.
+// options: { signal, keys, keyFile }; resolves to { version, cipher, size } or throws the same coded errors as decryptFile
+async function verifyFile(encPath, password, options = {}) {
+    const handle = await fs.promises.open(encPath, 'r');
+    try {
+        const { size: fileSize } = await handle.stat();
+        const hdr = await readHeader(handle, fileSize);
+        const key = options.keys ? await options.keys.fileKey(hdr) : await ownFileKey(hdr, encPath, password, options);
+        try {
+            if (hdr.chunkSize) {
+                const reader = chunkReader(handle, hdr, key, fileSize);
+                const total = fileSize - hdr.headerLen;
+                for (let i = 0; i < reader.count; i++) {
+                    if (options.signal && options.signal.aborted) throw vaultError('ERR_CANCELLED', 'Verification cancelled');
+                    (await reader.read(i)).fill(0);
+                    sendProgress({ type: 'file-progress', file: encPath, seen: Math.min(total, (i + 1) * reader.sealedSize), total });
+                }
+                return { version: hdr.version, cipher: hdr.cipher, size: reader.size };
+            }
+
+            // Single-tag files: stream the ciphertext through GCM and drop the output
+            const size = fileSize - hdr.headerLen - AUTH_TAG_LEN;
+            const authTag = Buffer.alloc(AUTH_TAG_LEN);
+            await handle.read(authTag, 0, AUTH_TAG_LEN, fileSize - AUTH_TAG_LEN);
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, hdr.iv);
+            decipher.setAuthTag(authTag);
+            if (hdr.aad) decipher.setAAD(hdr.aad);
+            const readOpts = Object.assign({ start: hdr.headerLen, end: hdr.headerLen + size - 1 }, options.signal ? { signal: options.signal } : {});
+            const source = size > 0 ? fs.createReadStream(encPath, readOpts) : stream.Readable.from([]);
+            const counter = new CountingTransform(size, (seen) => {
+                sendProgress({ type: 'file-progress', file: encPath, seen, total: size });
+            });
+            const sink = new stream.Writable({
+                write(chunk, encoding, callback) {
+                    chunk.fill(0);
+                    callback();
+                }
+            });
+            try {
+                await pipeline(source, counter, decipher, sink);
+            } catch (err) {
+                if (isAuthFailure(err)) throw vaultError('ERR_AUTH_FAILED', 'Wrong password or corrupted data (authentication failed)');
+                if (options.signal && options.signal.aborted) throw vaultError('ERR_CANCELLED', 'Verification cancelled');
+                throw err;
+            }
+            return { version: hdr.version, cipher: hdr.cipher, size };
+        } finally {
+            try { if (key && typeof key.fill === 'function') key.fill(0); } catch (e) { /* best-effort */ }
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+// Re-encrypt one .enc file in place for `newKeys`: its authenticated plaintext streams from the old file straight
+// into a new chunked file in a temp file, which then replaces it, so no plaintext is written and the file is always
+// whole under either key. Sealed metadata moves over to the new key. Resolves to true once rewritten, or false when
+// `keys` cannot open the file but `newKeys` can, i.e. an interrupted run already re-keyed it. options: { signal }
+async function rekeyFile(encPath, keys, newKeys, options = {}) {
+    const handle = await fs.promises.open(encPath, 'r');
+    let tmpPath;
+    try {
+        const { size: fileSize } = await handle.stat();
+        const hdr = await readHeader(handle, fileSize);
+        let key;
+        try {
+            key = await keys.fileKey(hdr);
+            // The first chunk proves the key before anything is written
+            if (hdr.chunkSize) (await chunkReader(handle, hdr, key, fileSize).read(0)).fill(0);
+        } catch (err) {
+            if (key) key.fill(0);
+            if ((err.code !== 'ERR_AUTH_FAILED' && err.code !== 'ERR_KEYFILE_REQUIRED') || !hdr.chunkSize) throw err;
+            let current = false;
+            let newKey;
+            try {
+                newKey = await newKeys.fileKey(hdr);
+                (await chunkReader(handle, hdr, newKey, fileSize).read(0)).fill(0);
+                current = true;
+            } catch (e) {
+                /* not under the new settings either */
+            } finally {
+                if (newKey) newKey.fill(0);
+            }
+            if (current) return false;
+            throw err;
+        }
+        const nonce = crypto.randomBytes(NONCE_LEN);
+        const noncePrefix = crypto.randomBytes(NONCE_PREFIX_LEN);
+        let newKey;
+        try {
+            newKey = await newKeys.fileKey({ kdf: newKeys.kdf, salt: newKeys.salt, vault: newKeys.vault, nonce });
+            const check = await newKeys.keyCheck({ kdf: newKeys.kdf, salt: newKeys.salt, vault: newKeys.vault });
+            const meta = hdr.meta ? sealMetadata(newKey, noncePrefix, openMetadata(key, hdr.noncePrefix, hdr.meta)) : null;
+            const entry = hdr.entry === 'symlink' ? 'symlink' : undefined;
+            // Compressed plaintext is resealed as it is
+            const header = buildHeader({
+                kdf: newKeys.kdf, salt: newKeys.salt, vault: newKeys.vault, nonce, check, chunkSize: CHUNK_SIZE, noncePrefix, entry, meta,
+                compression: hdr.compression
+            });
+            const total = fileSize - hdr.headerLen;
+            const counter = new CountingTransform(total, (seen) => {
+                sendProgress({ type: 'file-progress', file: encPath, seen: Math.min(seen, total), total });
+            });
+            let sources;
+            if (hdr.chunkSize) {
+                sources = [chunkStream(chunkReader(handle, hdr, key, fileSize))];
+            } else {
+                // Single-tag files only authenticate at the end; until then their plaintext goes nowhere but the
+                // new temp file, sealed, which a failure removes
+                const size = fileSize - hdr.headerLen - AUTH_TAG_LEN;
+                const authTag = Buffer.alloc(AUTH_TAG_LEN);
+                await handle.read(authTag, 0, AUTH_TAG_LEN, fileSize - AUTH_TAG_LEN);
+                const decipher = crypto.createDecipheriv('aes-256-gcm', key, hdr.iv);
+                decipher.setAuthTag(authTag);
+                if (hdr.aad) decipher.setAAD(hdr.aad);
+                const source = size > 0 ? fs.createReadStream(encPath, { start: hdr.headerLen, end: hdr.headerLen + size - 1 }) : stream.Readable.from([]);
+                sources = [source, decipher];
+            }
+            try {
+                tmpPath = await writeSealed(encPath, header, newKey, noncePrefix, [...sources, counter], options.signal, 'Re-keying cancelled');
+            } catch (err) {
+                if (isAuthFailure(err)) throw vaultError('ERR_AUTH_FAILED', 'Wrong password or corrupted data (authentication failed)');
+                throw err;
+            }
+        } finally {
+            key.fill(0);
+            if (newKey) newKey.fill(0);
+        }
+    } finally {
+        // Closed before the rename, which some platforms refuse for a file that is still open
+        await handle.close();
+    }
+    try {
+        await fs.promises.rename(tmpPath, encPath);
+    } catch (err) {
+        await fs.promises.unlink(tmpPath).catch(() => { });
+        throw err;
+    }
+    sendLog('Re-keyed', encPath);
+    return true;
+}
+
+// Verification report categories for error codes that pin down what is wrong with a file
+const VERIFY_STATUS = {
+    ERR_TRUNCATED: 'truncated',
+    ERR_CORRUPTED: 'corrupted',
+    ERR_HEADER_TAMPERED: 'corrupted',
+    ERR_WRONG_PASSWORD: 'wrong-password',
+    // Like a wrong password, a missing key file means these credentials cannot open the file
+    ERR_KEYFILE_REQUIRED: 'wrong-password'
+};
+
+// Header of an .enc file, or null when it cannot be read
+async function fileHeader(encPath) {
+    let handle;
+    try {
+        handle = await fs.promises.open(encPath, 'r');
+        return await readHeader(handle, (await handle.stat()).size);
+    } catch (e) {
+        return null;
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+// Identifies the password-derived master key a file is sealed under (files written in one vault operation share
+// it, and files locked by key slots share their record's). Null for files keyed straight from the password with
+// their own salt, and for unreadable headers.
+async function masterKeyId(encPath) {
+    const hdr = await fileHeader(encPath);
+    if (!hdr) return null;
+    if (hdr.vault) return 'vault:' + hdr.vault;
+    return hdr.nonce ? JSON.stringify(hdr.kdf) + ':' + hdr.salt.toString('hex') : null;
+}
+
+// Rejects a wrong password once, before a folder run touches any of `files`: it passes as soon as one of the key
+// caches in `caches` opens a master key named by the files' key checks (see keyCheck), or holds the key slots they
+// are locked by. That costs one KDF run per master key, and a folder rarely has more than one. Throws
+// ERR_WRONG_PASSWORD (or ERR_KEYFILE_REQUIRED) when nothing opens; when some file has no check to go on (it
+// predates key checks), the run goes ahead and such files fail one by one as before.
+async function checkFolderPassword(files, caches) {
+    const tried = new Set();
+    let unchecked = false;
+    let checked = false;
+    let keyFileError = null;
+    for (const file of files) {
+        const hdr = await fileHeader(file);
+        if (!hdr) continue;
+        if (hdr.vault) {
+            if (caches.some((keys) => keys.vault === hdr.vault)) return;
+            checked = true;
+            continue;
+        }
+        if (!hdr.check) {
+            unchecked = true;
+            continue;
+        }
+        const id = JSON.stringify(hdr.kdf) + ':' + hdr.salt.toString('hex');
+        if (tried.has(id)) continue;
+        tried.add(id);
+        checked = true;
+        for (const keys of caches) {
+            try {
+                if (await keys.opens(hdr)) return;
+            } catch (err) {
+                if (err.code !== 'ERR_KEYFILE_REQUIRED') throw err;
+                keyFileError = err;
+            }
+        }
+    }
+    if (!checked || unchecked) return;
+    if (keyFileError) throw keyFileError;
+    throw caches[0].wrongPassword();
+}
+
+// Verify every .enc file under `folder` (and its name manifest, if any) without writing plaintext.
+// options: { signal, concurrency, keyFile, identity }; resolves to { success, total, good: [file],
+// failed: [{ file, code, error, status }], summary, changed } where status is 'corrupted', 'truncated', 'wrong-password' or 'error' (unreadable), summary
+// counts each kind and changed lists files removed or modified since the folder was scanned (as in encryptFolder).
+async function verifyFolder(folder, password, options = {}) {
+    const signal = options.signal;
+    sendLog('Starting verification for', folder);
+    let keys;
+    try {
+        keys = await keyCacheFor(password, { keyFile: options.keyFile, identity: options.identity });
+    } catch (err) {
+        sendLog('Verification failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    }
+    const concurrency = resolveConcurrency(options.concurrency);
+    const pool = concurrency > 1 ? createWorkerPool(concurrency, keys) : null;
+    const checked = [];
+    const failed = [];
+    const changed = [];
+    // Master keys this password has opened at least one file with
+    const provenKeys = new Set();
+    try {
+        await tryUnlockFolder(folder, keys);
+        // Also checks that the manifest decrypts, since without it opaque names cannot be restored
+        const manifestPath = path.join(folder, MANIFEST_NAME);
+        try {
+            if (await loadManifest(folder, keys)) provenKeys.add(await masterKeyId(manifestPath));
+        } catch (err) {
+            failed.push({ position: -1, file: manifestPath, code: err.code, error: err.message });
+        }
+
+        const files = (await snapshotFolder(folder)).filter((entry) => entry.file.endsWith('.enc'));
+        let totalBytes = files.reduce((sum, entry) => sum + entry.size, 0);
+        let bytes = 0;
+        let started = 0;
+        let processed = 0;
+        sendProgress({ type: 'progress', processed, total: files.length, bytes, totalBytes });
+        await forEachLimit(files.entries(), concurrency, async ([position, entry]) => {
+            const file = entry.file;
+            const st = await statIfExists(file);
+            if (!st) {
+                changed.push({ position, file, change: 'removed' });
+                sendProgress({ type: 'file', file, action: 'skip', reason: 'removed' });
+                totalBytes -= entry.size;
+                processed++;
+                sendProgress({ type: 'progress', processed, total: files.length, bytes, totalBytes });
+                return;
+            }
+            if (!sameFile(entry, st)) {
+                changed.push({ position, file, change: 'modified' });
+                totalBytes += st.size - entry.size;
+            }
+            sendProgress({ type: 'file', file, action: 'start', index: ++started, total: files.length });
+            try {
+                await runFileOp(pool, 'verify', file, st.size, password, { signal, keys });
+                checked.push({ position, file });
+                provenKeys.add(await masterKeyId(file));
+                sendProgress({ type: 'file', file, action: 'done' });
+            } catch (err) {
+                // A cancelled file was not checked either way
+                if (err.code === 'ERR_CANCELLED') return;
+                sendLog('Verification failed for', file, '-', err.message);
+                failed.push({ position, file, code: err.code, error: err.message });
+                sendProgress({ type: 'file', file, action: 'error', error: err.message });
+            }
+            bytes += st.size;
+            processed++;
+            sendProgress({ type: 'progress', processed, total: files.length, bytes, totalBytes });
+        }, () => signal && signal.aborted);
+        if (signal && signal.aborted) sendLog('Verification cancelled by user');
+        const good = inWalkOrder(checked).map((entry) => entry.file);
+
+        // GCM cannot tell a wrong key from a damaged first chunk, so an authentication failure counts as damage
+        // only when the same master key (or, for per-file keys, any file) has been shown to open with this password
+        const summary = { good: good.length, corrupted: 0, truncated: 0, wrongPassword: 0, error: 0 };
+        for (const f of failed) {
+            if (f.code === 'ERR_AUTH_FAILED') {
+                const keyId = await masterKeyId(f.file);
+                const proven = keyId ? provenKeys.has(keyId) : good.length > 0;
+                f.status = proven ? 'corrupted' : 'wrong-password';
+            } else {
+                // Other errors without a vault code are either I/O failures or files that are not valid .enc files
+                f.status = VERIFY_STATUS[f.code] || (f.code ? 'error' : 'corrupted');
+            }
+            if (f.status === 'wrong-password') summary.wrongPassword++;
+            else summary[f.status]++;
+        }
+        const report = inWalkOrder(failed);
+        sendLog('Verification complete.', String(good.length), 'good,', String(summary.corrupted), 'corrupted,',
+            String(summary.truncated), 'truncated,', String(summary.wrongPassword), 'wrong password,', String(summary.error), 'unreadable');
+        // Files removed since the scan were not checked and do not count towards the total
+        const removed = changed.filter((c) => c.change === 'removed').length;
+        return { success: true, total: files.length - removed, good, failed: report, summary, changed: inWalkOrder(changed) };
+    } catch (err) {
+        sendLog('Verification failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    } finally {
+        if (pool) await pool.close();
+        await keys.wipe();
+    }
+}
+
+// Most plaintext a vault view reads into memory (see openVaultView); bigger files are viewed from a private copy
+const VIEW_MEMORY_LIMIT = 32 * 1024 * 1024;
+// Temp folders of vault views are named VIEW_TEMP_PREFIX + <pid of the process that owns them> + '-' + random
+const VIEW_TEMP_PREFIX = 'foldervault-view-';
+
+// Plaintext size of a file from its header and length, without decrypting it; null for compressed files
+function plaintextSize(hdr, fileSize) {
+    if (hdr.compression) return null;
+    const body = fileSize - hdr.headerLen;
+    if (!hdr.chunkSize) return Math.max(0, body - AUTH_TAG_LEN);
+    const count = Math.max(1, Math.ceil(body / (hdr.chunkSize + AUTH_TAG_LEN)));
+    return Math.max(0, body - count * AUTH_TAG_LEN);
+}
+
+// Read-only view of an encrypted folder: lists what it holds and decrypts single files into memory or into a
+// private temp folder, never next to the vault, so browsing leaves no plaintext in the folder. A wrong password
+// is refused up front (see checkFolderPassword); the keys stay cached until close(). options: { keyFile, identity,
+// symlinks }. Resolves to { folder, entries, read(file), copy(file), discard(copyPath), close() } where entries is
+// [{ file, path, size, link }] in path order: the .enc file, the path it decrypts to, the plaintext size (null for
+// compressed files) and whether it holds a symbolic link. read() resolves to the whole plaintext as a Buffer, up to
+// VIEW_MEMORY_LIMIT (ERR_TOO_LARGE beyond). copy() decrypts with decryptFile into a read-only file in a temp folder
+// only the current user can open and resolves to its path; discard() wipes a copy with secureDelete, and close()
+// wipes every copy, the temp folder and the keys. Only files in entries can be opened.
+async function openVaultView(folder, password, options = {}) {
+    const keys = await keyCacheFor(password, { keyFile: options.keyFile, identity: options.identity });
+    const byFile = new Map();
+    try {
+        await tryUnlockFolder(folder, keys);
+        const manifest = await loadManifest(folder, keys);
+        const root = path.resolve(folder);
+        const snapshot = await snapshotFolder(folder, {
+            symlinks: symlinkPolicy(options.symlinks) === 'follow' ? 'follow' : 'skip',
+            keep: (file) => file.endsWith('.enc')
+        });
+        await checkFolderPassword(snapshot.map((entry) => entry.file), [keys]);
+        for (const { file, size } of snapshot) {
+            const hdr = await fileHeader(file);
+            if (!hdr) {
+                sendLog('Not a readable encrypted file:', file);
+                continue;
+            }
+            const name = path.basename(file);
+            const mapped = manifest && path.dirname(file) === root && Object.prototype.hasOwnProperty.call(manifest.files, name);
+            const entry = {
+                file,
+                path: mapped ? manifest.files[name] : toPortablePath(folder, file).slice(0, -4),
+                size: plaintextSize(hdr, size),
+                link: hdr.entry === 'symlink'
+            };
+            byFile.set(file, { entry, chunked: !!hdr.chunkSize });
+        }
+    } catch (err) {
+        await keys.wipe();
+        throw err;
+    }
+    const entries = Array.from(byFile.values(), (known) => known.entry).sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+    sendLog('Opened vault view of', folder, '-', String(entries.length), 'files');
+
+    let closed = false;
+    let tempDir = null;
+    const copies = new Set();
+    const tooLarge = () => vaultError('ERR_TOO_LARGE', `Files over ${VIEW_MEMORY_LIMIT / (1024 * 1024)} MiB are opened from a private copy instead`);
+
+    function lookup(file) {
+        if (closed) throw vaultError('ERR_CLOSED', 'This vault view is closed');
+        const known = byFile.get(file);
+        if (!known) throw vaultError('ERR_NOT_FOUND', 'Not a file in this vault');
+        return known;
+    }
+
+    async function wipeCopy(copyPath) {
+        // Copies are read-only; secureDelete needs to write over them
+        await fs.promises.chmod(copyPath, 0o600).catch(() => { });
+        await secureDelete(copyPath);
+        await fs.promises.rm(path.dirname(copyPath), { recursive: true, force: true });
+    }
+
+    return {
+        folder,
+        entries,
+        async read(file) {
+            const { entry, chunked } = lookup(file);
+            if (entry.size !== null && entry.size > VIEW_MEMORY_LIMIT) throw tooLarge();
+            // One byte over the limit is enough to tell a compressed file is too big
+            const data = chunked ? await decryptRange(file, null, { keys, length: VIEW_MEMORY_LIMIT + 1 }) :
+                await openBuffer(await fs.promises.readFile(file), keys);
+            if (data.length > VIEW_MEMORY_LIMIT) {
+                data.fill(0);
+                throw tooLarge();
+            }
+            return data;
+        },
+        async copy(file) {
+            const { entry } = lookup(file);
+            // A copy of a link would lead the viewer to whatever it points at
+            if (entry.link) throw vaultError('ERR_UNSUPPORTED', 'Symbolic links are shown, not opened');
+            // mkdtemp makes folders only their owner can enter
+            if (!tempDir) tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), `${VIEW_TEMP_PREFIX}${process.pid}-`));
+            // A folder per copy keeps the real name, which viewers go by, without clashes
+            const dir = await fs.promises.mkdtemp(path.join(tempDir, 'f'));
+            const copyPath = path.join(dir, path.posix.basename(entry.path));
+            try {
+                await decryptFile(file, null, { keys, outPath: copyPath });
+                await fs.promises.chmod(copyPath, 0o400);
+            } catch (err) {
+                await fs.promises.rm(dir, { recursive: true, force: true });
+                throw err;
+            }
+            copies.add(copyPath);
+            return copyPath;
+        },
+        async discard(copyPath) {
+            if (!copies.delete(copyPath)) return;
+            await wipeCopy(copyPath);
+        },
+        async close() {
+            if (closed) return;
+            closed = true;
+            for (const copyPath of copies) await wipeCopy(copyPath);
+            copies.clear();
+            if (tempDir) await fs.promises.rm(tempDir, { recursive: true, force: true });
+            await keys.wipe();
+            sendLog('Closed vault view of', folder);
+        }
+    };
+}
+
+// Wipe the temp folders of vault views whose process is gone (a crash or power loss skipped their close()).
+// Resolves to the number of folders wiped.
+async function wipeStaleVaultViews() {
+    const tmp = os.tmpdir();
+    let wiped = 0;
+    for (const name of await fs.promises.readdir(tmp).catch(() => [])) {
+        const match = name.startsWith(VIEW_TEMP_PREFIX) && /^(\d+)-/.exec(name.slice(VIEW_TEMP_PREFIX.length));
+        if (!match || processAlive(Number(match[1]))) continue;
+        const dir = path.join(tmp, name);
+        for await (const file of walk(dir)) {
+            await fs.promises.chmod(file, 0o600).catch(() => { });
+            await secureDelete(file);
+        }
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        wiped++;
+    }
+    return wiped;
+}
+
+function processAlive(pid) {
+    if (pid === process.pid) return true;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // EPERM: alive, but another user's
+        return err.code === 'EPERM';
+    }
+}
+
+// Re-encrypt every .enc file under `folder`, and its name manifest, for new settings: options.newPassword (the
+// current password when left out), options.kdf (KDF parameters for the new keys, DEFAULT_KDF when left out) and
+// options.newKeyFile (path of a key file the new password needs; none when left out). Each file is rewritten by
+// rekeyFile, so no plaintext reaches the disk and an interrupted or cancelled run leaves every file whole; running
+// it again with the same arguments finishes the job. In a folder with key slots every file ends up keyed from its
+// data key, so those files only move to the current format, and the password slot that opened the folder is sealed
+// again for the new password and parameters once every file is done (a cancelled run or one with errors leaves it
+// opening with the current password). options.minStrength applies the password policy (see checkPasswordPolicy)
+// to the new password. options: { keyFile, identity, signal, concurrency }; resolves to
+// { success, processed, current: [file] (already under the new settings), errors } or { success: false, error, code }
+async function rekeyFolder(folder, password, options = {}) {
+    const signal = options.signal;
+    if (await pathExists(path.join(folder, JOURNAL_NAME))) {
+        return { success: false, code: 'ERR_INTERRUPTED', error: 'An earlier run in this folder was interrupted; resume or roll it back first' };
+    }
+    sendLog('Starting re-keying for', folder);
+    let keys = null;
+    let newKeys = null;
+    const errors = [];
+    const current = [];
+    let count = 0;
+    try {
+        const kdf = kdfOption(options.kdf);
+        keys = await keyCacheFor(password, { keyFile: options.keyFile, identity: options.identity });
+        const newPassword = options.newPassword === undefined || options.newPassword === null ? password : options.newPassword;
+        checkPasswordPolicy(newPassword, options.minStrength);
+        newKeys = await keyCacheFor(newPassword, { kdf, keyFile: options.newKeyFile });
+        const noSecret = () => vaultError('ERR_NO_PASSWORD', 'The new settings need a password or a key file');
+
+        // Files keyed from the data key stay on it; only the slot that opened it learns the new password
+        const record = await readKeySlots(folder);
+        if (!record && !newPassword && !options.newKeyFile) throw noSecret();
+        let slot = null;
+        if (record) {
+            const opened = await openKeySlot(keys, record);
+            slot = opened.slot;
+            keys.useVault(record.id, opened.dataKey);
+            if (slot.type === 'password' && !newPassword && !options.newKeyFile) throw noSecret();
+            newKeys.useVault(record.id, keys.vaultKey());
+        }
+
+        // An interrupted run may already have rewritten the manifest
+        let manifest;
+        try {
+            manifest = await loadManifest(folder, keys);
+        } catch (err) {
+            if (err.code !== 'ERR_AUTH_FAILED' && err.code !== 'ERR_WRONG_PASSWORD' && err.code !== 'ERR_KEYFILE_REQUIRED') throw err;
+            manifest = await loadManifest(folder, newKeys);
+        }
+        if (manifest) await saveManifest(folder, manifest, newKeys);
+
+        const snapshot = await snapshotFolder(folder, { keep: (file) => file.endsWith('.enc') });
+        // Files an interrupted run already re-keyed open with the new settings
+        await checkFolderPassword(snapshot.map((entry) => entry.file), [keys, newKeys]);
+        const total = snapshot.length;
+        let totalBytes = 0;
+        for (const entry of snapshot) totalBytes += entry.size;
+        let bytes = 0;
+        let started = 0;
+        let processed = 0;
+        sendProgress({ type: 'progress', processed, total, bytes, totalBytes });
+        await forEachLimit(snapshot.entries(), resolveConcurrency(options.concurrency), async ([position, entry]) => {
+            const file = entry.file;
+            sendProgress({ type: 'file', file, action: 'start', index: ++started, total });
+            try {
+                if (await rekeyFile(file, keys, newKeys, { signal })) {
+                    sendProgress({ type: 'file', file, action: 'done', out: file });
+                    count++;
+                } else {
+                    sendLog('Already re-keyed:', file);
+                    current.push({ position, file });
+                    sendProgress({ type: 'file', file, action: 'skip', reason: 'already re-keyed' });
+                }
+            } catch (err) {
+                if (err.code === 'ERR_CANCELLED') {
+                    sendProgress({ type: 'file', file, action: 'error', error: 'Cancelled' });
+                } else {
+                    sendLog('Error re-keying', file, '-', err.message);
+                    errors.push({ position, file, code: err.code, error: err.message });
+                    sendProgress({ type: 'file', file, action: 'error', error: err.message });
+                }
+            }
+            bytes += entry.size;
+            processed++;
+            sendProgress({ type: 'progress', processed, total, bytes, totalBytes });
+        }, () => signal && signal.aborted);
+        if (signal && signal.aborted) sendLog('Re-keying cancelled by user');
+        // The slot changes last, so a run stopped before this point is finished by running it again as it was
+        if (slot && slot.type === 'password') {
+            if (signal && signal.aborted || errors.length > 0) {
+                sendLog('Key slot', slot.id, 'still opens with the current password until every file is re-keyed');
+            } else {
+                const copy = keys.vaultKey();
+                try {
+                    record.slots[record.slots.indexOf(slot)] = await sealKeySlot(newKeys, record, copy, { type: slot.type, label: slot.label, id: slot.id });
+                } finally {
+                    copy.fill(0);
+                }
+                await writeKeySlots(folder, record);
+                sendLog('Sealed key slot', slot.id, 'for the new settings');
+            }
+        }
+        sendLog('Re-keying complete. Files processed:', String(count));
+        return { success: true, processed: count, current: inWalkOrder(current).map((c) => c.file), errors: inWalkOrder(errors) };
+    } catch (err) {
+        sendLog('Re-keying failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    } finally {
+        if (keys) await keys.wipe();
+        if (newKeys) await newKeys.wipe();
+    }
+}
+
+// What the UI and CLI show of a slot; nothing in it helps open the slot
+function describeSlot(slot) {
+    return {
+        id: slot.id,
+        type: slot.type,
+        label: slot.label || '',
+        created: slot.created,
+        keyFile: !!(slot.kdf && slot.kdf.keyFile),
+        recipient: slot.recipient || null
+    };
+}
+
+// Slots in the folder's key slot record (reading it needs no password). Resolves to
+// { success, id, slots: [{ id, type, label, created, keyFile, recipient }] } with id null and no slots for a folder without
+// key slots, or { success: false, error, code }
+async function listKeySlots(folder) {
+    try {
+        const record = await readKeySlots(folder);
+        return { success: true, id: record ? record.id : null, slots: record ? record.slots.map(describeSlot) : [] };
+    } catch (err) {
+        return { success: false, error: err.message, code: err.code };
+    }
+}
+
+// Set up key slots for `folder` with one password slot; the folder's next encryption runs use them.
+// Files already encrypted keep their password-derived keys. options: { keyFile, label, kdf, minStrength }; resolves to
+// { success, id, slots } like listKeySlots or { success: false, error, code }
+async function initKeySlots(folder, password, options = {}) {
+    let keys = null;
+    try {
+        if (await readKeySlots(folder)) throw vaultError('ERR_EXISTS', 'This folder already has key slots');
+        checkPasswordPolicy(password, options.minStrength);
+        keys = await keyCacheFor(password, { keyFile: options.keyFile, kdf: kdfOption(options.kdf) });
+        const record = await createKeySlotRecord(folder, keys, { label: options.label });
+        return { success: true, id: record.id, slots: record.slots.map(describeSlot) };
+    } catch (err) {
+        sendLog('Setting up key slots failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    } finally {
+        if (keys) await keys.wipe();
+    }
+}
+
+// Open the folder's key slots with password / options.keyFile or options.identity, then let `change(record, slot, dataKey)` edit the
+// record (slot is the one that opened) and write it back. Resolves to change's result plus success and the
+// updated slot list, or { success: false, error, code }
+async function changeKeySlots(folder, password, options, change) {
+    let keys = null;
+    try {
+        const record = await readKeySlots(folder);
+        if (!record) throw vaultError('ERR_NO_KEYSLOTS', 'This folder has no key slots; set them up first');
+        keys = await keyCacheFor(password, { keyFile: options.keyFile, identity: options.identity });
+        const { slot, dataKey } = await openKeySlot(keys, record);
+        // The cache owns the data key from here, so wipe() zeroes it
+        keys.useVault(record.id, dataKey);
+        const result = await change(record, slot, dataKey);
+        await writeKeySlots(folder, record);
+        return Object.assign({ success: true }, result, { slots: record.slots.map(describeSlot) });
+    } catch (err) {
+        sendLog('Changing key slots failed:', err.message);
+        return { success: false, error: err.message, code: err.code };
+    } finally {
+        if (keys) await keys.wipe();
+    }
+}
+
+// Seal the data key for another secret: newPassword and/or options.newKeyFile, or a recovery key. keyOptions:
+// { keyFile (path), kdf } for the new secret.
+async function sealNewSlot(record, dataKey, secret, keyOptions, slotOptions) {
+    const keys = await keyCacheFor(secret, { keyFile: keyOptions.keyFile, kdf: kdfOption(keyOptions.kdf) });
+    try {
+        return await sealKeySlot(keys, record, dataKey, slotOptions);
+    } finally {
+        await keys.wipe();
+    }
+}
+
+// Add a password slot. options: { keyFile, identity, newKeyFile, label, kdf, minStrength }: keyFile goes with the current password,
+// newKeyFile is required along with newPassword from then on and kdf stretches newPassword. Resolves to
+// { success, slot, slots }.
+async function addKeySlot(folder, password, newPassword, options = {}) {
+    return changeKeySlots(folder, password, options, async (record, opened, dataKey) => {
+        checkPasswordPolicy(newPassword, options.minStrength);
+        const slot = await sealNewSlot(record, dataKey, newPassword, { keyFile: options.newKeyFile, kdf: options.kdf },
+            { type: 'password', label: options.label });
+        record.slots.push(slot);
+        sendLog('Added key slot', slot.id);
+        return { slot: describeSlot(slot) };
+    });
+}
+
+const RECOVERY_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// 160 random bits as eight groups of four base32 characters
+function generateRecoveryKey() {
+    const groups = [];
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of crypto.randomBytes(20)) {
+        value = ((value << 8) | byte) & 0xfff;
+        bits += 8;
+        while (bits >= 5) {
+            out += RECOVERY_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    for (let i = 0; i < out.length; i += 4) groups.push(out.slice(i, i + 4));
+    return groups.join('-');
+}
+
+// Add a recovery slot opened by a new random recovery key, which is returned once and stored nowhere else: it
+// is typed in place of the password, exactly as shown. options: { keyFile, identity, label }; resolves to
+// { success, slot, recoveryKey, slots }
+async function addRecoveryKey(folder, password, options = {}) {
+    return changeKeySlots(folder, password, options, async (record, opened, dataKey) => {
+        const recoveryKey = generateRecoveryKey();
+        // 160 random bits need no stretching beyond the default
+        const slot = await sealNewSlot(record, dataKey, recoveryKey, {}, { type: 'recovery', label: options.label || 'Recovery key' });
+        record.slots.push(slot);
+        sendLog('Added recovery key slot', slot.id);
+        return { slot: describeSlot(slot), recoveryKey };
+    });
+}
+
+// Replace the secret of the slot the current password opens with newPassword (and options.newKeyFile); the
+// slot keeps its id, type and label and no file is rewritten. options: { keyFile, newKeyFile, kdf, minStrength }; resolves to
+// { success, slot, slots }
+async function changePassword(folder, password, newPassword, options = {}) {
+    return changeKeySlots(folder, password, options, async (record, opened, dataKey) => {
+        if (opened.type === 'recipient') throw vaultError('ERR_RECIPIENT', 'The identity opened a recipient slot, which has no password to change');
+        checkPasswordPolicy(newPassword, options.minStrength);
+        const slot = await sealNewSlot(record, dataKey, newPassword, { keyFile: options.newKeyFile, kdf: options.kdf },
+            { type: opened.type, label: opened.label, id: opened.id });
+        record.slots[record.slots.indexOf(opened)] = slot;
+        sendLog('Changed the password of key slot', slot.id);
+        return { slot: describeSlot(slot) };
+    });
+}
+
+// Remove a slot by id; any slot's password authorises it. The last slot cannot go, since the files would
+// become unreadable. options: { keyFile, identity }; resolves to { success, removed, slots }
+async function removeKeySlot(folder, password, slotId, options = {}) {
+    return changeKeySlots(folder, password, options, async (record) => {
+        const index = record.slots.findIndex((s) => s.id === slotId);
+        if (index < 0) throw vaultError('ERR_NO_SLOT', `There is no key slot ${slotId}`);
+        if (record.slots.length === 1) throw vaultError('ERR_LAST_SLOT', 'The last key slot cannot be removed');
+        record.slots.splice(index, 1);
+        sendLog('Removed key slot', slotId);
+        return { removed: slotId };
+    });
+}
+
+module.exports = {
+    MAGIC,
+    MAGIC_V2,
+    FORMAT_VERSION,
+    CIPHER_ID,
+    STREAM_CIPHER_ID,
+    CHUNK_SIZE,
+    DEFAULT_KDF,
+    ARGON2_KDF,
+    KDF_NAMES,
+    MANIFEST_NAME,
+    JOURNAL_NAME,
+    KEYSLOTS_NAME,
+    VAULTIGNORE_NAME,
+    ARCHIVE_EXT,
+    DEFAULT_CONCURRENCY,
+    MAX_CONCURRENCY,
+    WORKER_MIN_BYTES,
+    SYMLINK_POLICIES,
+    KEY_FILE_LEN,
+    PASSPHRASE_WORDS,
+    STRENGTH_LABELS,
+    VIEW_MEMORY_LIMIT,
+    compressionMethods,
+    calibrateKdf,
+    passwordStrength,
+    generatePassphrase,
+    checkPasswordPolicy,
+    setReporter,
+    walk,
+    secureDelete,
+    readKeyFile,
+    generateKeyFile,
+    parseRecipient,
+    readRecipients,
+    generateIdentity,
+    readIdentity,
+    createKeyCache,
+    keyCacheFor,
+    vaultError,
+    readHeader,
+    encryptFile,
+    decryptFile,
+    decryptRange,
+    verifyFile,
+    sealBuffer,
+    openBuffer,
+    writeFileAtomic,
+    loadManifest,
+    tryUnlockFolder,
+    journalStatus,
+    loadPathFilter,
+    removeEmptyDirs,
+    createArchive,
+    listArchive,
+    extractArchive,
+    encryptFolder,
+    rollbackEncryptFolder,
+    previewEncryptFolder,
+    decryptFolder,
+    verifyFolder,
+    rekeyFolder,
+    openVaultView,
+    wipeStaleVaultViews,
+    listKeySlots,
+    initKeySlots,
+    addKeySlot,
+    addRecoveryKey,
+    changePassword,
+    removeKeySlot
+};
@@ -0,0 +1,70 @@
+// vault_worker.js - worker thread for parallel folder runs (started by createWorkerPool in vault_core.js)
+// Runs encryptFile / decryptFile / verifyFile for one file at a time. It has no key cache of its own: file keys
+// are requested from the parent thread, and logs and progress are forwarded to the parent's reporter.
+
+const { parentPort, workerData } = require('worker_threads');
+const core = require('./vault_core');
+
+const OPS = { encrypt: core.encryptFile, decrypt: core.decryptFile, verify: core.verifyFile };
+const pendingKeys = new Map();
+const controllers = new Map();
+let nextReq = 1;
+
+core.setReporter({
+    log: (msg) => parentPort.postMessage({ type: 'log', msg }),
+    progress: (data) => parentPort.postMessage({ type: 'progress', data })
+});
+
+// Stands in for the parent's key cache (see createKeyCache): same kdf/salt/vault for new files, keys fetched on demand
+const keys = {
+    kdf: workerData.kdf,
+    salt: Buffer.from(workerData.salt),
+    vault: workerData.vault,
+    fileKey(hdr) {
+        return requestKey(hdr, false);
+    },
+    keyCheck(hdr) {
+        return requestKey(hdr, true);
+    },
+    async wipe() { }
+};
+
+// Asks the parent for a file key, or with `check` for a key-check value (null when the file gets none)
+function requestKey(hdr, check) {
+    return new Promise((resolve, reject) => {
+        const req = nextReq++;
+        pendingKeys.set(req, { resolve, reject });
+        parentPort.postMessage({ type: 'key', req, check, hdr: { kdf: hdr.kdf, salt: hdr.salt, vault: hdr.vault, nonce: hdr.nonce } });
+    });
+}
+
+parentPort.on('message', async (msg) => {
+    if (msg.type === 'key') {
+        const pending = pendingKeys.get(msg.req);
+        pendingKeys.delete(msg.req);
+        if (!pending) return;
+        if (msg.error) {
+            pending.reject(core.vaultError(msg.error.code, msg.error.message));
+        } else if (!msg.key) {
+            pending.resolve(null);
+        } else {
+            // The file functions zero the key they are given; drop the message's copy too
+            pending.resolve(Buffer.from(msg.key));
+            msg.key.fill(0);
+        }
+    } else if (msg.type === 'abort') {
+        const controller = controllers.get(msg.id);
+        if (controller) controller.abort();
+    } else if (msg.type === 'job') {
+        const controller = new AbortController();
+        controllers.set(msg.id, controller);
+        try {
+            const result = await OPS[msg.op](msg.file, null, Object.assign({}, msg.options, { keys, signal: controller.signal }));
+            parentPort.postMessage({ type: 'done', id: msg.id, result });
+        } catch (err) {
+            parentPort.postMessage({ type: 'done', id: msg.id, error: { code: err.code, message: err.message } });
+        } finally {
+            controllers.delete(msg.id);
+        }
+    }
+});